@@ -7,39 +7,12 @@ const SensorValue = require("../models/SensorValue.js");
 const { getSeasonNumberByMonth, discretizeHour } = require("../utils/utils.js");
 const { SENSORS } = require("../consts/common.consts.js");
 const { stubString } = require("lodash");
-const fs = require('fs').promises;
-const path = require('path');
+const { resolveRaspPiUrl } = require("../services/edge-nodes.service");
 
-const loadConfig = async () => {
-  try {
-    const filePath = path.resolve(__dirname, './endpoint/rasp_pi.json');
-    console.log(filePath);
-    console.log(`Loading configuration from: ${filePath}`);
-
-    // Check if the file exists
-    try {
-      await fs.access(filePath);
-    } catch (err) {
-      throw new Error(`Configuration file does not exist at: ${filePath}`);
-    }
-
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    throw new Error(`Error loading configuration: ${err.message}`);
-  }
-};
 
 const getMotionSensorData = async (raspPiIP) => {
     try {
-      const config = await loadConfig();
-  
-      // Search for the IP address in the cached JSON data
-      const ngrokUrl = config[raspPiIP];
-  
-      if (!ngrokUrl) {
-        throw new Error(`IP address ${raspPiIP} not found in the configuration file`);
-      }
+      const ngrokUrl = await resolveRaspPiUrl(raspPiIP);
   
       const endpoint = `${ngrokUrl}`;
       const flaskUrl = `${endpoint}/api-motion/motion_state`;
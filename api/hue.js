@@ -2,29 +2,7 @@ const { default: axios } = require("axios");
 const Device = require("../models/Device");
 const RoomDevice = require("../models/RoomDevice");
 const { updateDeviceModeInDatabase } = require("../services/devices.service");
-const fs = require('fs').promises;
-const path = require('path');
-
-// Load Raspberry Pi configuration (same as in sensibo.js)
-const loadConfig = async () => {
-  try {
-    const filePath = path.resolve(__dirname, './endpoint/rasp_pi.json');
-    console.log(filePath);
-    console.log(`Loading configuration from: ${filePath}`);
-
-    // Check if the file exists
-    try {
-      await fs.access(filePath);
-    } catch (err) {
-      throw new Error(`Configuration file does not exist at: ${filePath}`);
-    }
-
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    throw new Error(`Error loading configuration: ${err.message}`);
-  }
-};
+const { resolveRaspPiUrl } = require("../services/edge-nodes.service");
 
 /**
  * Gets information about all lights connected to the Hue bridge
@@ -33,14 +11,7 @@ const loadConfig = async () => {
  */
 const getAllLights = async (rasp_ip) => {
   try {
-    const config = await loadConfig();
-
-    // Search for the IP address in the cached JSON data
-    const ngrokUrl = config[rasp_ip];
-
-    if (!ngrokUrl) {
-      throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-    }
+    const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
 
     const endpoint = `${ngrokUrl}`;
     const flaskUrl = `${endpoint}/api-hue/get_all_lights`;
@@ -69,14 +40,7 @@ const getAllLights = async (rasp_ip) => {
  */
 const getLightState = async (rasp_ip, lightId) => {
   try {
-    const config = await loadConfig();
-
-    // Search for the IP address in the cached JSON data
-    const ngrokUrl = config[rasp_ip];
-
-    if (!ngrokUrl) {
-      throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-    }
+    const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
 
     const endpoint = `${ngrokUrl}`;
 
@@ -112,14 +76,7 @@ const getLightState = async (rasp_ip, lightId) => {
 const switchLightState = async (lightId, state, rasp_ip, brightness = null, color = null) => {
   try {
     console.log("The state is:", state);
-    const config = await loadConfig();
-
-    // Search for the IP address in the cached JSON data
-    const ngrokUrl = config[rasp_ip];
-
-    if (!ngrokUrl) {
-      throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-    }
+    const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
 
     const endpoint = `${ngrokUrl}`;
     const apiUrl = `${endpoint}/api-hue/switch_light_state`; // Ensure this matches your Flask server URL
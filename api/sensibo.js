@@ -7,28 +7,8 @@ const SensorValue = require("../models/SensorValue");
 const { getSeasonNumberByMonth, discretizeHour } = require("../utils/utils");
 const { SENSORS } = require("../consts/common.consts");
 const { stubString } = require("lodash");
-const fs = require('fs').promises;
-const path = require('path');
+const { resolveRaspPiUrl } = require("../services/edge-nodes.service");
 
-const loadConfig = async () => {
-  try {
-    const filePath = path.resolve(__dirname, './endpoint/rasp_pi.json');
-    console.log(filePath);
-    console.log(`Loading configuration from: ${filePath}`);
-
-    // Check if the file exists
-    try {
-      await fs.access(filePath);
-    } catch (err) {
-      throw new Error(`Configuration file does not exist at: ${filePath}`);
-    }
-
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    throw new Error(`Error loading configuration: ${err.message}`);
-  }
-};
 
 
 const validateDegree = (temperature) => {
@@ -38,14 +18,7 @@ const validateDegree = (temperature) => {
 // C:\Users\amin\Desktop\smart-space\SmartSchool-Server\api\sensibo.js
 
 const getAcState = async (rasp_ip, device_id) => {
-  const config = await loadConfig();
-
-  // Search for the IP address in the cached JSON data
-  const ngrokUrl = config[rasp_ip];
-
-  if (!ngrokUrl) {
-    throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-  }
+  const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
 
   const endpoint = `${ngrokUrl}`;
 
@@ -73,14 +46,7 @@ const getAcState = async (rasp_ip, device_id) => {
 const TurnON_OFF_LIGHT = async (state, rasp_ip, id, Control) => {
   try {
     console.log(Control);
-    const config = await loadConfig();
-
-    // Search for the IP address in the cached JSON data
-    const ngrokUrl = config[rasp_ip];
-
-    if (!ngrokUrl) {
-      throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-    }
+    const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
     const endpoint = `${ngrokUrl}/${state}`; // Construct the endpoint URL
 
     // Make a POST request to the endpoint
@@ -94,14 +60,7 @@ const TurnON_OFF_LIGHT = async (state, rasp_ip, id, Control) => {
 };
 
 const switchAcState = async (id, state, rasp_ip, temperature = null) => {
-  const config = await loadConfig();
-
-  // Search for the IP address in the cached JSON data
-  const ngrokUrl = config[rasp_ip];
-
-  if (!ngrokUrl) {
-    throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-  }
+  const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
 
   const endpoint = `${ngrokUrl}`;
   console.log(endpoint);
@@ -133,28 +92,33 @@ const switchAcState = async (id, state, rasp_ip, temperature = null) => {
     if (response.status === 200) {
       console.log("AC state changed successfully", response.data);
 
-      // Update the device state in your local database
-      const updateResult = await Device.updateOne(
-        { 
-          device_id: actualDeviceId // Use device_id to find the document
-        }, 
-        { 
-          $set: { 
-            state: state ? "on" : "off", // Update state field
-            lastUpdated: new Date() // Optional: track when the update was made
-          } 
-        }
-      );
-      const updateResultRoomDevices = await RoomDevice.updateOne(
-        { device_id: actualDeviceId }, // Use device_id to find the document
-        { 
-          $set: { 
-            state: state ? "on" : "off", // Update state field
-            lastUpdated: new Date() // Optional: track when the update was made
-          } 
-        }
-      );
-      console.log("Database update result:", updateResult, updateResultRoomDevices);
+      // The AC has already been switched, so failing to record it locally doesn't fail the command
+      try {
+        // Update the device state in your local database
+        const updateResult = await Device.updateOne(
+          { 
+            device_id: actualDeviceId // Use device_id to find the document
+          }, 
+          { 
+            $set: { 
+              state: state ? "on" : "off", // Update state field
+              lastUpdated: new Date() // Optional: track when the update was made
+            } 
+          }
+        );
+        const updateResultRoomDevices = await RoomDevice.updateOne(
+          { device_id: actualDeviceId }, // Use device_id to find the document
+          { 
+            $set: { 
+              state: state ? "on" : "off", // Update state field
+              lastUpdated: new Date() // Optional: track when the update was made
+            } 
+          }
+        );
+        console.log("Database update result:", updateResult, updateResultRoomDevices);
+      } catch (dbError) {
+        console.error("AC state changed but the device state could not be saved:", dbError.message);
+      }
 
       return { statusCode: 200, data: response.data }; // Adjust according to your data handling needs
     } else {
@@ -180,14 +144,7 @@ const switchAcState = async (id, state, rasp_ip, temperature = null) => {
 
 const getSensiboSensors = async (raspPiIP) => {
   try {
-    const config = await loadConfig();
-
-    // Search for the IP address in the cached JSON data
-    const ngrokUrl = config[raspPiIP];
-
-    if (!ngrokUrl) {
-      throw new Error(`IP address ${raspPiIP} not found in the configuration file`);
-    }
+    const ngrokUrl = await resolveRaspPiUrl(raspPiIP);
 
     const endpoint = `${ngrokUrl}`;
     const flaskUrl = `${endpoint}/api-sensibo/get_sensor_data`;
@@ -290,14 +247,7 @@ const updateAcMode = async (mode) => {
 };
 
 const updateSensiboMode = async (deviceId, mode, rasp_ip) => {
-  const config = await loadConfig();
-
-  // Search for the IP address in the cached JSON data
-  const ngrokUrl = config[rasp_ip];
-
-  if (!ngrokUrl) {
-    throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-  }
+  const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
 
   const endpoint = `${ngrokUrl}`;
   try {
@@ -38,4 +38,12 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Get who is making a change: the user set by authenticate, never a name sent by the client
+ * @param {Object} req - Express request object
+ * @returns {string|null} The user's email (or id), or null if the request is not authenticated
+ */
+const getChangedBy = (req) => (req.user ? req.user.email || String(req.user._id) : null);
+
 module.exports = authenticate;
+module.exports.getChangedBy = getChangedBy;
@@ -0,0 +1,53 @@
+const jwt = require('jsonwebtoken');
+const { getRaspPiEndpoints } = require('../services/edge-nodes.service');
+
+// Tokens of the Raspberry Pis are signed apart from the users' tokens, so one never passes for the other
+const getSecretKey = () => {
+  const secretKey = process.env.EDGE_NODE_JWT_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('EDGE_NODE_JWT_SECRET_KEY is not defined in the environment variables.');
+  }
+  return secretKey;
+};
+
+/**
+ * Create the token a Raspberry Pi sends as "Authorization: Bearer <token>" to push its data
+ * @param {string} ip - The Pi's IP
+ * @param {string|number} [expiresIn] - Lifetime of the token, as jsonwebtoken reads it
+ *   (EDGE_NODE_TOKEN_EXPIRES_IN, default '30d'); the Pi needs a new token once it expires
+ * @returns {string} The signed token
+ */
+const createEdgeNodeToken = (ip, expiresIn = process.env.EDGE_NODE_TOKEN_EXPIRES_IN || '30d') =>
+  jwt.sign({ ip }, getSecretKey(), { expiresIn });
+
+// Authenticates the requests of a registered Raspberry Pi and sets req.edgeNode to { ip, url }
+const authenticateEdgeNode = async (req, res, next) => {
+  const authHeader = req.header('Authorization');
+
+  if (!authHeader) {
+    return res.status(401).send({ error: 'Authorization header is missing.' });
+  }
+
+  if (!authHeader.startsWith('Bearer ')) {
+    return res.status(401).send({ error: 'Authorization header is improperly formatted.' });
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  try {
+    const { ip } = jwt.verify(token, getSecretKey());
+    const url = (await getRaspPiEndpoints())[ip];
+    if (!url) {
+      throw new Error(`Raspberry Pi ${ip} is not registered`);
+    }
+
+    req.edgeNode = { ip, url };
+    next();
+  } catch (error) {
+    console.error('Raspberry Pi token validation error:', error.message);
+    res.status(401).send({ error: 'Please authenticate.', details: error.message });
+  }
+};
+
+module.exports = authenticateEdgeNode;
+module.exports.createEdgeNodeToken = createEdgeNodeToken;
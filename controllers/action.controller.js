@@ -33,7 +33,7 @@ async function executeAction(req, res) {
 }
 
 /**
- * Get all available actions
+ * Get all available actions with the parameters their steps take, and the registered action types
  * @param {Request} req - Express request object
  * @param {Response} res - Express response object
  */
@@ -47,12 +47,14 @@ async function getAvailableActions(req, res) {
         const actions = Array.from(ActionRegistry.actions.values()).map(action => ({
             name: action.name,
             type: action.type,
-            location: action.location
+            location: action.location,
+            parameters: ActionRegistry.describeActionParameters(action)
         }));
 
         return res.json({
             success: true,
-            actions
+            actions,
+            actionTypes: ActionRegistry.getActionTypes()
         });
     } catch (error) {
         console.error('Error getting available actions:', error);
@@ -1,45 +1,114 @@
-const path = require('path'); 
-const fs = require('fs').promises;
+const jwt = require('jsonwebtoken');
+const {
+  getRaspPiEndpoints,
+  getEdgeNodes,
+  getEdgeNode,
+  createEdgeNode,
+  updateEdgeNode,
+  deleteEdgeNode,
+  saveEdgeNodeUrl
+} = require('../services/edge-nodes.service');
+const edgeNodeMonitor = require('../services/edge-node-health.service');
+const { createEdgeNodeToken } = require('../auth/authenticateEdgeNode');
 
+// Map of every registered Raspberry Pi's IP to the URL of its Flask API
 const loadConfig = async () => {
   try {
-    const filePath = path.resolve(__dirname, '../api/endpoint/rasp_pi.json');
-    console.log(filePath);
-    console.log(`Loading configuration from: ${filePath}`);
-
-    // Check if the file exists
-    try {
-      await fs.access(filePath);
-    } catch (err) {
-      throw new Error(`Configuration file does not exist at: ${filePath}`);
-    }
-
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    return await getRaspPiEndpoints();
   } catch (err) {
     throw new Error(`Error loading configuration: ${err.message}`);
   }
 };
 
+// Called by the Pis with their current tunnel URL
 const addOrUpdateIp = async (req, res) => {
-  const filePath = path.resolve(__dirname, '../api/endpoint/rasp_pi.json');
   const { ip, url } = req.body;
+  if (!ip || !url) {
+    return res.status(400).send('ip and url are required');
+  }
+
+  const response = await saveEdgeNodeUrl(ip, url);
+  if (response.statusCode !== 200) {
+    return res.status(response.statusCode).send(`Error registering the Raspberry Pi: ${response.message}`);
+  }
+  res.send(response.data);
+};
+
+// Query: space_id (optional)
+const getNodes = async (req, res) => {
+  const response = await getEdgeNodes({ space_id: req.query.space_id });
+  res.status(response.statusCode).json(response.data || { message: response.message });
+};
+
+const getNode = async (req, res) => {
+  const response = await getEdgeNode(req.params.ip);
+  res.status(response.statusCode).json(response.data || { message: response.message });
+};
+
+const createNode = async (req, res) => {
+  const response = await createEdgeNode(req.body);
+  res.status(response.statusCode).json(response.data || { message: response.message });
+};
+
+const updateNode = async (req, res) => {
+  const response = await updateEdgeNode(req.params.ip, req.body);
+  res.status(response.statusCode).json(response.data || { message: response.message });
+};
 
+const deleteNode = async (req, res) => {
+  const response = await deleteEdgeNode(req.params.ip);
+  res.status(response.statusCode).json({ message: response.message });
+};
+
+// Token the Pi sends to push its sensor readings to /api-sensors/ingest
+const createNodeToken = async (req, res) => {
   try {
-    const data = await fs.readFile(filePath, 'utf8');
-    const json = JSON.parse(data);
+    const endpoints = await getRaspPiEndpoints();
+    if (!endpoints[req.params.ip]) {
+      return res.status(404).json({ message: `Raspberry Pi ${req.params.ip} not found` });
+    }
+    const token = createEdgeNodeToken(req.params.ip);
+    res.json({ ip: req.params.ip, token, expiresAt: new Date(jwt.decode(token).exp * 1000) });
+  } catch (err) {
+    res.status(500).json({ message: `Error creating a token for ${req.params.ip} - ${err.message}` });
+  }
+};
 
-    // Add or update the IP address
-    json[ip] = url;
+// Query: probe=true to probe every Pi before answering
+const getHealth = async (req, res) => {
+  try {
+    res.json(await edgeNodeMonitor.getHealth({ probe: req.query.probe === 'true' }));
+  } catch (err) {
+    res.status(500).json({ message: `Error getting the health of the Raspberry Pis - ${err.message}` });
+  }
+};
 
-    await fs.writeFile(filePath, JSON.stringify(json, null, 2));
-    res.send(json);
+// Pushed periodically by the Pis (authenticated with authenticateEdgeNode), optionally with their current tunnel URL
+const recordHeartbeat = async (req, res) => {
+  // The Pi is the one authenticated by its token, so it can only move its own URL
+  const { ip } = req.edgeNode;
+  const { url } = req.body;
+
+  try {
+    const health = await edgeNodeMonitor.recordHeartbeat(ip, { url });
+    if (!health) {
+      return res.status(404).json({ message: `Raspberry Pi ${ip} not found` });
+    }
+    res.json(health);
   } catch (err) {
-    res.status(500).send(`Error processing the JSON file: ${err.message}`);
+    res.status(500).json({ message: `Error recording the heartbeat of ${ip} - ${err.message}` });
   }
 };
 
 module.exports = {
   loadConfig,
-  addOrUpdateIp
+  addOrUpdateIp,
+  getNodes,
+  getNode,
+  createNode,
+  updateNode,
+  deleteNode,
+  createNodeToken,
+  getHealth,
+  recordHeartbeat
 };
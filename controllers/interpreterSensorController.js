@@ -1,4 +1,5 @@
 const interpreterSensorService = require('../services/interpreter-sensor.service');
+const { getRaspPiEndpoints } = require('../services/edge-nodes.service');
 
 /**
  * Controller for handling the integration between sensors and the interpreter system
@@ -35,11 +36,13 @@ const interpreterSensorController = {
   },
   
   /**
-   * Start periodic polling of sensor data
+   * Start periodic polling of a Raspberry Pi's sensor data
+   * The Pi is given by the :ip route parameter or the raspPiIP of the body
    */
   startSensorPolling: async (req, res) => {
     try {
-      const { raspPiIP, interval } = req.body;
+      const raspPiIP = req.params.ip || req.body.raspPiIP;
+      const { interval } = req.body;
       
       if (!raspPiIP) {
         return res.status(400).json({
@@ -49,6 +52,20 @@ const interpreterSensorController = {
       }
       
       const pollingInterval = interval ? parseInt(interval) : 30000;
+      if (!(pollingInterval > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'interval must be a positive number of milliseconds'
+        });
+      }
+      
+      const endpoints = await getRaspPiEndpoints();
+      if (!endpoints[raspPiIP]) {
+        return res.status(404).json({
+          success: false,
+          error: `Raspberry Pi ${raspPiIP} not found`
+        });
+      }
       
       const result = interpreterSensorService.startSensorPolling(raspPiIP, pollingInterval);
       
@@ -63,11 +80,11 @@ const interpreterSensorController = {
   },
   
   /**
-   * Stop periodic polling of sensor data
+   * Stop periodic polling of sensor data, for the Pi of the :ip route parameter or for every Pi
    */
   stopSensorPolling: async (req, res) => {
     try {
-      const result = interpreterSensorService.stopSensorPolling();
+      const result = interpreterSensorService.stopSensorPolling(req.params.ip);
       
       return res.status(200).json(result);
     } catch (error) {
@@ -77,6 +94,30 @@ const interpreterSensorController = {
         error: error.message
       });
     }
+  },
+  
+  /**
+   * Get the status of the polling worker of the Pi of the :ip route parameter, or of every worker
+   */
+  getSensorPollingStatus: async (req, res) => {
+    try {
+      const status = interpreterSensorService.getSensorPollingStatus(req.params.ip);
+      
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          error: `Raspberry Pi ${req.params.ip} is not polled`
+        });
+      }
+      
+      return res.status(200).json({ success: true, data: status });
+    } catch (error) {
+      console.error('Error getting sensor polling status:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
   }
 };
 
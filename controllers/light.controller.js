@@ -1,4 +1,5 @@
 const lightService = require('../services/light.service');
+const interpreterService = require('../interpreter/src/server-integration');
 
 /**
  * Get the state of a specific light
@@ -69,6 +70,9 @@ exports.switchLightState = async (req, res) => {
       });
     }
 
+    // Hold the light so that rules don't immediately undo the manual command
+    await interpreterService.recordManualOverride('light', rasp_ip, { state: boolState, brightness, color }, 'PUT /api/lights/switch');
+
     return res.status(200).json({
       success: true,
       message: `Light ${boolState ? 'turned on' : 'turned off'} successfully`,
@@ -18,6 +18,10 @@ const {
 const interpreterService = require('../interpreter/src/server-integration');
 // Import the AnomalyDescription model
 const AnomalyDescription = require('../models/AnomalyDescription');
+const { updateVersionedRule, getVersions, diffVersions, rollbackToVersion } = require('../services/rule-versions.service');
+const { getChangedBy } = require('../auth/authenticate');
+// Rules are created, updated and deleted in the database and the interpreter together
+const ruleSync = require('../services/rule-sync.service');
 
 /**
  * Check if a rule condition string matches our required formats
@@ -29,24 +33,9 @@ function isValidRuleFormat(ruleString) {
         return false;
     }
     
-    // Basic if-then pattern
+    // Basic if-then pattern - AND/OR/NOT and parentheses are checked by the interpreter's parser
     const ifThenPattern = /if\s+.+\s+then\s+.+/i;
-    if (!ifThenPattern.test(ruleString)) {
-        return false;
-    }
-    
-    // Check for multi-condition rules with AND or OR
-    const andPattern = /\s+AND\s+/i;
-    const orPattern = /\s+OR\s+/i;
-    const hasAndOperator = andPattern.test(ruleString);
-    const hasOrOperator = orPattern.test(ruleString);
-    
-    // Validate that we don't have mixed operators
-    if (hasAndOperator && hasOrOperator) {
-        return false; // Mixed AND/OR not supported
-    }
-    
-    return true;
+    return ifThenPattern.test(ruleString);
 }
 
 /**
@@ -220,6 +209,49 @@ function extractAnomalyDescription(ruleString) {
     return description;
 }
   
+/**
+ * Find conflicting rules within a space
+ * Conflicts come from the interpreter; each rule in a conflict is matched back to its database rule
+ * @param {string} spaceId - The space ID
+ * @param {string} [interpreterId] - Only report conflicts involving this interpreter rule
+ * @returns {Promise<Object>} Object with success status and the conflicts
+ */
+async function findSpaceConflicts(spaceId, interpreterId = null) {
+    const response = await getRulesBySpaceId(spaceId);
+    if (response.statusCode !== 200) {
+        return { success: false, error: response.message };
+    }
+
+    const dbRulesByInterpreterId = new Map(
+        response.data
+            .filter(dbRule => dbRule.interpreterId)
+            .map(dbRule => [dbRule.interpreterId, dbRule])
+    );
+
+    const result = interpreterService.getRuleConflicts([...dbRulesByInterpreterId.keys()], interpreterId);
+    if (!result.success) {
+        return result;
+    }
+
+    const conflicts = result.conflicts.map(conflict => ({
+        ...conflict,
+        rules: conflict.rules.map(conflictRule => {
+            const dbRule = dbRulesByInterpreterId.get(conflictRule.id);
+            if (!dbRule) {
+                return conflictRule;
+            }
+            return {
+                ...conflictRule,
+                id: dbRule.id,
+                interpreterId: conflictRule.id,
+                description: dbRule.description
+            };
+        })
+    }));
+
+    return { success: true, conflicts };
+}
+
 exports.ruleControllers={
 // --------------------------------- Rules ---------------------------------
 
@@ -243,6 +275,21 @@ exports.ruleControllers={
       }
     },
     
+    async get_Rule_Conflicts(req, res) {
+        const space_id = req.params.space_id;
+
+        try {
+            const result = await findSpaceConflicts(space_id);
+            if (!result.success) {
+                return res.status(500).json({ message: result.error });
+            }
+            res.status(200).json(result.conflicts);
+        } catch (error) {
+            console.error("Error finding rule conflicts:", error);
+            res.status(500).json({ message: `Error finding rule conflicts: ${error.message}` });
+        }
+    },
+    
     // Define the route for adding a new rule
     async add_Rule(req, res) {
         const rule = req.body;
@@ -315,52 +362,60 @@ exports.ruleControllers={
                 
                 // Set the event using the rawEventName from the description
                 rule.event = `${anomalyDescription.rawEventName} detected`;
-                rule.ruleString = interpreterRuleText;
-
-                // IMPORTANT: Use the constructed interpreter rule text when creating the rule
-                const interpreterResult = interpreterService.createRule(interpreterRuleText);
                 
-                if (interpreterResult.success) {
-                    console.log("Rule created in interpreter:", interpreterResult.ruleId);
-                    rule.interpreterId = interpreterResult.ruleId;
-                    rule.isActive = true;  // Ensure rule is active
-                } else {
-                    console.log("Failed to create rule in interpreter:", interpreterResult.error);
-                    // Even if interpreter creation fails, continue to save the rule in the database
-                }
+                // IMPORTANT: Use the constructed interpreter rule text when creating the rule
+                rule.ruleString = interpreterRuleText;
             } else {
                 // For non-anomaly rules, use the original rule text
                 console.log("Rule is not anomaly-related, using original format");
                 
                 if (isValidRuleFormat(ruleText)) {
                     console.log("Rule text matches interpreter format:", ruleText);
-                    
-                    const interpreterResult = interpreterService.createRule(ruleText);
-                    
-                    if (interpreterResult.success) {
-                        console.log("Rule created in interpreter:", interpreterResult.ruleId);
-                        rule.interpreterId = interpreterResult.ruleId;
-                        rule.ruleString = ruleText;
-                        rule.isActive = true;  // Ensure rule is active
-                    } else {
-                        console.log("Failed to create rule in interpreter:", interpreterResult.error);
-                    }
+                    rule.ruleString = ruleText;
                 } else {
                     console.log("Rule does not match interpreter format:", ruleText);
+                    rule.ruleString = null;
                 }
             }
             
-            console.log("Rule ready to save in the database:", {
+            console.log("Rule ready to save:", {
                 event: rule.event,
                 ruleString: rule.ruleString,
-                interpreterId: rule.interpreterId,
                 isActive: rule.isActive,
                 notificationMessage: rule.notificationMessage
             });
             
-            // Continue with adding the rule to the database
-            const response = await add_new_Rule(rule);
-            res.status(response.statusCode).send(response.message);
+            // Save the rule and load it into the interpreter under the same id.
+            // Even if the interpreter rejects it, the rule is kept in the database
+            const response = await ruleSync.createRule(rule);
+            if (response.statusCode !== 200) {
+                return res.status(response.statusCode).send(response.message);
+            }
+            const savedRule = response.data;
+            
+            // Clients that don't ask for the details keep getting the plain message
+            if (req.query.details !== 'true') {
+                return res.status(200).send(response.message);
+            }
+            
+            // Warn about existing rules of the space that contradict the new one
+            let warnings = [];
+            if (savedRule.interpreterId) {
+                const conflictResult = await findSpaceConflicts(savedRule.space_id, savedRule.interpreterId);
+                if (conflictResult.success) {
+                    warnings = conflictResult.conflicts;
+                } else {
+                    console.log("Failed to check the new rule for conflicts:", conflictResult.error);
+                }
+            }
+            
+            res.status(200).send({
+                status: 200,
+                message: response.message,
+                id: savedRule.id,
+                interpreterError: response.interpreterError,
+                warnings
+            });
         } catch (error) {
             console.error("Error adding rule:", error);
             res.status(500).send({
@@ -371,11 +426,11 @@ exports.ruleControllers={
     },
     
     async update_Rule(req, res){
-        const updateFields = { ...req.body }; // Includes isActive and any other fields
+        const { changedBy, version, ...updateFields } = req.body; // Includes isActive and any other fields; changedBy and version are not stored on the rule, the author of a version is the authenticated user
         const id = req.params.id;
         
         try {
-            // Get the rule to check if it has an interpreter ID
+            // Get the rule as it was before the update
             const rule = await getRuleById(id);
             
             // Determine the current and new rule text
@@ -411,65 +466,18 @@ exports.ruleControllers={
                 updateFields.rawEventName = anomalyDescription.rawEventName;
             }
             
-            // Check if this is an interpreter rule or if the rule text has changed
-            if ((rule && rule.interpreterId) || 
-                (newRuleText && isValidRuleFormat(newRuleText))) {
-                
-                // If the rule already has an interpreter ID
-                if (rule && rule.interpreterId) {
-                    // If active status is being updated
-                    if (updateFields.hasOwnProperty('isActive')) {
-                        console.log(`Updating rule active state in interpreter: ${rule.interpreterId} -> ${updateFields.isActive}`);
-                        
-                        // Update the rule in the interpreter
-                        interpreterService.setRuleActive(rule.interpreterId, updateFields.isActive);
-                    }
-                    
-                    // If the rule text is being updated, recreate the rule in the interpreter
-                    if (newRuleText && newRuleText !== currentRuleText) {
-                        console.log(`Updating rule text in interpreter: ${rule.interpreterId}`);
-                        
-                        // Delete the old rule
-                        interpreterService.deleteRule(rule.interpreterId);
-                        
-                        // Create a new rule with the updated text
-                        if (isValidRuleFormat(newRuleText)) {
-                            const newInterpreterResult = interpreterService.createRule(newRuleText);
-                            
-                            if (newInterpreterResult.success) {
-                                console.log(`Created new interpreter rule: ${newInterpreterResult.ruleId}`);
-                                updateFields.interpreterId = newInterpreterResult.ruleId;
-                                updateFields.ruleString = newRuleText;
-                            } else {
-                                console.log(`Failed to create new interpreter rule: ${newInterpreterResult.error}`);
-                            }
-                        } else {
-                            // If the new text is not valid for interpreter, remove the interpreterId
-                            console.log(`Updated rule text is not valid for interpreter: ${newRuleText}`);
-                            updateFields.interpreterId = '';
-                            updateFields.ruleString = '';
-                        }
-                    }
-                } 
-                // If this is a new rule being made compatible with the interpreter
-                else if (newRuleText && isValidRuleFormat(newRuleText)) {
-                    console.log(`Adding rule to interpreter with text: ${newRuleText}`);
-                    
-                    // Create the rule in the interpreter
-                    const interpreterResult = interpreterService.createRule(newRuleText);
-                    
-                    if (interpreterResult.success) {
-                        console.log(`Created interpreter rule: ${interpreterResult.ruleId}`);
-                        updateFields.interpreterId = interpreterResult.ruleId;
-                        updateFields.ruleString = newRuleText;
-                    } else {
-                        console.log(`Failed to create interpreter rule: ${interpreterResult.error}`);
-                    }
-                }
+            // The interpreter gets the new text when it is in the interpreter's format,
+            // otherwise the rule is removed from the interpreter
+            if (newRuleText && newRuleText !== currentRuleText) {
+                updateFields.ruleString = isValidRuleFormat(newRuleText) ? newRuleText : null;
             }
             
-            // Update the rule in the database
-            const response = await updateRule(id, updateFields);
+            // Update the rule in the database and the interpreter, keeping the previous text and settings as a version;
+            // the update is undone if its version cannot be recorded
+            const response = rule
+                ? await updateVersionedRule(rule, updateFields, { changedBy: getChangedBy(req) })
+                : await ruleSync.updateRule(id, updateFields);
+            
             return res.status(response.statusCode).send(response.message);
         } catch (error) {
             console.error(`Error updating rule ${id}:`, error);
@@ -480,22 +488,29 @@ exports.ruleControllers={
         }
     },
     
+    async get_Rule_Versions(req, res) {
+        const response = await getVersions(req.params.id);
+        res.status(response.statusCode).json(response.data || { message: response.message });
+    },
+
+    // Query: from and to (default: the current version and the one before it)
+    async get_Rule_Versions_Diff(req, res) {
+        const response = await diffVersions(req.params.id, req.query.from, req.query.to);
+        res.status(response.statusCode).json(response.data || { message: response.message });
+    },
+
+    async rollback_Rule(req, res) {
+        const response = await rollbackToVersion(req.params.id, req.params.version, getChangedBy(req));
+        res.status(response.statusCode).json({ message: response.message, ...response.data });
+    },
+    
     async delete_Rule_ByID(req, res){
         const id = req.params.id;
         try {
-            // Get the rule to check if it has an interpreter ID
-            const rule = await getRuleById(id);
-            
-            // If it has an interpreter ID, delete it from the interpreter too
-            if (rule && rule.interpreterId) {
-                console.log(`Deleting rule from interpreter: ${rule.interpreterId}`);
-                interpreterService.deleteRule(rule.interpreterId);
-            }
-            
-            // Delete the rule from the database
-            const response = await deleteRuleById(id);
+            // Delete the rule from the database and the interpreter
+            const response = await ruleSync.deleteRule(id);
         
-            if (response.status === 200) {
+            if (response.statusCode === 200) {
                 res.status(200).json({ message: "Rule deleted successfully" });
             } else {
                 res.status(400).json({ message: "Error deleting the rule" });
@@ -0,0 +1,51 @@
+const {
+    getGroups,
+    getGroupById,
+    createGroup,
+    updateGroup,
+    deleteGroup,
+    setGroupActive
+} = require("./../services/rule-groups.service.js");
+
+/**
+ * Send a service response: the data on success, the message otherwise
+ * @param {Object} res - Express response object
+ * @param {Object} response - Service response with statusCode, message and data
+ */
+function sendResponse(res, response) {
+    if (response.statusCode === 200) {
+        res.status(200).json(response.data !== undefined ? response.data : { message: response.message });
+    } else {
+        res.status(response.statusCode).json({ message: response.message });
+    }
+}
+
+exports.ruleGroupControllers = {
+
+    async get_Groups(req, res) {
+        sendResponse(res, await getGroups(req.query.space_id));
+    },
+
+    async get_Group_By_ID(req, res) {
+        sendResponse(res, await getGroupById(req.params.id));
+    },
+
+    async add_Group(req, res) {
+        sendResponse(res, await createGroup(req.body));
+    },
+
+    async update_Group(req, res) {
+        sendResponse(res, await updateGroup(req.params.id, req.body));
+    },
+
+    async delete_Group(req, res) {
+        sendResponse(res, await deleteGroup(req.params.id));
+    },
+
+    // Body: { active, deactivateConflicting (optional, default true) }
+    async set_Group_Active(req, res) {
+        const { active, deactivateConflicting } = req.body;
+        const response = await setGroupActive(req.params.id, active, { deactivateConflicting: deactivateConflicting !== false });
+        sendResponse(res, response.statusCode === 200 ? { ...response, data: { message: response.message, ...response.data } } : response);
+    }
+}
@@ -0,0 +1,73 @@
+const {
+    getTemplates,
+    getTemplateById,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    getTemplateInstances,
+    instantiateTemplate,
+    regenerateInstances
+} = require("./../services/rule-templates.service.js");
+const { getChangedBy } = require("./../auth/authenticate");
+
+/**
+ * Send a service response: the data on success, the message otherwise
+ * @param {Object} res - Express response object
+ * @param {Object} response - Service response with statusCode, message and data
+ */
+function sendResponse(res, response) {
+    if (response.statusCode === 200) {
+        res.status(200).json(response.data !== undefined ? response.data : { message: response.message });
+    } else {
+        res.status(response.statusCode).json({ message: response.message, ...(response.data || {}) });
+    }
+}
+
+exports.ruleTemplateControllers = {
+
+    async get_Templates(req, res) {
+        sendResponse(res, await getTemplates(req.query.space_id));
+    },
+
+    async get_Template_By_ID(req, res) {
+        sendResponse(res, await getTemplateById(req.params.id));
+    },
+
+    async add_Template(req, res) {
+        sendResponse(res, await createTemplate(req.body));
+    },
+
+    // Update a template; with { regenerate: true } its rules are regenerated as well
+    async update_Template(req, res) {
+        const { regenerate, ...updateFields } = req.body;
+
+        const response = await updateTemplate(req.params.id, updateFields);
+        if (response.statusCode !== 200 || !regenerate) {
+            return sendResponse(res, response);
+        }
+
+        const regenerated = await regenerateInstances(req.params.id, getChangedBy(req));
+        sendResponse(res, {
+            ...regenerated,
+            data: regenerated.data && { template: response.data, ...regenerated.data }
+        });
+    },
+
+    // Delete a template; with ?deleteInstances=true its rules are deleted too, otherwise they are unlinked
+    async delete_Template(req, res) {
+        sendResponse(res, await deleteTemplate(req.params.id, req.query.deleteInstances === 'true'));
+    },
+
+    async get_Template_Instances(req, res) {
+        sendResponse(res, await getTemplateInstances(req.params.id));
+    },
+
+    // Body: { space_id, room_id (optional, all rooms of the space when omitted), params }
+    async instantiate_Template(req, res) {
+        sendResponse(res, await instantiateTemplate(req.params.id, req.body));
+    },
+
+    async regenerate_Template_Instances(req, res) {
+        sendResponse(res, await regenerateInstances(req.params.id, getChangedBy(req)));
+    }
+}
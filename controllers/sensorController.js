@@ -15,22 +15,19 @@ const {
 const _ = require("lodash");
 const axios = require("axios");
 const { handleControllers } = require('../controllers/handlersController');
-const fs = require('fs').promises;
-const path = require('path');
+const { getRaspPiEndpoints } = require('../services/edge-nodes.service');
 
 const {getMotionSensorData} = require('../api/MotionSensor.js');
+const interpreterService = require('../interpreter/src/server-integration');
+const sensorIngestService = require('../services/sensor-ingest.service');
 
 // Access configurations directly from handleControllers export
 const configurations = handleControllers.configurations || [];
 
-// Helper function to load Ngrok config within this controller
+// Helper function to load the Pis' Ngrok URLs within this controller
 const loadNgrokConfig = async () => {
   try {
-    // Correct path relative to *this* file (controllers/sensorController.js)
-    const filePath = path.resolve(__dirname, '../api/endpoint/rasp_pi.json'); 
-    console.log(`[SensorController] Loading Ngrok configuration from: ${filePath}`);
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
+    return await getRaspPiEndpoints();
   } catch (err) {
     console.error("[SensorController] Error loading Ngrok configuration:", err);
     // Depending on desired behavior, might throw, or return null/empty object
@@ -50,8 +47,8 @@ const getLocationsViaNgrok = async (raspPiIP) => {
     const ngrokUrl = ngrokConfig[raspPiIP];
 
     if (!ngrokUrl) {
-      console.error(`[getLocationsViaNgrok] IP address ${raspPiIP} not found in the Ngrok configuration file`);
-      return { success: false, error: `IP address ${raspPiIP} not found in the Ngrok configuration file` };
+      console.error(`[getLocationsViaNgrok] IP address ${raspPiIP} not found in the Raspberry Pi registry`);
+      return { success: false, error: `IP address ${raspPiIP} not found in the Raspberry Pi registry` };
     }
 
     const targetUrl = `${ngrokUrl}${endpointPath}`;
@@ -160,6 +157,8 @@ exports.sensorControllers={
       const { state, rasp_ip, id ,Control } = req.body;
       try {
         const switchResponse = await TurnON_OFF_LIGHT(state, rasp_ip, id, Control);
+        // Hold the light so that rules don't immediately undo the manual command
+        await interpreterService.recordManualOverride('light', rasp_ip, { state }, 'POST /api-sensors/action');
         res.status(200).json(switchResponse); // Respond with the switchResponse data
       } catch (error) {
         res.status(500).json({ error: 'Failed to turn on/off light' });
@@ -217,6 +216,9 @@ exports.sensorControllers={
             return;
           }
 
+          // Hold the AC so that rules don't immediately undo the manual command
+          await interpreterService.recordManualOverride('ac', rasp_ip, { state, temperature }, 'POST /api-sensors/sensibo');
+
           // Handle successful response
           res.json({ success: true, data: switchResponse.data });
         } catch (err) {
@@ -270,6 +272,20 @@ async get_Temperature(req, res) {
 
       },
 
+    /**
+     * Ingest a batch of readings pushed by a Raspberry Pi authenticated with authenticateEdgeNode
+     * Body: { readings: [{ room, sensor, value, timestamp }] }
+     */
+    async ingestReadings(req, res) {
+      try {
+        const response = await sensorIngestService.ingestReadings(req.edgeNode.ip, req.body.readings);
+        res.status(response.statusCode).json(response.data || { message: response.message });
+      } catch (error) {
+        console.error("Error ingesting the pushed sensor readings:", error);
+        res.status(500).json({ message: "Failed to ingest the readings", details: error.message });
+      }
+    },
+
     /**
      * MODIFIED: Fetch sensor data from all configured Raspberry Pis via Ngrok,
      * including roomId and spaceId in the response.
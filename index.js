@@ -18,6 +18,8 @@ const {devicesRouter} = require("./routers/devicesRouter");
 const {loginRouter} = require("./routers/loginRouter");
 const {sensorRouter} = require("./routers/sensorRouter");
 const {ruleRouter} = require("./routers/ruleRouter");
+const {ruleTemplateRouter} = require("./routers/ruleTemplateRouter");
+const {ruleGroupRouter} = require("./routers/ruleGroupRouter");
 const {roomRouter} = require("./routers/roomRouter");
 const {spacesRouter} = require("./routers/spacesRouter");
 const {suggestionsRouter} = require("./routers/suggestionsRouter");
@@ -36,11 +38,15 @@ const anomalyDescriptionsRouter = require('./routes/anomaly-descriptions.routes'
 
 
 const testRaspiRouter = require('./routers/testRaspiRouter.js')
+const edgeNodeMonitor = require('./services/edge-node-health.service');
+const mqttBridge = require('./services/mqtt-bridge.service');
 
 
 // Connect to MongoDB 
 connectDB();
 connectToWs();
+edgeNodeMonitor.start();
+mqttBridge.start();
 
 // server.use(cookieParser());
 /*server.use(cors({
@@ -66,6 +72,8 @@ server.use('/api-login', loginRouter);
 server.use('/api-device', devicesRouter);
 server.use('/api-sensors', sensorRouter);
 server.use('/api-rule', ruleRouter);
+server.use('/api-rule-template', ruleTemplateRouter);
+server.use('/api-rule-group', ruleGroupRouter);
 server.use('/api-room', roomRouter);
 server.use('/api-space', spacesRouter);
 server.use('/api-suggestion', suggestionsRouter);
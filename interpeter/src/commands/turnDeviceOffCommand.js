@@ -21,8 +21,7 @@ const BaseCommand = require('./baseCommand');
 const Device = require("../../../models/Device");
 const RoomDevice = require("../../../models/RoomDevice");
 const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
+const { resolveRaspPiUrl } = require('../../../services/edge-nodes.service');
 require('dotenv').config();
 
 class TurnDeviceOnOffCommand extends BaseCommand {
@@ -192,34 +191,9 @@ class TurnDeviceOnOffCommand extends BaseCommand {
     }
 
     async getNgrokUrl(rasp_ip) {
-        const config = await loadConfig();
-        const ngrokUrl = config[rasp_ip];
-
-        if (!ngrokUrl) {
-            throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-        }
-
-        return ngrokUrl;
+        return resolveRaspPiUrl(rasp_ip);
     }
 }
 
-const loadConfig = async () => {
-    try {
-        const filePath = path.resolve(__dirname, './../../../api/endpoint/rasp_pi.json');
-        console.log(filePath);
-        console.log(`Loading configuration from: ${filePath}`);
-
-        try {
-            await fs.access(filePath);
-        } catch (err) {
-            throw new Error(`Configuration file does not exist at: ${filePath}`);
-        }
-
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        throw new Error(`Error loading configuration: ${err.message}`);
-    }
-};
 
 module.exports = TurnDeviceOnOffCommand;
\ No newline at end of file
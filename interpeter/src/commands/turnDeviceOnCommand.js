@@ -88,8 +88,7 @@ const {
     TurnON_OFF_LIGHT,
   } = require("./../../../api/sensibo.js");
 
-const fs = require('fs').promises;
-const path = require('path');
+const { resolveRaspPiUrl } = require('../../../services/edge-nodes.service');
   
 class TurnDeviceOnCommand extends BaseCommand {
     constructor(deviceid, mode, temperature, device, state, data, res, ControlFlag) {
@@ -265,34 +264,9 @@ class TurnDeviceOnCommand extends BaseCommand {
     }
 
     async getNgrokUrl(rasp_ip) {
-        const config = await loadConfig();
-        const ngrokUrl = config[rasp_ip];
-
-        if (!ngrokUrl) {
-            throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-        }
-
-        return ngrokUrl;
+        return resolveRaspPiUrl(rasp_ip);
     }
 }
 
-const loadConfig = async () => {
-    try {
-        const filePath = path.resolve(__dirname, './../../../api/endpoint/rasp_pi.json');
-        console.log(filePath);
-        console.log(`Loading configuration from: ${filePath}`);
-
-        try {
-            await fs.access(filePath);
-        } catch (err) {
-            throw new Error(`Configuration file does not exist at: ${filePath}`);
-        }
-
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (err) {
-        throw new Error(`Error loading configuration: ${err.message}`);
-    }
-};
 
 module.exports = TurnDeviceOnCommand;
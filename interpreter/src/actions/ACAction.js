@@ -1,8 +1,8 @@
 const Action = require('./Action');
 const { switchAcState } = require('../../../api/sensibo');
 const roomService = require('../../../services/rooms.service');
-const fs = require('fs').promises;
-const path = require('path');
+const { getRaspPiEndpoints } = require('../../../services/edge-nodes.service');
+const mqttBridge = require('../../../services/mqtt-bridge.service');
 
 /**
  * Action class for controlling AC units
@@ -10,6 +10,7 @@ const path = require('path');
  * - living room ac on
  * - living room ac off
  * - living room ac on 22 cool
+ * The parameters are declared with the ac action type in the ActionRegistry
  */
 class ACAction extends Action {
     /**
@@ -22,122 +23,6 @@ class ACAction extends Action {
         super(name, type, location);
     }
 
-    /**
-     * Parse the action string into components
-     * @param {string} actionString - The action string to parse
-     */
-    parseActionString(actionString) {
-        // Reset parameters
-        this.state = false;
-        this.params = {
-            temperature: null,
-            mode: 'cool'  // Default mode
-        };
-
-        // Parse the action string
-        // Expected format: "[location] ac [on/off] [temperature?] [mode?]"
-        // Examples: "living room ac on", "bedroom ac off", "living room ac on 22 cool"
-        const parts = actionString.toLowerCase().trim().split(' ');
-        
-        // Find the index of "ac" to separate location and commands
-        const acIndex = parts.findIndex(part => part === 'ac');
-        
-        if (acIndex === -1) {
-            this.logAction(`Invalid AC action format: ${actionString}`);
-            return;
-        }
-        
-        // Extract commands (everything after "ac")
-        const commands = parts.slice(acIndex + 1);
-        
-        if (commands.length === 0) {
-            this.logAction(`Missing state in AC action: ${actionString}`);
-            return;
-        }
-        
-        // Extract state (on/off)
-        this.state = commands[0] === 'on';
-        
-        // Extract optional temperature and mode
-        if (commands.length > 1) {
-            // Check if the next part is a number (temperature)
-            const tempCandidate = commands[1];
-            if (!isNaN(Number(tempCandidate))) {
-                this.params.temperature = Number(tempCandidate);
-                
-                // If there's another part after temperature, it's the mode
-                if (commands.length > 2) {
-                    this.params.mode = commands[2];
-                }
-            } else {
-                // If not a number, it might be the mode
-                this.params.mode = tempCandidate;
-            }
-        }
-        
-        this.logAction(`Parsed AC action: state=${this.state}, ` +
-                      `temp=${this.params.temperature}, mode=${this.params.mode}`);
-    }
-
-    /**
-     * Pre-parse the action string and return the parsed parameters
-     * This is used during rule initialization to avoid parsing at runtime
-     * @param {string} actionString - The action string to parse
-     * @returns {Object} Object containing parsed parameters
-     */
-    preParseActionString(actionString) {
-        // Default parameters
-        const result = {
-            state: false,
-            params: {
-                temperature: null,
-                mode: 'cool'  // Default mode
-            }
-        };
-        
-        // Parse the action string using the same logic as parseActionString
-        const parts = actionString.toLowerCase().trim().split(' ');
-        const acIndex = parts.findIndex(part => part === 'ac');
-        
-        if (acIndex === -1) {
-            this.logAction(`Pre-parsing: Invalid AC action format: ${actionString}`);
-            return result;
-        }
-        
-        // Extract commands (everything after "ac")
-        const commands = parts.slice(acIndex + 1);
-        
-        if (commands.length === 0) {
-            this.logAction(`Pre-parsing: Missing state in AC action: ${actionString}`);
-            return result;
-        }
-        
-        // Extract state (on/off)
-        result.state = commands[0] === 'on';
-        
-        // Extract optional temperature and mode
-        if (commands.length > 1) {
-            // Check if the next part is a number (temperature)
-            const tempCandidate = commands[1];
-            if (!isNaN(Number(tempCandidate))) {
-                result.params.temperature = Number(tempCandidate);
-                
-                // If there's another part after temperature, it's the mode
-                if (commands.length > 2) {
-                    result.params.mode = commands[2];
-                }
-            } else {
-                // If not a number, it might be the mode
-                result.params.mode = tempCandidate;
-            }
-        }
-        
-        this.logAction(`Pre-parsed AC action: state=${result.state}, ` +
-                     `temp=${result.params.temperature}, mode=${result.params.mode}`);
-        
-        return result;
-    }
-
     /**
      * Check if this action can handle the given action string
      * @param {string} actionString - The action string to check
@@ -186,28 +71,26 @@ class ACAction extends Action {
         } catch (error) {
             this.logAction(`Error getting Raspberry Pi IP: ${error.message}`);
             
-            // Fallback to configuration file
+            // Fallback to the Raspberry Pi registry
             try {
-                const configPath = path.join(__dirname, '../../../api/endpoint/rasp_pi.json');
-                this.logAction(`Looking for fallback IP in config: ${configPath}`);
+                this.logAction('Looking for fallback IP in the Raspberry Pi registry');
                 
-                const configData = await fs.readFile(configPath, 'utf8');
-                const config = JSON.parse(configData);
+                const config = await getRaspPiEndpoints();
                 
-                // Get the first IP from the config as a fallback
+                // Get the first IP from the registry as a fallback
                 const allIps = Object.keys(config);
                 
                 if (allIps.length === 0) {
-                    this.logAction(`No IPs found in config file. Cannot proceed.`);
-                    throw new Error('No Raspberry Pi IPs available in fallback config');
+                    this.logAction(`No IPs found in the Raspberry Pi registry. Cannot proceed.`);
+                    throw new Error('No Raspberry Pi IPs available in the registry');
                 }
                 
                 const firstIp = allIps[0];
-                this.logAction(`Using fallback Raspberry Pi IP: ${firstIp} (from config with ${allIps.length} IPs)`);
+                this.logAction(`Using fallback Raspberry Pi IP: ${firstIp} (from the registry with ${allIps.length} IPs)`);
                 
                 // Log all available IPs for debugging
                 allIps.forEach((ip, index) => {
-                    this.logAction(`Config IP #${index+1}: ${ip} -> ${config[ip]}`);
+                    this.logAction(`Registered IP #${index+1}: ${ip} -> ${config[ip]}`);
                 });
                 
                 return firstIp;
@@ -304,13 +187,15 @@ class ACAction extends Action {
                 }
             }
             
-            // Execute the AC state change via Sensibo API
-            const result = await switchAcState(
-                deviceId, 
-                this.state, 
-                raspPiIP, 
-                this.params.temperature
-            );
+            // Execute the AC state change over MQTT when configured, otherwise via Sensibo API
+            const result = mqttBridge.usesCommandTopics()
+                ? await mqttBridge.publishDeviceCommand(raspPiIP, 'ac', { deviceId, ...targetState })
+                : await switchAcState(
+                    deviceId, 
+                    this.state, 
+                    raspPiIP, 
+                    this.params.temperature
+                );
             
             if (result.statusCode === 200) {
                 // Update the action registry with the new state
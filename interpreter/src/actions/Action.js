@@ -1,3 +1,5 @@
+const { parseParameters } = require('./actionParameters');
+
 /**
  * Base Action class for the interpreter
  * All specific action types will inherit from this class
@@ -14,6 +16,7 @@ class Action {
         this.type = type;
         this.location = location;
         this.observedRules = []; // Rules that this action is observing
+        this.actionType = null; // Declaration of the action's type with its parameters, set by the ActionRegistry
     }
 
     /**
@@ -51,12 +54,13 @@ class Action {
      * Called when a rule this action is observing evaluates to true
      * @param {Rule} rule - The rule that was triggered
      * @param {Object} context - Additional context data (like event values)
+     * @param {Object} [parsedParams] - Pre-parsed parameters of the triggered action step
+     *   (defaults to the parameters stored on the rule)
      */
-    async onRuleTriggered(rule, context = {}) {
+    async onRuleTriggered(rule, context = {}, parsedParams = rule.getParsedActionParams()) {
         this.logAction(`Rule triggered: ${rule.id} - ${rule.ruleString}`);
         
-        // Get pre-parsed parameters if available
-        const parsedParams = rule.getParsedActionParams();
+        // Use pre-parsed parameters if available
         if (parsedParams) {
             // Use pre-parsed parameters
             this.state = parsedParams.state;
@@ -75,29 +79,33 @@ class Action {
     /**
      * Pre-parse an action string and return the parsed parameters
      * This is used during rule initialization to avoid parsing at runtime
-     * Subclasses should override this to provide specific implementation
+     * The string is parsed with the parameters declared by the action's type; invalid
+     * parameters are only logged here, rules report them through the ActionRegistry
      * @param {string} actionString - The action string to parse
      * @returns {Object} Object containing parsed parameters
      */
     preParseActionString(actionString) {
-        // Base implementation returns empty parameters
-        // Subclasses should override this with specific parsing logic
-        return {
-            state: '',
-            params: {}
-        };
+        // Actions without a declared type have no parameters
+        if (!this.actionType) {
+            return {
+                state: '',
+                params: {}
+            };
+        }
+
+        const { state, params, errors } = parseParameters(this.actionType, this, actionString);
+        errors.forEach(error => this.logAction(`Invalid parameter in "${actionString}": ${error.message}`));
+        return { state, params };
     }
 
     /**
      * Parse the action string into components
-     * This should be overridden by subclasses
      * @param {string} actionString - The action string to parse
      */
     parseActionString(actionString) {
-        // Base implementation does nothing
-        // Subclasses should override this to parse specific formats
-        this.state = '';
-        this.params = {};
+        const { state, params } = this.preParseActionString(actionString);
+        this.state = state;
+        this.params = params;
     }
 
     /**
@@ -2,32 +2,158 @@ const ACAction = require('./ACAction');
 const LightAction = require('./LightAction');
 const SMSAction = require('./SMSAction');
 const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
+const { editDistance, findSuggestions } = require('../parser/suggestions');
+const { StepType } = require('../parser/RuleParser');
+const { getRaspPiEndpoints } = require('../../../services/edge-nodes.service');
+const Action = require('./Action');
+const { HUE_COLORS } = require('./LightAction');
+const { validateParameterSchema, parseParameters, describeParameters } = require('./actionParameters');
 
 /**
  * Registry for all available action types and instances
  */
 class ActionRegistry {
     constructor() {
-        // Map of action types by name
-        this.actionTypes = new Map([
-            ['ac', ACAction],
-            ['light', LightAction],
-            ['sms', SMSAction]
-            // Add more action types here as they are implemented
-        ]);
+        // Declarations of the action types, by type
+        this.actionTypes = new Map();
+        this.registerActionType('ac', ACAction, {
+            description: 'Air conditioner',
+            keywords: ['ac'],
+            parameters: [
+                { name: 'state', type: 'switch', required: true, description: 'Turn the AC on or off' },
+                { name: 'temperature', type: 'number', min: 16, max: 30, unit: 'celsius', description: 'Target temperature' },
+                { name: 'mode', type: 'enum', values: ['cool', 'heat', 'fan', 'dry', 'auto'], default: 'cool', description: 'Operating mode' }
+            ]
+        });
+        this.registerActionType('light', LightAction, {
+            description: 'Hue light',
+            keywords: ['light', 'lamp'],
+            parameters: [
+                { name: 'state', type: 'switch', default: 'on', description: 'Turn the light on or off' },
+                { name: 'brightness', type: 'number', min: 0, max: 100, unit: '%', description: 'Brightness' },
+                { name: 'color', type: 'enum', values: Object.keys(HUE_COLORS), description: 'Color' }
+            ]
+        });
+        this.registerActionType('sms', SMSAction, {
+            description: 'SMS or WhatsApp notification',
+            keywords: ['send', 'sms', 'notification', 'whatsapp', 'notify', 'to', 'about'],
+            parameters: [
+                { name: 'phoneNumber', type: 'string', pattern: '^\\+\\d{6,15}$', description: 'Phone number to notify instead of the default recipients' },
+                { name: 'message', type: 'text', description: 'What the notification is about; the message sent is the rule\'s notification message or condition' }
+            ]
+        });
         
         // Map of action instances by name
         this.actions = new Map();
         
+        // Map of Raspberry Pi IPs to the endpoints the actions were loaded from
+        this.raspiEndpoints = new Map();
+        
         // Map to track device states
         this.deviceStates = new Map();
         
+        // Action types that drive a device and are arbitrated between rules
+        this.arbitratedTypes = new Set(['ac', 'light']);
+        // Requests of the current evaluation pass, by action name
+        this.pendingRequests = new Map();
+        
+        // Manual device commands, by action name
+        this.manualOverrides = new Map();
+        // How long a manual command holds its device, and the priority it holds it at
+        this.manualOverrideMinutes = parseFloat(process.env.MANUAL_OVERRIDE_MINUTES || '30');
+        this.manualOverridePriority = parseInt(process.env.MANUAL_OVERRIDE_PRIORITY || '100', 10);
+        
         console.log('Active devices found:', this.deviceStates.size);
         console.log('Devices state map:', this.deviceStates);
     }
 
+    /**
+     * Register an action type with the parameters its action steps take
+     * @param {string} type - The type, as reported by the Raspberry Pis (e.g. "ac")
+     * @param {Function} ActionClass - Subclass of Action created for actions of this type
+     * @param {Object} declaration - The type's declaration
+     * @param {string} [declaration.description] - Human readable description
+     * @param {Array<string>} [declaration.keywords=[]] - Words naming the type in an action step, which are not parameters
+     * @param {Array<Object>} [declaration.parameters=[]] - Parameters, each with name, type (switch, number, enum,
+     *   string or text) and optionally required, default, values, min, max, unit, pattern and description. A parameter named
+     *   "state" becomes the action's state
+     * @throws {Error} If the type is already registered or the declaration is invalid
+     */
+    registerActionType(type, ActionClass, { description = null, keywords = [], parameters = [] } = {}) {
+        const key = String(type || '').toLowerCase();
+        if (!key) {
+            throw new Error('Action type is required');
+        }
+        if (this.actionTypes.has(key)) {
+            throw new Error(`Action type "${key}" is already registered`);
+        }
+        if (typeof ActionClass !== 'function' || !(ActionClass.prototype instanceof Action)) {
+            throw new Error(`Action class for "${key}" must be a subclass of Action`);
+        }
+        validateParameterSchema(parameters);
+
+        this.actionTypes.set(key, {
+            type: key,
+            ActionClass,
+            description,
+            keywords: keywords.map(keyword => keyword.toLowerCase()),
+            parameters
+        });
+    }
+
+    /**
+     * Remove an action type; actions already created keep their declaration
+     * @param {string} type - The type to remove
+     * @returns {boolean} True if the type was registered
+     */
+    unregisterActionType(type) {
+        return this.actionTypes.delete(String(type || '').toLowerCase());
+    }
+
+    /**
+     * Get the declaration of an action type
+     * @param {string} type - The type
+     * @returns {Object|null} The declaration or null if the type is not registered
+     */
+    getActionType(type) {
+        return this.actionTypes.get(String(type || '').toLowerCase()) || null;
+    }
+
+    /**
+     * Describe the registered action types for API consumers
+     * @returns {Array<Object>} Each type with its description, keywords and parameters
+     */
+    getActionTypes() {
+        return Array.from(this.actionTypes.values()).map(({ type, description, keywords, parameters }) => ({
+            type,
+            description,
+            keywords,
+            parameters: describeParameters(parameters)
+        }));
+    }
+
+    /**
+     * Describe the parameters an action's steps take, for API consumers
+     * @param {Action} action - The action
+     * @returns {Array<Object>} The parameters declared by the action's type
+     */
+    describeActionParameters(action) {
+        return action.actionType ? describeParameters(action.actionType.parameters) : [];
+    }
+
+    /**
+     * Parse an action step for one action with the parameters declared by its type
+     * @param {Action} action - The action the step targets
+     * @param {string} stepText - The text of the action step
+     * @returns {Object} The state, the params and the invalid parameters (see parseParameters)
+     */
+    parseActionParameters(action, stepText) {
+        if (!action.actionType) {
+            return { state: '', params: {}, errors: [] };
+        }
+        return parseParameters(action.actionType, action, stepText);
+    }
+
     /**
      * Get the current state of a device
      * @param {string} deviceId - The ID of the device
@@ -122,12 +248,11 @@ class ActionRegistry {
         try {
             console.log('[ACTION REGISTRY] Initializing actions...');
             
-            // Load Raspberry Pi configuration - temp config till we have a proper config
-            const configPath = path.join(__dirname, '../../../api/endpoint/rasp_pi.json');
-            const configData = await fs.readFile(configPath, 'utf8');
-            const config = JSON.parse(configData);
+            // Load the Raspberry Pis from the registry
+            const config = await getRaspPiEndpoints();
             
             const raspPiIPs = Object.keys(config);
+            this.raspiEndpoints = new Map(Object.entries(config));
             
             // Fetch actions from each Raspberry Pi
             const actionPromises = raspPiIPs.map(ip => this.fetchActionsFromRaspberryPi(ip, config[ip]));
@@ -158,6 +283,29 @@ class ActionRegistry {
         }
     }
     
+    /**
+     * Follow changes of the Raspberry Pi registry
+     * Actions of Pis that are new or moved to a new URL are loaded; actions already registered keep
+     * their instances, so the rules observing them stay connected, and resolve the new URL when they run
+     * @param {Object} config - Configuration mapping IPs to endpoints
+     * @returns {Promise<Array>} Array of newly loaded actions
+     */
+    async updateRaspiEndpoints(config) {
+        const changedIPs = Object.keys(config).filter(ip => this.raspiEndpoints.get(ip) !== config[ip]);
+        this.raspiEndpoints = new Map(Object.entries(config));
+        
+        const createdActions = [];
+        for (const ip of changedIPs) {
+            console.log(`[ACTION REGISTRY] Loading actions of Raspberry Pi ${ip} at ${config[ip]}`);
+            createdActions.push(...await this.fetchActionsFromRaspberryPi(ip, config[ip]));
+        }
+        
+        if (changedIPs.length > 0) {
+            await this.fetchCurrentDeviceStates(changedIPs, config);
+        }
+        return createdActions;
+    }
+
     /**
      * Fetch current states of all devices from Raspberry Pis
      * @param {Array<string>} raspPiIPs - Array of Raspberry Pi IP addresses
@@ -239,11 +387,16 @@ class ActionRegistry {
                 // Use location from the action or extract it from name
                 const actionLocation = location || this.extractLocationFromName(name);
                 
+                // Keep actions already loaded, e.g. when a Pi moves to a new URL
+                if (this.actions.has(name)) {
+                    continue;
+                }
+                
                 // Create action instances based on type
-                const ActionClass = this.actionTypes.get(type.toLowerCase());
-                if (ActionClass) {
+                const actionType = this.getActionType(type);
+                if (actionType) {
                     // Pass the type from the API to the constructor
-                    const action = new ActionClass(name, actionLocation, type.toLowerCase());
+                    const action = new actionType.ActionClass(name, actionLocation, actionType.type);
                     this.registerAction(action);
                     createdActions.push(action);
                 } else {
@@ -284,29 +437,80 @@ class ActionRegistry {
      * @param {Action} action - The action to register
      */
     registerAction(action) {
+        // Actions parse their steps with the parameters declared by their type
+        if (!action.actionType) {
+            action.actionType = this.getActionType(action.type);
+        }
         this.actions.set(action.name, action);
         console.log(`[ACTION REGISTRY] Registered action: ${action.name} (${action.type}) in ${action.location}`);
     }
 
     /**
-     * Find appropriate actions for a rule
-     * @param {Rule} rule - The rule to find actions for
+     * Find the actions that can handle one action step of a rule
+     * @param {string} stepText - The text of the action step
      * @returns {Array<Action>} Array of matching actions
      */
-    findActionsForRule(rule) {
+    findActionsForStep(stepText) {
         const matchingActions = [];
         
         this.actions.forEach(action => {
-            console.log("actionString::   ",rule.actionString);
-            if (action.canHandleAction(rule.actionString)) {
+            if (action.canHandleAction(stepText)) {
                 matchingActions.push(action);
             }
         });
         
+        return matchingActions;
+    }
+
+    /**
+     * Find appropriate actions for a rule
+     * Every action step of both branches is matched on its own
+     * @param {Rule} rule - The rule to find actions for
+     * @returns {Array<Action>} Array of matching actions
+     */
+    findActionsForRule(rule) {
+        const matchingActions = [];
+        
+        rule.getAllActionSteps()
+            .filter(step => step.type === StepType.ACTION)
+            .forEach(step => {
+                console.log("actionString::   ", step.text);
+                this.findActionsForStep(step.text).forEach(action => {
+                    if (!matchingActions.includes(action)) {
+                        matchingActions.push(action);
+                    }
+                });
+            });
+        
         console.log(`[ACTION REGISTRY] Found ${matchingActions.length} actions for rule: ${rule.id}`);
         return matchingActions;
     }
 
+    /**
+     * Suggest registered action names for an action string no action can handle
+     * Each action name is compared with the same number of leading words of the action string
+     * @param {string} actionString - The action string from the rule
+     * @returns {Array<string>} Suggested action names, closest first
+     */
+    suggestActionNames(actionString) {
+        const words = actionString.toLowerCase().trim().split(/\s+/);
+
+        return this.getAllActions()
+            .map(action => {
+                const name = action.name.toLowerCase();
+                const prefix = words.slice(0, name.split(/\s+/).length).join(' ');
+                return {
+                    name: action.name,
+                    distance: editDistance(prefix, name),
+                    similar: findSuggestions(prefix, [action.name], 1).length > 0
+                };
+            })
+            .filter(entry => entry.distance === 0 || entry.similar)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 3)
+            .map(entry => entry.name);
+    }
+
     /**
      * Connect a rule to matching actions
      * @param {Rule} rule - The rule to connect
@@ -316,6 +520,16 @@ class ActionRegistry {
         // Find actions that match this rule
         const matchingActions = this.findActionsForRule(rule);
         
+        // Attach each action step's actions with the parameters parsed from that step
+        rule.getAllActionSteps()
+            .filter(step => step.type === StepType.ACTION)
+            .forEach(step => {
+                step.targets = this.findActionsForStep(step.text).map(action => ({
+                    action,
+                    params: action.preParseActionString(step.text)
+                }));
+            });
+        
         // Make each action observe the rule
         matchingActions.forEach(action => {
             action.observeRule(rule);
@@ -332,6 +546,176 @@ class ActionRegistry {
         this.actions.forEach(action => {
             action.stopObservingRule(rule);
         });
+        
+        rule.getAllActionSteps().forEach(step => {
+            step.targets = [];
+        });
+    }
+
+    /**
+     * Ask for an action to run on behalf of a rule
+     * Actions that don't drive a device (e.g. SMS) run right away. Requests for the same device are collected
+     * until the evaluation pass that made them has run, including the cancellations it awaited,
+     * then only the highest priority request runs, the latest one winning ties. The other
+     * requests resolve as overridden, naming the rule that beat them.
+     * While a manual override holds the device, requests of rules whose priority is not above
+     * manualOverridePriority are suppressed instead.
+     * @param {Action} action - The action (device) to run
+     * @param {Rule} rule - The requesting rule
+     * @param {Object} context - Context passed to the action
+     * @param {Object} params - Parameters pre-parsed from the rule's action step
+     * @returns {Promise<Object>} The action's result, { success: false, overridden: true, overriddenBy, message }
+     * or { success: false, suppressed: true, suppressedBy, message }
+     */
+    requestAction(action, rule, context, params) {
+        if (!this.arbitratedTypes.has(action.type)) {
+            return action.onRuleTriggered(rule, context, params);
+        }
+        
+        return new Promise((resolve, reject) => {
+            let pass = this.pendingRequests.get(action.name);
+            if (!pass) {
+                pass = { requests: [] };
+                // Runs once the current pass and the promises it settled are done, without waiting on the wall clock
+                setImmediate(() => this.arbitrate(action));
+                this.pendingRequests.set(action.name, pass);
+            }
+            
+            pass.requests.push({ rule, priority: rule.priority || 0, context, params, resolve, reject });
+        });
+    }
+
+    /**
+     * Apply the winning request of an action's evaluation pass
+     * @param {Action} action - The action whose requests are arbitrated
+     */
+    async arbitrate(action) {
+        const pass = this.pendingRequests.get(action.name);
+        this.pendingRequests.delete(action.name);
+        if (!pass) {
+            return;
+        }
+        
+        // Highest priority first; for equal priorities the latest request wins
+        const ranked = pass.requests
+            .map((request, index) => ({ ...request, index }))
+            .sort((a, b) => b.priority - a.priority || b.index - a.index);
+        const [winner, ...losers] = ranked;
+        
+        // The hold expires on the rule's clock, so simulations and tests decide it in their own time
+        const override = this.manualOverrides.has(action.name)
+            ? this.getManualOverride(action.name, winner.rule.now())
+            : null;
+        if (override && winner.priority <= this.manualOverridePriority) {
+            ranked.forEach(request => {
+                console.log(`[ACTION REGISTRY] Request of rule ${request.rule.id} for ${action.name} suppressed by manual override`);
+                request.resolve({
+                    success: false,
+                    suppressed: true,
+                    suppressedBy: { source: override.source, setAt: override.setAt, until: override.until },
+                    message: `${action.name} is under manual override (${override.source}) until ${override.until.toISOString()}`
+                });
+            });
+            return;
+        }
+        
+        const overriddenBy = { ruleId: winner.rule.id, ruleString: winner.rule.ruleString, priority: winner.priority };
+        losers.forEach(request => {
+            console.log(`[ACTION REGISTRY] Request of rule ${request.rule.id} for ${action.name} overridden by rule ${winner.rule.id}`);
+            request.resolve({
+                success: false,
+                overridden: true,
+                overriddenBy,
+                message: `${action.name} request overridden by rule ${winner.rule.id} with priority ${winner.priority}`
+            });
+        });
+        
+        try {
+            winner.resolve(await action.onRuleTriggered(winner.rule, winner.context, winner.params));
+        } catch (error) {
+            winner.reject(error);
+        }
+    }
+
+    /**
+     * Hold an action's device after a manual command
+     * The hold lasts manualOverrideMinutes, or until endsAt when that comes first
+     * @param {Action} action - The action whose device was controlled manually
+     * @param {Object} [command={}] - The manual command, e.g. { state, temperature }
+     * @param {string} [source='manual'] - Where the command came from, e.g. the API route
+     * @param {Date} [endsAt=null] - Time the hold must end at the latest, e.g. the next calendar boundary
+     * @returns {Object} The override with command, source, setAt, until and endsEarly
+     */
+    setManualOverride(action, command = {}, source = 'manual', endsAt = null) {
+        const setAt = new Date();
+        const holdEnd = new Date(setAt.getTime() + this.manualOverrideMinutes * 60 * 1000);
+        const endsEarly = Boolean(endsAt) && endsAt < holdEnd;
+        const override = {
+            command,
+            source,
+            setAt,
+            until: endsEarly ? endsAt : holdEnd,
+            endsEarly
+        };
+        
+        this.manualOverrides.set(action.name, override);
+        console.log(`[ACTION REGISTRY] Manual override of ${action.name} from ${source} until ${override.until.toISOString()}`);
+        return override;
+    }
+
+    /**
+     * Get the active manual override of an action; expired overrides are removed
+     * @param {string} actionName - The name of the action
+     * @param {number} [now=Date.now()] - Current time in milliseconds, e.g. from the requesting rule's clock
+     * @returns {Object|null} The override or null if the device is not held
+     */
+    getManualOverride(actionName, now = Date.now()) {
+        const override = this.manualOverrides.get(actionName);
+        if (!override) {
+            return null;
+        }
+        
+        if (override.until.getTime() <= now) {
+            this.manualOverrides.delete(actionName);
+            console.log(`[ACTION REGISTRY] Manual override of ${actionName} expired`);
+            return null;
+        }
+        
+        return override;
+    }
+
+    /**
+     * End the manual override of an action before its hold expires
+     * @param {string} actionName - The name of the action
+     * @param {string} [reason='cleared'] - Why the override ended, for the log
+     * @returns {boolean} True if the device was held
+     */
+    clearManualOverride(actionName, reason = 'cleared') {
+        const wasHeld = this.manualOverrides.delete(actionName);
+        if (wasHeld) {
+            console.log(`[ACTION REGISTRY] Manual override of ${actionName} ended: ${reason}`);
+        }
+        return wasHeld;
+    }
+
+    /**
+     * Find the actions of a device type in the room of a Raspberry Pi
+     * Used to map manual device commands, which address a Raspberry Pi, to actions
+     * @param {string} type - The action type, e.g. 'ac' or 'light'
+     * @param {string} raspIp - The Raspberry Pi IP of the command
+     * @returns {Promise<Array<Action>>} Matching actions
+     */
+    async findActionsForDevice(type, raspIp) {
+        const candidates = this.getAllActions().filter(action => action.type === type);
+        const matches = await Promise.all(candidates.map(async action => {
+            try {
+                return (await action.getRoomRaspberryPi()) === raspIp;
+            } catch (error) {
+                return false;
+            }
+        }));
+        
+        return candidates.filter((action, index) => matches[index]);
     }
 
     /**
@@ -1,10 +1,23 @@
 const Action = require("./Action");
 const { switchLightState } = require("../../../api/hue");
 const roomService = require("../../../services/rooms.service");
-const fs = require("fs").promises;
-const path = require("path");
+const { getRaspPiEndpoints } = require("../../../services/edge-nodes.service");
+const mqttBridge = require("../../../services/mqtt-bridge.service");
 const logger = require("../../../logger"); // Import your custom logger
 
+// Simple color mapping - in a real implementation, this would be more comprehensive
+// The names are the colors light actions accept
+const HUE_COLORS = {
+  red: { hue: 0, sat: 254 },
+  green: { hue: 25500, sat: 254 },
+  blue: { hue: 46920, sat: 254 },
+  yellow: { hue: 12750, sat: 254 },
+  purple: { hue: 53000, sat: 254 },
+  pink: { hue: 56100, sat: 254 },
+  orange: { hue: 5000, sat: 254 },
+  white: { hue: 34000, sat: 50 },
+};
+
 /**
  * Action class for controlling Hue lights
  * Can handle actions like:
@@ -12,6 +25,7 @@ const logger = require("../../../logger"); // Import your custom logger
  * - living room light off
  * - living room light on 80 (brightness percentage)
  * - living room light on red (color)
+ * The parameters are declared with the light action type in the ActionRegistry
  */
 class LightAction extends Action {
   /**
@@ -27,181 +41,6 @@ class LightAction extends Action {
     );
   }
 
-  /**
-   * Parse the action string into components
-   * @param {string} actionString - The action string to parse
-   */
-  parseActionString(actionString) {
-    logger.debug(`Parsing Light action string: ${actionString}`);
-
-    // Reset parameters
-    this.state = false;
-    this.params = {
-      brightness: null,
-      color: null,
-    };
-
-    // Parse the action string - find on/off state anywhere in the string
-    const normalizedAction = actionString.toLowerCase().trim();
-    
-    // Simple arrays of keywords to search for
-    const onKeywords = [" on", "on ", " on ", "on"];
-    const offKeywords = [" off", "off ", " off ", "off"];
-    
-    // Check for on/off keywords
-    const hasOnKeyword = onKeywords.some(keyword => normalizedAction.includes(keyword));
-    const hasOffKeyword = offKeywords.some(keyword => normalizedAction.includes(keyword));
-    
-    // Set state based on found keywords
-    if (hasOnKeyword && !hasOffKeyword) {
-      this.state = true;
-      logger.debug(`Found "on" keyword in action string: "${actionString}"`);
-    } else if (hasOffKeyword && !hasOnKeyword) {
-      this.state = false;
-      logger.debug(`Found "off" keyword in action string: "${actionString}"`);
-    } else if (hasOnKeyword && hasOffKeyword) {
-      // Both keywords found - check which one appears last
-      const lastOnIndex = Math.max(...onKeywords.map(keyword => 
-        normalizedAction.lastIndexOf(keyword) >= 0 ? normalizedAction.lastIndexOf(keyword) : -1
-      ));
-      const lastOffIndex = Math.max(...offKeywords.map(keyword => 
-        normalizedAction.lastIndexOf(keyword) >= 0 ? normalizedAction.lastIndexOf(keyword) : -1
-      ));
-      
-      this.state = lastOnIndex > lastOffIndex;
-      logger.debug(`Found both "on" and "off" keywords. Using last occurrence: "${this.state ? "on" : "off"}"`);
-    } else {
-      // No keywords found, default to on
-      this.state = true;
-      logger.warn(`No on/off keywords found in action: "${actionString}", defaulting to ON`);
-    }
-
-    // Parse for additional parameters (brightness, color)
-    const parts = normalizedAction.split(" ");
-    
-    // Extract brightness and color if present
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i];
-      
-      // Skip "on", "off", "light", "lamp" keywords
-      if (["on", "off", "light", "lamp"].includes(part)) {
-        continue;
-      }
-      
-      // Check if it's a number (brightness)
-      if (!isNaN(Number(part))) {
-        const percentage = Math.min(100, Math.max(0, Number(part)));
-        this.params.brightness = Math.round((percentage / 100) * 254);
-        logger.debug(`Found brightness parameter: ${part} (${this.params.brightness})`);
-      }
-      // Check if it's a color word (not a number and not a common word)
-      else if (part && !["the", "to", "in", "at", "for", "and", "a", "an"].includes(part)) {
-        // Skip anything that could be part of the device name or location
-        if (!this.name.toLowerCase().includes(part) && !this.location.toLowerCase().includes(part)) {
-          // Only consider it a color if it's not "on" or "off"
-          if (!["on", "off"].includes(part)) {
-            this.params.color = part;
-            logger.debug(`Found color parameter: ${part}`);
-          }
-        }
-      }
-    }
-
-    logger.info(
-      `Parsed Light action: state=${this.state}, brightness=${this.params.brightness}, color=${this.params.color}`
-    );
-  }
-
-  /**
-   * Pre-parse the action string and return the parsed parameters
-   * @param {string} actionString - The action string to parse
-   * @returns {Object} Object containing parsed parameters
-   */
-  preParseActionString(actionString) {
-    logger.debug(`Pre-parsing Light action string: ${actionString}`);
-
-    // Default parameters
-    const result = {
-      state: false,
-      params: {
-        brightness: null,
-        color: null,
-      },
-    };
-
-    // Parse the action string - find on/off state anywhere in the string
-    const normalizedAction = actionString.toLowerCase().trim();
-    
-    // Simple arrays of keywords to search for
-    const onKeywords = [" on", "on ", " on ", "on"];
-    const offKeywords = [" off", "off ", " off ", "off"];
-    
-    // Check for on/off keywords
-    const hasOnKeyword = onKeywords.some(keyword => normalizedAction.includes(keyword));
-    const hasOffKeyword = offKeywords.some(keyword => normalizedAction.includes(keyword));
-    
-    // Set state based on found keywords
-    if (hasOnKeyword && !hasOffKeyword) {
-      result.state = true;
-      logger.debug(`Pre-parse: Found "on" keyword in action string: "${actionString}"`);
-    } else if (hasOffKeyword && !hasOnKeyword) {
-      result.state = false;
-      logger.debug(`Pre-parse: Found "off" keyword in action string: "${actionString}"`);
-    } else if (hasOnKeyword && hasOffKeyword) {
-      // Both keywords found - check which one appears last
-      const lastOnIndex = Math.max(...onKeywords.map(keyword => 
-        normalizedAction.lastIndexOf(keyword) >= 0 ? normalizedAction.lastIndexOf(keyword) : -1
-      ));
-      const lastOffIndex = Math.max(...offKeywords.map(keyword => 
-        normalizedAction.lastIndexOf(keyword) >= 0 ? normalizedAction.lastIndexOf(keyword) : -1
-      ));
-      
-      result.state = lastOnIndex > lastOffIndex;
-      logger.debug(`Pre-parse: Found both "on" and "off" keywords. Using last occurrence: "${result.state ? "on" : "off"}"`);
-    } else {
-      // No keywords found, default to on
-      result.state = true;
-      logger.warn(`Pre-parse: No on/off keywords found in action: "${actionString}", defaulting to ON`);
-    }
-
-    // Parse for additional parameters (brightness, color)
-    const parts = normalizedAction.split(" ");
-    
-    // Extract brightness and color if present
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i];
-      
-      // Skip "on", "off", "light", "lamp" keywords
-      if (["on", "off", "light", "lamp"].includes(part)) {
-        continue;
-      }
-      
-      // Check if it's a number (brightness)
-      if (!isNaN(Number(part))) {
-        const percentage = Math.min(100, Math.max(0, Number(part)));
-        result.params.brightness = Math.round((percentage / 100) * 254);
-        logger.debug(`Pre-parse: Found brightness parameter: ${part} (${result.params.brightness})`);
-      }
-      // Check if it's a color word (not a number and not a common word)
-      else if (part && !["the", "to", "in", "at", "for", "and", "a", "an"].includes(part)) {
-        // Skip anything that could be part of the device name or location
-        if (!this.name.toLowerCase().includes(part) && !this.location.toLowerCase().includes(part)) {
-          // Only consider it a color if it's not "on" or "off"
-          if (!["on", "off"].includes(part)) {
-            result.params.color = part;
-            logger.debug(`Pre-parse: Found color parameter: ${part}`);
-          }
-        }
-      }
-    }
-
-    logger.info(
-      `Pre-parsed Light action: state=${result.state}, brightness=${result.params.brightness}, color=${result.params.color}`
-    );
-
-    return result;
-  }
-
   /**
    * Check if this action can handle the given action string
    * @param {string} actionString - The action string to check
@@ -270,33 +109,28 @@ class LightAction extends Action {
     } catch (error) {
       this.logAction(`Error getting Raspberry Pi IP: ${error.message}`);
 
-      // Fallback to configuration file
+      // Fallback to the Raspberry Pi registry
       try {
-        const configPath = path.join(
-          __dirname,
-          "../../../api/endpoint/rasp_pi.json"
-        );
-        this.logAction(`Looking for fallback IP in config: ${configPath}`);
+        this.logAction("Looking for fallback IP in the Raspberry Pi registry");
 
-        const configData = await fs.readFile(configPath, "utf8");
-        const config = JSON.parse(configData);
+        const config = await getRaspPiEndpoints();
 
-        // Get the first IP from the config as a fallback
+        // Get the first IP from the registry as a fallback
         const allIps = Object.keys(config);
 
         if (allIps.length === 0) {
-          this.logAction(`No IPs found in config file. Cannot proceed.`);
-          throw new Error("No Raspberry Pi IPs available in fallback config");
+          this.logAction(`No IPs found in the Raspberry Pi registry. Cannot proceed.`);
+          throw new Error("No Raspberry Pi IPs available in the registry");
         }
 
         const firstIp = allIps[0];
         this.logAction(
-          `Using fallback Raspberry Pi IP: ${firstIp} (from config with ${allIps.length} IPs)`
+          `Using fallback Raspberry Pi IP: ${firstIp} (from the registry with ${allIps.length} IPs)`
         );
 
         // Log all available IPs for debugging
         allIps.forEach((ip, index) => {
-          this.logAction(`Config IP #${index + 1}: ${ip} -> ${config[ip]}`);
+          this.logAction(`Registered IP #${index + 1}: ${ip} -> ${config[ip]}`);
         });
 
         return firstIp;
@@ -333,19 +167,7 @@ class LightAction extends Action {
 
     if (!colorName) return null;
 
-    // Simple color mapping - in a real implementation, this would be more comprehensive
-    const colorMap = {
-      red: { hue: 0, sat: 254 },
-      green: { hue: 25500, sat: 254 },
-      blue: { hue: 46920, sat: 254 },
-      yellow: { hue: 12750, sat: 254 },
-      purple: { hue: 53000, sat: 254 },
-      pink: { hue: 56100, sat: 254 },
-      orange: { hue: 5000, sat: 254 },
-      white: { hue: 34000, sat: 50 },
-    };
-
-    return colorMap[colorName.toLowerCase()] || null;
+    return HUE_COLORS[colorName.toLowerCase()] || null;
   }
 
   /**
@@ -402,8 +224,10 @@ class LightAction extends Action {
         );
       }
 
-      // Execute the light state change via Hue API - only changing on/off state
-      const result = await switchLightState(lightId, this.state, raspPiIP);
+      // Execute the light state change over MQTT when configured, otherwise via Hue API - only changing on/off state
+      const result = mqttBridge.usesCommandTopics()
+        ? await mqttBridge.publishDeviceCommand(raspPiIP, "light", { deviceId: lightId, state: this.state })
+        : await switchLightState(lightId, this.state, raspPiIP);
 
       if (result.success) {
         // Update the device state in the registry - only tracking on/off state
@@ -443,4 +267,5 @@ class LightAction extends Action {
   }
 }
 
-module.exports = LightAction;
\ No newline at end of file
+module.exports = LightAction;
+module.exports.HUE_COLORS = HUE_COLORS;
\ No newline at end of file
@@ -19,55 +19,23 @@ class SMSAction extends Action {
 
     /**
      * Pre-parse the action string to extract parameters
+     * The phone number is declared with the sms action type, e.g. "send sms to +1234567890"
      * @param {string} actionString - The action string to parse
      * @returns {Object} The parsed parameters
      */
     preParseActionString(actionString) {
-        // Extract phone number from the action string
-        // Format: "send sms to +1234567890"
-        let phoneNumber = null;
-        
-        // Try to extract phone number from different patterns, prioritizing "send sms to" format
-        const patterns = [
-            // "send sms to +1234567890"
-            /send\s+sms\s+to\s+(\+\d+)/i,
-            // "send notification to +1234567890"
-            /send\s+notification\s+to\s+(\+\d+)/i,
-            // "notify +1234567890"
-            /notify\s+(\+\d+)/i,
-            // Just a phone number at the end
-            /then\s+(\+\d+)$/i
-        ];
-        
-        for (const pattern of patterns) {
-            const match = actionString.match(pattern);
-            if (match) {
-                phoneNumber = match[1].trim();
-                console.log(`Extracted phone number using pattern: ${phoneNumber}`);
-                break;
-            }
-        }
-        
+        const { params } = super.preParseActionString(actionString);
+
         return {
             state: 'send',
             params: {
                 // We don't extract message here - it will be derived from the rule condition
-                phoneNumber: phoneNumber,
+                phoneNumber: params.phoneNumber || null,
                 isNotificationAction: true
             }
         };
     }
 
-    /**
-     * Parse the action string at runtime
-     * @param {string} actionString - The action string to parse
-     */
-    parseActionString(actionString) {
-        const parsedParams = this.preParseActionString(actionString);
-        this.state = parsedParams.state;
-        this.params = parsedParams.params;
-    }
-
     /**
      * Check if this action can handle the given action string
      * @param {string} actionString - The action string to check
@@ -89,12 +57,13 @@ class SMSAction extends Action {
      * Called when a rule this action is observing evaluates to true
      * @param {Rule} rule - The rule that was triggered
      * @param {Object} context - Additional context data (like event values)
+     * @param {Object} [parsedParams] - Pre-parsed parameters of the triggered action step
+     *   (defaults to the parameters stored on the rule)
      */
-    async onRuleTriggered(rule, context = {}) {
+    async onRuleTriggered(rule, context = {}, parsedParams = rule.getParsedActionParams()) {
         this.logAction(`Rule triggered: ${rule.id} - ${rule.ruleString}`);
         
-        // Get pre-parsed parameters if available
-        const parsedParams = rule.getParsedActionParams();
+        // Use pre-parsed parameters if available
         if (parsedParams) {
             // Use pre-parsed parameters
             this.state = parsedParams.state;
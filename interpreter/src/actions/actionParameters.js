@@ -0,0 +1,254 @@
+const { findSuggestions } = require('../parser/suggestions');
+
+/**
+ * Kinds of parameters an action type can declare
+ * - switch: "on" or "off", parsed to true or false
+ * - number: a number within min and max, optionally followed by its unit sign ("22°", "80%")
+ * - enum: one of the declared values, e.g. an AC mode
+ * - string: any single word, optionally matching the declared pattern, e.g. a phone number
+ * - text: the rest of the step, e.g. the message of a notification, without the quotes around it
+ */
+const PARAMETER_TYPES = ['switch', 'number', 'enum', 'string', 'text'];
+
+/**
+ * Words that may appear in an action step without being a parameter
+ */
+const FILLER_WORDS = ['turn', 'set', 'switch', 'the', 'to', 'in', 'at', 'and', 'a', 'an', 'with', 'of', 'for', 'it'];
+
+const NUMBER_PATTERN = /^(-?\d+(?:\.\d+)?)(?:%|°c?|°f?)?$/;
+
+/**
+ * Check a parameter schema
+ * @param {Array<Object>} parameters - Parameter declarations
+ * @throws {Error} If a declaration is invalid
+ */
+function validateParameterSchema(parameters) {
+    if (!Array.isArray(parameters)) {
+        throw new Error('Action parameters must be declared as an array');
+    }
+
+    const names = new Set();
+    parameters.forEach(parameter => {
+        if (!parameter || !parameter.name) {
+            throw new Error('Every action parameter needs a name');
+        }
+        if (names.has(parameter.name)) {
+            throw new Error(`Action parameter "${parameter.name}" is declared twice`);
+        }
+        names.add(parameter.name);
+
+        if (!PARAMETER_TYPES.includes(parameter.type)) {
+            throw new Error(
+                `Invalid type "${parameter.type}" for action parameter "${parameter.name}", expected one of: ${PARAMETER_TYPES.join(', ')}`
+            );
+        }
+        if (parameter.type === 'enum' && (!Array.isArray(parameter.values) || parameter.values.length === 0)) {
+            throw new Error(`Enum action parameter "${parameter.name}" must declare its values`);
+        }
+        if (parameter.type === 'number' &&
+            parameter.min !== undefined && parameter.max !== undefined && parameter.min > parameter.max) {
+            throw new Error(`Action parameter "${parameter.name}" has a minimum above its maximum`);
+        }
+    });
+}
+
+/**
+ * Check whether a word can be the value of a parameter
+ * Numbers are accepted whatever their range, so that out of range values are reported
+ * @param {Object} parameter - The parameter declaration
+ * @param {string} word - Lowercase word of the action step
+ * @returns {boolean} True if the word has the parameter's type
+ */
+function accepts(parameter, word) {
+    switch (parameter.type) {
+        case 'switch':
+            return word === 'on' || word === 'off';
+        case 'number':
+            return NUMBER_PATTERN.test(word);
+        case 'enum':
+            return parameter.values.includes(word);
+        case 'text':
+            return true;
+        default:
+            return !parameter.pattern || new RegExp(parameter.pattern, 'i').test(word);
+    }
+}
+
+/**
+ * Convert a word or a declared default to the parameter's value
+ * @param {Object} parameter - The parameter declaration
+ * @param {*} value - The word, or the declared default
+ * @returns {*} The value
+ */
+function toValue(parameter, value) {
+    if (parameter.type === 'switch') {
+        return value === true || value === 'on';
+    }
+    if (parameter.type === 'number' && typeof value === 'string') {
+        return Number(NUMBER_PATTERN.exec(value)[1]);
+    }
+    return value;
+}
+
+/**
+ * Describe the range of a number parameter, for messages
+ * @param {Object} parameter - The number parameter declaration
+ * @returns {string} e.g. "between 16 and 30 celsius"
+ */
+function describeRange(parameter) {
+    const unit = parameter.unit ? ` ${parameter.unit}` : '';
+    if (parameter.min !== undefined && parameter.max !== undefined) {
+        return `between ${parameter.min} and ${parameter.max}${unit}`;
+    }
+    return parameter.min !== undefined
+        ? `at least ${parameter.min}${unit}`
+        : `at most ${parameter.max}${unit}`;
+}
+
+/**
+ * Describe what a parameter accepts, for messages
+ * @param {Object} parameter - The parameter declaration
+ * @returns {Array<string>} The accepted values, or a description of them
+ */
+function describeExpected(parameter) {
+    switch (parameter.type) {
+        case 'switch':
+            return ['on', 'off'];
+        case 'enum':
+            return parameter.values;
+        case 'number': {
+            const range = parameter.min !== undefined && parameter.max !== undefined
+                ? ` ${parameter.min}-${parameter.max}`
+                : '';
+            return [`${parameter.name} (number${range}${parameter.unit ? ` ${parameter.unit}` : ''})`];
+        }
+        default:
+            return [parameter.name];
+    }
+}
+
+/**
+ * Parse the parameters of an action step according to the action type's schema
+ *
+ * Words naming the action (its name, location and the type's keywords) and filler words are
+ * skipped. Every other word must be the value of one declared parameter, e.g. "living room ac on
+ * 22 cool" gives state on, temperature 22 and mode cool. Numbers go to the first number
+ * parameter still without a value, and a text parameter takes the rest of the step. The "state"
+ * parameter is returned separately as the state.
+ *
+ * @param {Object} actionType - Declaration of the action type, with keywords and parameters
+ * @param {Action} action - The action the step is parsed for
+ * @param {string} text - The text of the action step
+ * @returns {Object} The state, the other parameters (declared defaults or null when not given) and the
+ *   errors, each with parameter, message, start and end in the text, found, expected and suggestions
+ */
+function parseParameters(actionType, action, text) {
+    const nameWords = `${action.name || ''} ${action.location || ''}`.toLowerCase().split(/\s+/);
+    const skipped = new Set([...nameWords, ...actionType.keywords, ...FILLER_WORDS]);
+    const parameters = actionType.parameters;
+    const values = {};
+    const errors = [];
+
+    for (const match of text.matchAll(/\S+/g)) {
+        // A colon may end the word before a message, e.g. "send sms to +1234567890: motion detected"
+        const word = match[0].toLowerCase().replace(/:$/, '');
+        const position = { start: match.index, end: match.index + match[0].length, found: match[0] };
+
+        if (skipped.has(word)) {
+            continue;
+        }
+
+        const parameter = parameters.find(candidate => values[candidate.name] === undefined && accepts(candidate, word));
+        if (!parameter) {
+            const repeated = parameters.find(candidate => accepts(candidate, word));
+            const enumValues = parameters
+                .filter(candidate => candidate.type === 'enum' || candidate.type === 'switch')
+                .flatMap(describeExpected);
+
+            errors.push({
+                parameter: repeated ? repeated.name : null,
+                message: repeated
+                    ? `"${match[0]}" gives ${repeated.name} a second value`
+                    : `"${match[0]}" is not a parameter of ${actionType.type} actions`,
+                ...position,
+                expected: repeated ? [] : parameters.flatMap(describeExpected),
+                suggestions: repeated ? [] : findSuggestions(word, enumValues)
+            });
+            continue;
+        }
+
+        if (parameter.type === 'text') {
+            values[parameter.name] = text.slice(match.index).trim().replace(/^"([^]*)"$/, '$1');
+            break;
+        }
+
+        const value = toValue(parameter, word);
+        if (parameter.type === 'number' &&
+            ((parameter.min !== undefined && value < parameter.min) ||
+                (parameter.max !== undefined && value > parameter.max))) {
+            errors.push({
+                parameter: parameter.name,
+                message: `${parameter.name} must be ${describeRange(parameter)}`,
+                ...position,
+                expected: describeExpected(parameter),
+                suggestions: []
+            });
+        }
+        values[parameter.name] = value;
+    }
+
+    const result = { state: '', params: {}, errors };
+    parameters.forEach(parameter => {
+        let value = values[parameter.name];
+
+        if (value === undefined) {
+            if (parameter.required) {
+                errors.push({
+                    parameter: parameter.name,
+                    message: `${action.name || actionType.type} needs a ${parameter.name}`,
+                    start: text.length,
+                    end: text.length,
+                    found: null,
+                    expected: describeExpected(parameter),
+                    suggestions: []
+                });
+            }
+            value = parameter.default !== undefined ? toValue(parameter, parameter.default) : null;
+        }
+
+        if (parameter.name === 'state') {
+            result.state = value;
+        } else {
+            result.params[parameter.name] = value;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Describe a parameter schema for API consumers, e.g. to build forms
+ * @param {Array<Object>} parameters - Parameter declarations
+ * @returns {Array<Object>} Declarations with every field present
+ */
+function describeParameters(parameters) {
+    return parameters.map(parameter => ({
+        name: parameter.name,
+        type: parameter.type,
+        description: parameter.description || null,
+        required: Boolean(parameter.required),
+        default: parameter.default !== undefined ? parameter.default : null,
+        values: parameter.type === 'switch' ? ['on', 'off'] : parameter.values || null,
+        min: parameter.min !== undefined ? parameter.min : null,
+        max: parameter.max !== undefined ? parameter.max : null,
+        unit: parameter.unit || null,
+        pattern: parameter.pattern || null
+    }));
+}
+
+module.exports = {
+    PARAMETER_TYPES,
+    validateParameterSchema,
+    parseParameters,
+    describeParameters
+};
@@ -0,0 +1,190 @@
+const { DateTime } = require('luxon');
+const Event = require('./Event');
+const { CLOCK_EVENT_NAME, DAY_NAMES } = require('../parser/RuleParser');
+const logger = require('../../../logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Sun position constants (simplified NOAA/suncalc formulas)
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const EARTH_OBLIQUITY = RAD * 23.4397;
+const SUN_ALTITUDE_AT_HORIZON = RAD * -0.833;
+
+/**
+ * Compute sunrise and sunset for the day containing the given time
+ * @param {number} timestamp - Any time of the day, in milliseconds (local noon gives the right day)
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {Object} Object with sunrise and sunset timestamps in milliseconds (NaN near the poles)
+ */
+function getSunTimes(timestamp, latitude, longitude) {
+    const lw = RAD * -longitude;
+    const phi = RAD * latitude;
+    const days = timestamp / DAY_MS - 0.5 + J1970 - J2000;
+
+    const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+    const approxTransit = (hourAngle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+
+    const solarDays = approxTransit(0);
+    const meanAnomaly = RAD * (357.5291 + 0.98560028 * solarDays);
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const eclipticLongitude = meanAnomaly + center + RAD * 102.9372 + Math.PI;
+    const declination = Math.asin(Math.sin(EARTH_OBLIQUITY) * Math.sin(eclipticLongitude));
+
+    const solarTransit = (ds) => J2000 + ds + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    const hourAngle = Math.acos(
+        (Math.sin(SUN_ALTITUDE_AT_HORIZON) - Math.sin(phi) * Math.sin(declination)) /
+        (Math.cos(phi) * Math.cos(declination))
+    );
+
+    const noon = solarTransit(solarDays);
+    const set = solarTransit(approxTransit(hourAngle));
+    const rise = noon - (set - noon);
+    const fromJulian = (julian) => (julian + 0.5 - J1970) * DAY_MS;
+
+    return { sunrise: fromJulian(rise), sunset: fromJulian(set) };
+}
+
+/**
+ * Convert an "HH:MM" string to minutes since midnight
+ * @param {string} time - Time of day in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Clock Event class that extends the base Event
+ * Built-in event that ticks every minute on its own so that time-of-day and
+ * day-of-week conditions are evaluated even when no sensor reports
+ *
+ * Configuration (environment variables):
+ * - CLOCK_TIMEZONE: IANA zone the rule times are written in (default Asia/Jerusalem)
+ * - CLOCK_LATITUDE / CLOCK_LONGITUDE: location used for sunrise and sunset (default Jerusalem)
+ * - CLOCK_WORKDAYS: comma separated days counted as "weekday" (default sunday to thursday)
+ */
+class ClockEvent extends Event {
+    constructor(name = CLOCK_EVENT_NAME) {
+        super(name);
+        this.type = 'clock';
+        this.location = null;
+        this.timezone = process.env.CLOCK_TIMEZONE || 'Asia/Jerusalem';
+        this.latitude = parseFloat(process.env.CLOCK_LATITUDE || '31.7683');
+        this.longitude = parseFloat(process.env.CLOCK_LONGITUDE || '35.2137');
+        this.workdays = (process.env.CLOCK_WORKDAYS || 'sunday,monday,tuesday,wednesday,thursday')
+            .split(',')
+            .map(day => day.trim().toLowerCase());
+        this.tickTimer = null;
+        this.currentValue = this.now();
+        logger.info(`Created ClockEvent: ${name} (timezone: ${this.timezone})`);
+    }
+
+    /**
+     * Get the current time in the clock's timezone
+     * @returns {DateTime} The current time
+     */
+    now() {
+        return DateTime.now().setZone(this.timezone);
+    }
+
+    /**
+     * Start ticking at the start of every minute
+     */
+    start() {
+        if (this.tickTimer) {
+            return;
+        }
+
+        const tick = () => {
+            this.update(this.now());
+            const delay = MINUTE_MS - (Date.now() % MINUTE_MS);
+            this.tickTimer = setTimeout(tick, delay);
+            // The clock should not keep the process alive on shutdown
+            this.tickTimer.unref();
+        };
+
+        const delay = MINUTE_MS - (Date.now() % MINUTE_MS);
+        this.tickTimer = setTimeout(tick, delay);
+        this.tickTimer.unref();
+        logger.info(`Clock event ${this.name} started, first tick in ${delay}ms`);
+    }
+
+    /**
+     * Stop ticking
+     */
+    stop() {
+        clearTimeout(this.tickTimer);
+        this.tickTimer = null;
+        logger.info(`Clock event ${this.name} stopped`);
+    }
+
+    /**
+     * Get the lowercase English name of the day of the current value
+     * @returns {string} Day name, e.g. "friday"
+     */
+    getDayName() {
+        return DAY_NAMES[this.currentValue.weekday - 1];
+    }
+
+    /**
+     * Get sunrise and sunset for the day of the current value
+     * @returns {Object} Object with sunrise and sunset timestamps in milliseconds
+     */
+    getSunTimes() {
+        const noon = this.currentValue.set({ hour: 12, minute: 0, second: 0, millisecond: 0 });
+        return getSunTimes(noon.toMillis(), this.latitude, this.longitude);
+    }
+
+    /**
+     * Check a clock condition against the current value
+     * @param {string} operator - Clock operator produced by the RuleParser
+     * @param {string|Array<string>} value - The condition value
+     * @returns {boolean} True if the condition holds
+     */
+    matches(operator, value) {
+        const time = this.currentValue;
+        const minutes = time.hour * 60 + time.minute;
+
+        switch (operator) {
+            case 'time_is':
+                return minutes === toMinutes(value);
+            case 'time_after':
+                return minutes >= toMinutes(value);
+            case 'time_before':
+                return minutes < toMinutes(value);
+            case 'time_between': {
+                const from = toMinutes(value[0]);
+                const to = toMinutes(value[1]);
+                // A range such as 22:00 - 06:00 wraps around midnight
+                return from <= to
+                    ? minutes >= from && minutes < to
+                    : minutes >= from || minutes < to;
+            }
+            case 'day_is':
+                return this.getDayName() === value;
+            case 'day_type': {
+                const isWorkday = this.workdays.includes(this.getDayName());
+                return value === 'weekday' ? isWorkday : !isWorkday;
+            }
+            case 'sun_after':
+            case 'sun_before': {
+                // Sun conditions compare within the current calendar day
+                const sunTime = this.getSunTimes()[value];
+                return operator === 'sun_after'
+                    ? time.toMillis() >= sunTime
+                    : time.toMillis() < sunTime;
+            }
+            default:
+                logger.warn(`Unknown clock operator: ${operator}`);
+                return false;
+        }
+    }
+}
+
+module.exports = ClockEvent;
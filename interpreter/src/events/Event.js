@@ -7,6 +7,7 @@ class Event {
         this.name = name;
         this.observers = []; // Rules that are watching this event
         this.currentValue = null;
+        this.lastUpdatedAt = null; // When the current value was measured
     }
 
     /**
@@ -35,12 +36,23 @@ class Event {
     /**
      * Update the current value of the event and notify all observers
      * @param {any} value - The new value of the event
+     * @param {Date} [timestamp=new Date()] - When the value was measured
      */
-    update(value) {
-        this.currentValue = value;
+    update(value, timestamp = new Date()) {
+        this.record(value, timestamp);
         this.notifyObservers();
     }
 
+    /**
+     * Set the current value without notifying the observers, e.g. for a value measured too long ago to act on
+     * @param {any} value - The new value of the event
+     * @param {Date} [timestamp=new Date()] - When the value was measured
+     */
+    record(value, timestamp = new Date()) {
+        this.currentValue = value;
+        this.lastUpdatedAt = timestamp;
+    }
+
     /**
      * Notify all observers (rules) that the event has been updated
      */
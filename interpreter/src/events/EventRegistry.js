@@ -3,8 +3,32 @@ const TemperatureEvent = require("./TemperatureEvent");
 const HumidityEvent = require("./HumidityEvent");
 const AnomalyEvent = require("./AnomalyEvent");
 const MotionEvent = require("./MotionEvent");
+const ClockEvent = require("./ClockEvent");
+const Event = require("./Event");
 const logger = require("../../../logger");
 
+/**
+ * Kinds of values conditions can compare an event with
+ * - number: numeric readings, e.g. "living room co2 > 1000"
+ * - boolean: true/false states, e.g. "living room motion detected"
+ * - string: named states, optionally limited to the declared values, e.g. "front door contact == open"
+ * - time: the clock's time and day tests, whose values the RuleParser checks
+ */
+const VALUE_TYPES = ["number", "boolean", "string", "time"];
+
+const EQUALITY_OPERATORS = ["==", "=", "!="];
+const NUMERIC_OPERATORS = [">", "<", ">=", "<=", ...EQUALITY_OPERATORS];
+const CLOCK_OPERATORS = [
+  "time_is",
+  "time_after",
+  "time_before",
+  "time_between",
+  "day_is",
+  "day_type",
+  "sun_after",
+  "sun_before",
+];
+
 /**
  * Registry for managing all events in the system
  */
@@ -15,14 +39,35 @@ class EventRegistry {
     this.anomalyApiEndpoint =
       "http://127.0.0.1:5000/api/v1/anomaly_detection/anomalies"; // Anomaly API endpoint
 
-    // Map of event types to their corresponding classes
-    this.eventTypes = new Map([
-      ["temperature", TemperatureEvent],
-      ["humidity", HumidityEvent],
-      ["anomaly", AnomalyEvent],
-      ["motion", MotionEvent],
-      // Add more event types here as they are implemented
-    ]);
+    // Map of event types to their declarations (event class, value type, unit and operators)
+    // More types are added with registerEventType, without changing this class
+    this.eventTypes = new Map();
+    this.registerEventType("temperature", TemperatureEvent, {
+      valueType: "number",
+      unit: "celsius",
+      operators: NUMERIC_OPERATORS,
+    });
+    this.registerEventType("humidity", HumidityEvent, {
+      valueType: "number",
+      unit: "%",
+      operators: NUMERIC_OPERATORS,
+    });
+    this.registerEventType("anomaly", AnomalyEvent, {
+      valueType: "boolean",
+      operators: ["anomaly_detected", ...EQUALITY_OPERATORS],
+    });
+    this.registerEventType("motion", MotionEvent, {
+      valueType: "boolean",
+      operators: EQUALITY_OPERATORS,
+    });
+    this.registerEventType("clock", ClockEvent, {
+      valueType: "time",
+      operators: CLOCK_OPERATORS,
+    });
+
+    // Built-in clock event observed by time and day conditions
+    this.clockEvent = new ClockEvent();
+    this.registerEvent(this.clockEvent);
   }
 
   /**
@@ -36,6 +81,22 @@ class EventRegistry {
     });
   }
 
+  /**
+   * Follow changes of the Raspberry Pi registry
+   * Events of Pis that are new or moved to a new URL are fetched; events already registered keep
+   * their instances and the rules observing them
+   * @param {Object} config - Configuration object with Raspberry Pi IP to endpoint mapping
+   */
+  async updateRaspiEndpoints(config) {
+    const changed = Object.entries(config).filter(([ip, endpoint]) => this.raspiEndpoints.get(ip) !== endpoint);
+    this.raspiEndpoints = new Map(Object.entries(config));
+
+    for (const [ip, endpoint] of changed) {
+      console.log(`Fetching events from Raspberry Pi at ${ip} (${endpoint})`);
+      await this.fetchEventsFromRaspberryPi(endpoint);
+    }
+  }
+
   /**
    * Initialize events by fetching them from all connected Raspberry Pis and anomaly API
    */
@@ -50,6 +111,9 @@ class EventRegistry {
       console.log("Fetching anomaly events from API");
       await this.fetchAnomalyEvents();
 
+      // Start the clock so purely time-based rules fire without sensor updates
+      this.clockEvent.start();
+
       console.log("All events initialized successfully");
     } catch (error) {
       console.error("Error initializing events:", error);
@@ -115,20 +179,24 @@ class EventRegistry {
       );
 
       // Check if the type exists in our eventTypes map
-      if (this.eventTypes.has(lowerType)) {
+      const eventType = this.eventTypes.get(lowerType);
+      if (eventType) {
         logger.info(`Found matching event type for ${lowerType}`);
       } else {
         logger.warn(`No matching event type found for "${lowerType}"`);
       }
 
       // Create appropriate event instance based on type using the map
-      const EventClass = this.eventTypes.get(lowerType);
-
-      if (EventClass) {
+      if (eventType) {
+        const { EventClass } = eventType;
         logger.info(
           `Creating ${lowerType} event using class: ${EventClass.name}`
         );
         const event = new EventClass(eventName, location);
+        event.type = event.type || lowerType;
+        if (event.unit === undefined) {
+          event.unit = eventType.unit;
+        }
         this.registerEvent(event);
         logger.info(
           `Successfully created and registered ${lowerType} event: ${eventName}`
@@ -234,6 +302,20 @@ class EventRegistry {
       return null;
     }
 
+    // Types of several words, e.g. "Office Power Consumption", longest first
+    const lowerName = eventName.toLowerCase();
+    const multiWordType = [...this.eventTypes.keys()]
+      .filter((type) => type.includes(" "))
+      .sort((a, b) => b.length - a.length)
+      .find((type) => lowerName.endsWith(` ${type}`));
+    if (multiWordType) {
+      const typeStart = eventName.length - multiWordType.length;
+      return {
+        location: eventName.substring(0, typeStart - 1),
+        type: eventName.substring(typeStart),
+      };
+    }
+
     // Simple parsing that assumes format like "Living Room Temperature" or "Kitchen Humidity"
     const lastSpace = eventName.lastIndexOf(" ");
     if (lastSpace === -1) return null;
@@ -244,6 +326,84 @@ class EventRegistry {
     return { location, type };
   }
 
+  /**
+   * Register an event type so that events of that type are created from their names
+   * The type is the end of the event names reported by the Raspberry Pis, e.g. "co2" for
+   * "Living Room CO2" or "door contact" for "Front Door Contact".
+   * @param {string} type - The type name (case-insensitive)
+   * @param {Function} EventClass - Event subclass, constructed with (name, location)
+   * @param {Object} declaration - What conditions on events of this type look like
+   * @param {string} declaration.valueType - One of VALUE_TYPES
+   * @param {Array<string>} declaration.operators - Operators conditions may use
+   * @param {string|null} [declaration.unit=null] - Unit of the values, e.g. "ppm"
+   * @param {Array<string>} [declaration.values=null] - The values a string event can take, e.g. ["open", "closed"]
+   * @returns {Object} The registered declaration
+   * @throws {Error} If the type is already registered or the declaration is invalid
+   */
+  registerEventType(type, EventClass, declaration = {}) {
+    const typeName = typeof type === "string" ? type.trim().toLowerCase() : "";
+    const { valueType, operators, unit = null, values = null } = declaration;
+
+    if (!typeName) {
+      throw new Error("Event type name is required");
+    }
+    if (this.eventTypes.has(typeName)) {
+      throw new Error(`Event type "${typeName}" is already registered`);
+    }
+    if (typeof EventClass !== "function" || !(EventClass.prototype instanceof Event)) {
+      throw new Error(`Event type "${typeName}" must be registered with a subclass of Event`);
+    }
+    if (!VALUE_TYPES.includes(valueType)) {
+      throw new Error(
+        `Invalid value type "${valueType}" for event type "${typeName}", expected one of: ${VALUE_TYPES.join(", ")}`
+      );
+    }
+    if (!Array.isArray(operators) || operators.length === 0) {
+      throw new Error(`Event type "${typeName}" must declare the operators its conditions may use`);
+    }
+    if (values !== null && (valueType !== "string" || !Array.isArray(values) || values.length === 0)) {
+      throw new Error(`Event type "${typeName}" may only list its values if they are strings, and the list must not be empty`);
+    }
+
+    const eventType = {
+      type: typeName,
+      EventClass,
+      valueType,
+      unit,
+      operators: [...operators],
+      values: values && values.map((value) => String(value).toLowerCase()),
+    };
+    this.eventTypes.set(typeName, eventType);
+    logger.info(`Registered event type: ${typeName} (${valueType}${unit ? `, ${unit}` : ""})`);
+    return eventType;
+  }
+
+  /**
+   * Remove an event type; events already created keep working but are no longer validated
+   * @param {string} type - The type name
+   * @returns {boolean} True if the type was registered
+   */
+  unregisterEventType(type) {
+    return this.eventTypes.delete(String(type).toLowerCase());
+  }
+
+  /**
+   * Get the declaration of an event type
+   * @param {string} type - The type name
+   * @returns {Object|null} The declaration with type, EventClass, valueType, unit, operators and values
+   */
+  getEventType(type) {
+    return (type && this.eventTypes.get(String(type).toLowerCase())) || null;
+  }
+
+  /**
+   * Get the declarations of all event types
+   * @returns {Array<Object>} Declarations with type, valueType, unit, operators and values
+   */
+  getEventTypes() {
+    return Array.from(this.eventTypes.values()).map(({ EventClass, ...eventType }) => eventType);
+  }
+
   /**
    * Register an event in the registry
    * @param {Event} event - Event instance to register
@@ -482,3 +642,4 @@ class EventRegistry {
 }
 
 module.exports = new EventRegistry(); // Export a singleton instance
+module.exports.VALUE_TYPES = VALUE_TYPES;
@@ -1,8 +1,7 @@
 const EventRegistry = require('./events/EventRegistry');
 const RuleManager = require('./rules/RuleManager');
 const ActionRegistry = require('./actions/ActionRegistry');
-const fs = require('fs').promises;
-const path = require('path');
+const { getRaspPiEndpoints } = require('../../services/edge-nodes.service');
 
 /**
  * Initialize the interpreter
@@ -11,10 +10,8 @@ async function initialize() {
     try {
         console.log('Initializing interpreter...');
         
-        // Load Raspberry Pi endpoints
-        const raspPiConfigPath = path.join(__dirname, '../../api/endpoint/rasp_pi.json');
-        const raspPiConfigData = await fs.readFile(raspPiConfigPath, 'utf8');
-        const raspPiConfig = JSON.parse(raspPiConfigData);
+        // Load Raspberry Pi endpoints from the registry
+        const raspPiConfig = await getRaspPiEndpoints();
         
         console.log('Loaded Raspberry Pi configuration:', raspPiConfig);
         
@@ -35,8 +32,8 @@ async function initialize() {
         
         // Log available action types
         console.log('Available action types:');
-        ActionRegistry.actionTypes.forEach(ActionType => {
-            console.log(`- ${ActionType.name}`);
+        ActionRegistry.actionTypes.forEach(actionType => {
+            console.log(`- ${actionType.type} (${actionType.ActionClass.name})`);
         });
         
         return { EventRegistry, RuleManager, ActionRegistry };
@@ -0,0 +1,48 @@
+/**
+ * Error thrown when a rule string cannot be parsed or resolved
+ * Carries structured diagnostics so clients can point at the broken part of the rule
+ *
+ * Each diagnostic has the shape:
+ * {
+ *   code: 'syntax_error' | 'unknown_event' | 'invalid_operator' | 'invalid_value' | 'no_matching_action'
+ *     | 'invalid_action_parameter',
+ *   severity: 'error' | 'warning',
+ *   message: string,
+ *   start: number,        // character offset in the rule string (inclusive)
+ *   end: number,          // character offset in the rule string (exclusive)
+ *   found: string|null,   // the offending text, null at end of rule
+ *   expected: string[],   // what the parser expected at this position
+ *   suggestions: string[] // "did you mean" candidates
+ * }
+ */
+class RuleError extends Error {
+    /**
+     * @param {string} message - The error message
+     * @param {Array<Object>} [diagnostics=[]] - Diagnostics describing the problem
+     */
+    constructor(message, diagnostics = []) {
+        super(message);
+        this.name = 'RuleError';
+        this.diagnostics = diagnostics;
+    }
+
+    /**
+     * Create a diagnostic object
+     * @param {Object} fields - Diagnostic fields (code, message, start, end, found, expected, suggestions)
+     * @returns {Object} The diagnostic
+     */
+    static diagnostic({
+        code,
+        severity = 'error',
+        message,
+        start,
+        end,
+        found = null,
+        expected = [],
+        suggestions = []
+    }) {
+        return { code, severity, message, start, end, found, expected, suggestions };
+    }
+}
+
+module.exports = RuleError;
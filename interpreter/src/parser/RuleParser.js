@@ -0,0 +1,701 @@
+const Tokenizer = require('./Tokenizer');
+const RuleError = require('./RuleError');
+const { findSuggestions } = require('./suggestions');
+const { TokenType } = Tokenizer;
+
+/**
+ * Node types of the condition AST
+ */
+const NodeType = Object.freeze({
+    AND: 'AND',
+    OR: 'OR',
+    NOT: 'NOT',
+    CONDITION: 'CONDITION'
+});
+
+/**
+ * Types of the steps of a rule's action list
+ */
+const StepType = Object.freeze({
+    ACTION: 'action',
+    WAIT: 'wait'
+});
+
+/**
+ * Comparison operators accepted between an event name and a value
+ */
+const COMPARISON_OPERATORS = ['>', '<', '>=', '<=', '==', '=', '!='];
+
+/**
+ * Name of the built-in clock event that time and day conditions observe
+ */
+const CLOCK_EVENT_NAME = 'Clock';
+
+/**
+ * Day names accepted in "day is <day>", in ISO weekday order (Monday first)
+ */
+const DAY_NAMES = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Units accepted in "for N <unit>" durations, in milliseconds
+ */
+const DURATION_UNITS = Object.freeze({
+    second: 1000,
+    seconds: 1000,
+    minute: 60 * 1000,
+    minutes: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    hours: 60 * 60 * 1000
+});
+
+/**
+ * Split an action part on the commas outside double-quoted text
+ * @param {string} text - The action part
+ * @returns {Array<string>} The parts, without the commas
+ */
+function splitSteps(text) {
+    const parts = [''];
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') {
+            quoted = !quoted;
+        }
+        if (char === ',' && !quoted) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += char;
+        }
+    }
+    return parts;
+}
+
+/**
+ * Recursive descent parser for the "if ... then ..." rule language
+ *
+ * Grammar (keywords are case-insensitive):
+ *   rule      := "if" orExpr "then" steps ["else" steps]
+ *   steps     := step ("," step)*
+ *   step      := "wait" number unit | action
+ *   orExpr    := andExpr ("or" andExpr)*
+ *   andExpr   := unary ("and" unary)*
+ *   unary     := "not" unary | "(" orExpr ")" | condition
+ *   condition := test ["for" number unit]
+ *   test      := clock
+ *              | subject operator value
+ *              | subject ["not"] "detected"
+ *              | subject ("true" | "false")
+ *   clock     := "time" ("is" | "after" | "before") HH:MM
+ *              | "time between" HH:MM "and" HH:MM
+ *              | "day is" dayName | "weekday" | "weekend"
+ *              | ("after" | "before") ("sunrise" | "sunset")
+ *
+ * NOT binds tighter than AND, which binds tighter than OR.
+ * A "for" suffix means the test must hold continuously for that long.
+ * Clock tests observe the built-in clock event.
+ * Action steps are kept as raw text and matched by the ActionRegistry; commas and "else"
+ * inside double quotes are part of the step, e.g. send sms "Hello, the room is hot".
+ */
+class RuleParser {
+    /**
+     * @param {string} source - The rule string to parse
+     */
+    constructor(source) {
+        this.source = source;
+        this.tokens = new Tokenizer(source).tokenize();
+        this.index = 0;
+    }
+
+    /**
+     * Parse the rule string
+     * @returns {Object} Object with the condition AST, the raw action string, its offset and the
+     *   action steps, plus the raw else action string and else steps (null and empty without "else")
+     * @throws {RuleError} If the rule string is not valid, with a diagnostic for the failing position
+     */
+    parse() {
+        const ifToken = this.peek();
+        if (!this.isKeyword(ifToken, 'if')) {
+            this.error('Rule must start with "if"', ifToken, ['if']);
+        }
+        this.advance();
+
+        const condition = this.parseOr();
+
+        const thenToken = this.peek();
+        if (!this.isKeyword(thenToken, 'then')) {
+            // A misspelled "then" ends up inside the last condition's value, so point at it instead of the end
+            const misspelledThen = thenToken.type === TokenType.EOF
+                ? this.tokens.find(token => token.type === TokenType.WORD && findSuggestions(token.value, ['then']).length > 0)
+                : null;
+            this.error('Expected "then" after the condition', misspelledThen || thenToken, ['then', 'and', 'or']);
+        }
+        this.advance();
+
+        const unterminated = this.tokens.find(token => token.type === TokenType.STRING && !token.closed);
+        if (unterminated) {
+            this.error('Quoted text is missing its closing quote', unterminated, ['"']);
+        }
+
+        // "else" splits the actions into the then and else branches
+        const endToken = this.tokens[this.tokens.length - 1];
+        const elseToken = this.tokens.slice(this.index).find(token => this.isKeyword(token, 'else'));
+
+        const actionString = this.source.substring(thenToken.end, elseToken ? elseToken.start : endToken.start).trim();
+        if (!actionString) {
+            this.error('Expected an action after "then"', this.peek(), ['action']);
+        }
+
+        const rule = {
+            condition,
+            actionString,
+            actionStart: this.peek().start,
+            actions: this.parseActions(thenToken.end, elseToken || endToken),
+            elseActionString: null,
+            elseActions: []
+        };
+
+        if (elseToken) {
+            rule.elseActionString = this.source.substring(elseToken.end).trim();
+            if (!rule.elseActionString) {
+                this.error('Expected an action after "else"', endToken, ['action']);
+            }
+            rule.elseActions = this.parseActions(elseToken.end, endToken);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Split the action part into comma separated steps
+     * "living room light on, wait 5 minutes, living room ac off" gives an action,
+     * a wait and another action step; commas inside double quotes do not split steps
+     * @param {number} offset - Offset of the action part in the rule string
+     * @param {Object} endToken - Token ending the action part ("else" or the end of the rule)
+     * @returns {Array<Object>} Steps with type, text, start, end and, for waits, duration
+     */
+    parseActions(offset, endToken) {
+        const parts = splitSteps(this.source.substring(offset, endToken.start));
+        const steps = [];
+        let partStart = offset;
+
+        parts.forEach((part, index) => {
+            const text = part.trim();
+            const start = partStart + part.length - part.trimStart().length;
+            const end = start + text.length;
+            partStart += part.length + 1;
+
+            // The comma after the step, or the end of the action part for the last step
+            const boundary = index === parts.length - 1
+                ? endToken
+                : { type: TokenType.WORD, value: ',', start: partStart - 1, end: partStart };
+
+            if (!text) {
+                this.error('Expected an action', boundary, ['action']);
+            }
+
+            // Tokenize the step on its own, shifting positions back into the rule string
+            const tokens = new Tokenizer(text).tokenize()
+                .filter(token => token.type !== TokenType.EOF)
+                .map(token => ({ ...token, start: token.start + start, end: token.end + start }));
+
+            if (!this.isKeyword(tokens[0], 'wait')) {
+                steps.push({ type: StepType.ACTION, text, start, end });
+                return;
+            }
+
+            if (tokens.length > 3) {
+                this.error('Unexpected text after the wait duration', tokens[3], [',']);
+            }
+
+            steps.push({
+                type: StepType.WAIT,
+                duration: this.readDuration(tokens[0], tokens[1], tokens[2], boundary),
+                text,
+                start,
+                end
+            });
+        });
+
+        return steps;
+    }
+
+    /**
+     * orExpr := andExpr ("or" andExpr)*
+     * @returns {Object} AST node
+     */
+    parseOr() {
+        const children = [this.parseAnd()];
+
+        while (this.isKeyword(this.peek(), 'or')) {
+            this.advance();
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: NodeType.OR, children };
+    }
+
+    /**
+     * andExpr := unary ("and" unary)*
+     * @returns {Object} AST node
+     */
+    parseAnd() {
+        const children = [this.parseUnary()];
+
+        while (this.isKeyword(this.peek(), 'and')) {
+            this.advance();
+            children.push(this.parseUnary());
+        }
+
+        return children.length === 1 ? children[0] : { type: NodeType.AND, children };
+    }
+
+    /**
+     * unary := "not" unary | "(" orExpr ")" | condition
+     * @returns {Object} AST node
+     */
+    parseUnary() {
+        const token = this.peek();
+
+        if (this.isKeyword(token, 'not')) {
+            this.advance();
+            return { type: NodeType.NOT, child: this.parseUnary() };
+        }
+
+        if (token.type === TokenType.LPAREN) {
+            this.advance();
+            const expression = this.parseOr();
+
+            const closing = this.peek();
+            if (closing.type !== TokenType.RPAREN) {
+                this.error('Expected ")"', closing, [')', 'and', 'or']);
+            }
+            this.advance();
+            return expression;
+        }
+
+        return this.parseCondition();
+    }
+
+    /**
+     * Collect the tokens of a single condition and interpret them
+     * @returns {Object} CONDITION node
+     */
+    parseCondition() {
+        const tokens = [];
+
+        // "time between 08:00 and 16:00" contains an "and" that must not end the condition
+        if (this.isKeyword(this.peek(), 'time') && this.isKeyword(this.peekAt(1), 'between')) {
+            tokens.push(this.advance(), this.advance(), this.advance());
+            if (this.isKeyword(this.peek(), 'and')) {
+                tokens.push(this.advance());
+            }
+        }
+
+        while (!this.isConditionBoundary(this.peek())) {
+            tokens.push(this.advance());
+        }
+
+        if (tokens.length === 0) {
+            this.error('Expected a condition', this.peek(), ['condition']);
+        }
+
+        const duration = this.parseDuration(tokens);
+        if (!duration) {
+            return this.buildCondition(tokens);
+        }
+
+        const testTokens = tokens.slice(0, -3);
+        if (testTokens.length === 0) {
+            this.error('Expected a condition before "for"', tokens[0], ['condition']);
+        }
+
+        return {
+            ...this.buildCondition(testTokens),
+            duration,
+            text: this.text(tokens),
+            end: tokens[tokens.length - 1].end
+        };
+    }
+
+    /**
+     * Parse a trailing "for N <unit>" duration of a condition
+     * @param {Array<Object>} tokens - Tokens of the condition
+     * @returns {number|null} The duration in milliseconds, or null if the condition has none
+     */
+    parseDuration(tokens) {
+        const forIndex = tokens.map(token => this.isKeyword(token, 'for')).lastIndexOf(true);
+        if (forIndex === -1 || forIndex < tokens.length - 3) {
+            return null;
+        }
+
+        return this.readDuration(tokens[forIndex], tokens[forIndex + 1], tokens[forIndex + 2], this.peek());
+    }
+
+    /**
+     * Read an "N <unit>" duration following a keyword such as "for" or "wait"
+     * @param {Object} keywordToken - The keyword before the duration
+     * @param {Object|undefined} amountToken - Token that should hold the number
+     * @param {Object|undefined} unitToken - Token that should hold the unit
+     * @param {Object} boundary - Token ending the condition or step, reported when a part is missing
+     * @returns {number} The duration in milliseconds
+     */
+    readDuration(keywordToken, amountToken, unitToken, boundary) {
+        if (!amountToken || !/^\d+(\.\d+)?$/.test(amountToken.value)) {
+            this.error(`Expected a number after "${keywordToken.value}"`, amountToken || boundary, ['number']);
+        }
+
+        const units = Object.keys(DURATION_UNITS);
+        if (!unitToken || !units.includes(unitToken.value.toLowerCase())) {
+            this.error('Expected a duration unit', unitToken || boundary, units);
+        }
+
+        const duration = parseFloat(amountToken.value) * DURATION_UNITS[unitToken.value.toLowerCase()];
+        if (duration <= 0) {
+            this.error('Duration must be greater than zero', amountToken, ['number']);
+        }
+
+        return duration;
+    }
+
+    /**
+     * Build a CONDITION node from the tokens of a single condition
+     * Mirrors the condition forms the interpreter has always accepted:
+     * - "living room temperature > 25"
+     * - "living room motion detected" / "living room motion true"
+     * - "living room temperature pointwise anomaly detected" / "... anomaly not detected"
+     * - "<custom anomaly description> detected"
+     * - "<event name> true" / "<event name> false"
+     * @param {Array<Object>} tokens - Tokens of the condition
+     * @returns {Object} CONDITION node
+     */
+    buildCondition(tokens) {
+        const clockCondition = this.buildClockCondition(tokens);
+        if (clockCondition) {
+            return clockCondition;
+        }
+
+        const operatorIndex = tokens.findIndex(token => token.type === TokenType.OPERATOR);
+
+        if (operatorIndex !== -1) {
+            const operatorToken = tokens[operatorIndex];
+
+            if (!COMPARISON_OPERATORS.includes(operatorToken.value)) {
+                this.error(`Unknown operator "${operatorToken.value}"`, operatorToken, COMPARISON_OPERATORS);
+            }
+            if (operatorIndex === 0) {
+                this.error(`Expected an event name before "${operatorToken.value}"`, operatorToken, ['event name']);
+            }
+
+            const valueTokens = tokens.slice(operatorIndex + 1);
+            if (valueTokens.length === 0) {
+                this.error(`Expected a value after "${operatorToken.value}"`, this.peek(), ['value']);
+            }
+
+            const extraOperator = valueTokens.find(token => token.type === TokenType.OPERATOR);
+            if (extraOperator) {
+                this.error(`Unexpected operator "${extraOperator.value}"`, extraOperator, ['value']);
+            }
+
+            return this.createCondition(tokens, tokens.slice(0, operatorIndex), {
+                eventName: this.text(tokens.slice(0, operatorIndex)),
+                operator: operatorToken.value,
+                value: this.text(valueTokens),
+                operatorStart: operatorToken.start,
+                operatorEnd: operatorToken.end,
+                valueStart: valueTokens[0].start,
+                valueEnd: valueTokens[valueTokens.length - 1].end
+            });
+        }
+
+        const words = tokens.map(token => token.value.toLowerCase());
+        const lastWord = words[words.length - 1];
+
+        if (lastWord === 'detected') {
+            let subjectLength = tokens.length - 1;
+            let detected = true;
+
+            if (words[subjectLength - 1] === 'not') {
+                detected = false;
+                subjectLength--;
+            }
+
+            const subject = tokens.slice(0, subjectLength);
+            if (subject.length === 0) {
+                this.error('Expected an event name before "detected"', tokens[0], ['event name']);
+            }
+
+            const value = detected ? 'true' : 'false';
+            const subjectLastWord = words[subjectLength - 1];
+
+            // "<location> motion detected" observes the "<location> Motion" event
+            if (subjectLastWord === 'motion' && subject.length > 1) {
+                return this.createCondition(tokens, subject, {
+                    eventName: `${this.text(subject.slice(0, -1))} Motion`,
+                    operator: '==',
+                    value
+                });
+            }
+
+            // "<event> anomaly detected" observes the anomaly event named by <event>
+            if (subjectLastWord === 'anomaly' && subject.length > 1) {
+                return this.createCondition(tokens, subject, {
+                    eventName: this.text(subject.slice(0, -1)),
+                    operator: 'anomaly_detected',
+                    value
+                });
+            }
+
+            // Anything else is a user-provided anomaly description resolved by the Rule
+            return this.createCondition(tokens, subject, {
+                eventName: null,
+                description: this.text(subject),
+                operator: 'anomaly_detected',
+                value
+            });
+        }
+
+        if (lastWord === 'true' || lastWord === 'false') {
+            const subject = tokens.slice(0, -1);
+            if (subject.length === 0) {
+                this.error(`Expected an event name before "${lastWord}"`, tokens[0], ['event name']);
+            }
+
+            const isMotion = words[subject.length - 1] === 'motion' && subject.length > 1;
+
+            return this.createCondition(tokens, subject, {
+                eventName: isMotion
+                    ? `${this.text(subject.slice(0, -1))} Motion`
+                    : this.text(subject),
+                operator: '==',
+                value: lastWord
+            });
+        }
+
+        // Point at the last word, which is most likely a misspelled keyword or a missing operator
+        this.error(
+            `Expected a comparison operator, "detected", "true" or "false" at the end of condition "${this.text(tokens)}"`,
+            tokens[tokens.length - 1],
+            [...COMPARISON_OPERATORS, 'detected', 'true', 'false']
+        );
+    }
+
+    /**
+     * Build a CONDITION node for a time or day test, observed through the clock event
+     * - "time is 07:30", "time after 18:00", "time before 07:00"
+     * - "time between 08:00 and 16:00"
+     * - "day is friday", "weekday", "weekend"
+     * - "after sunset", "before sunrise"
+     * @param {Array<Object>} tokens - Tokens of the condition
+     * @returns {Object|null} CONDITION node, or null if the tokens are not a clock test
+     */
+    buildClockCondition(tokens) {
+        const words = tokens.map(token => token.value.toLowerCase());
+        const clock = (operator, value) => this.createCondition(tokens, tokens, {
+            eventName: CLOCK_EVENT_NAME,
+            operator,
+            value
+        });
+
+        if (words.length === 1 && (words[0] === 'weekday' || words[0] === 'weekend')) {
+            return clock('day_type', words[0]);
+        }
+
+        if (words[0] === 'time' && words[1] === 'between') {
+            const from = this.expectTime(tokens[2]);
+            if (!tokens[3] || words[3] !== 'and') {
+                this.error('Expected "and" between the two times', tokens[3] || this.peek(), ['and']);
+            }
+            const to = this.expectTime(tokens[4]);
+            if (tokens.length > 5) {
+                this.error('Unexpected text after the time range', tokens[5], ['and', 'or', 'then']);
+            }
+            return clock('time_between', [from, to]);
+        }
+
+        if (words[0] === 'time' && ['is', 'after', 'before'].includes(words[1])) {
+            const time = this.expectTime(tokens[2]);
+            if (tokens.length > 3) {
+                this.error('Unexpected text after the time', tokens[3], ['and', 'or', 'then']);
+            }
+            return clock(`time_${words[1]}`, time);
+        }
+
+        if (words[0] === 'day' && words[1] === 'is' && words.length <= 3) {
+            if (!DAY_NAMES.includes(words[2])) {
+                this.error('Expected a day of the week', tokens[2] || this.peek(), DAY_NAMES);
+            }
+            return clock('day_is', words[2]);
+        }
+
+        if ((words[0] === 'after' || words[0] === 'before') && words.length === 2) {
+            if (words[1] !== 'sunrise' && words[1] !== 'sunset') {
+                this.error(`Expected "sunrise" or "sunset" after "${words[0]}"`, tokens[1], ['sunrise', 'sunset']);
+            }
+            return clock(`sun_${words[0]}`, words[1]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Read an HH:MM time of day
+     * @param {Object|undefined} token - The token that should hold the time
+     * @returns {string} The time, zero-padded to HH:MM
+     */
+    expectTime(token) {
+        const match = token && /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(token.value);
+        if (!match) {
+            this.error('Expected a time in HH:MM format', token || this.peek(), ['HH:MM']);
+        }
+        return `${match[1].padStart(2, '0')}:${match[2]}`;
+    }
+
+    /**
+     * Create a CONDITION node covering the given tokens
+     * @param {Array<Object>} tokens - Tokens of the condition
+     * @param {Array<Object>} subject - Tokens naming the event (used to locate unknown events)
+     * @param {Object} fields - eventName, operator, value and optional description, and the
+     *   operator and value positions (default: the text after the subject, e.g. "detected")
+     * @returns {Object} CONDITION node
+     */
+    createCondition(tokens, subject, fields) {
+        // The words after the subject, e.g. "detected"; clock tests are all subject
+        const rest = tokens.slice(tokens.indexOf(subject[subject.length - 1]) + 1);
+        const valueTokens = rest.length > 0 ? rest : tokens;
+
+        return {
+            type: NodeType.CONDITION,
+            operatorStart: valueTokens[0].start,
+            operatorEnd: valueTokens[valueTokens.length - 1].end,
+            valueStart: valueTokens[0].start,
+            valueEnd: valueTokens[valueTokens.length - 1].end,
+            ...fields,
+            text: this.text(tokens),
+            start: tokens[0].start,
+            end: tokens[tokens.length - 1].end,
+            subjectStart: subject[0].start,
+            subjectEnd: subject[subject.length - 1].end
+        };
+    }
+
+    /**
+     * Check whether a token ends the current condition
+     * @param {Object} token - The token to check
+     * @returns {boolean} True if the token is a boundary
+     */
+    isConditionBoundary(token) {
+        return token.type === TokenType.EOF ||
+            token.type === TokenType.LPAREN ||
+            token.type === TokenType.RPAREN ||
+            this.isKeyword(token, 'and') ||
+            this.isKeyword(token, 'or') ||
+            this.isKeyword(token, 'then');
+    }
+
+    /**
+     * Check whether a token is the given keyword (case-insensitive)
+     * @param {Object} token - The token to check
+     * @param {string} keyword - Lowercase keyword
+     * @returns {boolean} True if the token is the keyword
+     */
+    isKeyword(token, keyword) {
+        return token.type === TokenType.WORD && token.value.toLowerCase() === keyword;
+    }
+
+    /**
+     * Get the original source text spanned by a list of tokens
+     * @param {Array<Object>} tokens - Consecutive tokens
+     * @returns {string} The source text
+     */
+    text(tokens) {
+        return this.source.substring(tokens[0].start, tokens[tokens.length - 1].end);
+    }
+
+    /**
+     * Get the current token without consuming it
+     * @returns {Object} The current token
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Get a token ahead of the current one without consuming anything
+     * @param {number} offset - How many tokens to look ahead
+     * @returns {Object} The token (EOF past the end)
+     */
+    peekAt(offset) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    /**
+     * Consume the current token
+     * @returns {Object} The consumed token
+     */
+    advance() {
+        const token = this.tokens[this.index];
+        if (token.type !== TokenType.EOF) {
+            this.index++;
+        }
+        return token;
+    }
+
+    /**
+     * Throw a parse error at the given token
+     * Keywords in the expected list are offered as suggestions for a misspelled word
+     * @param {string} message - Description of the problem
+     * @param {Object} token - The offending token
+     * @param {Array<string>} [expected=[]] - What the parser expected at this position
+     * @throws {RuleError} Always
+     */
+    error(message, token, expected = []) {
+        const isEnd = token.type === TokenType.EOF;
+        const found = isEnd ? 'end of rule' : `"${token.value}"`;
+        const keywords = expected.filter(item => /^[a-z]+$/.test(item));
+        const suggestions = token.type === TokenType.WORD ? findSuggestions(token.value, keywords) : [];
+
+        throw new RuleError(`${message} at position ${token.start} (found ${found})`, [
+            RuleError.diagnostic({
+                code: 'syntax_error',
+                message,
+                start: token.start,
+                end: token.end,
+                found: isEnd ? null : token.value,
+                expected,
+                suggestions
+            })
+        ]);
+    }
+
+    /**
+     * Parse a rule string
+     * @param {string} ruleString - The rule string to parse
+     * @returns {Object} Object with the condition AST and the raw action string
+     */
+    static parse(ruleString) {
+        return new RuleParser(ruleString).parse();
+    }
+
+    /**
+     * Collect all CONDITION nodes of an AST in source order
+     * @param {Object} node - The AST node
+     * @returns {Array<Object>} Array of CONDITION nodes
+     */
+    static getConditions(node) {
+        switch (node.type) {
+            case NodeType.CONDITION:
+                return [node];
+            case NodeType.NOT:
+                return RuleParser.getConditions(node.child);
+            default:
+                return node.children.flatMap(child => RuleParser.getConditions(child));
+        }
+    }
+}
+
+module.exports = RuleParser;
+module.exports.NodeType = NodeType;
+module.exports.StepType = StepType;
+module.exports.COMPARISON_OPERATORS = COMPARISON_OPERATORS;
+module.exports.DURATION_UNITS = DURATION_UNITS;
+module.exports.CLOCK_EVENT_NAME = CLOCK_EVENT_NAME;
+module.exports.DAY_NAMES = DAY_NAMES;
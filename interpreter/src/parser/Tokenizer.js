@@ -0,0 +1,134 @@
+/**
+ * Token types produced by the rule tokenizer
+ */
+const TokenType = Object.freeze({
+    WORD: 'WORD',
+    OPERATOR: 'OPERATOR',
+    LPAREN: 'LPAREN',
+    RPAREN: 'RPAREN',
+    STRING: 'STRING',
+    EOF: 'EOF'
+});
+
+/**
+ * Tokenizer for the "if ... then ..." rule language
+ * Splits a rule string into words, comparison operators, parentheses and
+ * double-quoted strings (kept whole, quotes included, e.g. the text of a message),
+ * keeping the character offsets of every token so the parser can slice
+ * the original text (event names and action strings keep their casing)
+ */
+class Tokenizer {
+    /**
+     * @param {string} source - The rule string to tokenize
+     */
+    constructor(source) {
+        this.source = source;
+        this.position = 0;
+    }
+
+    /**
+     * Tokenize the whole source string
+     * @returns {Array<Object>} Array of tokens ({ type, value, start, end }), terminated by an EOF token
+     */
+    tokenize() {
+        const tokens = [];
+
+        while (this.position < this.source.length) {
+            const char = this.source[this.position];
+
+            if (/\s/.test(char)) {
+                this.position++;
+                continue;
+            }
+
+            if (char === '(') {
+                tokens.push(this.createToken(TokenType.LPAREN, this.position, this.position + 1));
+                this.position++;
+                continue;
+            }
+
+            if (char === ')') {
+                tokens.push(this.createToken(TokenType.RPAREN, this.position, this.position + 1));
+                this.position++;
+                continue;
+            }
+
+            if (char === '"') {
+                tokens.push(this.readString());
+                continue;
+            }
+
+            if (Tokenizer.isOperatorChar(char)) {
+                tokens.push(this.readWhile(TokenType.OPERATOR, Tokenizer.isOperatorChar));
+                continue;
+            }
+
+            tokens.push(this.readWhile(TokenType.WORD, Tokenizer.isWordChar));
+        }
+
+        tokens.push(this.createToken(TokenType.EOF, this.source.length, this.source.length));
+        return tokens;
+    }
+
+    /**
+     * Consume characters while the predicate holds and build a token from them
+     * @param {string} type - The token type to create
+     * @param {Function} predicate - Character predicate
+     * @returns {Object} The created token
+     */
+    readWhile(type, predicate) {
+        const start = this.position;
+        while (this.position < this.source.length && predicate(this.source[this.position])) {
+            this.position++;
+        }
+        return this.createToken(type, start, this.position);
+    }
+
+    /**
+     * Consume a double-quoted string, up to its closing quote or the end of the source
+     * @returns {Object} The STRING token, with closed set to false when the closing quote is missing
+     */
+    readString() {
+        const start = this.position;
+        const closing = this.source.indexOf('"', start + 1);
+        this.position = closing === -1 ? this.source.length : closing + 1;
+        return { ...this.createToken(TokenType.STRING, start, this.position), closed: closing !== -1 };
+    }
+
+    /**
+     * Create a token for the given source range
+     * @param {string} type - The token type
+     * @param {number} start - Start offset (inclusive)
+     * @param {number} end - End offset (exclusive)
+     * @returns {Object} The token
+     */
+    createToken(type, start, end) {
+        return {
+            type,
+            value: this.source.substring(start, end),
+            start,
+            end
+        };
+    }
+
+    /**
+     * Check if a character belongs to a comparison operator
+     * @param {string} char - The character to check
+     * @returns {boolean} True for <, >, = and !
+     */
+    static isOperatorChar(char) {
+        return char === '<' || char === '>' || char === '=' || char === '!';
+    }
+
+    /**
+     * Check if a character can be part of a word token
+     * @param {string} char - The character to check
+     * @returns {boolean} True if the character is not whitespace, a parenthesis, a quote or an operator character
+     */
+    static isWordChar(char) {
+        return !/\s/.test(char) && char !== '(' && char !== ')' && char !== '"' && !Tokenizer.isOperatorChar(char);
+    }
+}
+
+module.exports = Tokenizer;
+module.exports.TokenType = TokenType;
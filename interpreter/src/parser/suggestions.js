@@ -0,0 +1,56 @@
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits needed to turn a into b
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Find the candidates closest to the given input ("did you mean")
+ * Comparison is case-insensitive; a candidate is suggested when it is within
+ * roughly a third of its length in edits, or when one string contains the other
+ * (inputs shorter than four characters only match by edit distance)
+ * @param {string} input - The text the user wrote
+ * @param {Array<string>} candidates - Known names to suggest from
+ * @param {number} [limit=3] - Maximum number of suggestions
+ * @returns {Array<string>} Suggestions, closest first
+ */
+function findSuggestions(input, candidates, limit = 3) {
+    if (!input) return [];
+
+    const normalizedInput = input.toLowerCase().trim();
+
+    return [...new Set(candidates)]
+        .filter(Boolean)
+        .map(candidate => {
+            const normalizedCandidate = candidate.toLowerCase();
+            const distance = editDistance(normalizedInput, normalizedCandidate);
+            const contains = normalizedInput.length >= 4 &&
+                (normalizedCandidate.includes(normalizedInput) || normalizedInput.includes(normalizedCandidate));
+            const threshold = Math.max(2, Math.floor(normalizedCandidate.length / 3));
+            return { candidate, distance, relevant: distance <= threshold || contains };
+        })
+        .filter(entry => entry.relevant && entry.distance > 0)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(entry => entry.candidate);
+}
+
+module.exports = {
+    editDistance,
+    findSuggestions
+};
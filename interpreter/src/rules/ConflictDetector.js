@@ -0,0 +1,362 @@
+const EventRegistry = require('../events/EventRegistry');
+const { NodeType, StepType, DAY_NAMES } = require('../parser/RuleParser');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Operator that holds exactly when the given comparison does not
+ */
+const NEGATED_OPERATORS = {
+    '>': '<=',
+    '<': '>=',
+    '>=': '<',
+    '<=': '>',
+    '==': '!=',
+    '=': '!=',
+    '!=': '=='
+};
+
+/**
+ * Which dimension each clock operator constrains
+ * Sunrise and sunset move during the year and are not checked
+ */
+const CLOCK_DIMENSIONS = {
+    time_is: 'minutes',
+    time_after: 'minutes',
+    time_before: 'minutes',
+    time_between: 'minutes',
+    day_is: 'days',
+    day_type: 'days',
+    sun_after: null,
+    sun_before: null
+};
+
+/**
+ * Convert an "HH:MM" string to minutes since midnight
+ * @param {string} time - Time of day in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Describe an action state for messages
+ * @param {*} state - State produced by an action's preParseActionString
+ * @returns {string} "on"/"off" for boolean states, the state itself otherwise
+ */
+function describeState(state) {
+    if (typeof state === 'boolean') {
+        return state ? 'on' : 'off';
+    }
+    return String(state);
+}
+
+/**
+ * Finds rules that drive the same action into contradictory states on conditions
+ * that can hold at the same time
+ *
+ * Conditions are rewritten into a disjunction of conjunctions; two rules overlap
+ * when some pair of conjunctions can be satisfied together. Numeric comparisons,
+ * equality on other values and time/day conditions are checked exactly; anything
+ * else (e.g. sunrise/sunset or ordering of non-numeric values) is assumed to be
+ * able to hold, so the analysis reports possible conflicts rather than missing them.
+ * Only the "then" branch is analysed, and "for N minutes" durations are ignored.
+ */
+class ConflictDetector {
+    /**
+     * Find all conflicts between the given rules
+     * @param {Array<Rule>} rules - Rules to compare, usually the rules of one space
+     * @returns {Array<Object>} Conflicts, one per pair of rules and action
+     */
+    findConflicts(rules) {
+        const conflicts = [];
+
+        for (let i = 0; i < rules.length; i++) {
+            for (let j = i + 1; j < rules.length; j++) {
+                conflicts.push(...this.compareRules(rules[i], rules[j]));
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Find the conflicts between one rule and a set of other rules
+     * @param {Rule} rule - The rule to check, e.g. a newly added rule
+     * @param {Array<Rule>} rules - The rules to compare it with (the rule itself is skipped)
+     * @returns {Array<Object>} Conflicts involving the rule
+     */
+    findConflictsForRule(rule, rules) {
+        return rules
+            .filter(other => other !== rule)
+            .flatMap(other => this.compareRules(rule, other));
+    }
+
+    /**
+     * Compare two rules
+     * @param {Rule} first - The first rule
+     * @param {Rule} second - The second rule
+     * @returns {Array<Object>} One conflict per action the rules set to different states
+     */
+    compareRules(first, second) {
+        const conflicts = [];
+        const secondEffects = this.getActionEffects(second);
+        let overlap = null;
+
+        for (const effect of this.getActionEffects(first)) {
+            const opposing = secondEffects.find(other =>
+                other.action === effect.action && other.state !== effect.state
+            );
+
+            if (!opposing || conflicts.some(conflict => conflict.action === effect.action)) {
+                continue;
+            }
+
+            if (overlap === null) {
+                overlap = this.canOverlap(first.conditionTree, second.conditionTree);
+            }
+            if (!overlap) {
+                return [];
+            }
+
+            conflicts.push({
+                type: 'contradictory_actions',
+                severity: 'warning',
+                action: effect.action,
+                rules: [
+                    { id: first.id, ruleString: first.ruleString, step: effect.text, state: effect.state },
+                    { id: second.id, ruleString: second.ruleString, step: opposing.text, state: opposing.state }
+                ],
+                message: `"${first.ruleString}" and "${second.ruleString}" can be true at the same time ` +
+                    `but turn ${effect.action} ${effect.state} and ${opposing.state}`
+            });
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Get the states a rule's "then" branch sets its actions to
+     * Actions without a state (e.g. notifications) cannot conflict and are left out
+     * @param {Rule} rule - The rule
+     * @returns {Array<Object>} Effects with action name, state and step text
+     */
+    getActionEffects(rule) {
+        return rule.actionSteps
+            .filter(step => step.type === StepType.ACTION)
+            .flatMap(step => step.targets
+                .filter(({ params }) => params && params.state !== undefined && params.state !== '')
+                .map(({ action, params }) => ({
+                    action: action.name,
+                    state: describeState(params.state),
+                    text: step.text
+                })));
+    }
+
+    /**
+     * Check whether two conditions can be true at the same time
+     * @param {Object} first - Condition AST of the first rule
+     * @param {Object} second - Condition AST of the second rule
+     * @returns {boolean} True if the conditions may hold together
+     */
+    canOverlap(first, second) {
+        const firstTerms = this.toDisjunctiveForm(first);
+        const secondTerms = this.toDisjunctiveForm(second);
+
+        return firstTerms.some(firstTerm =>
+            secondTerms.some(secondTerm => this.isSatisfiable([...firstTerm, ...secondTerm]))
+        );
+    }
+
+    /**
+     * Rewrite a condition AST as a disjunction of conjunctions
+     * NOT nodes are pushed down to the conditions with De Morgan's laws
+     * @param {Object} node - Condition AST node
+     * @param {boolean} [negated=false] - Whether the node is negated
+     * @returns {Array<Array<Object>>} Terms; each term is a list of { condition, negated } literals
+     */
+    toDisjunctiveForm(node, negated = false) {
+        switch (node.type) {
+            case NodeType.CONDITION:
+                return [[{ condition: node, negated }]];
+            case NodeType.NOT:
+                return this.toDisjunctiveForm(node.child, !negated);
+            default: {
+                const childTerms = node.children.map(child => this.toDisjunctiveForm(child, negated));
+                const isConjunction = (node.type === NodeType.AND) !== negated;
+
+                if (!isConjunction) {
+                    return childTerms.flat();
+                }
+
+                // Distribute AND over the OR terms of the children
+                return childTerms.reduce(
+                    (terms, next) => terms.flatMap(term => next.map(nextTerm => [...term, ...nextTerm])),
+                    [[]]
+                );
+            }
+        }
+    }
+
+    /**
+     * Check whether a conjunction of literals can be satisfied
+     * @param {Array<Object>} literals - { condition, negated } literals
+     * @returns {boolean} True unless the literals contradict each other
+     */
+    isSatisfiable(literals) {
+        const byEvent = new Map();
+
+        for (const literal of literals) {
+            const key = literal.condition.eventName.toLowerCase();
+            if (!byEvent.has(key)) {
+                byEvent.set(key, []);
+            }
+            byEvent.get(key).push(literal);
+        }
+
+        for (const eventLiterals of byEvent.values()) {
+            const isClock = eventLiterals.some(({ condition }) => condition.operator in CLOCK_DIMENSIONS);
+            const satisfiable = isClock
+                ? this.isClockSatisfiable(eventLiterals)
+                : this.isValueSatisfiable(eventLiterals);
+
+            if (!satisfiable) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check literals on a sensor value
+     * @param {Array<Object>} literals - Literals on one event
+     * @returns {boolean} True if some value satisfies all the literals
+     */
+    isValueSatisfiable(literals) {
+        let low = -Infinity;
+        let lowInclusive = false;
+        let high = Infinity;
+        let highInclusive = false;
+        let required = null;
+        const excluded = new Set();
+
+        for (const { condition, negated } of literals) {
+            const operator = negated ? NEGATED_OPERATORS[condition.operator] : condition.operator;
+            const value = String(condition.value).toLowerCase();
+            const number = Number(value);
+            const isNumber = value.trim() !== '' && !isNaN(number);
+
+            if (operator === '==' || operator === '=') {
+                if (required !== null && required !== value && !(isNumber && Number(required) === number)) {
+                    return false;
+                }
+                required = value;
+            } else if (operator === '!=') {
+                excluded.add(isNumber ? number : value);
+            } else if (isNumber) {
+                if ((operator === '>' || operator === '>=') &&
+                    (number > low || (number === low && operator === '>'))) {
+                    low = number;
+                    lowInclusive = operator === '>=';
+                }
+                if ((operator === '<' || operator === '<=') &&
+                    (number < high || (number === high && operator === '<'))) {
+                    high = number;
+                    highInclusive = operator === '<=';
+                }
+            }
+            // Ordering comparisons on non-numeric values are assumed to be satisfiable
+        }
+
+        if (required !== null) {
+            const number = Number(required);
+            if (excluded.has(required) || excluded.has(number)) {
+                return false;
+            }
+            if (isNaN(number)) {
+                return true;
+            }
+            return (number > low || (number === low && lowInclusive)) &&
+                (number < high || (number === high && highInclusive));
+        }
+
+        if (low < high) {
+            return true;
+        }
+        return low === high && lowInclusive && highInclusive && !excluded.has(low);
+    }
+
+    /**
+     * Check literals on the clock event
+     * Times of day and days of the week are independent, so each is checked on its own
+     * @param {Array<Object>} literals - Literals on the clock event
+     * @returns {boolean} True if some minute of some day satisfies all the literals
+     */
+    isClockSatisfiable(literals) {
+        const minutes = new Array(MINUTES_PER_DAY).fill(true);
+        const days = new Array(DAY_NAMES.length).fill(true);
+
+        for (const { condition, negated } of literals) {
+            const dimension = CLOCK_DIMENSIONS[condition.operator];
+            if (!dimension) {
+                continue;
+            }
+
+            const [slots, holds] = dimension === 'days'
+                ? [days, index => this.matchesDay(condition, DAY_NAMES[index])]
+                : [minutes, minute => this.matchesMinute(condition, minute)];
+
+            slots.forEach((allowed, index) => {
+                if (allowed && holds(index) === negated) {
+                    slots[index] = false;
+                }
+            });
+        }
+
+        return minutes.includes(true) && days.includes(true);
+    }
+
+    /**
+     * Check a time-of-day condition at a given minute
+     * @param {Object} condition - Clock condition
+     * @param {number} minute - Minutes since midnight
+     * @returns {boolean} True if the condition holds at that minute
+     */
+    matchesMinute(condition, minute) {
+        switch (condition.operator) {
+            case 'time_is':
+                return minute === toMinutes(condition.value);
+            case 'time_after':
+                return minute >= toMinutes(condition.value);
+            case 'time_before':
+                return minute < toMinutes(condition.value);
+            default: {
+                const from = toMinutes(condition.value[0]);
+                const to = toMinutes(condition.value[1]);
+                return from <= to
+                    ? minute >= from && minute < to
+                    : minute >= from || minute < to;
+            }
+        }
+    }
+
+    /**
+     * Check a day-of-week condition on a given day
+     * @param {Object} condition - Clock condition
+     * @param {string} day - Lowercase day name
+     * @returns {boolean} True if the condition holds on that day
+     */
+    matchesDay(condition, day) {
+        if (condition.operator === 'day_is') {
+            return day === condition.value;
+        }
+
+        const isWorkday = EventRegistry.clockEvent.workdays.includes(day);
+        return condition.value === 'weekday' ? isWorkday : !isWorkday;
+    }
+}
+
+module.exports = new ConflictDetector(); // Export a singleton instance
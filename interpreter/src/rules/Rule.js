@@ -1,7 +1,27 @@
 const EventRegistry = require("../events/EventRegistry");
 const ActionRegistry = require("../actions/ActionRegistry");
+const RuleParser = require("../parser/RuleParser");
+const RuleError = require("../parser/RuleError");
+const { findSuggestions } = require("../parser/suggestions");
+const { NodeType, StepType, COMPARISON_OPERATORS } = RuleParser;
 const logger = require("../../../logger");
 
+/**
+ * When a rule notifies its actions
+ * - on_rising_edge: once, when the condition changes from false to true
+ * - while_true: on every evaluation while the condition holds
+ * - on_falling_edge: once, when the condition changes from true to false
+ */
+const TRIGGER_MODES = ["on_rising_edge", "while_true", "on_falling_edge"];
+
+/**
+ * What happens to the remaining action steps when a step fails
+ * - stop: skip the remaining steps
+ * - continue: run the remaining steps anyway
+ */
+const FAILURE_POLICIES = ["stop", "continue"];
+const HOUR_MS = 60 * 60 * 1000;
+
 /**
  * Class representing a rule in the system
  */
@@ -10,63 +30,100 @@ class Rule {
    * Create a new rule
    * @param {string} ruleString - The rule string in natural language format
    * @param {string} id - The unique ID for this rule
+   * @param {Object} [options={}] - Creation options
+   * @param {boolean} [options.dryRun=false] - Resolve events without observing them (used for validation)
+   * @param {string} [options.triggerMode="while_true"] - One of TRIGGER_MODES
+   * @param {number} [options.cooldownSeconds=0] - Minimum time between two firings
+   * @param {number} [options.maxFiresPerHour=null] - Maximum firings in any sliding hour
+   * @param {string} [options.failurePolicy="stop"] - One of FAILURE_POLICIES
+   * @param {Object} [options.eventRegistry] - Registry the rule's events are resolved in (default: the shared one)
+   * @param {Object} [options.actionRegistry] - Registry the rule's actions run through (default: the shared one)
+   * @param {Object} [options.clock] - Clock with now(), setTimeout(callback, delay) and clearTimeout(timer)
+   *   driving the rule's timers, e.g. a simulated clock replaying history (default: the real clock)
    */
-  constructor(ruleString, id) {
+  constructor(ruleString, id, options = {}) {
     this.id = id;
     this.ruleString = ruleString;
+    this.dryRun = Boolean(options.dryRun);
+    this.eventRegistry = options.eventRegistry || EventRegistry;
+    this.actionRegistry = options.actionRegistry || ActionRegistry;
+    this.clock = options.clock || null;
     this.active = true; // Rules are active by default
     this.observingActions = []; // Actions that are observing this rule
 
-    // New properties for multi-condition support
-    this.isMultiCondition = false;
-    this.logicType = "AND"; // "AND" or "OR" - default to AND for backward compatibility
-    this.conditions = []; // Array of condition objects for multi-condition rules
-    this.eventNames = []; // Array of event names for multi-condition rules
+    this.conditionTree = null; // Condition AST produced by the RuleParser
+    this.eventNames = []; // Names of all events this rule observes
     this.eventStates = new Map(); // Track current state of each event
-
-    // Parse the rule string
+    this.diagnostics = []; // Warnings collected while creating the rule
+    this.conditionSince = new Map(); // When each "for N minutes" condition started holding
+    this.durationTimers = new Map(); // Pending re-evaluation timers of "for N minutes" conditions
+
+    // Trigger semantics and throttling
+    this.triggerMode = "while_true";
+    this.cooldownSeconds = 0;
+    this.maxFiresPerHour = null;
+    this.lastConditionMet = null; // Result of the previous evaluation, used for edge detection
+    this.fireTimes = []; // Times the rule fired during the last hour
+    this.setTriggerSettings(options);
+
+    // Action sequencing
+    this.failurePolicy = "stop";
+    this.setFailurePolicy(options.failurePolicy);
+    // Higher priority requests win when several rules drive the same device at once
+    this.priority = 0;
+    this.setPriority(options.priority);
+    this.runningExecution = null; // Branch, cancellation flag and promise of the running action sequence
+    this.pendingWaits = new Map(); // Timers of "wait N minutes" steps, mapped to their resolve functions
+    this.lastExecution = null; // Record of the last action sequence run
+    // Called with (rule, execution) when an action sequence finishes, e.g. to persist its history
+    this.onExecutionFinished = options.onExecutionFinished || null;
+
+    // Parse the rule string (throws a RuleError with diagnostics on failure)
     const parsedRule = this.parseRule(ruleString);
 
-    if (!parsedRule) {
-      logger.error(`Failed to parse rule: ${ruleString}`);
-      throw new Error(`Invalid rule format: ${ruleString}`);
+    this.conditionTree = parsedRule.condition;
+    this.actionString = parsedRule.actionString;
+    this.actionStart = parsedRule.actionStart; // Offset of the action in the rule string
+    // Ordered action and wait steps; the ActionRegistry fills in each action step's targets
+    this.actionSteps = parsedRule.actions.map((step) => ({ ...step, targets: [] }));
+    // Steps of the optional else branch, run when the condition changes from true to false
+    this.elseActionString = parsedRule.elseActionString;
+    this.elseSteps = parsedRule.elseActions.map((step) => ({ ...step, targets: [] }));
+    this.parsedActionParams = null; // Will store pre-parsed action parameters
+
+    const conditions = RuleParser.getConditions(this.conditionTree);
+    this.isMultiCondition = conditions.length > 1;
+
+    // Keep the single-condition shape available for API consumers
+    if (!this.isMultiCondition) {
+      this.condition = {
+        operator: conditions[0].operator,
+        value: conditions[0].value,
+      };
     }
 
     // Handle async event name resolution for custom anomaly descriptions
-    if (parsedRule.eventNamePromise) {
+    if (conditions.some((condition) => condition.description)) {
       logger.info(
         `Rule contains a custom anomaly description, resolving event name asynchronously`
       );
 
-      // Define an async initialization function
-      const initAsync = async () => {
+      // Start the async initialization and store the promise
+      // The rule will be fully initialized once the initPromise resolves
+      this.initPromise = (async () => {
         try {
-          // Wait for the event name promise to resolve
-          this.eventName = await parsedRule.eventNamePromise;
-          logger.info(
-            `Resolved event name from custom description: ${this.eventName}`
-          );
-
-          this.condition = parsedRule.condition;
-          this.actionString = parsedRule.actionString;
-          this.parsedActionParams = null;
-
-          // Check if this is an anomaly event rule
-          this.isAnomalyRule = this.checkIfAnomalyRule();
-
-          // Register this rule with the appropriate event
-          const event = EventRegistry.getEvent(this.eventName);
-          if (!event) {
-            logger.error(
-              `Event "${this.eventName}" not found in EventRegistry`
-            );
-            throw new Error(`Event not found: ${this.eventName}`);
+          for (const condition of conditions) {
+            if (condition.description) {
+              condition.eventName = await this.resolveDescriptionEventName(
+                condition.description
+              );
+              logger.info(
+                `Resolved event name from custom description: ${condition.eventName}`
+              );
+            }
           }
 
-          // Add this rule as an observer to the event
-          event.addObserver(this);
-          logger.info(`Rule added as observer to event ${this.eventName}`);
-
+          this.registerWithEvents(conditions);
           return true;
         } catch (error) {
           logger.error(
@@ -74,105 +131,158 @@ class Rule {
           );
           throw error;
         }
-      };
-
-      // Start the async initialization and store the promise
-      this.initPromise = initAsync();
-
-      // We can't proceed with normal initialization here
-      // The rule will be fully initialized once the initPromise resolves
+      })();
       return;
     }
 
-    // Check if this is a multi-condition rule
-    if (parsedRule.isMultiCondition) {
-      this.isMultiCondition = true;
-      this.logicType = parsedRule.logicType; // "AND" or "OR"
-      this.conditions = parsedRule.conditions;
-      this.eventNames = parsedRule.eventNames;
-      this.actionString = parsedRule.actionString;
-      this.parsedActionParams = null;
+    this.registerWithEvents(conditions);
+  }
 
-      logger.info(`Multi-condition rule detected with ${this.conditions.length} conditions using ${this.logicType} logic`);
+  /**
+   * Resolve every condition to a registered event and observe those events
+   * Dry-run rules only resolve the events and leave the event observers untouched
+   * @param {Array<Object>} conditions - CONDITION nodes of the rule's AST
+   */
+  registerWithEvents(conditions) {
+    // Resolve and check every condition before observing any event, so a rejected rule is never left observing
+    const events = conditions.map((condition) => {
+      // Handle motion events specially
+      const event = condition.eventName.toLowerCase().includes("motion")
+        ? this.findMotionEvent(condition.eventName)
+        : this.eventRegistry.getEvent(condition.eventName);
 
-      // Validate that all event names are defined
-      for (let i = 0; i < this.eventNames.length; i++) {
-        if (!this.eventNames[i]) {
-          logger.error(`Event name at index ${i} is undefined or null`);
-          throw new Error(`Failed to parse condition ${i + 1} in multi-condition rule`);
-        }
+      if (!event) {
+        logger.error(`Event "${condition.eventName}" not found in EventRegistry`);
+        throw this.createUnknownEventError(condition);
       }
 
-      // Register this rule with all events
-      for (let i = 0; i < this.eventNames.length; i++) {
-        const eventName = this.eventNames[i];
-        
-        // Handle motion events specially
-        let event;
-        if (eventName.toLowerCase().includes("motion")) {
-          event = this.findMotionEvent(eventName);
-          if (event) {
-            // Update the event name to match what was found
-            this.eventNames[i] = event.name;
-            logger.info(`Updated multi-condition rule event name to: ${event.name}`);
-          }
-        } else {
-          event = EventRegistry.getEvent(eventName);
-        }
-
-        if (!event) {
-          logger.error(`Event "${eventName}" not found in EventRegistry`);
-          throw new Error(`Event not found: ${eventName}`);
-        }
+      // Update the event name to match what was found in the registry
+      condition.eventName = event.name;
+      this.validateCondition(condition, event);
+      return event;
+    });
 
-        // Add this rule as an observer to the event
-        event.addObserver(this);
-        logger.info(`Multi-condition rule added as observer to event ${event.name}`);
-        
-        // Initialize event state tracking
+    events.forEach((event) => {
+      if (!this.eventNames.includes(event.name)) {
+        this.eventNames.push(event.name);
         this.eventStates.set(event.name, null);
+
+        if (!this.dryRun) {
+          // Add this rule as an observer to the event
+          event.addObserver(this);
+          logger.info(`Rule ${this.id} added as observer to event ${event.name}`);
+        }
       }
+    });
 
-      return;
+    if (!this.isMultiCondition) {
+      this.eventName = this.eventNames[0];
     }
 
-    // Standard synchronous initialization for single-condition rules
-    this.eventName = parsedRule.eventName;
-    this.condition = parsedRule.condition;
-    this.actionString = parsedRule.actionString;
-    this.parsedActionParams = null; // Will store pre-parsed action parameters
-
     // Check if this is an anomaly event rule
     this.isAnomalyRule = this.checkIfAnomalyRule();
+  }
 
-    // Special handling for motion sensor events
-    if (this.eventName.toLowerCase().includes("motion")) {
-      // Try different naming conventions for motion events
-      let event = this.findMotionEvent(this.eventName);
-
-      if (event) {
-        // Add this rule as an observer to the event
-        event.addObserver(this);
-        logger.info(`Rule added as observer to motion event ${event.name}`);
+  /**
+   * Check a condition against the declaration of its event's type
+   * Events whose type was never registered are not checked
+   * @param {Object} condition - CONDITION node resolved to the event
+   * @param {Event} event - The observed event
+   * @throws {RuleError} With an invalid_operator or invalid_value diagnostic
+   */
+  validateCondition(condition, event) {
+    const eventType = this.eventRegistry.getEventType(event.type);
+    if (!eventType) {
+      return;
+    }
 
-        // Update the event name to match what was found in the registry
-        this.eventName = event.name;
-        logger.info(`Updated rule event name to: ${this.eventName}`);
-        return;
-      }
+    const unit = eventType.unit ? ` (${eventType.unit})` : "";
+
+    if (!eventType.operators.includes(condition.operator)) {
+      throw new RuleError(`Invalid condition on ${event.name}: ${condition.text}`, [
+        RuleError.diagnostic({
+          code: "invalid_operator",
+          message: `Conditions on ${eventType.type} events cannot use "${condition.operator}"`,
+          start: condition.operatorStart,
+          end: condition.operatorEnd,
+          found: this.ruleString.substring(condition.operatorStart, condition.operatorEnd),
+          expected: eventType.operators.filter((operator) => COMPARISON_OPERATORS.includes(operator)),
+        }),
+      ]);
     }
 
-    // Register this rule with the appropriate event
-    const event = EventRegistry.getEvent(this.eventName);
+    const value = String(condition.value).trim().toLowerCase();
+    let expected = null;
+    if (eventType.valueType === "number" && !Number.isFinite(Number(value))) {
+      expected = [`number${unit}`];
+    } else if (eventType.valueType === "boolean" && value !== "true" && value !== "false") {
+      expected = ["true", "false"];
+    } else if (eventType.valueType === "string" && eventType.values && !eventType.values.includes(value)) {
+      expected = eventType.values;
+    }
 
-    if (!event) {
-      logger.error(`Event "${this.eventName}" not found in EventRegistry`);
-      throw new Error(`Event not found: ${this.eventName}`);
+    if (expected) {
+      throw new RuleError(`Invalid condition on ${event.name}: ${condition.text}`, [
+        RuleError.diagnostic({
+          code: "invalid_value",
+          message: `${event.name} is compared with "${condition.value}", expected ${
+            eventType.valueType === "number" ? `a number${unit}` : `one of: ${expected.join(", ")}`
+          }`,
+          start: condition.valueStart,
+          end: condition.valueEnd,
+          found: this.ruleString.substring(condition.valueStart, condition.valueEnd),
+          expected,
+          suggestions: eventType.valueType === "string" ? findSuggestions(value, expected) : [],
+        }),
+      ]);
     }
+  }
+
+  /**
+   * Find the anomaly event described by a user-provided anomaly description
+   * @param {string} description - The description text from the rule
+   * @returns {Promise<string>} The raw event name of the matching anomaly event
+   */
+  async resolveDescriptionEventName(description) {
+    logger.info(`Found possible custom anomaly description: "${description}"`);
 
-    // Add this rule as an observer to the event
-    event.addObserver(this);
-    logger.info(`Rule added as observer to event ${this.eventName}`);
+    try {
+      // Look for a matching description in the database
+      const AnomalyDescription = require("../../../models/AnomalyDescription");
+      const anomalyDesc = await AnomalyDescription.findOne({
+        description: { $regex: new RegExp(description, "i") },
+        isActive: true,
+      });
+
+      if (anomalyDesc) {
+        logger.info(
+          `Found matching anomaly description in database. Raw event name: ${anomalyDesc.rawEventName}`
+        );
+        return anomalyDesc.rawEventName;
+      }
+
+      // If no exact match found, try to extract potential anomaly event name using EventRegistry
+      const potentialEventName =
+        this.eventRegistry.findAnomalyEventByPartialName(description);
+
+      if (potentialEventName) {
+        logger.info(`Found potential matching anomaly event: ${potentialEventName}`);
+        return potentialEventName;
+      }
+
+      logger.error(
+        `No matching anomaly description or event found for: ${description}`
+      );
+      throw new Error(
+        `No matching anomaly event found for description: ${description}`
+      );
+    } catch (error) {
+      logger.error(
+        `Error finding matching anomaly event for description: ${description}`,
+        error
+      );
+      throw error;
+    }
   }
 
   /**
@@ -184,7 +294,7 @@ class Rule {
     logger.info(`Searching for motion event matching: ${motionEventName}`);
 
     // Try to directly get the event first
-    let event = EventRegistry.getEvent(motionEventName);
+    let event = this.eventRegistry.getEvent(motionEventName);
     if (event) {
       logger.info(`Found exact match for motion event: ${motionEventName}`);
       return event;
@@ -213,7 +323,7 @@ class Rule {
     );
 
     // Iterate through all events in registry
-    const allEvents = EventRegistry.getAllEvents();
+    const allEvents = this.eventRegistry.getAllEvents();
 
     for (const registeredEvent of allEvents) {
       const registeredNameLower = registeredEvent.name.toLowerCase();
@@ -249,7 +359,7 @@ class Rule {
     // If we get here, create a new standard name and try again
     const standardMotionName = `${location} Motion`;
     logger.info(`Trying standard motion name: ${standardMotionName}`);
-    return EventRegistry.getEvent(standardMotionName);
+    return this.eventRegistry.getEvent(standardMotionName);
   }
 
   /**
@@ -257,9 +367,12 @@ class Rule {
    * @returns {boolean} True if this is an anomaly rule
    */
   checkIfAnomalyRule() {
-    // Check the event name or condition
-    const event = EventRegistry.getEvent(this.eventName);
-    if (event && event.type === "anomaly") {
+    // Check the observed events
+    const observesAnomaly = this.eventNames.some((eventName) => {
+      const event = this.eventRegistry.getEvent(eventName);
+      return event && event.type === "anomaly";
+    });
+    if (observesAnomaly) {
       return true;
     }
 
@@ -270,753 +383,887 @@ class Rule {
   }
 
   /**
-   * Parse rule string into components
+   * Parse rule string into a condition AST and an action string
+   * Examples:
+   * - "if living room temperature > 25 then living room light on"
+   * - "if living room temperature > 25 AND living room motion detected then living room light on"
+   * - "if (living room temperature > 25 OR living room humidity > 70) AND NOT living room motion false then living room ac on"
    * @param {string} ruleString - The rule string to parse
-   * @returns {Object|null} Object with eventName, condition, and actionString, or null if parsing failed
+   * @returns {Object} Object with condition and actionString
+   * @throws {RuleError} If the rule string is not valid, with diagnostics pointing at the problem
    */
   parseRule(ruleString) {
-    // Example rule: "if living room temperature > 25 then living room light on"
-    // Multi-condition AND example: "if living room temperature > 25 AND living room motion detected then living room light on"
-    // Multi-condition OR example: "if living room temperature > 25 OR living room motion detected then living room light on"
-    
-    const ifThenPattern = /if\s+(.+?)\s+then\s+(.+)/i;
-    const ifThenMatch = ruleString.match(ifThenPattern);
+    try {
+      return RuleParser.parse(ruleString);
+    } catch (error) {
+      logger.error(`Failed to parse rule "${ruleString}": ${error.message}`);
+      throw new RuleError(`Invalid rule format: ${ruleString}`, error.diagnostics || []);
+    }
+  }
+
+  /**
+   * Create the error for a condition whose event is not registered
+   * Suggests the closest registered event names
+   * @param {Object} condition - The CONDITION node that could not be resolved
+   * @returns {RuleError} Error with an unknown_event diagnostic
+   */
+  createUnknownEventError(condition) {
+    const writtenName = this.ruleString.substring(
+      condition.subjectStart,
+      condition.subjectEnd
+    );
+    const eventNames = this.eventRegistry.getAllEvents().map((event) => event.name);
+
+    return new RuleError(`Event not found: ${condition.eventName}`, [
+      RuleError.diagnostic({
+        code: "unknown_event",
+        message: `Event "${condition.eventName}" is not registered`,
+        start: condition.subjectStart,
+        end: condition.subjectEnd,
+        found: writtenName,
+        expected: ["event name"],
+        suggestions: findSuggestions(writtenName, eventNames),
+      }),
+    ]);
+  }
 
-    if (!ifThenMatch) {
-      logger.error(`Rule does not match if-then pattern: ${ruleString}`);
-      return null;
+  /**
+   * Add an action as an observer of this rule
+   * @param {Action} action - The action to add as an observer
+   */
+  addObservingAction(action) {
+    if (!this.observingActions.includes(action)) {
+      this.observingActions.push(action);
+      logger.info(
+        `Action ${action.name} (${action.type}) now observing rule ${this.id}`
+      );
     }
+  }
 
-    const conditionPart = ifThenMatch[1].trim();
-    const actionString = ifThenMatch[2].trim();
+  /**
+   * Remove an action as an observer of this rule
+   * @param {Action} action - The action to remove as an observer
+   */
+  removeObservingAction(action) {
+    const index = this.observingActions.indexOf(action);
+    if (index !== -1) {
+      this.observingActions.splice(index, 1);
+      logger.info(
+        `Action ${action.name} (${action.type}) no longer observing rule ${this.id}`
+      );
+    }
+  }
 
-    // Check for multi-condition rules with AND or OR
-    const andPattern = /\s+AND\s+/i;
-    const orPattern = /\s+OR\s+/i;
-    const hasAndOperator = andPattern.test(conditionPart);
-    const hasOrOperator = orPattern.test(conditionPart);
+  /**
+   * Evaluate the rule based on the current event values
+   * Called when an observed event changes
+   * @param {boolean} [forceExecute=false] - Whether to force execution of actions if condition is met
+   */
+  evaluate(forceExecute = false) {
+    // Get component-specific logger for consistent tagging
+    const ruleLogger = logger.getComponentLogger(`Rule-${this.id}`);
 
-    // Validate that we don't have mixed operators
-    if (hasAndOperator && hasOrOperator) {
-      logger.error(`Rule contains both AND and OR operators, which is not supported: ${ruleString}`);
-      return null;
+    // Log method entry
+    ruleLogger.debug("Starting rule evaluation", {
+      forceExecute,
+      isMultiCondition: this.isMultiCondition,
+      eventNames: this.eventNames,
+      active: this.active,
+    });
+
+    // Start performance timer
+    const endTimer = logger.startTimer("RuleEvaluation", { ruleId: this.id });
+
+    if (!this.active) {
+      ruleLogger.info("Rule is not active, skipping evaluation");
+      endTimer({ skipped: true, reason: "rule_inactive" });
+      return;
     }
 
-    if (hasAndOperator || hasOrOperator) {
-      const logicType = hasAndOperator ? "AND" : "OR";
-      const operatorPattern = hasAndOperator ? andPattern : orPattern;
-      
-      logger.info(`Multi-condition rule detected with ${logicType} logic: ${ruleString}`);
-      
-      // Split conditions by the detected operator
-      const conditionStrings = conditionPart.split(operatorPattern).map(c => c.trim());
-      logger.info(`Found ${conditionStrings.length} conditions: ${conditionStrings.join(' | ')}`);
+    if (!this.conditionTree) {
+      ruleLogger.error("Rule has no condition tree, skipping evaluation");
+      endTimer({ failed: true, reason: "not_initialized" });
+      return;
+    }
 
-      const conditions = [];
-      const eventNames = [];
+    const eventValues = {};
+    const conditionResults = [];
+    let conditionMet;
 
-      // Parse each individual condition
-      for (const conditionStr of conditionStrings) {
-        const parsedCondition = this.parseSingleCondition(conditionStr);
-        
-        if (!parsedCondition) {
-          logger.error(`Failed to parse condition: ${conditionStr}`);
-          return null;
-        }
+    try {
+      conditionMet = this.evaluateNode(
+        this.conditionTree,
+        eventValues,
+        conditionResults,
+        ruleLogger
+      );
+    } catch (error) {
+      ruleLogger.error("Rule evaluation failed", { error: error.message });
+      endTimer({ failed: true, reason: "event_not_found" });
+      return;
+    }
 
-        if (!parsedCondition.eventName) {
-          logger.error(`Parsed condition has no event name: ${conditionStr}`);
-          return null;
-        }
+    ruleLogger.info("Condition evaluation result", {
+      conditionMet,
+      conditionResults: conditionResults.map((r) => `${r.eventName}: ${r.met}`),
+    });
 
-        conditions.push(parsedCondition.condition);
-        eventNames.push(parsedCondition.eventName);
-        logger.info(`Parsed condition: ${parsedCondition.eventName} ${parsedCondition.condition.operator} ${parsedCondition.condition.value}`);
-      }
+    const previousConditionMet = this.lastConditionMet;
+    this.lastConditionMet = conditionMet;
 
-      return {
-        isMultiCondition: true,
-        logicType,
-        conditions,
-        eventNames,
-        actionString
+    // The else branch runs on every true-to-false transition; cooldown and the
+    // hourly limit only apply to the then branch so that it is always undone
+    if (!conditionMet && previousConditionMet === true && this.elseSteps.length > 0) {
+      const context = {
+        ...this.buildActionContext(eventValues, conditionResults),
+        branch: "else",
       };
+      ruleLogger.info("Condition changed to false, running else branch");
+      this.notifyObservingActions(context, forceExecute, "else").catch((error) => {
+        ruleLogger.error("Else action sequence failed", { error: error.message });
+      });
     }
 
-    // Single condition rule - use existing logic
-    return this.parseSingleCondition(conditionPart, actionString);
+    if (!this.isTriggered(conditionMet, previousConditionMet)) {
+      ruleLogger.debug("Rule not triggered, no action will be taken", {
+        triggerMode: this.triggerMode,
+        conditionMet,
+        previousConditionMet,
+      });
+      endTimer({ success: false, reason: "not_triggered" });
+      return;
+    }
+
+    const throttleReason = this.getThrottleReason(this.now());
+    if (throttleReason) {
+      ruleLogger.info("Rule triggered but throttled, no action will be taken", {
+        reason: throttleReason,
+        cooldownSeconds: this.cooldownSeconds,
+        maxFiresPerHour: this.maxFiresPerHour,
+      });
+      endTimer({ success: false, reason: throttleReason });
+      return;
+    }
+
+    const context = this.buildActionContext(eventValues, conditionResults);
+    ruleLogger.debug("Action context created", { context });
+
+    // Run the action steps, passing the force execute flag
+    this.notifyObservingActions(context, forceExecute).catch((error) => {
+      ruleLogger.error("Action sequence failed", { error: error.message });
+    });
+    endTimer({ success: true, conditionsMet: conditionResults.length });
   }
 
   /**
-   * Parse a single condition string
-   * @param {string} conditionStr - The condition string to parse
-   * @param {string} actionString - The action string (optional, for single-condition rules)
-   * @returns {Object|null} Parsed condition object or null if parsing fails
+   * Decide whether an evaluation triggers the rule according to its trigger mode
+   * The first evaluation after creation or activation has no previous result,
+   * so a condition that already holds counts as a rising edge
+   * @param {boolean} conditionMet - Result of this evaluation
+   * @param {boolean|null} previousConditionMet - Result of the previous evaluation
+   * @returns {boolean} True if the actions should be notified
    */
-  parseSingleCondition(conditionStr, actionString = null) {
-    // Check for simple motion detected pattern FIRST (e.g., "living room motion detected")
-    const motionDetectedPattern = /(.+?)\s+motion\s+detected$/i;
-    const motionDetectedMatch = conditionStr.match(motionDetectedPattern);
-
-    // Enhanced check for motion sensor rules (e.g., "Living Room motion true")
-    const motionPattern = /(.+?)\s+motion\s+(true|false)$/i;
-    const motionMatch = conditionStr.match(motionPattern);
-
-    // Check if this is an anomaly rule with "detected" pattern
-    const anomalyDetectedPattern = /(.+?)\s+anomaly\s+detected$/i;
-    const anomalyDetectedMatch = conditionStr.match(anomalyDetectedPattern);
-
-    // Check if this is an anomaly rule with "not detected" pattern
-    const anomalyNotDetectedPattern = /(.+?)\s+anomaly\s+not\s+detected$/i;
-    const anomalyNotDetectedMatch = conditionStr.match(
-      anomalyNotDetectedPattern
-    );
-
-    // Check if this is a rule with custom description using "detected" pattern
-    // BUT exclude motion patterns that we already handled above
-    const customDescriptionDetectedPattern = /(.+?)\s+detected$/i;
-    const customDescriptionDetectedMatch = conditionStr.match(customDescriptionDetectedPattern);
-    const isMotionDetected = motionDetectedMatch !== null;
+  isTriggered(conditionMet, previousConditionMet) {
+    switch (this.triggerMode) {
+      case "on_rising_edge":
+        return conditionMet && previousConditionMet !== true;
+      case "on_falling_edge":
+        return !conditionMet && previousConditionMet === true;
+      default:
+        return conditionMet;
+    }
+  }
 
-    // More general boolean pattern for other sensors
-    const booleanPattern = /(.+?)\s+(true|false)$/i;
-    const booleanMatch = conditionStr.match(booleanPattern);
+  /**
+   * Check the cooldown and the hourly limit
+   * @param {number} now - Current time in milliseconds
+   * @returns {string|null} "cooldown" or "max_fires_per_hour" if the rule may not fire, null otherwise
+   */
+  getThrottleReason(now) {
+    this.fireTimes = this.fireTimes.filter((time) => now - time < HOUR_MS);
+    const lastFiredAt = this.fireTimes[this.fireTimes.length - 1];
 
-    if (motionDetectedMatch) {
-      // This is a motion detected rule (e.g., "living room motion detected")
-      const location = motionDetectedMatch[1].trim();
-      
-      // Construct proper motion event name
-      const eventName = `${location} Motion`;
+    if (
+      this.cooldownSeconds > 0 &&
+      lastFiredAt !== undefined &&
+      now - lastFiredAt < this.cooldownSeconds * 1000
+    ) {
+      return "cooldown";
+    }
 
-      logger.info(
-        `Parsed motion detected rule for location: "${location}", eventName: "${eventName}"`
-      );
+    if (
+      this.maxFiresPerHour !== null &&
+      this.fireTimes.length >= this.maxFiresPerHour
+    ) {
+      return "max_fires_per_hour";
+    }
 
-      const result = {
-        eventName,
-        condition: { operator: "==", value: "true" }
-      };
-      
-      if (actionString) result.actionString = actionString;
-      return result;
-    } else if (motionMatch) {
-      // This is a motion rule (e.g., "Living Room motion true")
-      const location = motionMatch[1].trim();
-      const booleanValue = motionMatch[2].toLowerCase();
+    return null;
+  }
 
-      // Construct proper motion event name
-      const eventName = `${location} Motion`;
+  /**
+   * Update the trigger mode, cooldown and hourly limit
+   * Settings that are not provided keep their current value
+   * @param {Object} settings - Object with triggerMode, cooldownSeconds and maxFiresPerHour
+   * @throws {Error} If a setting is invalid
+   */
+  setTriggerSettings({ triggerMode, cooldownSeconds, maxFiresPerHour } = {}) {
+    if (triggerMode !== undefined && triggerMode !== null) {
+      if (!TRIGGER_MODES.includes(triggerMode)) {
+        throw new Error(
+          `Invalid trigger mode "${triggerMode}", expected one of: ${TRIGGER_MODES.join(", ")}`
+        );
+      }
+      this.triggerMode = triggerMode;
+    }
 
-      logger.info(
-        `Parsed motion rule for location: "${location}", eventName: "${eventName}" with condition "${booleanValue}"`
-      );
+    if (cooldownSeconds !== undefined && cooldownSeconds !== null) {
+      if (!(Number(cooldownSeconds) >= 0)) {
+        throw new Error(`Invalid cooldown "${cooldownSeconds}", expected a number of seconds`);
+      }
+      this.cooldownSeconds = Number(cooldownSeconds);
+    }
 
-      const result = {
-        eventName,
-        condition: { operator: "==", value: booleanValue }
-      };
-      
-      if (actionString) result.actionString = actionString;
-      return result;
-    } else if (anomalyDetectedMatch) {
-      // This is an anomaly rule with "detected"
-      const eventName = anomalyDetectedMatch[1].trim();
-      logger.info(
-        `Parsed anomaly rule for event: "${eventName}" with condition "detected"`
-      );
+    // null explicitly removes the hourly limit
+    if (maxFiresPerHour !== undefined) {
+      if (maxFiresPerHour !== null && !(Number(maxFiresPerHour) >= 1)) {
+        throw new Error(`Invalid max fires per hour "${maxFiresPerHour}", expected at least 1`);
+      }
+      this.maxFiresPerHour = maxFiresPerHour === null ? null : Number(maxFiresPerHour);
+    }
+  }
 
-      const result = {
-        eventName,
-        condition: { operator: "anomaly_detected", value: "true" }
-      };
-      
-      if (actionString) result.actionString = actionString;
-      return result;
-    } else if (anomalyNotDetectedMatch) {
-      // This is an anomaly rule with "not detected"
-      const eventName = anomalyNotDetectedMatch[1].trim();
-      logger.info(
-        `Parsed anomaly rule for event: "${eventName}" with condition "not detected"`
-      );
+  /**
+   * Recursively evaluate a node of the condition AST
+   * Every condition is evaluated (no short-circuit) so that the results
+   * and event states reflect all observed events
+   * @param {Object} node - The AST node to evaluate
+   * @param {Object} eventValues - Collects event values by event name
+   * @param {Array<Object>} conditionResults - Collects the result of every condition
+   * @param {Object} ruleLogger - Logger instance for this rule
+   * @returns {boolean} True if the node's condition holds
+   */
+  evaluateNode(node, eventValues, conditionResults, ruleLogger) {
+    switch (node.type) {
+      case NodeType.AND:
+        return node.children
+          .map((child) =>
+            this.evaluateNode(child, eventValues, conditionResults, ruleLogger)
+          )
+          .every(Boolean);
+      case NodeType.OR:
+        return node.children
+          .map((child) =>
+            this.evaluateNode(child, eventValues, conditionResults, ruleLogger)
+          )
+          .some(Boolean);
+      case NodeType.NOT:
+        return !this.evaluateNode(
+          node.child,
+          eventValues,
+          conditionResults,
+          ruleLogger
+        );
+      case NodeType.CONDITION: {
+        const result = this.evaluateSingleCondition(node, ruleLogger);
+        if (node.duration) {
+          Object.assign(result, this.applyDuration(node, result.met, ruleLogger));
+        }
+        eventValues[node.eventName] = result.eventValue;
+        conditionResults.push(result);
+        return result.met;
+      }
+      default:
+        throw new Error(`Unknown condition node type: ${node.type}`);
+    }
+  }
 
-      const result = {
-        eventName,
-        condition: { operator: "anomaly_detected", value: "false" }
-      };
-      
-      if (actionString) result.actionString = actionString;
-      return result;
-    } else if (customDescriptionDetectedMatch && !isMotionDetected) {
-      // This is a rule with custom description using "detected" but NOT a motion rule
-      const description = customDescriptionDetectedMatch[1].trim();
-      logger.info(
-        `Found possible custom anomaly description: "${description}"`
-      );
+  /**
+   * Evaluate a single condition against the current value of its event
+   * @param {Object} condition - CONDITION node with eventName, operator and value
+   * @param {Object} ruleLogger - Logger instance for this rule
+   * @returns {Object} Result with eventName, eventValue, operator, conditionValue and met
+   */
+  evaluateSingleCondition(condition, ruleLogger) {
+    const { eventName, operator } = condition;
 
-      // Try to find a matching anomaly description in the database
-      const AnomalyDescription = require("../../../models/AnomalyDescription");
+    // Get the current value of the event
+    const event = this.eventRegistry.getEvent(eventName);
 
-      // Use an immediately invoked async function to handle the async database query
-      const eventNamePromise = (async () => {
-        try {
-          // Look for a matching description in the database
-          const anomalyDesc = await AnomalyDescription.findOne({
-            description: { $regex: new RegExp(description, "i") },
-            isActive: true,
-          });
+    if (!event) {
+      ruleLogger.error("Event not found in registry", { eventName });
+      throw new Error(`Event not found: ${eventName}`);
+    }
 
-          if (anomalyDesc) {
-            logger.info(
-              `Found matching anomaly description in database. Raw event name: ${anomalyDesc.rawEventName}`
-            );
-            return anomalyDesc.rawEventName;
-          }
+    let eventValue = event.currentValue;
 
-          // If no exact match found, try to extract potential anomaly event name using EventRegistry
-          const EventRegistry = require("../events/EventRegistry");
-          const potentialEventName =
-            EventRegistry.findAnomalyEventByPartialName(description);
+    // Update event state tracking
+    this.eventStates.set(eventName, eventValue);
 
-          if (potentialEventName) {
-            logger.info(
-              `Found potential matching anomaly event: ${potentialEventName}`
-            );
-            return potentialEventName;
-          }
+    ruleLogger.debug("Retrieved raw event value", {
+      eventName,
+      eventValue,
+      valueType: typeof eventValue,
+    });
 
-          logger.error(
-            `No matching anomaly description or event found for: ${description}`
-          );
-          throw new Error(
-            `No matching anomaly event found for description: ${description}`
-          );
-        } catch (error) {
-          logger.error(
-            `Error finding matching anomaly event for description: ${description}`,
-            error
-          );
-          throw error;
-        }
-      })();
+    // Special handling for motion events - they might return different value formats
+    if (eventName.toLowerCase().includes("motion") && typeof eventValue !== "boolean") {
+      const originalValue = eventValue;
+      eventValue = this.extractMotionValue(eventValue);
 
-      // We need to wait for the Promise to resolve
-      // This is a bit of a hack since parseRule is synchronous but we need async behavior
-      // The constructor calling this will need to handle the Promise rejection
-      const result = {
-        eventNamePromise,
-        condition: { operator: "anomaly_detected", value: "true" }
-      };
-      
-      if (actionString) result.actionString = actionString;
-      return result;
-    } else if (booleanMatch) {
-      // This is a boolean rule (e.g., "Living Room Temperature true")
-      const eventName = booleanMatch[1].trim();
-      const booleanValue = booleanMatch[2].toLowerCase();
-      logger.info(
-        `Parsed boolean rule for event: "${eventName}" with condition "${booleanValue}"`
-      );
+      logger.logStateChange("debug", "Motion sensor value conversion", {
+        before: originalValue,
+        after: eventValue,
+        component: `Rule-${this.id}`,
+      });
+    }
 
-      const result = {
+    // Time and day conditions are checked by the clock event itself
+    if (event.type === "clock") {
+      const met = event.matches(operator, condition.value);
+      ruleLogger.debug("Clock condition result", {
+        operator,
+        conditionValue: condition.value,
+        time: eventValue.toISO(),
+        met,
+      });
+      return {
         eventName,
-        condition: { operator: "==", value: booleanValue }
+        eventValue: eventValue.toISO(),
+        operator,
+        conditionValue: condition.value,
+        met,
       };
-      
-      if (actionString) result.actionString = actionString;
-      return result;
     }
 
-    // Not an anomaly rule or boolean rule, use standard operator-based parsing
-    const conditionPattern = /(.+?)\s+([<>=!]+)\s+(.+)/;
-    const conditionMatch = conditionStr.match(conditionPattern);
+    // Normalize boolean values in string form for equality comparison
+    let normalizedEventValue = eventValue;
+    let normalizedConditionValue = condition.value;
 
-    if (!conditionMatch) {
-      logger.error(
-        `Condition part does not match expected pattern: ${conditionStr}`
-      );
-      return null;
+    if (operator === "==" || operator === "=") {
+      normalizedConditionValue = this.normalizeBooleanString(condition.value);
+      normalizedEventValue = this.normalizeBooleanString(eventValue);
     }
 
-    const eventName = conditionMatch[1].trim();
-    const operator = conditionMatch[2].trim();
-    const value = conditionMatch[3].trim();
+    const met = this.evaluateCondition(
+      normalizedEventValue,
+      operator,
+      normalizedConditionValue
+    );
 
-    const result = {
+    ruleLogger.debug("Individual condition result", {
       eventName,
-      condition: { operator, value }
+      eventValue: normalizedEventValue,
+      operator,
+      conditionValue: normalizedConditionValue,
+      met,
+    });
+
+    return {
+      eventName,
+      eventValue,
+      operator,
+      conditionValue: condition.value,
+      met,
     };
-    
-    if (actionString) result.actionString = actionString;
-    return result;
   }
 
   /**
-   * Add an action as an observer of this rule
-   * @param {Action} action - The action to add as an observer
+   * Apply a "for N minutes" duration to a condition result
+   * The condition only counts as met once it has held continuously for its duration;
+   * a timer re-evaluates the rule when that time is reached, and the clock resets
+   * whenever the condition stops holding
+   * @param {Object} condition - CONDITION node with a duration in milliseconds
+   * @param {boolean} met - Whether the condition holds right now
+   * @param {Object} ruleLogger - Logger instance for this rule
+   * @returns {Object} The duration-aware met flag, the duration and how long the condition has held
    */
-  addObservingAction(action) {
-    if (!this.observingActions.includes(action)) {
-      this.observingActions.push(action);
-      logger.info(
-        `Action ${action.name} (${action.type}) now observing rule ${this.id}`
+  applyDuration(condition, met, ruleLogger) {
+    if (!met) {
+      if (this.conditionSince.has(condition)) {
+        ruleLogger.debug("Duration condition stopped holding, resetting", {
+          condition: condition.text,
+        });
+      }
+      this.clearDurationTimer(condition);
+      return { met: false, duration: condition.duration, heldFor: 0 };
+    }
+
+    const now = this.now();
+    if (!this.conditionSince.has(condition)) {
+      this.conditionSince.set(condition, now);
+    }
+
+    const heldFor = now - this.conditionSince.get(condition);
+    if (heldFor >= condition.duration) {
+      return { met: true, duration: condition.duration, heldFor };
+    }
+
+    if (!this.durationTimers.has(condition)) {
+      const remaining = condition.duration - heldFor;
+      ruleLogger.debug("Duration condition holding, scheduling re-evaluation", {
+        condition: condition.text,
+        remaining,
+      });
+
+      const timer = this.setTimer(() => {
+        this.durationTimers.delete(condition);
+        this.evaluate();
+      }, remaining);
+      this.durationTimers.set(condition, timer);
+    }
+
+    return { met: false, duration: condition.duration, heldFor };
+  }
+
+  /**
+   * Stop tracking a "for N minutes" condition and cancel its pending timer
+   * @param {Object} condition - CONDITION node with a duration
+   */
+  clearDurationTimer(condition) {
+    this.clearTimer(this.durationTimers.get(condition));
+    this.durationTimers.delete(condition);
+    this.conditionSince.delete(condition);
+  }
+
+  /**
+   * Cancel all pending duration timers of this rule
+   */
+  clearDurationTimers() {
+    for (const timer of this.durationTimers.values()) {
+      this.clearTimer(timer);
+    }
+    this.durationTimers.clear();
+    this.conditionSince.clear();
+  }
+
+  /**
+   * Extract a boolean motion state from the different motion sensor value formats
+   * @param {any} eventValue - Raw motion event value
+   * @returns {any} The boolean motion state (or the value unchanged if it cannot be converted)
+   */
+  extractMotionValue(eventValue) {
+    if (typeof eventValue === "object" && eventValue !== null) {
+      if ("detected" in eventValue) {
+        return eventValue.detected;
+      }
+      if ("value" in eventValue) {
+        return eventValue.value;
+      }
+      if ("status" in eventValue) {
+        const statusValue = eventValue.status;
+        return statusValue === "active" || statusValue === "true" || statusValue === true;
+      }
+      return eventValue;
+    }
+
+    if (typeof eventValue === "string") {
+      const lowerValue = eventValue.toLowerCase();
+      return (
+        lowerValue === "true" ||
+        lowerValue === "detected" ||
+        lowerValue === "active" ||
+        eventValue === "1"
       );
     }
+
+    if (typeof eventValue === "number") {
+      // 0 is false, anything else is true
+      return eventValue !== 0;
+    }
+
+    return eventValue;
   }
 
   /**
-   * Remove an action as an observer of this rule
-   * @param {Action} action - The action to remove as an observer
+   * Convert the strings "true"/"false" (any case) to booleans
+   * @param {any} value - The value to normalize
+   * @returns {any} The boolean, or the value unchanged
+   */
+  normalizeBooleanString(value) {
+    if (typeof value === "string") {
+      if (value.toLowerCase() === "true") return true;
+      if (value.toLowerCase() === "false") return false;
+    }
+    return value;
+  }
+
+  /**
+   * Build the context passed to actions when the rule triggers
+   * Single-condition rules keep their flat context shape
+   * @param {Object} eventValues - Event values by event name
+   * @param {Array<Object>} conditionResults - Result of every condition
+   * @returns {Object} The action context
+   */
+  buildActionContext(eventValues, conditionResults) {
+    if (!this.isMultiCondition) {
+      const [result] = conditionResults;
+      return {
+        eventName: result.eventName,
+        eventValue: result.eventValue,
+        conditionOperator: result.operator,
+        conditionValue: result.conditionValue,
+        timestamp: this.now(),
+      };
+    }
+
+    return {
+      isMultiCondition: true,
+      eventValues,
+      conditionResults,
+      timestamp: this.now(),
+    };
+  }
+
+  /**
+   * Run the steps of one branch in order, notifying the actions observing each step
+   * "wait" steps pause the sequence; when a step fails the failure policy decides
+   * whether the remaining steps run. A trigger of the branch that is still running
+   * is skipped, while a trigger of the other branch cancels the running sequence first.
+   * Only then sequences that actually start count as firings for the cooldown and the hourly limit.
+   * @param {Object} context - Context data to pass to the actions
+   * @param {boolean} [force=false] - Whether to force execution (bypass state check)
+   * @param {string} [branch="then"] - "then" for the action steps, "else" for the else steps
+   * @returns {Promise<Object|null>} The execution record, or null if the trigger was skipped
    */
-  removeObservingAction(action) {
-    const index = this.observingActions.indexOf(action);
-    if (index !== -1) {
-      this.observingActions.splice(index, 1);
+  async notifyObservingActions(context, force = false, branch = "then") {
+    if (this.runningExecution) {
+      if (this.runningExecution.branch === branch) {
+        logger.warn(
+          `Rule ${this.id} is still running its previous ${branch} sequence, skipping trigger`
+        );
+        return null;
+      }
+
       logger.info(
-        `Action ${action.name} (${action.type}) no longer observing rule ${this.id}`
+        `Rule ${this.id} cancelling its running ${this.runningExecution.branch} sequence`
       );
+      const cancelled = this.runningExecution.promise;
+      this.cancelActionSequences();
+      await cancelled;
+    }
+
+    const steps = branch === "else" ? this.elseSteps : this.actionSteps;
+    if (branch === "then") {
+      this.fireTimes.push(this.now());
+    }
+
+    logger.info(
+      `Rule ${this.id} running ${steps.length} ${branch} steps${
+        force ? " (forced execution)" : ""
+      }`
+    );
+
+    // Add force flag to context if specified
+    const actionContext = force ? { ...context, force: true } : context;
+
+    const execution = {
+      branch,
+      startedAt: new Date(this.now()),
+      finishedAt: null,
+      status: "running",
+      forced: force,
+      context,
+      steps: steps.map((step, index) => ({
+        index,
+        type: step.type,
+        text: step.text,
+        status: "pending",
+        durationMs: null,
+        results: [],
+      })),
+    };
+    this.lastExecution = execution;
+
+    const run = { branch, cancelled: false };
+    run.promise = this.runActionSteps(execution, actionContext, steps, run);
+    this.runningExecution = run;
+    try {
+      await run.promise;
+    } finally {
+      // A sequence of the other branch may already have replaced this one
+      if (this.runningExecution === run) {
+        this.runningExecution = null;
+      }
     }
+
+    this.reportExecution(execution);
+    return execution;
   }
 
   /**
-   * Evaluate the rule based on the current event value
-   * Called when the observed event changes
-   * @param {boolean} [forceExecute=false] - Whether to force execution of actions if condition is met
+   * Hand a finished execution record to the onExecutionFinished callback
+   * Failures of the callback are logged and never affect the rule
+   * @param {Object} execution - The finished execution record
    */
-  evaluate(forceExecute = false) {
-    // Get component-specific logger for consistent tagging
-    const ruleLogger = logger.getComponentLogger(`Rule-${this.id}`);
-    
-    // Log method entry
-    ruleLogger.debug('Starting rule evaluation', { 
-      forceExecute, 
-      isMultiCondition: this.isMultiCondition,
-      eventName: this.eventName,
-      eventNames: this.eventNames, 
-      active: this.active,
-      condition: this.condition,
-      conditions: this.conditions
-    });
-    
-    // Start performance timer
-    const endTimer = logger.startTimer('RuleEvaluation', { ruleId: this.id });
-    
-    if (!this.active) {
-      ruleLogger.info('Rule is not active, skipping evaluation');
-      endTimer({ skipped: true, reason: 'rule_inactive' });
+  reportExecution(execution) {
+    if (!this.onExecutionFinished) {
       return;
     }
 
-    // Handle multi-condition rules
-    if (this.isMultiCondition) {
-      return this.evaluateMultiCondition(forceExecute, ruleLogger, endTimer);
-    }
-
-    // Handle single-condition rules (existing logic)
-    return this.evaluateSingleCondition(forceExecute, ruleLogger, endTimer);
+    Promise.resolve()
+      .then(() => this.onExecutionFinished(this, execution))
+      .catch((error) => {
+        logger.error(`Failed to report execution of rule ${this.id}: ${error.message}`);
+      });
   }
 
   /**
-   * Evaluate multi-condition rules with AND logic
-   * @param {boolean} forceExecute - Whether to force execution regardless of previous state
-   * @param {Object} ruleLogger - Logger instance for this rule
-   * @param {Function} endTimer - Timer function to end performance measurement
+   * Run action steps and fill in the execution record
+   * @param {Object} execution - The execution record to fill in
+   * @param {Object} actionContext - Context passed to the actions
+   * @param {Array<Object>} steps - The steps to run
+   * @param {Object} run - The running sequence, flagged when it is cancelled
+   * @returns {Promise<Object>} The completed execution record
    */
-  evaluateMultiCondition(forceExecute, ruleLogger, endTimer) {
-    ruleLogger.debug(`Evaluating multi-condition rule with ${this.logicType} logic`);
-
-    const conditionResults = [];
-    const eventValues = {};
-    let allConditionsMet = true;
-    let anyConditionMet = false; // For OR logic
+  async runActionSteps(execution, actionContext, steps, run) {
+    let stopped = false;
 
-    // Evaluate each condition
-    for (let i = 0; i < this.eventNames.length; i++) {
-      const eventName = this.eventNames[i];
-      const condition = this.conditions[i];
+    for (const [index, step] of steps.entries()) {
+      const record = execution.steps[index];
 
-      // Get the current value of the event
-      const event = EventRegistry.getEvent(eventName);
-      
-      if (!event) {
-        ruleLogger.error('Event not found in registry', { eventName });
-        endTimer({ failed: true, reason: 'event_not_found' });
-        return;
+      if (run.cancelled && !stopped) {
+        execution.status = "cancelled";
+        stopped = true;
       }
 
-      // Get and process the event value
-      let eventValue = event.currentValue;
-      eventValues[eventName] = eventValue;
-
-      // Update event state tracking
-      this.eventStates.set(eventName, eventValue);
+      if (stopped) {
+        record.status = "skipped";
+        continue;
+      }
 
-      ruleLogger.debug('Retrieved event value for multi-condition', { 
-        eventName, 
-        eventValue,
-        valueType: typeof eventValue
-      });
+      const stepStartedAt = this.now();
 
-      // Special handling for motion events
-      if (eventName.toLowerCase().includes("motion") && typeof eventValue !== 'boolean') {
-        const originalValue = eventValue;
-        
-        // Try to extract a boolean value from motion sensor readings
-        if (typeof eventValue === 'object' && eventValue !== null) {
-          if ('detected' in eventValue) {
-            eventValue = eventValue.detected;
-          } else if ('value' in eventValue) {
-            eventValue = eventValue.value;
-          } else if ('status' in eventValue) {
-            const statusValue = eventValue.status;
-            eventValue = statusValue === 'active' || statusValue === 'true' || statusValue === true;
-          }
-        } else if (typeof eventValue === 'string') {
-          eventValue = eventValue.toLowerCase() === 'true' || 
-                      eventValue.toLowerCase() === 'detected' || 
-                      eventValue.toLowerCase() === 'active' ||
-                      eventValue === '1';
-        } else if (typeof eventValue === 'number') {
-          eventValue = eventValue !== 0;
+      if (step.type === StepType.WAIT) {
+        logger.info(`Rule ${this.id} waiting ${step.duration}ms before the next step`);
+        const completed = await this.wait(step.duration);
+        record.status = completed ? "success" : "cancelled";
+        record.durationMs = this.now() - stepStartedAt;
+        if (!completed) {
+          execution.status = "cancelled";
+          stopped = true;
         }
-        
-        ruleLogger.debug('Motion sensor value conversion for multi-condition', {
-          eventName,
-          before: originalValue,
-          after: eventValue
-        });
+        continue;
       }
 
-      // Normalize values for comparison
-      let normalizedEventValue = eventValue;
-      let normalizedConditionValue = condition.value;
-      
-      if (condition.operator === '==' || condition.operator === '=') {
-        // Convert string 'true'/'false' to actual boolean for condition value
-        if (typeof condition.value === 'string') {
-          if (condition.value.toLowerCase() === 'true') {
-            normalizedConditionValue = true;
-          } else if (condition.value.toLowerCase() === 'false') {
-            normalizedConditionValue = false;
-          }
-        }
-        
-        // Convert event value string representations to boolean
-        if (typeof eventValue === 'string') {
-          if (eventValue.toLowerCase() === 'true') {
-            normalizedEventValue = true;
-          } else if (eventValue.toLowerCase() === 'false') {
-            normalizedEventValue = false;
-          }
-        }
+      record.results = await this.runActionStep(step, actionContext);
+      record.durationMs = this.now() - stepStartedAt;
+      const notApplied = (result) => result.overridden || result.suppressed;
+      const succeeded =
+        record.results.length > 0 &&
+        record.results.every((result) => result.success || notApplied(result));
+      // A step none of whose requests were applied did not fail: another rule
+      // won arbitration, or a manual override holds the device
+      if (succeeded && record.results.every(notApplied)) {
+        record.status = record.results.some((result) => result.suppressed)
+          ? "suppressed"
+          : "overridden";
+      } else {
+        record.status = succeeded ? "success" : "failed";
       }
 
-      // Evaluate this condition
-      const conditionMet = this.evaluateCondition(
-        normalizedEventValue,
-        condition.operator,
-        normalizedConditionValue
-      );
-
-      conditionResults.push({
-        eventName,
-        eventValue: normalizedEventValue,
-        operator: condition.operator,
-        conditionValue: normalizedConditionValue,
-        met: conditionMet
-      });
-
-      ruleLogger.debug('Individual condition result', {
-        eventName,
-        eventValue: normalizedEventValue,
-        operator: condition.operator,
-        conditionValue: normalizedConditionValue,
-        met: conditionMet
-      });
-
-      // Track results for both AND and OR logic
-      if (!conditionMet) {
-        allConditionsMet = false;
-      }
-      if (conditionMet) {
-        anyConditionMet = true;
+      if (!succeeded && this.failurePolicy === "stop") {
+        logger.warn(`Rule ${this.id} step "${step.text}" failed, stopping the sequence`);
+        stopped = true;
       }
     }
 
-    // Determine if rule should execute based on logic type
-    let shouldExecute;
-    if (this.logicType === "OR") {
-      shouldExecute = anyConditionMet;
-      ruleLogger.info('Multi-condition OR evaluation complete', {
-        anyConditionMet,
-        conditionResults: conditionResults.map(r => `${r.eventName}: ${r.met}`)
-      });
-    } else {
-      // Default to AND logic
-      shouldExecute = allConditionsMet;
-      ruleLogger.info('Multi-condition AND evaluation complete', {
-        allConditionsMet,
-        conditionResults: conditionResults.map(r => `${r.eventName}: ${r.met}`)
-      });
+    if (execution.status !== "cancelled") {
+      execution.status = execution.steps.some((step) => step.status === "failed")
+        ? "failed"
+        : "success";
     }
+    execution.finishedAt = new Date(this.now());
+    execution.durationMs = execution.finishedAt - execution.startedAt;
 
-    // If conditions are met according to logic type, notify all observing actions
-    if (shouldExecute) {
-      ruleLogger.debug(`${this.logicType} conditions met, preparing action context`);
-      
-      // Create context with all event values
-      const context = {
-        isMultiCondition: true,
-        logicType: this.logicType,
-        eventValues,
-        conditionResults,
-        timestamp: Date.now(),
-      };
-      
-      ruleLogger.debug('Multi-condition action context created', { context });
+    logger.info(`Rule ${this.id} action sequence finished: ${execution.status}`);
+    return execution;
+  }
 
-      // Notify all observing actions
-      this.notifyObservingActions(context, forceExecute);
-      endTimer({ success: true, conditionsMet: conditionResults.length, logicType: this.logicType });
-    } else {
-      ruleLogger.debug(`${this.logicType} conditions not met, no action will be taken`);
-      endTimer({ success: false, reason: 'conditions_not_met', logicType: this.logicType });
+  /**
+   * Notify the actions of a single action step
+   * @param {Object} step - The action step with its targets
+   * @param {Object} actionContext - Context passed to the actions
+   * @returns {Promise<Array<Object>>} One result per action, with action, success, message,
+   * durationMs, the error message when the action threw, overridden/overriddenBy when the
+   * request lost arbitration to another rule and suppressed/suppressedBy when a manual
+   * override held the device
+   */
+  async runActionStep(step, actionContext) {
+    if (step.targets.length === 0) {
+      logger.error(`Rule ${this.id} has no action for step "${step.text}"`);
+      return [
+        {
+          action: null,
+          success: false,
+          message: `No registered action can handle "${step.text}"`,
+          durationMs: 0,
+          error: null,
+        },
+      ];
     }
+
+    return Promise.all(
+      step.targets.map(async ({ action, params }) => {
+        const startedAt = this.now();
+        try {
+          // The ActionRegistry arbitrates between rules driving the same device
+          const result = await this.actionRegistry.requestAction(action, this, actionContext, params);
+
+          if (result.overridden || result.suppressed) {
+            logger.info(`Action ${action.name} for rule ${this.id} not applied: ${result.message}`);
+            return {
+              action: action.name,
+              success: false,
+              ...(result.overridden
+                ? { overridden: true, overriddenBy: result.overriddenBy }
+                : { suppressed: true, suppressedBy: result.suppressedBy }),
+              message: result.message,
+              durationMs: this.now() - startedAt,
+              error: null,
+            };
+          }
+
+          if (result.success) {
+            logger.info(
+              `Action ${action.name} executed successfully: ${result.message}`
+            );
+          } else {
+            logger.error(
+              `Action ${action.name} execution failed: ${result.message}`
+            );
+          }
+
+          return {
+            action: action.name,
+            success: Boolean(result.success),
+            message: result.message,
+            durationMs: this.now() - startedAt,
+            error: null,
+          };
+        } catch (error) {
+          logger.error(
+            `Error in action execution for ${action.name}: ${error.message}`
+          );
+          return {
+            action: action.name,
+            success: false,
+            message: error.message,
+            durationMs: this.now() - startedAt,
+            error: error.message,
+          };
+        }
+      })
+    );
   }
 
   /**
-   * Evaluate single-condition rules (existing logic)
-   * @param {boolean} forceExecute - Whether to force execution regardless of previous state
-   * @param {Object} ruleLogger - Logger instance for this rule
-   * @param {Function} endTimer - Timer function to end performance measurement
+   * Get the current time of the rule's clock
+   * @returns {number} Milliseconds since the epoch
    */
-  evaluateSingleCondition(forceExecute, ruleLogger, endTimer) {
-    // Get the current value of the event
-    const event = EventRegistry.getEvent(this.eventName);
-    
-    if (!event) {
-      ruleLogger.error('Event not found in registry', { 
-        eventName: this.eventName
-      });
-      endTimer({ failed: true, reason: 'event_not_found' });
-      return;
+  now() {
+    return this.clock ? this.clock.now() : Date.now();
+  }
+
+  /**
+   * Schedule a callback on the rule's clock
+   * @param {Function} callback - Function to call
+   * @param {number} delay - Delay in milliseconds
+   * @returns {*} Timer handle for clearTimer
+   */
+  setTimer(callback, delay) {
+    if (this.clock) {
+      return this.clock.setTimeout(callback, delay);
     }
 
-    ruleLogger.debug('Retrieved event from registry', { eventName: this.eventName });
-    
-    // Get the event value and handle motion sensor cases specifically
-    let eventValue = event.currentValue;
-    
-    ruleLogger.debug('Retrieved raw event value', { 
-      eventValue,
-      valueType: typeof eventValue,
-      isMotionEvent: this.eventName.toLowerCase().includes("motion")
-    });
-    
-    // Special handling for motion events - they might return different value formats
-    if (this.eventName.toLowerCase().includes("motion") && typeof eventValue !== 'boolean') {
-      const originalValue = eventValue;
-      
-      // Try to extract a boolean value from motion sensor readings
-      if (typeof eventValue === 'object' && eventValue !== null) {
-        ruleLogger.debug('Processing motion object', { motionObject: eventValue });
-        
-        // If the event value is an object, try to get the motion detected status
-        if ('detected' in eventValue) {
-          eventValue = eventValue.detected;
-          ruleLogger.debug('Using "detected" property from motion object', { value: eventValue });
-        } else if ('value' in eventValue) {
-          eventValue = eventValue.value;
-          ruleLogger.debug('Using "value" property from motion object', { value: eventValue });
-        } else if ('status' in eventValue) {
-          const statusValue = eventValue.status;
-          eventValue = statusValue === 'active' || statusValue === 'true' || statusValue === true;
-          ruleLogger.debug('Converted status to boolean', { status: statusValue, result: eventValue });
-        }
-      } else if (typeof eventValue === 'string') {
-        // If it's a string, try to convert to boolean
-        const stringValue = eventValue;
-        eventValue = eventValue.toLowerCase() === 'true' || 
-                    eventValue.toLowerCase() === 'detected' || 
-                    eventValue.toLowerCase() === 'active' ||
-                    eventValue === '1';
-        ruleLogger.debug('Converted string to boolean', { stringValue, result: eventValue });
-      } else if (typeof eventValue === 'number') {
-        // If it's a number, 0 is false, anything else is true
-        const numberValue = eventValue;
-        eventValue = eventValue !== 0;
-        ruleLogger.debug('Converted number to boolean', { numberValue, result: eventValue });
-      }
-      
-      // Log the state change using the utility method
-      logger.logStateChange('debug', 'Motion sensor value conversion', {
-        before: originalValue,
-        after: eventValue,
-        component: `Rule-${this.id}`
-      });
+    const timer = setTimeout(callback, delay);
+    // Pending timers should not keep the process alive on shutdown
+    timer.unref();
+    return timer;
+  }
+
+  /**
+   * Cancel a timer set with setTimer
+   * @param {*} timer - Timer handle
+   */
+  clearTimer(timer) {
+    if (this.clock) {
+      this.clock.clearTimeout(timer);
+    } else {
+      clearTimeout(timer);
     }
-    
-    ruleLogger.debug('Preparing for condition evaluation', {
-      operator: this.condition.operator,
-      conditionValue: this.condition.value,
-      eventValue
+  }
+
+  /**
+   * Pause an action sequence
+   * @param {number} duration - Time to wait in milliseconds
+   * @returns {Promise<boolean>} True once the time has passed, false if the wait was cancelled
+   */
+  wait(duration) {
+    return new Promise((resolve) => {
+      const timer = this.setTimer(() => {
+        this.pendingWaits.delete(timer);
+        resolve(true);
+      }, duration);
+      this.pendingWaits.set(timer, resolve);
     });
+  }
 
-    // Handle true/false string values for boolean comparison
-    let normalizedEventValue = eventValue;
-    let normalizedConditionValue = this.condition.value;
-    
-    // Normalize boolean values in string form for comparison
-    if (this.condition.operator === '==' || this.condition.operator === '=') {
-      ruleLogger.debug('Equality comparison detected, normalizing boolean string values');
-      
-      // Track original values for transition logging
-      const originalEventValue = normalizedEventValue;
-      const originalConditionValue = normalizedConditionValue;
-      
-      // Convert string 'true'/'false' to actual boolean for condition value
-      if (typeof this.condition.value === 'string') {
-        if (this.condition.value.toLowerCase() === 'true') {
-          normalizedConditionValue = true;
-          ruleLogger.debug('Normalized condition string to boolean', { 
-            from: this.condition.value, 
-            to: true 
-          });
-        } else if (this.condition.value.toLowerCase() === 'false') {
-          normalizedConditionValue = false;
-          ruleLogger.debug('Normalized condition string to boolean', { 
-            from: this.condition.value, 
-            to: false 
-          });
-        }
-      }
-      
-      // Convert event value string representations to boolean
-      if (typeof eventValue === 'string') {
-        if (eventValue.toLowerCase() === 'true') {
-          normalizedEventValue = true;
-          ruleLogger.debug('Normalized event string to boolean', { 
-            from: eventValue, 
-            to: true 
-          });
-        } else if (eventValue.toLowerCase() === 'false') {
-          normalizedEventValue = false;
-          ruleLogger.debug('Normalized event string to boolean', { 
-            from: eventValue, 
-            to: false 
-          });
-        }
-      }
-      
-      // Log state changes if values were normalized
-      if (originalEventValue !== normalizedEventValue) {
-        logger.logStateChange('debug', 'Event value normalization', {
-          before: originalEventValue,
-          after: normalizedEventValue,
-          component: `Rule-${this.id}`
-        });
-      }
-      
-      if (originalConditionValue !== normalizedConditionValue) {
-        logger.logStateChange('debug', 'Condition value normalization', {
-          before: originalConditionValue,
-          after: normalizedConditionValue,
-          component: `Rule-${this.id}`
-        });
-      }
+  /**
+   * Cancel the running action sequence; its remaining steps are not run
+   */
+  cancelActionSequences() {
+    if (this.runningExecution) {
+      this.runningExecution.cancelled = true;
     }
-    
-    ruleLogger.debug('Final values for comparison', {
-      eventValue: normalizedEventValue,
-      eventValueType: typeof normalizedEventValue,
-      conditionValue: normalizedConditionValue,
-      conditionValueType: typeof normalizedConditionValue,
-      operator: this.condition.operator
-    });
 
-    // Evaluate the condition with normalized values
-    logger.methodEntry('evaluateCondition', {
-      eventValue: normalizedEventValue, 
-      operator: this.condition.operator, 
-      conditionValue: normalizedConditionValue
-    }, { component: `Rule-${this.id}` });
-    
-    const conditionMet = this.evaluateCondition(
-      normalizedEventValue,
-      this.condition.operator,
-      normalizedConditionValue
-    );
+    for (const [timer, resolve] of this.pendingWaits.entries()) {
+      this.clearTimer(timer);
+      resolve(false);
+    }
+    this.pendingWaits.clear();
+  }
 
-    ruleLogger.info('Condition evaluation result', { 
-      conditionMet,
-      eventValue: normalizedEventValue,
-      operator: this.condition.operator,
-      conditionValue: normalizedConditionValue
-    });
+  /**
+   * Get the steps of both branches
+   * @returns {Array<Object>} The action steps followed by the else steps
+   */
+  getAllActionSteps() {
+    return [...this.actionSteps, ...this.elseSteps];
+  }
 
-    // If the condition is met, notify all observing actions
-    if (conditionMet) {
-      ruleLogger.debug('Condition met, preparing action context');
-      
-      // Create context with current values (use original values, not normalized)
-      const context = {
-        eventName: this.eventName,
-        eventValue: eventValue,
-        conditionOperator: this.condition.operator,
-        conditionValue: this.condition.value,
-        timestamp: Date.now(),
-      };
-      
-      ruleLogger.debug('Action context created', { context });
+  /**
+   * Set what happens to the remaining action steps when a step fails
+   * @param {string} [failurePolicy] - One of FAILURE_POLICIES; undefined keeps the current policy
+   * @throws {Error} If the policy is invalid
+   */
+  setFailurePolicy(failurePolicy) {
+    if (failurePolicy === undefined || failurePolicy === null) {
+      return;
+    }
 
-      // Notify all observing actions, passing the force execute flag
-      this.notifyObservingActions(context, forceExecute);
-      endTimer({ success: true });
-    } else {
-      ruleLogger.debug('Condition not met, no action will be taken');
-      endTimer({ success: false, reason: 'condition_not_met' });
+    if (!FAILURE_POLICIES.includes(failurePolicy)) {
+      throw new Error(
+        `Invalid failure policy "${failurePolicy}", expected one of: ${FAILURE_POLICIES.join(", ")}`
+      );
     }
+    this.failurePolicy = failurePolicy;
   }
 
   /**
-   * Notify all actions that are observing this rule
-   * @param {Object} context - Context data to pass to the actions
-   * @param {boolean} [force=false] - Whether to force execution (bypass state check)
+   * Set the priority used when the ActionRegistry arbitrates between rules driving the same device
+   * @param {number} [priority] - Integer priority, higher wins; undefined keeps the current priority
+   * @throws {Error} If the priority is not an integer
    */
-  notifyObservingActions(context, force = false) {
-    logger.info(
-      `Rule ${this.id} notifying ${
-        this.observingActions.length
-      } observing actions${force ? " (forced execution)" : ""}`
-    );
-
-    // Add force flag to context if specified
-    const actionContext = force ? { ...context, force: true } : context;
+  setPriority(priority) {
+    if (priority === undefined || priority === null) {
+      return;
+    }
 
-    this.observingActions.forEach((action) => {
-      try {
-        action
-          .onRuleTriggered(this, actionContext)
-          .then((result) => {
-            if (result.success) {
-              logger.info(
-                `Action ${action.name} executed successfully: ${result.message}`
-              );
-            } else {
-              logger.error(
-                `Action ${action.name} execution failed: ${result.message}`
-              );
-            }
-          })
-          .catch((error) => {
-            logger.error(
-              `Error in action execution for ${action.name}: ${error.message}`
-            );
-          });
-      } catch (error) {
-        logger.error(`Error notifying action ${action.name}: ${error.message}`);
-      }
-    });
+    if (!Number.isInteger(Number(priority))) {
+      throw new Error(`Invalid priority "${priority}", expected an integer`);
+    }
+    this.priority = Number(priority);
   }
 
   /**
@@ -1213,7 +1460,7 @@ class Rule {
 
     try {
       // Use the ActionRegistry to execute the action
-      const result = await ActionRegistry.executeAction(this.actionString);
+      const result = await this.actionRegistry.executeAction(this.actionString);
 
       if (result.success) {
         logger.info(
@@ -1240,121 +1487,41 @@ class Rule {
   activate() {
     this.active = true;
 
-    // Add debugging to understand the rule state
     logger.info(`Activating rule ${this.id}`, {
-      isMultiCondition: this.isMultiCondition,
-      eventName: this.eventName,
       eventNames: this.eventNames,
-      ruleString: this.ruleString
+      ruleString: this.ruleString,
     });
 
-    // Handle multi-condition rules
-    if (this.isMultiCondition && this.eventNames && this.eventNames.length > 0) {
-      logger.info(`Activating multi-condition rule ${this.id} with ${this.eventNames.length} events`);
-      
-      // Register this rule as an observer to all its events
-      for (const eventName of this.eventNames) {
-        if (!eventName) {
-          logger.warn(`Multi-condition rule ${this.id} has undefined eventName in eventNames array`);
-          continue;
-        }
-
-        const event = EventRegistry.getEvent(eventName);
-        if (event) {
-          // First remove as observer to avoid duplicates
-          event.removeObserver(this);
-          // Then add back as observer
-          event.addObserver(this);
-          logger.info(
-            `Multi-condition rule ${this.id} registered as observer for event ${eventName}`
-          );
-        } else {
-          logger.warn(
-            `Multi-condition rule ${this.id} couldn't find event ${eventName}`
-          );
+    if (this.eventNames.length === 0) {
+      logger.error(
+        `Rule ${this.id} activated but has no observed events. Rule state:`,
+        {
+          ruleString: this.ruleString,
+          initializing: Boolean(this.initPromise),
         }
-      }
-
-      // Force an immediate evaluation of the rule with forceExecute=true
-      logger.info(
-        `Performing immediate evaluation of multi-condition rule ${this.id} after activation (forced execution)`
       );
-      this.evaluate(true); // Pass true to force execution
-    } 
-    // Handle single-condition rules
-    else if (this.eventName) {
-      // Re-register this rule as an observer to its event
-      const event = EventRegistry.getEvent(this.eventName);
+      throw new Error(`Rule ${this.id} is in an invalid state and cannot be activated`);
+    }
+
+    // Re-register this rule as an observer to all its events
+    for (const eventName of this.eventNames) {
+      const event = this.eventRegistry.getEvent(eventName);
       if (event) {
         // First remove as observer to avoid duplicates
         event.removeObserver(this);
         // Then add back as observer
         event.addObserver(this);
-        logger.info(
-          `Rule ${this.id} activated and re-registered as observer for event ${this.eventName}`
-        );
-
-        // Force an immediate evaluation of the rule with forceExecute=true
-        logger.info(
-          `Performing immediate evaluation of rule ${this.id} after activation (forced execution)`
-        );
-        this.evaluate(true); // Pass true to force execution
+        logger.info(`Rule ${this.id} registered as observer for event ${eventName}`);
       } else {
-        logger.warn(
-          `Rule ${this.id} activated but couldn't find event ${this.eventName}`
-        );
-      }
-    } else {
-      // This is the problematic case - rule has neither eventName nor eventNames
-      logger.error(
-        `Rule ${this.id} activated but has no eventName or eventNames defined. Rule state:`, {
-          isMultiCondition: this.isMultiCondition,
-          eventName: this.eventName,
-          eventNames: this.eventNames,
-          ruleString: this.ruleString,
-          conditions: this.conditions
-        }
-      );
-      
-      // Try to recover by re-parsing the rule string if available
-      if (this.ruleString) {
-        logger.info(`Attempting to recover rule ${this.id} by re-parsing rule string: ${this.ruleString}`);
-        
-        try {
-          const parsedRule = this.parseRule(this.ruleString);
-          
-          if (parsedRule && parsedRule.isMultiCondition) {
-            // Update the rule properties
-            this.isMultiCondition = true;
-            this.logicType = parsedRule.logicType;
-            this.conditions = parsedRule.conditions;
-            this.eventNames = parsedRule.eventNames;
-            this.actionString = parsedRule.actionString;
-            
-            logger.info(`Successfully recovered multi-condition rule ${this.id}`);
-            
-            // Now try to activate again
-            return this.activate();
-          } else if (parsedRule && parsedRule.eventName) {
-            // Update the rule properties for single condition
-            this.eventName = parsedRule.eventName;
-            this.condition = parsedRule.condition;
-            this.actionString = parsedRule.actionString;
-            
-            logger.info(`Successfully recovered single-condition rule ${this.id}`);
-            
-            // Now try to activate again
-            return this.activate();
-          } else {
-            logger.error(`Failed to recover rule ${this.id} - parsing returned invalid result`);
-          }
-        } catch (error) {
-          logger.error(`Failed to recover rule ${this.id} by re-parsing: ${error.message}`);
-        }
+        logger.warn(`Rule ${this.id} couldn't find event ${eventName}`);
       }
-      
-      throw new Error(`Rule ${this.id} is in an invalid state and cannot be activated`);
     }
+
+    // Force an immediate evaluation of the rule with forceExecute=true
+    logger.info(
+      `Performing immediate evaluation of rule ${this.id} after activation (forced execution)`
+    );
+    this.evaluate(true); // Pass true to force execution
   }
 
   /**
@@ -1362,56 +1529,33 @@ class Rule {
    */
   deactivate() {
     this.active = false;
+    this.clearDurationTimers();
+    this.cancelActionSequences();
+    // Start edge detection afresh when the rule is activated again
+    this.lastConditionMet = null;
 
-    // Add debugging to understand the rule state
     logger.info(`Deactivating rule ${this.id}`, {
-      isMultiCondition: this.isMultiCondition,
-      eventName: this.eventName,
-      eventNames: this.eventNames
+      eventNames: this.eventNames,
     });
 
-    // Handle multi-condition rules
-    if (this.isMultiCondition && this.eventNames && this.eventNames.length > 0) {
-      logger.info(`Deactivating multi-condition rule ${this.id} from ${this.eventNames.length} events`);
-      
-      // Remove this rule as an observer from all its events
-      for (const eventName of this.eventNames) {
-        if (!eventName) {
-          logger.warn(`Multi-condition rule ${this.id} has undefined eventName in eventNames array during deactivation`);
-          continue;
-        }
+    if (this.eventNames.length === 0) {
+      // This shouldn't prevent deactivation
+      logger.warn(
+        `Rule ${this.id} has no observed events during deactivation. This may indicate the rule was in an invalid state.`
+      );
+    }
 
-        const event = EventRegistry.getEvent(eventName);
-        if (event) {
-          event.removeObserver(this);
-          logger.info(
-            `Multi-condition rule ${this.id} removed as observer from event ${eventName}`
-          );
-        } else {
-          logger.warn(
-            `Multi-condition rule ${this.id} couldn't find event ${eventName} during deactivation`
-          );
-        }
-      }
-    } 
-    // Handle single-condition rules
-    else if (this.eventName) {
-      const event = EventRegistry.getEvent(this.eventName);
+    // Remove this rule as an observer from all its events
+    for (const eventName of this.eventNames) {
+      const event = this.eventRegistry.getEvent(eventName);
       if (event) {
         event.removeObserver(this);
-        logger.info(
-          `Rule ${this.id} removed as observer from event ${this.eventName}`
-        );
+        logger.info(`Rule ${this.id} removed as observer from event ${eventName}`);
       } else {
         logger.warn(
-          `Rule ${this.id} couldn't find event ${this.eventName} during deactivation`
+          `Rule ${this.id} couldn't find event ${eventName} during deactivation`
         );
       }
-    } else {
-      // Rule has neither eventName nor eventNames - this shouldn't prevent deactivation
-      logger.warn(
-        `Rule ${this.id} has no eventName or eventNames defined during deactivation. This may indicate the rule was in an invalid state.`
-      );
     }
 
     logger.info(`Rule ${this.id} deactivated`);
@@ -1436,3 +1580,5 @@ class Rule {
 }
 
 module.exports = Rule;
+module.exports.TRIGGER_MODES = TRIGGER_MODES;
+module.exports.FAILURE_POLICIES = FAILURE_POLICIES;
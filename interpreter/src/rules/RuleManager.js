@@ -1,6 +1,8 @@
 const Rule = require('./Rule');
 const EventRegistry = require('../events/EventRegistry');
 const ActionRegistry = require('../actions/ActionRegistry');
+const RuleError = require('../parser/RuleError');
+const { StepType } = require('../parser/RuleParser');
 
 /**
  * Class for managing all rules in the system
@@ -8,17 +10,59 @@ const ActionRegistry = require('../actions/ActionRegistry');
 class RuleManager {
     constructor() {
         this.rules = new Map(); // Map of rule ID to rule instance
+        this.executionListeners = []; // Called with (rule, execution) when a rule's action sequence finishes
+    }
+
+    /**
+     * Register a listener for finished rule executions
+     * @param {Function} listener - Called with the rule and its execution record
+     */
+    addExecutionListener(listener) {
+        if (!this.executionListeners.includes(listener)) {
+            this.executionListeners.push(listener);
+        }
+    }
+
+    /**
+     * Pass a finished execution to every execution listener
+     * @param {Rule} rule - The rule that ran
+     * @param {Object} execution - The execution record
+     * @returns {Promise<void>} Resolves once every listener has handled the execution
+     */
+    async notifyExecutionListeners(rule, execution) {
+        for (const listener of this.executionListeners) {
+            try {
+                await listener(rule, execution);
+            } catch (error) {
+                console.error(`Execution listener failed for rule ${rule.id}:`, error);
+            }
+        }
     }
 
     /**
      * Create a new rule and add it to the manager
      * @param {string} ruleString - The rule string in natural language format
+     * @param {Object} [settings={}] - Optional triggerMode, cooldownSeconds, maxFiresPerHour, failurePolicy and priority,
+     *   and the id to register the rule under (generated when omitted)
      * @returns {string} The ID of the created rule
+     * @throws {RuleError} If the rule cannot be parsed, references unknown events or gives its actions invalid parameters
+     * @throws {Error} If a rule with the given id is already registered
      */
-    createRule(ruleString) {
+    createRule(ruleString, settings = {}) {
         try {
-            const id = `rule_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-            const rule = new Rule(ruleString, id);
+            const id = settings.id || `rule_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+            if (this.rules.has(id)) {
+                throw new Error(`Rule ${id} is already registered`);
+            }
+
+            const rule = new Rule(ruleString, id, {
+                triggerMode: settings.triggerMode,
+                cooldownSeconds: settings.cooldownSeconds,
+                maxFiresPerHour: settings.maxFiresPerHour,
+                failurePolicy: settings.failurePolicy,
+                priority: settings.priority,
+                onExecutionFinished: (finishedRule, execution) => this.notifyExecutionListeners(finishedRule, execution)
+            });
             this.rules.set(id, rule);
             console.log(`Rule created and registered with ID: ${id}`);
             
@@ -32,14 +76,14 @@ class RuleManager {
                         console.log(`Rule ${id} async initialization completed successfully`);
                         
                         // Connect the rule to matching actions after initialization
-                        const matchingActions = ActionRegistry.connectRuleToActions(rule);
-                        console.log(`Rule ${id} connected to ${matchingActions.length} actions`);
+                        this.connectRuleToActions(rule);
+                        this.checkActionParameters(rule);
                     })
                     .catch(error => {
                         console.error(`Rule ${id} async initialization failed:`, error);
                         
                         // Rule initialization failed, remove it from the manager
-                        this.rules.delete(id);
+                        this.deleteRule(id);
                         
                         // We can't throw an error here since we're in a promise callback
                         // The error will be handled by the caller through event emitter or callback pattern
@@ -51,8 +95,13 @@ class RuleManager {
             }
             
             // For synchronous rules, connect to actions immediately
-            const matchingActions = ActionRegistry.connectRuleToActions(rule);
-            console.log(`Rule ${id} connected to ${matchingActions.length} actions`);
+            this.connectRuleToActions(rule);
+            try {
+                this.checkActionParameters(rule);
+            } catch (error) {
+                this.deleteRule(id);
+                throw error;
+            }
             
             return id;
         } catch (error) {
@@ -61,6 +110,101 @@ class RuleManager {
         }
     }
 
+    /**
+     * Connect a rule to its matching actions
+     * Records a warning diagnostic on the rule for every action step no action can handle
+     * @param {Rule} rule - The rule to connect
+     * @returns {Array<Action>} The actions now observing the rule
+     */
+    connectRuleToActions(rule) {
+        const matchingActions = ActionRegistry.connectRuleToActions(rule);
+        console.log(`Rule ${rule.id} connected to ${matchingActions.length} actions`);
+
+        rule.getAllActionSteps()
+            .filter(step => step.type === StepType.ACTION && step.targets.length === 0)
+            .forEach(step => rule.diagnostics.push(this.createNoMatchingActionDiagnostic(step)));
+
+        return matchingActions;
+    }
+
+    /**
+     * Create the warning recorded when no action can handle an action step
+     * @param {Object} step - The action step without matching actions
+     * @returns {Object} A no_matching_action diagnostic
+     */
+    createNoMatchingActionDiagnostic(step) {
+        return RuleError.diagnostic({
+            code: 'no_matching_action',
+            severity: 'warning',
+            message: `No registered action can handle "${step.text}"`,
+            start: step.start,
+            end: step.end,
+            found: step.text,
+            expected: ['action'],
+            suggestions: ActionRegistry.suggestActionNames(step.text)
+        });
+    }
+
+    /**
+     * Check the parameters every action step gives the actions that handle it
+     * against the parameters declared by the actions' types
+     * @param {Rule} rule - The rule to check
+     * @param {ActionRegistry} [actionRegistry=ActionRegistry] - The registry resolving the steps' actions
+     * @throws {RuleError} With an invalid_action_parameter diagnostic for every invalid parameter
+     */
+    checkActionParameters(rule, actionRegistry = ActionRegistry) {
+        const diagnostics = [];
+
+        rule.getAllActionSteps()
+            .filter(step => step.type === StepType.ACTION)
+            .forEach(step => {
+                actionRegistry.findActionsForStep(step.text).forEach(action => {
+                    actionRegistry.parseActionParameters(action, step.text).errors.forEach(error => {
+                        diagnostics.push(RuleError.diagnostic({
+                            code: 'invalid_action_parameter',
+                            message: `${action.name}: ${error.message}`,
+                            start: step.start + error.start,
+                            end: step.start + error.end,
+                            found: error.found,
+                            expected: error.expected,
+                            suggestions: error.suggestions
+                        }));
+                    });
+                });
+            });
+
+        if (diagnostics.length > 0) {
+            throw new RuleError(
+                `Invalid action parameters: ${diagnostics.map(diagnostic => diagnostic.message).join('; ')}`,
+                diagnostics
+            );
+        }
+    }
+
+    /**
+     * Compile a rule string without registering it
+     * Events and actions are resolved exactly as for createRule, but the rule does not
+     * observe its events, no action observes the rule and the rule is not stored
+     * @param {string} ruleString - The rule string in natural language format
+     * @returns {Promise<Object>} Object with the compiled rule and the actions it would drive
+     * @throws {RuleError} If the rule cannot be parsed, references unknown events or gives its actions invalid parameters
+     */
+    async validateRule(ruleString) {
+        const rule = new Rule(ruleString, 'validation', { dryRun: true });
+
+        // Custom anomaly descriptions are resolved asynchronously
+        if (rule.initPromise) {
+            await rule.initPromise;
+        }
+
+        rule.getAllActionSteps()
+            .filter(step => step.type === StepType.ACTION && ActionRegistry.findActionsForStep(step.text).length === 0)
+            .forEach(step => rule.diagnostics.push(this.createNoMatchingActionDiagnostic(step)));
+        this.checkActionParameters(rule);
+
+        return { rule, actions: ActionRegistry.findActionsForRule(rule) };
+    }
+
     /**
      * Get a rule by ID
      * @param {string} ruleId - The ID of the rule to retrieve
@@ -78,31 +222,23 @@ class RuleManager {
     deleteRule(ruleId) {
         const rule = this.rules.get(ruleId);
         if (rule) {
-            // Handle multi-condition rules
-            if (rule.isMultiCondition && rule.eventNames && rule.eventNames.length > 0) {
-                // Remove the rule as an observer from all its events
-                for (const eventName of rule.eventNames) {
-                    if (eventName) {
-                        const event = EventRegistry.getEvent(eventName);
-                        if (event) {
-                            event.removeObserver(rule);
-                            console.log(`Removed multi-condition rule ${ruleId} from event ${eventName}`);
-                        }
-                    }
-                }
-            } 
-            // Handle single-condition rules
-            else if (rule.eventName) {
-                // Remove the rule as an observer from its event
-                const event = EventRegistry.getEvent(rule.eventName);
+            if (rule.eventNames.length === 0) {
+                console.warn(`Rule ${ruleId} has no observed events defined during deletion`);
+            }
+
+            // Remove the rule as an observer from all its events
+            for (const eventName of rule.eventNames) {
+                const event = EventRegistry.getEvent(eventName);
                 if (event) {
                     event.removeObserver(rule);
-                    console.log(`Removed single-condition rule ${ruleId} from event ${rule.eventName}`);
+                    console.log(`Removed rule ${ruleId} from event ${eventName}`);
                 }
-            } else {
-                console.warn(`Rule ${ruleId} has no eventName or eventNames defined during deletion`);
             }
             
+            // Cancel pending "for N minutes" timers and running action sequences
+            rule.clearDurationTimers();
+            rule.cancelActionSequences();
+
             // Disconnect the rule from all actions
             ActionRegistry.disconnectRuleFromActions(rule);
             
@@ -148,6 +284,26 @@ class RuleManager {
         return false;
     }
 
+    /**
+     * Update the trigger mode, cooldown, hourly limit, failure policy and priority of a rule
+     * @param {string} ruleId - The ID of the rule to update
+     * @param {Object} settings - triggerMode, cooldownSeconds, maxFiresPerHour, failurePolicy and/or priority
+     * @returns {boolean} True if the rule was updated, false if it was not found
+     * @throws {Error} If a setting is invalid
+     */
+    updateRuleSettings(ruleId, settings) {
+        const rule = this.rules.get(ruleId);
+        if (rule) {
+            rule.setTriggerSettings(settings);
+            rule.setFailurePolicy(settings.failurePolicy);
+            rule.setPriority(settings.priority);
+            return true;
+        }
+
+        console.warn(`Rule ${ruleId} not found for settings update`);
+        return false;
+    }
+
     /**
      * Get all rules
      * @returns {Array<Rule>} Array of all rule instances
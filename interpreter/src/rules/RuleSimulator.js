@@ -0,0 +1,363 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { DateTime } = require('luxon');
+const Rule = require('./Rule');
+const RuleManager = require('./RuleManager');
+const EventRegistry = require('../events/EventRegistry');
+const ActionRegistry = require('../actions/ActionRegistry');
+const Action = require('../actions/Action');
+const { StepType, CLOCK_EVENT_NAME } = require('../parser/RuleParser');
+
+const SENSOR_LOG_PATH = path.join(__dirname, '../../../logs/sensor_data.csv');
+const MINUTE_MS = 60 * 1000;
+
+// Columns of the sensor log that record device state rather than sensor events
+const DEVICE_COLUMNS = ['light_state', 'ac_state', 'targetTemperature', 'targetAcMode'];
+
+/**
+ * Convert a value logged in the sensor CSV
+ * @param {string} value - The raw cell
+ * @returns {boolean|number|string|null} The value, or null when nothing was logged
+ */
+function parseCell(value) {
+    const trimmed = value.trim();
+    if (trimmed === '' || trimmed.toUpperCase() === 'N/A') {
+        return null;
+    }
+    if (/^(true|false)$/i.test(trimmed)) {
+        return trimmed.toLowerCase() === 'true';
+    }
+    const number = Number(trimmed);
+    return isNaN(number) ? trimmed : number;
+}
+
+/**
+ * Let the promise chains started by an evaluation run to completion
+ * Simulated actions resolve right away, so everything pending is a microtask
+ * @returns {Promise<void>} Resolves once the microtask queue is empty
+ */
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Clock that only moves when the simulation advances it
+ * Timers of the simulated rule fire in order as the clock passes their due time
+ */
+class SimulatedClock {
+    /**
+     * @param {number} time - Start time in milliseconds
+     * @param {Function} onTick - Called with the new time whenever the clock moves
+     */
+    constructor(time, onTick) {
+        this.time = time;
+        this.onTick = onTick;
+        this.timers = new Map(); // Timer id to { due, callback }
+        this.nextTimerId = 1;
+        this.onTick(time);
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, { due: this.time + Math.max(delay, 0), callback });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Move the clock forward, firing every timer that falls due on the way
+     * @param {number} time - Target time in milliseconds
+     */
+    async advanceTo(time) {
+        for (;;) {
+            const [id, timer] = [...this.timers.entries()]
+                .filter(([, candidate]) => candidate.due <= time)
+                .sort(([idA, a], [idB, b]) => a.due - b.due || idA - idB)[0] || [];
+            if (!timer) {
+                break;
+            }
+
+            this.timers.delete(id);
+            this.setTime(timer.due);
+            timer.callback();
+            await settle();
+        }
+
+        this.setTime(time);
+    }
+
+    setTime(time) {
+        if (time > this.time) {
+            this.time = time;
+            this.onTick(time);
+        }
+    }
+}
+
+/**
+ * Stand-in for a registered action that records commands instead of sending them
+ * Parsing and matching are delegated to the real action, so a simulated rule
+ * connects to exactly the devices it would drive for real
+ */
+class SimulatedAction extends Action {
+    /**
+     * @param {Action} action - The real action
+     * @param {Function} recordCommand - Called with (action, context) for every command
+     */
+    constructor(action, recordCommand) {
+        super(action.name, action.type, action.location);
+        this.action = action;
+        this.actionType = action.actionType;
+        this.recordCommand = recordCommand;
+    }
+
+    canHandleAction(actionString) {
+        return this.action.canHandleAction(actionString);
+    }
+
+    preParseActionString(actionString) {
+        return this.action.preParseActionString(actionString);
+    }
+
+    parseActionString(actionString) {
+        const { state, params } = this.preParseActionString(actionString);
+        this.state = state;
+        this.params = params;
+    }
+
+    async execute(context = {}) {
+        this.recordCommand(this, context);
+        return { success: true, message: `Simulated ${this.name}` };
+    }
+
+    logAction(message) {
+        // Replays run every evaluation of a time range, so simulated actions stay quiet
+    }
+}
+
+/**
+ * Replays logged sensor data through a candidate rule
+ *
+ * The rule runs in its own EventRegistry and ActionRegistry, so the live rules,
+ * events and devices are never touched. Each row of the sensor log sets the events
+ * named by its columns and evaluates the rule once at the row's time; time conditions
+ * are also evaluated at every minute in between, as the live clock does. "for N minutes"
+ * conditions and "wait" steps run on the simulated clock. Actions are replaced with
+ * simulated ones that record the commands they would have sent.
+ */
+class RuleSimulator {
+    constructor() {
+        this.logFilePath = SENSOR_LOG_PATH;
+    }
+
+    /**
+     * Read the rows of the sensor log
+     * @param {Object} [options={}] - from and to (milliseconds, inclusive) and spaceId to filter on
+     * @returns {Promise<Object>} The event column names and the rows with time, values and spaceId, oldest first
+     */
+    async readSensorLog({ from = null, to = null, spaceId = null } = {}) {
+        const content = await fs.readFile(this.logFilePath, 'utf8');
+        const [headerLine, ...lines] = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        const columns = headerLine.split(',').map(column => column.trim());
+
+        const rows = lines
+            .map(line => {
+                const cells = line.split(',');
+                const record = Object.fromEntries(columns.map((column, index) => [column, cells[index] || '']));
+                const time = DateTime.fromSQL(record.timestamp.trim(), { zone: 'utc' });
+                return {
+                    time: time.isValid ? time.toMillis() : null,
+                    spaceId: record.spaceId ? record.spaceId.trim() : null,
+                    values: Object.fromEntries(
+                        columns
+                            .filter(column => column !== 'timestamp' && column !== 'spaceId')
+                            .map(column => [column, parseCell(record[column])])
+                    )
+                };
+            })
+            .filter(row => row.time !== null &&
+                (from === null || row.time >= from) &&
+                (to === null || row.time <= to) &&
+                (spaceId === null || row.spaceId === String(spaceId)))
+            .sort((a, b) => a.time - b.time);
+
+        return {
+            eventColumns: columns.filter(column =>
+                column !== 'timestamp' && column !== 'spaceId' && !DEVICE_COLUMNS.includes(column)),
+            rows
+        };
+    }
+
+    /**
+     * Parse a time range boundary
+     * Times without an offset are read in the clock's timezone, like the times in rules
+     * @param {string|number|null} value - ISO time or milliseconds
+     * @param {string} zone - The clock's timezone
+     * @returns {number|null|undefined} Milliseconds, null when not given, undefined when invalid
+     */
+    parseTime(value, zone) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const time = typeof value === 'number'
+            ? DateTime.fromMillis(value)
+            : DateTime.fromISO(String(value), { zone });
+        return time.isValid ? time.toMillis() : undefined;
+    }
+
+    /**
+     * Simulate a rule over a time range of the sensor log
+     * Action sequences still waiting at the end of the range are cancelled.
+     * @param {string} ruleString - The candidate rule
+     * @param {Object} [options={}] - Simulation options
+     * @param {string|number} [options.from] - Start of the range (default: the first logged row)
+     * @param {string|number} [options.to] - End of the range (default: the last logged row)
+     * @param {string} [options.spaceId] - Only replay rows logged for this space
+     * @param {Object} [options.settings] - triggerMode, cooldownSeconds, maxFiresPerHour, failurePolicy and priority
+     * @returns {Promise<Object>} The replayed range, every firing of the rule and every device command,
+     *   or { success: false, error, diagnostics } when the rule or the range is invalid
+     */
+    async simulate(ruleString, { from, to, spaceId = null, settings = {} } = {}) {
+        const eventRegistry = new EventRegistry.constructor();
+        const zone = eventRegistry.clockEvent.timezone;
+        const fromTime = this.parseTime(from, zone);
+        const toTime = this.parseTime(to, zone);
+
+        if (fromTime === undefined || toTime === undefined) {
+            return { success: false, error: 'from and to must be ISO 8601 times' };
+        }
+        if (fromTime !== null && toTime !== null && fromTime > toTime) {
+            return { success: false, error: 'from must not be after to' };
+        }
+
+        const { eventColumns, rows } = await this.readSensorLog({ from: fromTime, to: toTime, spaceId });
+        if (rows.length === 0) {
+            return { success: false, error: 'No sensor data logged in the requested range' };
+        }
+
+        const startTime = fromTime !== null ? fromTime : rows[0].time;
+        const endTime = toTime !== null ? toTime : rows[rows.length - 1].time;
+        const formatTime = time => DateTime.fromMillis(time, { zone }).toISO();
+
+        eventRegistry.createEventInstances(eventColumns);
+        const clock = new SimulatedClock(startTime, time => {
+            eventRegistry.clockEvent.currentValue = DateTime.fromMillis(time, { zone });
+        });
+
+        let currentRow = null;
+        const commands = [];
+        const recordCommand = (action, context) => {
+            const loggedState = currentRow ? currentRow.values[`${action.type}_state`] : undefined;
+            commands.push({
+                time: formatTime(clock.now()),
+                branch: context.branch || 'then',
+                action: action.name,
+                type: action.type,
+                location: action.location,
+                state: action.state,
+                params: action.params,
+                loggedState: loggedState === undefined ? null : loggedState
+            });
+        };
+
+        const actionRegistry = new ActionRegistry.constructor();
+        // A lone rule has no other requests to be arbitrated against, and running its
+        // actions directly keeps the whole sequence on the simulated clock
+        actionRegistry.arbitratedTypes = new Set();
+        ActionRegistry.getAllActions().forEach(action => {
+            actionRegistry.registerAction(new SimulatedAction(action, recordCommand));
+        });
+
+        const executions = [];
+        let rule;
+        try {
+            rule = new Rule(ruleString, 'simulation', {
+                ...settings,
+                eventRegistry,
+                actionRegistry,
+                clock,
+                onExecutionFinished: (finishedRule, execution) => executions.push(execution)
+            });
+            if (rule.initPromise) {
+                await rule.initPromise;
+            }
+        } catch (error) {
+            return { success: false, error: error.message, diagnostics: error.diagnostics || [] };
+        }
+
+        actionRegistry.connectRuleToActions(rule);
+        rule.getAllActionSteps()
+            .filter(step => step.type === StepType.ACTION && step.targets.length === 0)
+            .forEach(step => rule.diagnostics.push(RuleManager.createNoMatchingActionDiagnostic(step)));
+        try {
+            RuleManager.checkActionParameters(rule, actionRegistry);
+        } catch (error) {
+            return { success: false, error: error.message, diagnostics: error.diagnostics };
+        }
+
+        // Time conditions are re-evaluated every minute, as the live clock does
+        if (rule.eventNames.includes(CLOCK_EVENT_NAME)) {
+            const tick = () => {
+                eventRegistry.clockEvent.notifyObservers();
+                clock.setTimeout(tick, MINUTE_MS - (clock.now() % MINUTE_MS));
+            };
+            clock.setTimeout(tick, MINUTE_MS - (startTime % MINUTE_MS));
+        }
+
+        for (const row of rows) {
+            await clock.advanceTo(row.time);
+            currentRow = row;
+
+            Object.entries(row.values)
+                .filter(([, value]) => value !== null)
+                .forEach(([column, value]) => {
+                    const event = eventRegistry.getEvent(column);
+                    if (event && event !== eventRegistry.clockEvent) {
+                        event.currentValue = value;
+                    }
+                });
+
+            rule.evaluate();
+            await settle();
+        }
+
+        await clock.advanceTo(endTime);
+        rule.cancelActionSequences();
+        rule.clearDurationTimers();
+        await settle();
+
+        const firings = executions
+            .sort((a, b) => a.startedAt - b.startedAt)
+            .map(execution => ({
+                time: formatTime(execution.startedAt.getTime()),
+                branch: execution.branch,
+                status: execution.status,
+                context: execution.context,
+                steps: execution.steps.map(step => ({
+                    type: step.type,
+                    text: step.text,
+                    status: step.status,
+                    actions: step.results.map(result => result.action)
+                }))
+            }));
+
+        return {
+            success: true,
+            ruleString,
+            range: { from: formatTime(startTime), to: formatTime(endTime) },
+            rowsReplayed: rows.length,
+            firings,
+            commands,
+            diagnostics: rule.diagnostics
+        };
+    }
+}
+
+module.exports = new RuleSimulator(); // Export a singleton instance
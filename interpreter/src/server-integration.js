@@ -1,14 +1,18 @@
 const { initialize } = require("./index");
 const EventRegistry = require("./events/EventRegistry");
 const RuleManager = require("./rules/RuleManager");
-const fs = require("fs").promises;
-const path = require("path");
+const RuleParser = require("./parser/RuleParser");
 const Rule = require("../../models/Rule"); // Import the MongoDB Rule model
+const CalendarEvent = require("../../models/CalendarEvent");
 const ActionRegistry = require("./actions/ActionRegistry");
+const ConflictDetector = require("./rules/ConflictDetector");
+const RuleSimulator = require("./rules/RuleSimulator");
 const sensorLoggingService = require("../../services/sensor-logging.service");
+const ruleExecutionsService = require("../../services/rule-executions.service");
+const { getRaspPiEndpoints, addEndpointsListener } = require("../../services/edge-nodes.service");
 
 let interpreterInitialized = false;
-let sensorPollingInterval = null;
+let sensorPollingInterval = null; // Interval of the polling started for every Pi, null when stopped
 let anomalyPollingInterval = null;
 
 /**
@@ -29,12 +33,15 @@ async function initializeInterpreter() {
     console.log("Initializing actions registry...");
     await ActionRegistry.initializeActions();
 
+    // Follow Raspberry Pis added to the registry or moved to a new URL
+    addEndpointsListener(reloadRaspiEndpoints);
+
     // Create default SMS actions
     console.log("Creating default SMS actions...");
     await createDefaultSmsActions();
 
-    // Then load existing rules from MongoDB
-    await loadRulesFromDatabase();
+    // Persist the history of every rule execution
+    RuleManager.addExecutionListener(recordRuleExecution);
 
     // Initialize sensor logging service
     await initializeSensorLogging();
@@ -42,6 +49,9 @@ async function initializeInterpreter() {
     interpreterInitialized = true;
     console.log("Interpreter initialized successfully");
 
+    // Then load existing rules from MongoDB, which needs the interpreter initialized
+    await loadRulesFromDatabase();
+
     // Try to start sensor polling automatically
     await startSensorPolling();
 
@@ -55,6 +65,27 @@ async function initializeInterpreter() {
   }
 }
 
+/**
+ * Reload the Raspberry Pi endpoints of the event and action registries after a change of the Pi registry
+ * @param {Object} endpoints - Map of Pi IPs to URLs
+ * @param {Object} change - The change (type, ip, url and previousUrl)
+ */
+async function reloadRaspiEndpoints(endpoints, change) {
+  console.log(`Raspberry Pi ${change.ip} ${change.type}, reloading its endpoints`);
+  await EventRegistry.updateRaspiEndpoints(endpoints);
+  await ActionRegistry.updateRaspiEndpoints(endpoints);
+
+  // While the Pis are polled, poll the added ones and stop polling the removed ones
+  if (sensorPollingInterval !== null) {
+    const interpreterSensorService = require("../../services/interpreter-sensor.service");
+    if (change.type === "created") {
+      interpreterSensorService.startSensorPolling(change.ip, sensorPollingInterval);
+    } else if (change.type === "deleted") {
+      interpreterSensorService.stopSensorPolling(change.ip);
+    }
+  }
+}
+
 async function initializeSensorLogging() {
   try {
     console.log("Initializing sensor logging service with sensor data...");
@@ -162,194 +193,35 @@ function createDefaultSmsActions() {
 
 /**
  * Load existing rules from MongoDB and add them to the interpreter
+ * Goes through the rule sync service, like /api-interpreter/rebuild-rules, so every rule is
+ * loaded from its ruleString under its own id and the stored rules are left untouched
+ * @returns {Promise<Object|null>} The loaded and failed rule ids, or null if the rules could not be loaded
  */
 async function loadRulesFromDatabase() {
+  // Required here since the rule sync service requires this module
+  const ruleSync = require("../../services/rule-sync.service");
+
   try {
     console.log("Loading all rules from database...");
-
-    // Fetch all rules from the database (both active and inactive)
-    const dbRules = await Rule.find({});
-    console.log(`Found ${dbRules.length} total rules in database`);
-
-    // Rules that were successfully loaded
-    const loadedRules = [];
-    // Rules that could not be parsed
-    const failedRules = [];
-
-    // Process each rule
-    for (const dbRule of dbRules) {
-      try {
-        // Try to use description first, then condition if description is empty
-        const ruleString = dbRule.description || dbRule.condition;
-
-        if (!ruleString) {
-          console.log(`Skipping rule ID ${dbRule.id}: No rule text found`);
-          failedRules.push({ id: dbRule.id, reason: "No rule text found" });
-          continue;
-        }
-
-        console.log(
-          `Processing rule: ${ruleString}, isActive: ${dbRule.isActive}`
-        );
-
-        // Try to parse the rule to check if it matches our format
-        if (isValidRuleFormat(ruleString)) {
-          // Create rule in our interpreter (rules are active by default when created)
-          const ruleId = RuleManager.createRule(ruleString);
-
-          // If the rule should be inactive, deactivate it
-          if (!dbRule.isActive) {
-            console.log(
-              `Deactivating rule ${ruleId} as it is inactive in the database`
-            );
-            RuleManager.deactivateRule(ruleId);
-          }
-
-          // Update the database record with the interpreter rule ID
-          await Rule.updateOne(
-            { _id: dbRule._id },
-            {
-              $set: {
-                interpreterId: ruleId,
-                ruleString: ruleString,
-              },
-            }
-          );
-
-          console.log(
-            `Loaded rule from database: ${ruleString} (ID: ${ruleId}, active: ${dbRule.isActive})`
-          );
-          loadedRules.push({
-            id: dbRule.id,
-            ruleId,
-            ruleString,
-            isActive: dbRule.isActive,
-          });
-        } else {
-          console.log(
-            `Rule rejected - does not match required format: ${ruleString}`
-          );
-          failedRules.push({
-            id: dbRule.id,
-            reason: "Invalid format",
-            ruleString,
-          });
-        }
-      } catch (error) {
-        console.error(`Error processing rule ${dbRule.id}:`, error);
-        failedRules.push({
-          id: dbRule.id,
-          reason: error.message,
-          ruleString: dbRule.description || dbRule.condition,
-        });
-      }
+    const result = await ruleSync.syncAll();
+    if (result.statusCode !== 200) {
+      console.error("Failed to load the rules from database:", result.message);
+      return null;
     }
 
-    console.log(
-      `Successfully loaded ${loadedRules.length} rules into interpreter`
-    );
-    if (failedRules.length > 0) {
-      console.log(`Failed to load ${failedRules.length} rules:`);
-      failedRules.forEach((fail) => {
-        console.log(
-          `- Rule ${fail.id}: ${fail.reason} (${fail.ruleString || "no text"})`
-        );
-      });
-    }
-
-    return { loadedRules, failedRules };
+    result.data.failed.forEach((fail) => console.log(`- Rule ${fail.id}: ${fail.error}`));
+    return result.data;
   } catch (error) {
+    // The rules can be loaded later through /api-interpreter/rebuild-rules
     console.error("Error loading rules from database:", error);
-    throw error;
+    return null;
   }
 }
 
 /**
- * Check if a rule string matches our required format: [event][condition] then [action]
- * @param {string} ruleString - The rule string to check
- * @returns {boolean} True if the rule matches our format, false otherwise
- */
-function isValidRuleFormat(ruleString) {
-  if (!ruleString) return false;
-
-  // Normalize rule string to lowercase for consistent matching
-  const normalizedRule = ruleString.toLowerCase();
-
-  // Basic check for "if" and "then" keywords - case insensitive
-  const ifThenPattern = /if\s+(.+?)\s+then\s+(.+)/i;
-  const ifThenMatch = normalizedRule.match(ifThenPattern);
-
-  if (!ifThenMatch) return false;
-
-  // Get the condition part
-  const conditionPart = ifThenMatch[1].trim();
-
-  // Check for multi-condition rules with AND
-  const andPattern = /\s+AND\s+/i;
-  const hasAndOperator = andPattern.test(conditionPart);
-
-  if (hasAndOperator) {
-    // Split conditions by AND and validate each one
-    const conditionStrings = conditionPart.split(andPattern).map(c => c.trim());
-    
-    // Each condition must be valid
-    for (const conditionStr of conditionStrings) {
-      if (!isValidSingleCondition(conditionStr)) {
-        return false;
-      }
-    }
-    
-    return true;
-  }
-
-  // Single condition rule - validate the single condition
-  return isValidSingleCondition(conditionPart);
-}
-
-/**
- * Check if a single condition string is valid
- * @param {string} conditionStr - The condition string to check
- * @returns {boolean} True if the condition is valid, false otherwise
- */
-function isValidSingleCondition(conditionStr) {
-  if (!conditionStr) return false;
-
-  // Check if this is an anomaly rule with standard "detected" pattern
-  if (
-    conditionStr.includes("anomaly detected") ||
-    conditionStr.includes("anomaly not detected")
-  ) {
-    return true;
-  }
-
-  // Check if this is a motion detected rule
-  const motionDetectedPattern = /(.+?)\s+motion\s+detected$/i;
-  if (motionDetectedPattern.test(conditionStr)) {
-    return true;
-  }
-
-  // Check if this is a rule with custom description using "detected" pattern
-  if (conditionStr.endsWith("detected")) {
-    return true;
-  }
-
-  // Check if this is a boolean rule (e.g., "Living Room motion true")
-  const booleanPattern = /(.+?)\s+(true|false)$/i;
-  if (booleanPattern.test(conditionStr)) {
-    return true;
-  }
-
-  // Check that condition part has an operator for standard rules
-  const operatorPattern = /(.+?)\s+([<>=!]+)\s+(.+)/;
-  const operatorMatch = conditionStr.match(operatorPattern);
-
-  return !!operatorMatch;
-}
-
-/**
- * Start polling sensors to update events
- * @param {number} interval - Polling interval in milliseconds (default: 30000)
- * @returns {boolean} True if polling started successfully, false otherwise
+ * Start polling the sensors of every registered Raspberry Pi, each in its own worker
+ * @param {number} interval - Polling interval in milliseconds (default: 100000)
+ * @returns {Promise<boolean>} True if polling started for at least one Pi, false otherwise
  */
 async function startSensorPolling(interval = 100000) {
   try {
@@ -361,10 +233,8 @@ async function startSensorPolling(interval = 100000) {
     // Stop any existing polling
     stopSensorPolling();
 
-    // Load Raspberry Pi configuration
-    const configPath = path.join(__dirname, "../../api/endpoint/rasp_pi.json");
-    const configData = await fs.readFile(configPath, "utf8");
-    const config = JSON.parse(configData);
+    // Load the Raspberry Pis from the registry
+    const config = await getRaspPiEndpoints();
 
     const raspPiIPs = Object.keys(config);
     if (raspPiIPs.length === 0) {
@@ -372,17 +242,15 @@ async function startSensorPolling(interval = 100000) {
       return false;
     }
 
-    // For simplicity, use the first Raspberry Pi IP
-    const raspPiIP = raspPiIPs[0];
-
     console.log(
-      `Starting sensor polling for Raspberry Pi at ${raspPiIP} with interval ${interval}ms`
+      `Starting sensor polling for ${raspPiIPs.length} Raspberry Pi(s) with interval ${interval}ms`
     );
 
     // Import the service here to avoid circular dependencies
     const interpreterSensorService = require("../../services/interpreter-sensor.service");
 
-    interpreterSensorService.startSensorPolling(raspPiIP, interval);
+    raspPiIPs.forEach((raspPiIP) => interpreterSensorService.startSensorPolling(raspPiIP, interval));
+    sensorPollingInterval = interval;
     return true;
   } catch (error) {
     console.error("Error starting sensor polling:", error);
@@ -398,6 +266,7 @@ function stopSensorPolling() {
   // Import the service here to avoid circular dependencies
   const interpreterSensorService = require("../../services/interpreter-sensor.service");
 
+  sensorPollingInterval = null;
   const result = interpreterSensorService.stopSensorPolling();
   return result.success;
 }
@@ -405,22 +274,191 @@ function stopSensorPolling() {
 /**
  * Create a new rule
  * @param {string} ruleString - The rule string in natural language format
- * @returns {Object} Object with rule ID and success status
+ * @param {Object} [settings={}] - Optional triggerMode, cooldownSeconds, maxFiresPerHour,
+ *   failurePolicy, priority and id to register the rule under (a stored rule document can be
+ *   passed as is, which registers the rule under its MongoDB id)
+ * @returns {Object} Object with rule ID and success status, plus diagnostics
+ *   (errors when creation failed, warnings such as unmatched actions when it succeeded)
  */
-function createRule(ruleString) {
+function createRule(ruleString, settings = {}) {
   try {
     if (!interpreterInitialized) {
       return { success: false, error: "Interpreter not initialized" };
     }
 
-    const ruleId = RuleManager.createRule(ruleString);
-    return { success: true, ruleId };
+    const ruleId = RuleManager.createRule(ruleString, settings);
+    const rule = RuleManager.getRule(ruleId);
+    return { success: true, ruleId, diagnostics: rule.diagnostics };
   } catch (error) {
     console.error("Error creating rule:", error);
+    return {
+      success: false,
+      error: error.message,
+      diagnostics: error.diagnostics || [],
+    };
+  }
+}
+
+/**
+ * Validate a rule string without creating it (dry run)
+ * Runs the full parse and resolves every event and matching action,
+ * but attaches no observers and persists nothing
+ * @param {string} ruleString - The rule string in natural language format
+ * @returns {Promise<Object>} Object with the validity, the events the rule would observe,
+ *   the actions it would drive and the diagnostics
+ */
+async function validateRule(ruleString) {
+  if (!interpreterInitialized) {
+    return { success: false, error: "Interpreter not initialized" };
+  }
+
+  try {
+    const { rule, actions } = await RuleManager.validateRule(ruleString);
+
+    // Validated rules are not connected, so match each step here
+    const describeMatchedStep = (step) =>
+      describeActionStep(
+        step,
+        step.type === RuleParser.StepType.ACTION
+          ? ActionRegistry.findActionsForStep(step.text)
+          : []
+      );
+
+    return {
+      success: true,
+      valid: true,
+      conditions: RuleParser.getConditions(rule.conditionTree).map(
+        (condition) => ({
+          eventName: condition.eventName,
+          operator: condition.operator,
+          value: condition.value,
+          duration: condition.duration,
+          text: condition.text,
+        })
+      ),
+      events: rule.eventNames.map((eventName) => {
+        const event = EventRegistry.getEvent(eventName);
+        return {
+          name: event.name,
+          type: event.type,
+          location: event.location,
+          currentValue: event.currentValue,
+        };
+      }),
+      actionString: rule.actionString,
+      actions: actions.map((action) => ({
+        name: action.name,
+        type: action.type,
+        location: action.location,
+      })),
+      steps: rule.actionSteps.map(describeMatchedStep),
+      elseActionString: rule.elseActionString,
+      elseSteps: rule.elseSteps.map(describeMatchedStep),
+      diagnostics: rule.diagnostics,
+    };
+  } catch (error) {
+    if (!error.diagnostics) {
+      console.error("Error validating rule:", error);
+      return { success: false, error: error.message };
+    }
+
+    return {
+      success: true,
+      valid: false,
+      error: error.message,
+      diagnostics: error.diagnostics,
+    };
+  }
+}
+
+/**
+ * Replay a time range of the sensor log through a rule that is not loaded
+ * The rule runs against its own events and simulated copies of the registered
+ * actions, so no live rule, event or device is affected
+ * @param {string} ruleString - The rule string in natural language format
+ * @param {Object} [options={}] - from, to, spaceId and rule settings (see RuleSimulator.simulate)
+ * @returns {Promise<Object>} Object with every firing of the rule and the device commands it would have sent
+ */
+async function simulateRule(ruleString, options = {}) {
+  if (!interpreterInitialized) {
+    return { success: false, error: "Interpreter not initialized" };
+  }
+
+  try {
+    return await RuleSimulator.simulate(ruleString, options);
+  } catch (error) {
+    console.error("Error simulating rule:", error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Describe an action step of a rule for API responses
+ * @param {Object} step - The action or wait step
+ * @param {Array<Action>} [actions] - Actions driven by the step (defaults to the step's connected actions)
+ * @returns {Object} Object with type, text, duration (wait steps) and action names
+ */
+function describeActionStep(
+  step,
+  actions = step.targets.map((target) => target.action)
+) {
+  return {
+    type: step.type,
+    text: step.text,
+    duration: step.duration,
+    actions: actions.map((action) => action.name),
+  };
+}
+
+/**
+ * Save a finished rule execution to the execution history
+ * @param {Rule} rule - The interpreter rule that ran
+ * @param {Object} execution - The execution record built by the rule
+ * @returns {Promise<void>}
+ */
+async function recordRuleExecution(rule, execution) {
+  // Rules are registered under their MongoDB id; older ones may still be linked by interpreterId only
+  const dbRule = await Rule.findOne({ $or: [{ id: rule.id }, { interpreterId: rule.id }] });
+  const { context } = execution;
+
+  await ruleExecutionsService.recordExecution({
+    ruleId: dbRule ? dbRule.id : null,
+    interpreterRuleId: rule.id,
+    space_id: dbRule ? dbRule.space_id : null,
+    ruleString: rule.ruleString,
+    branch: execution.branch,
+    status: execution.status,
+    forced: execution.forced,
+    eventValues: context.isMultiCondition
+      ? context.eventValues
+      : { [context.eventName]: context.eventValue },
+    steps: execution.steps,
+    startedAt: execution.startedAt,
+    finishedAt: execution.finishedAt,
+    durationMs: execution.durationMs,
+  });
+}
+
+/**
+ * Get the execution history of a rule
+ * @param {string} ruleId - The rule's id in MongoDB or its interpreter id
+ * @param {Object} [options={}] - page, limit, from and to
+ * @returns {Promise<Object>} Result with the executions and pagination, or an error for invalid options
+ */
+async function getRuleHistory(ruleId, options = {}) {
+  return ruleExecutionsService.getRuleHistory(ruleId, options);
+}
+
+/**
+ * Get the execution history of all rules of a space
+ * @param {string} spaceId - The space ID
+ * @param {Object} [options={}] - page, limit, from and to
+ * @returns {Promise<Object>} Result with the executions and pagination, or an error for invalid options
+ */
+async function getSpaceHistory(spaceId, options = {}) {
+  return ruleExecutionsService.getSpaceHistory(spaceId, options);
+}
+
 /**
  * Get all available events
  * @returns {Array} Array of event objects
@@ -431,12 +469,18 @@ function getAvailableEvents() {
   }
 
   const events = EventRegistry.getAllEvents();
-  const eventInfoList = events.map((event) => ({
-    name: event.name,
-    type: event.type,
-    location: event.location,
-    currentValue: event.currentValue,
-  }));
+  const eventInfoList = events.map((event) => {
+    const eventType = EventRegistry.getEventType(event.type);
+    return {
+      name: event.name,
+      type: event.type,
+      location: event.location,
+      currentValue: event.currentValue,
+      unit: event.unit || (eventType && eventType.unit) || null,
+      valueType: eventType ? eventType.valueType : null,
+      operators: eventType ? eventType.operators : [],
+    };
+  });
 
   return { success: true, events: eventInfoList };
 }
@@ -456,8 +500,18 @@ function getAllRules() {
     ruleString: rule.ruleString,
     active: rule.active,
     eventName: rule.eventName,
+    eventNames: rule.eventNames,
     condition: rule.condition,
     actionString: rule.actionString,
+    triggerMode: rule.triggerMode,
+    cooldownSeconds: rule.cooldownSeconds,
+    maxFiresPerHour: rule.maxFiresPerHour,
+    failurePolicy: rule.failurePolicy,
+    priority: rule.priority,
+    actions: rule.actionSteps.map(describeActionStep),
+    elseActionString: rule.elseActionString,
+    elseActions: rule.elseSteps.map(describeActionStep),
+    lastExecution: rule.lastExecution,
   }));
 
   return { success: true, rules: ruleInfoList };
@@ -477,6 +531,59 @@ function deleteRule(ruleId) {
   return { success };
 }
 
+/**
+ * Update the trigger mode, cooldown, hourly limit, failure policy and priority of a rule
+ * @param {string} ruleId - The ID of the rule
+ * @param {Object} settings - triggerMode, cooldownSeconds, maxFiresPerHour, failurePolicy and/or priority
+ * @returns {Object} Object with success status
+ */
+function updateRuleSettings(ruleId, settings) {
+  if (!interpreterInitialized) {
+    return { success: false, error: "Interpreter not initialized" };
+  }
+
+  try {
+    const success = RuleManager.updateRuleSettings(ruleId, settings);
+    return success
+      ? { success }
+      : { success, error: `Rule ${ruleId} not found` };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find rules that set the same action to contradictory states on overlapping conditions
+ * Inactive rules and ids the interpreter doesn't know are ignored
+ * @param {Array<string>} ruleIds - Interpreter IDs of the rules to analyse, e.g. the rules of a space
+ * @param {string} [ruleId] - Only report conflicts involving this rule
+ * @returns {Object} Object with success status and the conflicts
+ */
+function getRuleConflicts(ruleIds, ruleId = null) {
+  if (!interpreterInitialized) {
+    return { success: false, error: "Interpreter not initialized" };
+  }
+
+  try {
+    const rules = ruleIds
+      .map((id) => RuleManager.getRule(id))
+      .filter((rule) => rule && rule.active);
+
+    let conflicts;
+    if (ruleId) {
+      const rule = RuleManager.getRule(ruleId);
+      conflicts = rule ? ConflictDetector.findConflictsForRule(rule, rules) : [];
+    } else {
+      conflicts = ConflictDetector.findConflicts(rules);
+    }
+
+    return { success: true, conflicts };
+  } catch (error) {
+    console.error("Error detecting rule conflicts:", error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Activate or deactivate a rule
  * @param {string} ruleId - The ID of the rule
@@ -551,8 +658,8 @@ async function testAction(actionString) {
 }
 
 /**
- * Get all available actions
- * @returns {Array} Array of action objects
+ * Get all available actions with the parameters their steps take, and the registered action types
+ * @returns {Object} Object with the action objects and the action types
  */
 function getAvailableActions() {
   if (!interpreterInitialized) {
@@ -564,9 +671,10 @@ function getAvailableActions() {
     name: action.name,
     type: action.type,
     location: action.location,
+    parameters: ActionRegistry.describeActionParameters(action),
   }));
 
-  return { success: true, actions: actionInfoList };
+  return { success: true, actions: actionInfoList, actionTypes: ActionRegistry.getActionTypes() };
 }
 
 /**
@@ -585,13 +693,85 @@ function getDeviceStates() {
     deviceStates[key] = state;
   });
 
+  const manualOverrides = {};
+  ActionRegistry.manualOverrides.forEach((override, actionName) => {
+    if (ActionRegistry.getManualOverride(actionName)) {
+      manualOverrides[actionName] = override;
+    }
+  });
+
   return {
     success: true,
     deviceStates,
     count: ActionRegistry.deviceStates.size,
+    manualOverrides,
   };
 }
 
+/**
+ * Hold the devices controlled by a manual command so that rules don't immediately undo it
+ * The hold ends early at the next calendar boundary (start or end of a scheduled event) of
+ * the Raspberry Pi. Rules with a priority above the manual override priority still apply.
+ * @param {string} deviceType - The action type, e.g. "ac" or "light"
+ * @param {string} raspIp - The Raspberry Pi IP the command was sent to
+ * @param {Object} command - The manual command, e.g. { state, temperature }
+ * @param {string} source - Where the command came from, e.g. the API route
+ * @returns {Promise<Object>} Object with success status and the held actions
+ */
+async function recordManualOverride(deviceType, raspIp, command, source) {
+  if (!interpreterInitialized) {
+    return { success: false, error: "Interpreter not initialized" };
+  }
+
+  try {
+    const actions = await ActionRegistry.findActionsForDevice(deviceType, raspIp);
+    const nextBoundary = await CalendarEvent.findOne({
+      raspberryPiIP: raspIp,
+      time: { $gt: new Date() },
+    }).sort({ time: 1 });
+
+    const overrides = actions.map((action) => ({
+      action: action.name,
+      ...ActionRegistry.setManualOverride(
+        action,
+        command,
+        source,
+        nextBoundary ? nextBoundary.time : null
+      ),
+    }));
+    return { success: true, overrides };
+  } catch (error) {
+    console.error("Error recording manual override:", error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * End the manual overrides of all devices of a Raspberry Pi, e.g. when a calendar boundary is reached
+ * @param {string} raspIp - The Raspberry Pi IP
+ * @param {string} reason - Why the overrides end, for the log
+ * @returns {Promise<Object>} Object with success status and the released actions
+ */
+async function endManualOverrides(raspIp, reason) {
+  if (!interpreterInitialized) {
+    return { success: false, error: "Interpreter not initialized" };
+  }
+
+  try {
+    const released = [];
+    for (const deviceType of ActionRegistry.arbitratedTypes) {
+      const actions = await ActionRegistry.findActionsForDevice(deviceType, raspIp);
+      actions
+        .filter((action) => ActionRegistry.clearManualOverride(action.name, reason))
+        .forEach((action) => released.push(action.name));
+    }
+    return { success: true, released };
+  } catch (error) {
+    console.error("Error ending manual overrides:", error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Check if the interpreter is initialized
  * @returns {boolean} True if initialized, false otherwise
@@ -612,6 +792,9 @@ function stopInterpreter() {
   // Stop sensor polling
   stopSensorPolling();
 
+  // Stop the built-in clock event
+  EventRegistry.clockEvent.stop();
+
   // Reset state
   interpreterInitialized = false;
   console.log("Interpreter stopped");
@@ -977,13 +1160,21 @@ module.exports = {
   getRules: getAllRules,
   getAnomalyEvents,
   createRule,
+  validateRule,
+  simulateRule,
   createAnomalyRule,
   createNotificationRule,
   deleteRule,
   setRuleActive,
+  updateRuleSettings,
+  getRuleConflicts,
+  getRuleHistory,
+  getSpaceHistory,
   testExecuteAction: testAction,
   updateEventValue,
   getDeviceStates,
+  recordManualOverride,
+  endManualOverrides,
   startAnomalyPolling,
   stopAnomalyPolling,
   triggerAnomalyEvent,
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// A Raspberry Pi gateway running the Flask API that reads the sensors and drives the devices of a space
+const edgeNodeSchema = new mongoose.Schema(
+  {
+    // Address the Pi is known by, e.g. the rasp_ip of its space and rooms
+    ip: {
+      type: String,
+      unique: true,
+      required: true,
+    },
+    // Public URL of the Pi's Flask API, usually an ngrok tunnel
+    url: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      default: "",
+    },
+    // space_id of the space (models/Space.js) the Pi serves
+    space_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    // Liveness recorded by the edge node monitor (services/edge-node-health.service.js)
+    status: {
+      type: String,
+      enum: ["unknown", "online", "offline"],
+      default: "unknown",
+    },
+    lastSeen: {
+      type: Date,
+      default: null,
+    },
+    // Round trip of the last successful probe
+    latencyMs: {
+      type: Number,
+      default: null,
+    },
+    offlineSince: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const EdgeNode = mongoose.model("edge_nodes", edgeNodeSchema);
+module.exports = EdgeNode;
@@ -43,6 +43,45 @@ const ruleSchema = new mongoose.Schema({
   isNotificationRule: {
     type: Boolean,
     default: false
+  },
+  triggerMode: {
+    type: String,
+    enum: ['on_rising_edge', 'while_true', 'on_falling_edge'],
+    default: 'while_true'
+  },
+  cooldownSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxFiresPerHour: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  failurePolicy: {
+    type: String,
+    enum: ['stop', 'continue'],
+    default: 'stop'
+  },
+  // Higher priority rules win when several rules drive the same device at once
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Template the rule was generated from, and the placeholder values it was generated with
+  templateId: {
+    type: String,
+    default: null
+  },
+  templateParams: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Current version in the rule_versions collection
+  version: {
+    type: Number,
+    default: 1
   }
 });
 
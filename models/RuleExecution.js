@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const actionResultSchema = new mongoose.Schema({
+  action: String,
+  success: Boolean,
+  message: String,
+  error: String,
+  durationMs: Number,
+  overridden: Boolean,
+  // Rule (ruleId, ruleString, priority) that won arbitration
+  overriddenBy: mongoose.Schema.Types.Mixed,
+  suppressed: Boolean,
+  // Manual override (source, setAt, until) that held the device
+  suppressedBy: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const executionStepSchema = new mongoose.Schema({
+  index: Number,
+  type: {
+    type: String,
+    enum: ['action', 'wait']
+  },
+  text: String,
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed', 'overridden', 'suppressed', 'skipped', 'cancelled']
+  },
+  durationMs: Number,
+  results: [actionResultSchema]
+}, { _id: false });
+
+const ruleExecutionSchema = new mongoose.Schema({
+  // MongoDB id of the rule, stable across interpreter restarts
+  ruleId: {
+    type: String,
+    default: null
+  },
+  // Id the interpreter gave the rule when it was loaded
+  interpreterRuleId: {
+    type: String,
+    required: true
+  },
+  space_id: {
+    type: String,
+    default: null
+  },
+  ruleString: String,
+  branch: {
+    type: String,
+    enum: ['then', 'else'],
+    default: 'then'
+  },
+  status: {
+    type: String,
+    enum: ['success', 'failed', 'cancelled']
+  },
+  forced: {
+    type: Boolean,
+    default: false
+  },
+  // Values of the events that triggered the rule, by event name
+  eventValues: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  steps: [executionStepSchema],
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date,
+  durationMs: Number
+});
+
+ruleExecutionSchema.index({ ruleId: 1, startedAt: -1 });
+ruleExecutionSchema.index({ interpreterRuleId: 1, startedAt: -1 });
+ruleExecutionSchema.index({ space_id: 1, startedAt: -1 });
+
+const RuleExecution = mongoose.model('rule_executions', ruleExecutionSchema);
+
+module.exports = RuleExecution;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const CalendarEvent = require('./CalendarEvent');
+
+const ruleGroupSchema = new mongoose.Schema({
+  // e.g. "Exam mode", "Holiday", "Energy saver"
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  space_id: {
+    type: String,
+    required: true
+  },
+  // ids of the rules in the group
+  ruleIds: {
+    type: [String],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  // Groups that are deactivated when this group is activated
+  conflictingGroups: {
+    type: [String],
+    default: []
+  },
+  // Calendar event types that switch the group: activated when such an event starts, deactivated when it ends
+  calendarEventTypes: {
+    type: [{
+      type: String,
+      enum: CalendarEvent.schema.path('eventType').enumValues
+    }],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ruleGroupSchema.index({ space_id: 1, name: 1 }, { unique: true });
+
+// Update the updatedAt field before saving
+ruleGroupSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const RuleGroup = mongoose.model('rule_groups', ruleGroupSchema);
+
+module.exports = RuleGroup;
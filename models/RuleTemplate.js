@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const ruleTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  // Rule text with {placeholders}, e.g. "if {room} motion not detected for {n} minutes then {room} light off"
+  template: {
+    type: String,
+    required: true
+  },
+  // Placeholder names found in the template, in order of first appearance
+  placeholders: {
+    type: [String],
+    default: []
+  },
+  // Values used for placeholders an instantiation does not provide
+  defaults: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Templates without a space are shared by all spaces
+  space_id: {
+    type: String,
+    default: null
+  },
+  // Rule settings copied to every instance
+  triggerMode: {
+    type: String,
+    enum: ['on_rising_edge', 'while_true', 'on_falling_edge'],
+    default: 'while_true'
+  },
+  cooldownSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxFiresPerHour: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  failurePolicy: {
+    type: String,
+    enum: ['stop', 'continue'],
+    default: 'stop'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Update the updatedAt field before saving
+ruleTemplateSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const RuleTemplate = mongoose.model('rule_templates', ruleTemplateSchema);
+
+module.exports = RuleTemplate;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const ruleVersionSchema = new mongoose.Schema({
+  // id of the rule in the rules collection
+  ruleId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Rule text and settings of the version
+  description: String,
+  condition: String,
+  ruleString: String,
+  triggerMode: String,
+  cooldownSeconds: Number,
+  maxFiresPerHour: Number,
+  failurePolicy: String,
+  priority: Number,
+  // Who made the change and when; unknown (null) for the version a rule had before its first tracked edit
+  changedBy: {
+    type: String,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: null
+  },
+  changeType: {
+    type: String,
+    enum: ['initial', 'edit', 'rollback'],
+    required: true
+  },
+  // Version restored by a rollback
+  rolledBackFrom: {
+    type: Number,
+    default: null
+  }
+});
+
+ruleVersionSchema.index({ ruleId: 1, version: 1 }, { unique: true });
+
+const RuleVersion = mongoose.model('rule_versions', ruleVersionSchema);
+
+module.exports = RuleVersion;
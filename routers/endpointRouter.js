@@ -1,4 +1,6 @@
 const endpointController = require('../controllers/endpointController');
+const authenticate = require('../auth/authenticate');
+const authenticateEdgeNode = require('../auth/authenticateEdgeNode');
 const {Router} = require("express");
 const endpointRouter = new Router();
 
@@ -6,5 +8,17 @@ const endpointRouter = new Router();
 // Ensure that the controller functions are correctly referenced
 endpointRouter.post('/get-ips',endpointController.addOrUpdateIp);
 
+// Raspberry Pi registry
+endpointRouter.get('/nodes', endpointController.getNodes);
+endpointRouter.get('/nodes/:ip', endpointController.getNode);
+endpointRouter.post('/nodes', endpointController.createNode);
+endpointRouter.put('/nodes/:ip', endpointController.updateNode);
+endpointRouter.delete('/nodes/:ip', endpointController.deleteNode);
+endpointRouter.post('/nodes/:ip/token', authenticate, endpointController.createNodeToken);
 
-module.exports = {endpointRouter};
\ No newline at end of file
+// Raspberry Pi liveness
+endpointRouter.get('/health', endpointController.getHealth);
+endpointRouter.post('/heartbeat', authenticateEdgeNode, endpointController.recordHeartbeat);
+
+
+module.exports = {endpointRouter};
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const interpreterService = require('../interpreter/src/server-integration');
+const ruleSync = require('../services/rule-sync.service');
 const { interpreterSensorController } = require('../controllers/interpreterSensorController');
 
 console.log('Interpreter router module loaded');
@@ -13,10 +14,8 @@ const initializeInterpreter = async () => {
       console.log('Starting interpreter initialization...');
       await interpreterService.initializeInterpreter();
       interpreterInitialized = true;
+      // The interpreter loads the database rules itself while initializing
       console.log('Interpreter initialized through router');
-      
-      // Sync all active rules from the database
-      await syncRulesFromDatabase();
     } catch (error) {
       console.error('Failed to initialize interpreter:', error);
     }
@@ -28,85 +27,15 @@ const syncRulesFromDatabase = async () => {
   try {
     console.log('Syncing rules from database to interpreter...');
     
-    // Import the Rule model
-    const Rule = require('../models/Rule');
-    
-    // Clear existing rules in interpreter
-    const clearResult = await clearAllRules();
-    if (!clearResult.success) {
-      console.error('Failed to clear existing rules:', clearResult.error);
-      return;
-    }
-    
-    // Get ALL rules from database (both active and inactive)
-    const allRules = await Rule.find({});
-    console.log(`Found ${allRules.length} total rules in database`);
-    
-    // Create each rule in interpreter
-    let successCount = 0;
-    let failCount = 0;
-    
-    for (const rule of allRules) {
-      // Get rule string from either the ruleString field or description
-      const ruleString = rule.ruleString || rule.description;
-      
-      if (!ruleString) {
-        console.log(`Skipping rule ${rule._id} - no valid rule string`);
-        failCount++;
-        continue;
-      }
-      
-      // Create rule in interpreter
-      console.log(`Creating rule: ${ruleString}`);
-      const createResult = await interpreterService.createRule(ruleString);
-      
-      if (!createResult.success) {
-        console.log(`Failed to create rule: ${createResult.error}`);
-        failCount++;
-        continue;
-      }
-      
-      // If rule is inactive in the database, deactivate it in the interpreter
-      if (!rule.isActive) {
-        console.log(`Rule ${rule._id} is inactive in the database, deactivating in interpreter`);
-        interpreterService.setRuleActive(createResult.ruleId, false);
-      }
-      
-      // Update rule in database with new interpreter ID
-      const updatedRule = await Rule.findByIdAndUpdate(
-        rule._id,
-        { interpreterId: createResult.ruleId },
-        { new: true }
-      );
-      
-      console.log(`Rule created with ID ${createResult.ruleId}, active: ${rule.isActive}`);
-      successCount++;
+    // Every database rule is loaded under its own id, so the ids survive restarts
+    const result = await ruleSync.syncAll();
+    if (result.statusCode !== 200) {
+      console.error('Failed to sync rules:', result.message);
     }
-    
-    console.log(`Sync complete: ${successCount} rules created, ${failCount} failed`);
+    return result;
   } catch (error) {
     console.error('Error syncing rules from database:', error);
-  }
-};
-
-// Helper function to clear all rules
-const clearAllRules = async () => {
-  try {
-    // Get all rules
-    const allRules = interpreterService.getRules();
-    
-    if (!allRules.success) {
-      return { success: false, error: 'Failed to get rules' };
-    }
-    
-    // Delete each rule
-    for (const rule of allRules.rules) {
-      await interpreterService.deleteRule(rule.id);
-    }
-    
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
+    return { statusCode: 500, message: error.message };
   }
 };
 
@@ -135,8 +64,60 @@ router.get('/rules', async (req, res) => {
   }
 });
 
-// Create a new rule
+// Compare the rules in the database with the rules loaded in the interpreter
+router.get('/rules/drift', async (req, res) => {
+  try {
+    const result = await ruleSync.getDriftReport();
+    
+    if (result.statusCode !== 200) {
+      return res.status(result.statusCode).json({ success: false, error: result.message });
+    }
+    
+    res.json({ success: true, ...result.data });
+  } catch (error) {
+    console.error('Error building rule drift report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create a new rule, saved in the database and loaded in the interpreter
+// Rules are stored per space, so space_id is required
 router.post('/rules', async (req, res) => {
+  try {
+    const { ruleString, space_id, isActive, triggerMode, cooldownSeconds, maxFiresPerHour, failurePolicy, priority } = req.body;
+    
+    if (!ruleString) {
+      return res.status(400).json({ success: false, error: 'Rule string is required' });
+    }
+    if (!space_id) {
+      return res.status(400).json({ success: false, error: 'space_id is required: rules are saved in the database per space' });
+    }
+    
+    const result = await ruleSync.createRule({
+      description: ruleString,
+      ruleString,
+      space_id,
+      isActive,
+      triggerMode,
+      cooldownSeconds,
+      maxFiresPerHour,
+      failurePolicy,
+      priority
+    }, { requireInterpreter: true });
+    
+    if (result.statusCode !== 200) {
+      return res.status(result.statusCode).json({ success: false, error: result.message, diagnostics: result.diagnostics });
+    }
+    
+    res.json({ success: true, ruleId: result.data.id, diagnostics: result.diagnostics });
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Validate a rule without creating it (dry run)
+router.post('/rules/validate', async (req, res) => {
   try {
     const { ruleString } = req.body;
     
@@ -144,27 +125,93 @@ router.post('/rules', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Rule string is required' });
     }
     
-    const result = interpreterService.createRule(ruleString);
+    const result = await interpreterService.validateRule(ruleString);
     res.json(result);
   } catch (error) {
-    console.error('Error creating rule:', error);
+    console.error('Error validating rule:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Delete a rule
+// Replay a time range of the logged sensor data through a rule without creating it
+// Body: ruleString, from, to (ISO times), spaceId, settings
+router.post('/rules/simulate', async (req, res) => {
+  try {
+    const { ruleString, from, to, spaceId, settings } = req.body;
+    
+    if (!ruleString) {
+      return res.status(400).json({ success: false, error: 'Rule string is required' });
+    }
+    
+    const result = await interpreterService.simulateRule(ruleString, { from, to, spaceId, settings });
+    
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error simulating rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a rule from the database and the interpreter
 router.delete('/rules/:ruleId', async (req, res) => {
   try {
     const { ruleId } = req.params;
-    const result = interpreterService.deleteRule(ruleId);
-    res.json(result);
+    const result = await ruleSync.deleteRule(ruleId);
+    
+    if (result.statusCode !== 200) {
+      return res.status(result.statusCode).json({ success: false, error: result.message });
+    }
+    
+    res.json({ success: true, message: result.message });
   } catch (error) {
     console.error('Error deleting rule:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Activate or deactivate a rule
+// Get the execution history of a rule (by MongoDB id or interpreter id)
+// Query: page, limit, from, to
+router.get('/rules/:ruleId/history', async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const { page, limit, from, to } = req.query;
+    const result = await interpreterService.getRuleHistory(ruleId, { page, limit, from, to });
+    
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting rule history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the execution history of all rules of a space
+// Query: page, limit, from, to
+router.get('/spaces/:spaceId/history', async (req, res) => {
+  try {
+    const { spaceId } = req.params;
+    const { page, limit, from, to } = req.query;
+    const result = await interpreterService.getSpaceHistory(spaceId, { page, limit, from, to });
+    
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting space rule history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Activate or deactivate a rule (by its id, MongoDB _id or interpreter id)
 router.patch('/rules/:ruleId/active', async (req, res) => {
   try {
     const { ruleId } = req.params;
@@ -174,115 +221,18 @@ router.patch('/rules/:ruleId/active', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Active status is required' });
     }
     
-    const Rule = require('../models/Rule');
-    
-    // First check if this is a MongoDB ID (not an interpreter ID)
-    let dbRule = null;
+    const result = await ruleSync.setRuleActive(ruleId, active);
     
-    try {
-      // Try to find the rule by the MongoDB _id first
-      dbRule = await Rule.findById(ruleId);
-    } catch (error) {
-      // Not a valid MongoDB ID, continue with normal flow
-      console.log(`${ruleId} is not a valid MongoDB ID, treating as interpreter ID`);
+    if (result.statusCode !== 200) {
+      return res.status(result.statusCode).json({ success: false, error: result.message });
     }
     
-    if (dbRule) {
-      console.log(`Found rule by MongoDB ID: ${dbRule._id}`);
-      
-      // If we found by MongoDB ID but the rule has no interpreter ID or the interpreter
-      // doesn't recognize it, we need to re-create it in the interpreter
-      let interpreterRuleId = dbRule.interpreterId;
-      
-      if (!interpreterRuleId || !interpreterService.getRuleById(interpreterRuleId)) {
-        console.log(`Rule ${dbRule._id} needs to be recreated in interpreter`);
-        
-        // Get rule string
-        const ruleString = dbRule.ruleString || dbRule.description;
-        
-        if (ruleString) {
-          // Create in interpreter
-          const createResult = await interpreterService.createRule(ruleString);
-          
-          if (createResult.success) {
-            // Update database with new interpreter ID
-            interpreterRuleId = createResult.ruleId;
-            dbRule.interpreterId = interpreterRuleId;
-            await dbRule.save();
-            console.log(`Rule recreated in interpreter with ID: ${interpreterRuleId}`);
-          } else {
-            return res.status(500).json({ 
-              success: false, 
-              error: `Failed to recreate rule: ${createResult.error}`
-            });
-          }
-        } else {
-          return res.status(400).json({ 
-            success: false, 
-            error: 'Rule has no valid rule string for recreation'
-          });
-        }
-      }
-      
-      // Now activate/deactivate using the interpreter ID
-      const result = interpreterService.setRuleActive(interpreterRuleId, active);
-      
-      if (result.success) {
-        // Update database
-        dbRule.isActive = active;
-        await dbRule.save();
-        console.log(`Updated rule active status in database: ${dbRule._id}, isActive=${active}`);
-        
-        return res.json({
-          success: true,
-          ruleId: interpreterRuleId,
-          databaseId: dbRule._id,
-          isActive: active
-        });
-      } else {
-        return res.status(500).json({ 
-          success: false, 
-          error: 'Failed to update rule status in interpreter'
-        });
-      }
-    } else {
-      // Try to find by interpreter ID
-      dbRule = await Rule.findOne({ interpreterId: ruleId });
-      
-      // Update the rule in the interpreter
-      const result = interpreterService.setRuleActive(ruleId, active);
-      
-      if (result.success) {
-        // If we found a matching database rule, update it
-        if (dbRule) {
-          // Update the isActive status in the database
-          dbRule.isActive = active;
-          await dbRule.save();
-          console.log(`Updated rule active status in database: ${dbRule._id}, isActive=${active}`);
-          
-          // Return success with additional info about the database update
-          return res.json({
-            success: true,
-            ruleId: ruleId,
-            databaseId: dbRule._id,
-            isActive: active
-          });
-        } else {
-          console.log(`No database rule found with interpreter ID ${ruleId}`);
-          return res.json({
-            success: true,
-            ruleId: ruleId,
-            databaseUpdated: false,
-            isActive: active
-          });
-        }
-      } else {
-        return res.status(404).json({ 
-          success: false, 
-          error: `Rule ${ruleId} not found in interpreter`
-        });
-      }
-    }
+    res.json({
+      success: true,
+      ruleId: result.data.interpreterId,
+      databaseId: result.data.ruleId,
+      isActive: active
+    });
   } catch (error) {
     console.error('Error updating rule active status:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -350,12 +300,21 @@ router.get('/devices/states', async (req, res) => {
 router.post('/sensors/update', interpreterSensorController.updateEventsFromSensibo);
 router.post('/sensors/polling/start', interpreterSensorController.startSensorPolling);
 router.post('/sensors/polling/stop', interpreterSensorController.stopSensorPolling);
+router.get('/sensors/polling', interpreterSensorController.getSensorPollingStatus);
+router.get('/sensors/polling/:ip', interpreterSensorController.getSensorPollingStatus);
+router.post('/sensors/polling/:ip/start', interpreterSensorController.startSensorPolling);
+router.post('/sensors/polling/:ip/stop', interpreterSensorController.stopSensorPolling);
 
 // Rebuild all rules from database
 router.post('/rebuild-rules', async (req, res) => {
   try {
-    await syncRulesFromDatabase();
-    res.json({ success: true, message: 'Rules rebuilt from database' });
+    const result = await syncRulesFromDatabase();
+    
+    if (result.statusCode !== 200) {
+      return res.status(result.statusCode).json({ success: false, error: result.message });
+    }
+    
+    res.json({ success: true, message: 'Rules rebuilt from database', ...result.data });
   } catch (error) {
     console.error('Error rebuilding rules:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -0,0 +1,24 @@
+const {ruleGroupControllers} = require('../controllers/ruleGroupController')
+const {Router} = require("express");
+const ruleGroupRouter = new Router();
+
+
+//GET 
+ruleGroupRouter.get('/groups', ruleGroupControllers.get_Groups);
+ruleGroupRouter.get('/groups/:id', ruleGroupControllers.get_Group_By_ID);
+
+
+//POST
+ruleGroupRouter.post('/groups', ruleGroupControllers.add_Group);
+
+//PUT
+ruleGroupRouter.put('/groups/:id', ruleGroupControllers.update_Group);
+
+//PATCH
+ruleGroupRouter.patch('/groups/:id/active', ruleGroupControllers.set_Group_Active);
+
+//DELETE
+ruleGroupRouter.delete('/groups/:id', ruleGroupControllers.delete_Group);
+
+
+module.exports = { ruleGroupRouter };
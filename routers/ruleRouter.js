@@ -6,10 +6,14 @@ const ruleRouter = new Router();
 //GET 
 ruleRouter.get('/rules', ruleControllers.get_Rules);
 ruleRouter.get('/rules/:space_id', ruleControllers.get_Rules_By_SPACE_ID);
+ruleRouter.get('/rules/:space_id/conflicts', ruleControllers.get_Rule_Conflicts);
+ruleRouter.get('/rules/:id/versions', ruleControllers.get_Rule_Versions);
+ruleRouter.get('/rules/:id/versions/diff', ruleControllers.get_Rule_Versions_Diff);
 
 
 //POST
 ruleRouter.post('/rules', ruleControllers.add_Rule);
+ruleRouter.post('/rules/:id/rollback/:version', ruleControllers.rollback_Rule);
 
 //PUT
 ruleRouter.put('/rules/:id', ruleControllers.update_Rule);
@@ -0,0 +1,24 @@
+const {ruleTemplateControllers} = require('../controllers/ruleTemplateController')
+const {Router} = require("express");
+const ruleTemplateRouter = new Router();
+
+
+//GET 
+ruleTemplateRouter.get('/templates', ruleTemplateControllers.get_Templates);
+ruleTemplateRouter.get('/templates/:id', ruleTemplateControllers.get_Template_By_ID);
+ruleTemplateRouter.get('/templates/:id/instances', ruleTemplateControllers.get_Template_Instances);
+
+
+//POST
+ruleTemplateRouter.post('/templates', ruleTemplateControllers.add_Template);
+ruleTemplateRouter.post('/templates/:id/instantiate', ruleTemplateControllers.instantiate_Template);
+ruleTemplateRouter.post('/templates/:id/regenerate', ruleTemplateControllers.regenerate_Template_Instances);
+
+//PUT
+ruleTemplateRouter.put('/templates/:id', ruleTemplateControllers.update_Template);
+
+//DELETE
+ruleTemplateRouter.delete('/templates/:id', ruleTemplateControllers.delete_Template);
+
+
+module.exports = { ruleTemplateRouter };
@@ -1,5 +1,6 @@
 const {sensorControllers} = require('../controllers/sensorController');
 const {handleControllers} = require('../controllers/handlersController');
+const authenticateEdgeNode = require('../auth/authenticateEdgeNode');
 // No longer need interpreterSensorController for this route
 // const { interpreterSensorController } = require('../controllers/interpreterSensorController'); 
 const {Router} = require("express");
@@ -24,4 +25,7 @@ sensorRouter.post('/motion-detected', handleControllers.update_Motion_DetectedSt
 sensorRouter.post('/action', sensorControllers.TurnON_OFF_LIGHT);
 sensorRouter.post('/sensibo', sensorControllers.TurnON_OFF_AC);
 
+// Readings pushed by the Raspberry Pis
+sensorRouter.post('/ingest', authenticateEdgeNode, sensorControllers.ingestReadings);
+
 module.exports = { sensorRouter };
\ No newline at end of file
@@ -587,6 +587,28 @@ const updateEventTimer = () => {
   }
 };
 
+// A calendar boundary ends the manual overrides of the devices it schedules
+const endManualOverridesAt = async (event) => {
+  try {
+    // Required here because the interpreter loads the services on startup
+    const interpreterService = require('../interpreter/src/server-integration');
+    await interpreterService.endManualOverrides(event.raspberryPiIP, `calendar event "${event.title}" reached`);
+  } catch (error) {
+    console.error('Error ending manual overrides at calendar event:', error);
+  }
+};
+
+// A calendar boundary switches the rule groups linked to the event type
+const switchRuleGroupsAt = async (event) => {
+  try {
+    // Required here for the same reason as above
+    const { switchGroupsForCalendarEvent } = require('./rule-groups.service');
+    await switchGroupsForCalendarEvent(event);
+  } catch (error) {
+    console.error('Error switching rule groups at calendar event:', error);
+  }
+};
+
 const handleExpiredEvent = async () => {
   try {
     const expiredEvent = eventsLinkedList.head;
@@ -594,6 +616,8 @@ const handleExpiredEvent = async () => {
       console.log('Event expired:', new Date(expiredEvent.data.time));
 
       await stateManager.updateState(`${expiredEvent.data.eventType}`, expiredEvent.data);
+      await endManualOverridesAt(expiredEvent.data);
+      await switchRuleGroupsAt(expiredEvent.data);
 
       if (expiredEvent.data.state === 'off') {
         await removeExpiredEvent(expiredEvent);
@@ -641,6 +665,8 @@ const handleImmediateExpiration = async () => {
       console.log('Immediate expiration of event:', expiredEvent.data);
 
       await stateManager.updateState(`${expiredEvent.data.eventType}`, expiredEvent.data);
+      await endManualOverridesAt(expiredEvent.data);
+      await switchRuleGroupsAt(expiredEvent.data);
       await removeExpiredEvent(expiredEvent);
 
       startEventTimer();
@@ -0,0 +1,264 @@
+const axios = require("axios");
+const { performance } = require("perf_hooks");
+const EdgeNode = require("../models/EdgeNode");
+const { getRaspPiEndpoints, addEndpointsListener, saveEdgeNodeUrl } = require("./edge-nodes.service");
+
+/*
+ * Tracks the liveness of the registered Raspberry Pis, so a Pi or tunnel that is down shows up
+ * before a rule fails on it. Every Pi is probed periodically and may also push heartbeats.
+ * A Pi is online once it answers, and offline after failedProbesBeforeOffline probes in a row
+ * fail without a heartbeat in between. Status changes are broadcast over the WebSocket, and a
+ * notification is raised once a Pi has been offline for offlineNotifyAfterMs.
+ */
+
+// Route every Pi serves, requested to check it is reachable
+const PROBE_PATH = "/api-sensors/get_events";
+
+const STATUSES = ["unknown", "online", "offline"];
+
+class EdgeNodeMonitor {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.probeIntervalMs] - Time between probes (EDGE_NODE_PROBE_INTERVAL_MS, default 1 minute)
+   * @param {number} [options.probeTimeoutMs] - How long a probe waits for the Pi (EDGE_NODE_PROBE_TIMEOUT_MS, default 10 seconds)
+   * @param {number} [options.failedProbesBeforeOffline] - Failed probes in a row that take a Pi offline (default 2)
+   * @param {number} [options.offlineNotifyAfterMs] - How long a Pi is offline before a notification is raised
+   *   (EDGE_NODE_OFFLINE_NOTIFY_MS, default 10 minutes)
+   * @param {Function} [options.now] - Returns the current time in milliseconds
+   * @param {Function} [options.broadcast] - Called with a Pi's health when its status changes
+   * @param {Function} [options.notify] - Called with a Pi's health when it has been offline too long
+   * @param {Function} [options.persist] - Called with a Pi's health after every probe and heartbeat
+   */
+  constructor(options = {}) {
+    this.probeIntervalMs = options.probeIntervalMs ?? parseInt(process.env.EDGE_NODE_PROBE_INTERVAL_MS || "60000", 10);
+    this.probeTimeoutMs = options.probeTimeoutMs ?? parseInt(process.env.EDGE_NODE_PROBE_TIMEOUT_MS || "10000", 10);
+    this.failedProbesBeforeOffline = options.failedProbesBeforeOffline ?? 2;
+    this.offlineNotifyAfterMs =
+      options.offlineNotifyAfterMs ?? parseInt(process.env.EDGE_NODE_OFFLINE_NOTIFY_MS || "600000", 10);
+    this.now = options.now || Date.now;
+    // The WebSocket and notification modules are loaded on first use, as they start clients of their own
+    this.broadcast = options.broadcast || ((health) => require("../ws").broadcastEdgeNodeStatus(health));
+    this.notify = options.notify || ((health) => require("../utils/notificationService").notifyEdgeNodeOffline(health));
+    this.persist = options.persist || ((health) => EdgeNode.updateOne(
+      { ip: health.ip },
+      { $set: { status: health.status, lastSeen: health.lastSeen, latencyMs: health.latencyMs, offlineSince: health.offlineSince } }
+    ));
+
+    this.nodes = new Map(); // Health of every Pi, by IP
+    this.timer = null;
+    this.probing = null;
+    this.removeEndpointsListener = null;
+  }
+
+  /**
+   * Start probing the Pis, and follow Pis added to or removed from the registry
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.removeEndpointsListener = addEndpointsListener(() => this.syncNodes());
+    this.timer = setInterval(() => this.probeAll(), this.probeIntervalMs);
+    this.probeAll();
+    console.log(`[EDGE NODE MONITOR] Probing the Raspberry Pis every ${this.probeIntervalMs}ms`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.removeEndpointsListener) {
+      this.removeEndpointsListener();
+      this.removeEndpointsListener = null;
+    }
+  }
+
+  /**
+   * Track the Pis of the registry, keeping the health of those already tracked
+   */
+  async syncNodes() {
+    const endpoints = await getRaspPiEndpoints();
+    // Names and spaces are only known when MongoDB is reachable
+    const details = await EdgeNode.find({}, { ip: 1, name: 1, space_id: 1 }).lean().catch(() => []);
+
+    for (const ip of this.nodes.keys()) {
+      if (!endpoints[ip]) {
+        this.nodes.delete(ip);
+      }
+    }
+    Object.entries(endpoints).forEach(([ip, url]) => {
+      const health = this.nodes.get(ip) || this.createHealth(ip);
+      const detail = details.find((node) => node.ip === ip);
+      health.url = url;
+      health.name = detail ? detail.name : health.name;
+      health.spaceId = detail ? detail.space_id : health.spaceId;
+      this.nodes.set(ip, health);
+    });
+  }
+
+  createHealth(ip) {
+    return {
+      ip,
+      url: null,
+      name: "",
+      spaceId: null,
+      status: "unknown",
+      lastSeen: null,
+      lastCheckedAt: null,
+      latencyMs: null,
+      failedProbes: 0,
+      lastError: null,
+      offlineSince: null,
+      offlineNotified: false,
+    };
+  }
+
+  /**
+   * Probe every Pi once, skipping the round if the previous one is still running
+   * @returns {Promise<void>}
+   */
+  probeAll() {
+    if (!this.probing) {
+      this.probing = (async () => {
+        try {
+          await this.syncNodes();
+          for (const ip of this.nodes.keys()) {
+            await this.probe(ip);
+          }
+        } catch (error) {
+          console.error("[EDGE NODE MONITOR] Error probing the Raspberry Pis:", error);
+        } finally {
+          this.probing = null;
+        }
+      })();
+    }
+    return this.probing;
+  }
+
+  /**
+   * Request a Pi's API and record whether and how fast it answered
+   * @param {string} ip - The Pi's IP
+   */
+  async probe(ip) {
+    const health = this.nodes.get(ip);
+    const startedAt = performance.now();
+    try {
+      await axios.get(`${health.url}${PROBE_PATH}`, { timeout: this.probeTimeoutMs });
+      this.recordSeen(health, Math.round(performance.now() - startedAt));
+    } catch (error) {
+      this.recordFailedProbe(health, error.response ? `HTTP ${error.response.status}` : error.message);
+    }
+    health.lastCheckedAt = new Date(this.now());
+
+    await this.notifyIfOfflineTooLong(health);
+    await this.save(health);
+  }
+
+  /**
+   * Record a heartbeat pushed by a Pi; a heartbeat with a new URL moves the Pi in the registry
+   * @param {string} ip - The Pi's IP
+   * @param {Object} [heartbeat={}] - Optional url of the Pi's API
+   * @returns {Promise<Object|null>} The Pi's health, or null if the Pi is not registered
+   */
+  async recordHeartbeat(ip, { url } = {}) {
+    if (!this.nodes.has(ip)) {
+      await this.syncNodes();
+    }
+    const health = this.nodes.get(ip);
+    if (!health) {
+      return null;
+    }
+
+    if (url && url !== health.url) {
+      const response = await saveEdgeNodeUrl(ip, url);
+      if (response.statusCode === 200) {
+        health.url = response.data[ip];
+      }
+    }
+    this.recordSeen(health, health.latencyMs);
+    await this.save(health);
+    return this.describe(health);
+  }
+
+  recordSeen(health, latencyMs) {
+    health.lastSeen = new Date(this.now());
+    health.latencyMs = latencyMs;
+    health.failedProbes = 0;
+    health.lastError = null;
+    if (health.status !== "online") {
+      health.offlineSince = null;
+      health.offlineNotified = false;
+      this.changeStatus(health, "online");
+    }
+  }
+
+  recordFailedProbe(health, message) {
+    health.failedProbes += 1;
+    health.lastError = message;
+
+    const seenSinceLastProbe = health.lastSeen && this.now() - health.lastSeen.getTime() < this.probeIntervalMs;
+    if (health.status !== "offline" && health.failedProbes >= this.failedProbesBeforeOffline && !seenSinceLastProbe) {
+      health.offlineSince = new Date(this.now());
+      this.changeStatus(health, "offline");
+    }
+  }
+
+  changeStatus(health, status) {
+    const previousStatus = health.status;
+    health.status = status;
+    console.log(`[EDGE NODE MONITOR] Raspberry Pi ${health.ip} is ${status} (was ${previousStatus})`);
+    try {
+      this.broadcast({ ...this.describe(health), previousStatus });
+    } catch (error) {
+      console.error(`[EDGE NODE MONITOR] Error broadcasting the status of ${health.ip}:`, error);
+    }
+  }
+
+  async notifyIfOfflineTooLong(health) {
+    if (health.status !== "offline" || health.offlineNotified ||
+      this.now() - health.offlineSince.getTime() < this.offlineNotifyAfterMs) {
+      return;
+    }
+    health.offlineNotified = true;
+    try {
+      await this.notify(this.describe(health));
+    } catch (error) {
+      console.error(`[EDGE NODE MONITOR] Error notifying that ${health.ip} is offline:`, error);
+    }
+  }
+
+  async save(health) {
+    try {
+      await this.persist(this.describe(health));
+    } catch (error) {
+      // The health stays available in memory when MongoDB is unreachable
+    }
+  }
+
+  describe(health) {
+    const { offlineNotified, ...view } = health;
+    return { ...view, offlineForMs: health.offlineSince ? this.now() - health.offlineSince.getTime() : null };
+  }
+
+  /**
+   * Get the health of every registered Pi
+   * @param {Object} [options={}] - probe: probe every Pi before answering
+   * @returns {Promise<Object>} The Pis' health and the number of Pis in each status
+   */
+  async getHealth({ probe = false } = {}) {
+    if (probe) {
+      await this.probeAll();
+    } else {
+      await this.syncNodes();
+    }
+
+    const nodes = Array.from(this.nodes.values()).map((health) => this.describe(health));
+    return {
+      nodes,
+      summary: Object.fromEntries(STATUSES.map((status) => [status, nodes.filter((node) => node.status === status).length])),
+      probeIntervalMs: this.probeIntervalMs,
+      offlineNotifyAfterMs: this.offlineNotifyAfterMs,
+    };
+  }
+}
+
+module.exports = new EdgeNodeMonitor(); // Export a singleton instance
@@ -0,0 +1,260 @@
+const EdgeNode = require("../models/EdgeNode");
+const Space = require("../models/Space");
+const { getRaspPiConfigPath, readRaspPiConfigFile } = require("../utils/raspPiConfig");
+
+/*
+ * Registry of the Raspberry Pi gateways (edge nodes) and the URLs of their Flask APIs.
+ * The Pis are stored in MongoDB, each linked to the space it serves. Every API client resolves a
+ * Pi's URL through getRaspPiEndpoints or resolveRaspPiUrl, which share one cache, and listeners
+ * (e.g. the interpreter's registries) are told whenever a Pi is added, moved to a new URL or removed.
+ * The legacy api/endpoint/rasp_pi.json seeds an empty registry and is used while MongoDB is unreachable.
+ */
+
+// How long the resolved URLs are reused before the registry is read again
+const CACHE_TTL_MS = parseInt(process.env.EDGE_NODE_CACHE_MS || "60000", 10);
+
+const EDITABLE_FIELDS = ["url", "name", "space_id"];
+
+let cache = null; // { endpoints, loadedAt }
+let pendingLoad = null;
+const listeners = new Set();
+
+const normalizeUrl = (url) => String(url).trim().replace(/\/+$/, "");
+
+const isHttpUrl = (url) => {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Read the Pis from MongoDB, importing the legacy file into an empty registry
+ * @returns {Promise<Object>} Map of Pi IPs to URLs
+ */
+const loadEndpoints = async () => {
+  try {
+    let nodes = await EdgeNode.find().lean();
+    if (nodes.length === 0) {
+      const legacy = await readRaspPiConfigFile();
+      if (Object.keys(legacy).length > 0) {
+        await EdgeNode.insertMany(Object.entries(legacy).map(([ip, url]) => ({ ip, url: normalizeUrl(url) })));
+        console.log(`[EDGE NODES] Imported ${Object.keys(legacy).length} Raspberry Pis from ${getRaspPiConfigPath()}`);
+        nodes = await EdgeNode.find().lean();
+      }
+    }
+    return Object.fromEntries(nodes.map((node) => [node.ip, node.url]));
+  } catch (error) {
+    console.warn(`[EDGE NODES] Registry unavailable (${error.message}), using ${getRaspPiConfigPath()}`);
+    return readRaspPiConfigFile();
+  }
+};
+
+/**
+ * Get the URL of every registered Pi
+ * @param {Object} [options={}] - refresh: read the registry even if the cached URLs are still fresh
+ * @returns {Promise<Object>} Map of Pi IPs to the URLs of their Flask APIs
+ */
+const getRaspPiEndpoints = async ({ refresh = false } = {}) => {
+  const stale = !cache || Date.now() - cache.loadedAt > CACHE_TTL_MS;
+  if (refresh || (stale && !pendingLoad)) {
+    const load = loadEndpoints()
+      .then((endpoints) => {
+        cache = { endpoints, loadedAt: Date.now() };
+      })
+      .finally(() => {
+        if (pendingLoad === load) {
+          pendingLoad = null;
+        }
+      });
+    pendingLoad = load;
+  }
+  if (pendingLoad) {
+    await pendingLoad;
+  }
+  return { ...cache.endpoints };
+};
+
+/**
+ * Get the URL of one Pi
+ * @param {string} ip - The Pi's IP
+ * @returns {Promise<string>} The URL of its Flask API
+ * @throws {Error} If the Pi is not registered
+ */
+const resolveRaspPiUrl = async (ip) => {
+  const url = (await getRaspPiEndpoints())[ip];
+  if (!url) {
+    throw new Error(`IP address ${ip} not found in the Raspberry Pi registry`);
+  }
+  return url;
+};
+
+/**
+ * Be told about changes of the registry
+ * @param {Function} listener - Called with (endpoints, change) after every change, where change has the type
+ *   ("created", "updated" or "deleted"), the ip, the url and the previousUrl
+ * @returns {Function} Removes the listener
+ */
+const addEndpointsListener = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notifyListeners = async (change) => {
+  const endpoints = await getRaspPiEndpoints({ refresh: true });
+  for (const listener of listeners) {
+    try {
+      await listener(endpoints, change);
+    } catch (error) {
+      console.error(`[EDGE NODES] Listener failed for ${change.type} ${change.ip}:`, error);
+    }
+  }
+};
+
+/**
+ * Check the fields of a new or edited Pi
+ * @param {Object} fields - The fields to check
+ * @returns {Promise<string|null>} The problem, or null if the fields are valid
+ */
+const validateFields = async (fields) => {
+  if (fields.url !== undefined && !isHttpUrl(fields.url)) {
+    return "url must be an http or https URL";
+  }
+  if (fields.space_id && !(await Space.exists({ space_id: String(fields.space_id) }))) {
+    return `Space ${fields.space_id} not found`;
+  }
+  return null;
+};
+
+const pickEditableFields = (fields) => {
+  const picked = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => fields[field] !== undefined).map((field) => [field, fields[field]])
+  );
+  if (picked.url !== undefined) {
+    picked.url = normalizeUrl(picked.url);
+  }
+  if (picked.space_id) {
+    picked.space_id = String(picked.space_id);
+  }
+  return picked;
+};
+
+/**
+ * List the registered Pis
+ * @param {Object} [filter={}] - Optional space_id
+ */
+const getEdgeNodes = async ({ space_id } = {}) => {
+  try {
+    const nodes = await EdgeNode.find(space_id ? { space_id: String(space_id) } : {}).lean();
+    return { statusCode: 200, data: nodes };
+  } catch (error) {
+    return { statusCode: 500, message: `Error getting the Raspberry Pis - ${error}` };
+  }
+};
+
+const getEdgeNode = async (ip) => {
+  try {
+    const node = await EdgeNode.findOne({ ip }).lean();
+    return node ? { statusCode: 200, data: node } : { statusCode: 404, message: `Raspberry Pi ${ip} not found` };
+  } catch (error) {
+    return { statusCode: 500, message: `Error getting Raspberry Pi ${ip} - ${error}` };
+  }
+};
+
+/**
+ * Register a Pi
+ * @param {Object} fields - ip and url, and optionally name and space_id
+ */
+const createEdgeNode = async (fields = {}) => {
+  if (!fields.ip || !fields.url) {
+    return { statusCode: 400, message: "ip and url are required" };
+  }
+
+  try {
+    const problem = await validateFields(fields);
+    if (problem) {
+      return { statusCode: 400, message: problem };
+    }
+    if (await EdgeNode.exists({ ip: fields.ip })) {
+      return { statusCode: 409, message: `Raspberry Pi ${fields.ip} is already registered` };
+    }
+
+    const node = await EdgeNode.create({ ip: fields.ip, ...pickEditableFields(fields) });
+    await notifyListeners({ type: "created", ip: node.ip, url: node.url, previousUrl: null });
+    return { statusCode: 201, data: node };
+  } catch (error) {
+    return { statusCode: 500, message: `Error registering Raspberry Pi ${fields.ip} - ${error}` };
+  }
+};
+
+/**
+ * Edit a Pi's url, name or space
+ * @param {string} ip - The Pi's IP
+ * @param {Object} fields - The fields to change
+ */
+const updateEdgeNode = async (ip, fields = {}) => {
+  try {
+    const problem = await validateFields(fields);
+    if (problem) {
+      return { statusCode: 400, message: problem };
+    }
+
+    const before = await EdgeNode.findOneAndUpdate({ ip }, { $set: pickEditableFields(fields) }).lean();
+    if (!before) {
+      return { statusCode: 404, message: `Raspberry Pi ${ip} not found` };
+    }
+
+    const node = await EdgeNode.findOne({ ip }).lean();
+    if (node.url !== before.url) {
+      await notifyListeners({ type: "updated", ip, url: node.url, previousUrl: before.url });
+    }
+    return { statusCode: 200, data: node };
+  } catch (error) {
+    return { statusCode: 500, message: `Error updating Raspberry Pi ${ip} - ${error}` };
+  }
+};
+
+const deleteEdgeNode = async (ip) => {
+  try {
+    const node = await EdgeNode.findOneAndDelete({ ip }).lean();
+    if (!node) {
+      return { statusCode: 404, message: `Raspberry Pi ${ip} not found` };
+    }
+
+    await notifyListeners({ type: "deleted", ip, url: null, previousUrl: node.url });
+    return { statusCode: 200, message: `Raspberry Pi ${ip} removed` };
+  } catch (error) {
+    return { statusCode: 500, message: `Error removing Raspberry Pi ${ip} - ${error}` };
+  }
+};
+
+/**
+ * Register a Pi or move it to a new URL, as the Pis do when their tunnel restarts
+ * @param {string} ip - The Pi's IP
+ * @param {string} url - The URL of its Flask API
+ * @returns {Promise<Object>} The URLs of all the Pis on success
+ */
+const saveEdgeNodeUrl = async (ip, url) => {
+  const node = await getEdgeNode(ip);
+  const response = node.statusCode === 404
+    ? await createEdgeNode({ ip, url })
+    : node.statusCode === 200 ? await updateEdgeNode(ip, { url }) : node;
+
+  if (response.statusCode >= 300) {
+    return response;
+  }
+  return { statusCode: 200, data: await getRaspPiEndpoints() };
+};
+
+module.exports = {
+  getRaspPiEndpoints,
+  resolveRaspPiUrl,
+  addEndpointsListener,
+  getEdgeNodes,
+  getEdgeNode,
+  createEdgeNode,
+  updateEdgeNode,
+  deleteEdgeNode,
+  saveEdgeNodeUrl,
+};
@@ -13,29 +13,9 @@ const https = require('https');
 const querystring = require('querystring');
 require('dotenv').config();
 const agent = new https.Agent({ family: 4 }); // Force IPv4
-const fs = require('fs').promises;
-const path = require('path');
+const { resolveRaspPiUrl } = require('./edge-nodes.service');
 
 
-const loadConfig = async () => {
-  try {
-    const filePath = path.resolve(__dirname, '../api/endpoint/rasp_pi.json');
-    console.log(filePath);
-    console.log(`Loading configuration from: ${filePath}`);
-
-    // Check if the file exists
-    try {
-      await fs.access(filePath);
-    } catch (err) {
-      throw new Error(`Configuration file does not exist at: ${filePath}`);
-    }
-
-    const data = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    throw new Error(`Error loading configuration: ${err.message}`);
-  }
-};
 
 
 /**
@@ -367,14 +347,7 @@ const MindolifefetchAndTransformIoTDeviceDataById = async (req, res) => {
 };
 
 const changeFeatureState = async (deviceId, state, rasp_ip) => {
-  const config = await loadConfig();
-
-  // Search for the IP address in the cached JSON data
-  const ngrokUrl = config[rasp_ip];
-
-  if (!ngrokUrl) {
-    throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-  }
+  const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
 
   const endpoint = `${ngrokUrl}`;
 
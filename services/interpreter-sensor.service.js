@@ -7,6 +7,7 @@ const { handleControllers } = require("../controllers/handlersController");
 const { getMotionSensorData } = require("../api/MotionSensor");
 // Import the getAcState function from your module
 const { getAcState } = require('../api/sensibo');
+const SensorPollingWorker = require("./sensor-polling-worker");
 
 /**
  * Service to handle integration between Sensibo sensors and the interpreter
@@ -16,6 +17,10 @@ const interpreterSensorService = {
   latestMotionEvent: null,
   latestTempEvent: null,
   latestHumidityEvent: null,
+  // Latest motion, temperature and humidity events of each Raspberry Pi
+  latestEventsByPi: new Map(),
+  // One polling worker per Raspberry Pi IP
+  pollingWorkers: new Map(),
   
   /**
    * Get space ID from room name using the handlersController configurations
@@ -141,6 +146,7 @@ async updateEventsFromMotionSensor(raspPiIP) {
 
     return {
       success: true,
+      events: motionEvents,
       updatedEvents: updatedMotionEvents,
       totalEvents: motionEvents.length,
       successfulUpdates: updatedMotionEvents.length
@@ -265,6 +271,7 @@ async updateEventsFromSensibo(raspPiIP) {
 
     return {
       success: true,
+      events,
       updatedEvents,
       totalEvents: events.length,
       successfulUpdates: updatedEvents.length
@@ -580,333 +587,224 @@ logAllSensorValues(motionValue, temperatureValue, humidityValue, roomName = "Liv
 },
 
 /**
- * Start periodic polling for sensor data
+ * Poll the sensors and devices of one Raspberry Pi and log their values in a single row
  * @param {string} raspPiIP - Raspberry Pi IP to poll
- * @param {number} interval - Polling interval in milliseconds (default: 30000)
- * @returns {Object} Handle to the polling interval
+ * @returns {Promise<Object>} Result object with success status, false when none of the Pi's sensors could be read
  */
-startSensorPolling(raspPiIP, interval = 30000) {
-  const timestamp = new Date().toISOString();
+async pollRaspPi(raspPiIP) {
+  // Using the specific light ID from the service file
+  const lightId = "e3cd3456-4cc1-4526-a56e-18f7db068616";
+
+  // Fetch data from Sensibo
+  const sensiboResult = await this.updateEventsFromSensibo(raspPiIP);
   fsSync.appendFileSync(
     "./logs/sensor_debug.log",
-    `${timestamp}: Starting sensor polling with interval: ${interval}ms for IP ${raspPiIP}\n`
+    `${new Date().toISOString()}: Sensibo polling result for ${raspPiIP}: ${JSON.stringify(
+      sensiboResult
+    )}\n`
   );
-  console.log(`Starting sensor polling with interval: ${interval}ms`);
 
-  // Using the specific light ID from the service file
-  const lightId = "e3cd3456-4cc1-4526-a56e-18f7db068616";
+  // Fetch data from Motion Sensor
+  const motionSensorResult = await this.updateEventsFromMotionSensor(
+    raspPiIP
+  );
+  fsSync.appendFileSync(
+    "./logs/sensor_debug.log",
+    `${new Date().toISOString()}: Motion sensor polling result for ${raspPiIP}: ${JSON.stringify(
+      motionSensorResult
+    )}\n`
+  );
 
-  // Clear any existing polling
-  if (this.pollingInterval) {
-    fsSync.appendFileSync(
-      "./logs/sensor_debug.log",
-      `${timestamp}: Clearing existing polling interval\n`
-    );
-    clearInterval(this.pollingInterval);
+  if (!sensiboResult.success && !motionSensorResult.success) {
+    return {
+      success: false,
+      error: `Sensibo: ${sensiboResult.error}; motion sensor: ${motionSensorResult.error}`,
+    };
   }
 
-  // Track poll count for debugging
-  let pollCount = 0;
-
-  // Start new polling
-  this.pollingInterval = setInterval(async () => {
-    const pollTimestamp = new Date().toISOString();
-    pollCount++;
-    fsSync.appendFileSync(
-      "./logs/sensor_debug.log",
-      `${pollTimestamp}: Polling for sensor data... (poll #${pollCount})\n`
-    );
-    console.log(`Polling for sensor data... (poll #${pollCount})`);
+  // Keep the latest readings of each Pi, so one Pi's rooms are not logged with another's values
+  const latest = this.latestEventsByPi.get(raspPiIP) || {};
+  (sensiboResult.events || []).forEach((event) => {
+    if (event.name.includes('temperature')) {
+      latest.temperature = event;
+    } else if (event.name.includes('humidity')) {
+      latest.humidity = event;
+    }
+  });
+  if (motionSensorResult.events && motionSensorResult.events.length > 0) {
+    latest.motion = motionSensorResult.events[0];
+  }
+  this.latestEventsByPi.set(raspPiIP, latest);
 
-    // Fetch data from Sensibo
-    const sensiboResult = await this.updateEventsFromSensibo(raspPiIP);
-    fsSync.appendFileSync(
-      "./logs/sensor_debug.log",
-      `${new Date().toISOString()}: Sensibo polling result: ${JSON.stringify(
-        sensiboResult
-      )}\n`
-    );
+  // Get AC state - enhanced approach to extract target temperature and mode
+  let acState = false;
+  let targetTemperature = "N/A";
+  let targetAcMode = "N/A";
 
-    // Fetch data from Motion Sensor
-    const motionSensorResult = await this.updateEventsFromMotionSensor(
-      raspPiIP
-    );
-    fsSync.appendFileSync(
-      "./logs/sensor_debug.log",
-      `${new Date().toISOString()}: Motion sensor polling result: ${JSON.stringify(
-        motionSensorResult
-      )}\n`
-    );
-    
-    // Get AC state - enhanced approach to extract target temperature and mode
-    let acState = false;
-    let targetTemperature = "N/A";
-    let targetAcMode = "N/A";
-    
-    try {
-      const acResult = await getAcState(raspPiIP);
-      console.log("ac state is ::::::::", JSON.stringify(acResult));
-      
-      // Properly log the AC state using JSON.stringify
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${new Date().toISOString()}: AC state is: ${JSON.stringify(acResult)}\n`
-      );
-      
-      // Extract the 'on' field, target temperature, and mode - default to false/"N/A" if not found
-      if (acResult && typeof acResult.on === 'boolean') {
-        acState = acResult.on;
-        if (acState && acResult.targetTemperature !== undefined) {
-          targetTemperature = acResult.targetTemperature;
-        }
-        if (acState && acResult.mode !== undefined) {
-          targetAcMode = acResult.mode;
-        }
-      }
-      
-      // Log the extracted AC on/off state, target temperature, and mode for debugging
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${new Date().toISOString()}: Extracted AC on state: ${acState}, target temperature: ${targetTemperature}, target mode: ${targetAcMode}\n`
-      );
-    } catch (error) {
-      console.error("Error getting AC state:", error);
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${new Date().toISOString()}: Error getting AC state: ${error.message}\n`
-      );
-    }
-    
-    try {
-      // Get light state using the imported service's exported function
-      const lightState = await lightService.getLightState(raspPiIP, lightId);
-      
-      // Log the raw light state result for debugging
-      console.log("Raw light state result:", lightState);
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${new Date().toISOString()}: Raw light state result: ${JSON.stringify(lightState)}\n`
-      );
-      
-      // Centralized Logging - Extract values correctly based on the service response
-      const motionValue = this.latestMotionEvent ? this.latestMotionEvent.value : false;
-      const tempValue = this.latestTempEvent ? this.latestTempEvent.value : null;
-      const humidityValue = this.latestHumidityEvent ? this.latestHumidityEvent.value : null;
-      const roomName = this.latestTempEvent ? this.latestTempEvent.roomName : "Living Room";
-      
-      // Default to false for light state
-      let isLightOn = false;
-      
-      // Carefully extract the light state
-      if (lightState && typeof lightState === 'object') {
-        if (lightState.on && typeof lightState.on === 'object' && 'on' in lightState.on) {
-          isLightOn = !!lightState.on.on; // Convert to boolean
-          console.log("Extracted light state from nested on.on property:", isLightOn);
-        } else if (typeof lightState.on === 'boolean') {
-          isLightOn = lightState.on;
-          console.log("Extracted light state from direct on property:", isLightOn);
-        }
-        
-        // Log the extracted light state
-        fsSync.appendFileSync(
-          "./logs/sensor_debug.log",
-          `${new Date().toISOString()}: Extracted light state: ${isLightOn}\n`
-        );
-      }
-      
-      // Update light state in events system if needed
-      if (this.updateEvent) {
-        const updateResult = this.updateEvent("light_state", isLightOn);
-        console.log("Light state event update result:", updateResult);
-      }
-      
-      // Log all sensor values including AC on/off state, target temperature, and target mode
-      const loggingResult = this.logAllSensorValues(
-        motionValue,
-        tempValue,
-        humidityValue,
-        roomName,
-        isLightOn,
-        acState,
-        targetTemperature,
-        targetAcMode
-      );
-      
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${new Date().toISOString()}: Combined logging result: ${JSON.stringify(loggingResult)}\n`
-      );
-    } catch (error) {
-      console.error("Error getting light state:", error);
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${new Date().toISOString()}: Error getting light state: ${error.message}\n`
-      );
-      
-      // Log the sensor values without light state in case of error
-      const motionValue = this.latestMotionEvent ? this.latestMotionEvent.value : false;
-      const tempValue = this.latestTempEvent ? this.latestTempEvent.value : null;
-      const humidityValue = this.latestHumidityEvent ? this.latestHumidityEvent.value : null;
-      const roomName = this.latestTempEvent ? this.latestTempEvent.roomName : "Living Room";
-      
-      // Log sensor values without light state but with AC state, target temperature, and target mode
-      const loggingResult = this.logAllSensorValues(
-        motionValue,
-        tempValue,
-        humidityValue,
-        roomName,
-        false,
-        acState,
-        targetTemperature,
-        targetAcMode
-      );
-      
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${new Date().toISOString()}: Combined logging result (without light state): ${JSON.stringify(loggingResult)}\n`
-      );
-    }
+  try {
+    const acResult = await getAcState(raspPiIP);
 
-    // Check if interval is active - defensive check
-    const isIntervalActive = this.pollingInterval !== null;
+    // Properly log the AC state using JSON.stringify
     fsSync.appendFileSync(
       "./logs/sensor_debug.log",
-      `${new Date().toISOString()}: Polling interval active: ${isIntervalActive}\n`
+      `${new Date().toISOString()}: AC state is: ${JSON.stringify(acResult)}\n`
     );
-  }, interval);
 
-  fsSync.appendFileSync(
-    "./logs/sensor_debug.log",
-    `${timestamp}: Polling interval set with ID: ${this.pollingInterval}\n`
-  );
-
-  // Run immediate poll with Promise.all
-  Promise.all([
-    this.updateEventsFromSensibo(raspPiIP),
-    this.updateEventsFromMotionSensor(raspPiIP),
-    lightService.getLightState(raspPiIP, lightId).catch(err => {
-      console.error("Initial light state error:", err.message);
-      return null;
-    }),
-    // Get AC state for initial poll
-    getAcState(raspPiIP).catch(err => {
-      console.error("Initial AC state error:", err.message);
-      return { success: false, on: false };
-    })
-  ]).then(([sensiboResult, motionResult, lightState, acResult]) => {
-    // Extract AC on state, target temperature, and target mode from result
-    let acOn = false;
-    let targetTemp = "N/A";
-    let targetMode = "N/A";
-    
+    // Extract the 'on' field, target temperature, and mode - default to false/"N/A" if not found
     if (acResult && typeof acResult.on === 'boolean') {
-      acOn = acResult.on;
-      
-      // Extract target temperature only if AC is on
-      if (acOn && acResult.targetTemperature !== undefined) {
-        targetTemp = acResult.targetTemperature;
-      } else {
-        // AC is off or targetTemperature is not available
-        targetTemp = "N/A";
+      acState = acResult.on;
+      if (acState && acResult.targetTemperature !== undefined) {
+        targetTemperature = acResult.targetTemperature;
       }
-      
-      // Extract target mode only if AC is on
-      if (acOn && acResult.mode !== undefined) {
-        targetMode = acResult.mode;
-      } else {
-        // AC is off or mode is not available
-        targetMode = "N/A";
+      if (acState && acResult.mode !== undefined) {
+        targetAcMode = acResult.mode;
       }
     }
-    
-    // Log the extracted values for debugging
+  } catch (error) {
+    console.error("Error getting AC state:", error);
     fsSync.appendFileSync(
       "./logs/sensor_debug.log",
-      `${new Date().toISOString()}: Initial poll - AC on: ${acOn}, target temp: ${targetTemp}, target mode: ${targetMode}\n`
+      `${new Date().toISOString()}: Error getting AC state: ${error.message}\n`
     );
-    
-    // Add central logging for initial poll
-    const motionValue = this.latestMotionEvent ? this.latestMotionEvent.value : false;
-    const tempValue = this.latestTempEvent ? this.latestTempEvent.value : null;
-    const humidityValue = this.latestHumidityEvent ? this.latestHumidityEvent.value : null;
-    const roomName = this.latestTempEvent ? this.latestTempEvent.roomName : "Living Room";
-    
-    // Default to false for light state
-    let isLightOn = false;
-    
-    // Carefully extract the light state from the initial poll result
+  }
+
+  // Default to false for light state
+  let isLightOn = false;
+
+  try {
+    // Get light state using the imported service's exported function
+    const lightState = await lightService.getLightState(raspPiIP, lightId);
+
+    // Carefully extract the light state
     if (lightState && typeof lightState === 'object') {
       if (lightState.on && typeof lightState.on === 'object' && 'on' in lightState.on) {
-        isLightOn = !!lightState.on.on;
+        isLightOn = !!lightState.on.on; // Convert to boolean
       } else if (typeof lightState.on === 'boolean') {
         isLightOn = lightState.on;
       }
     }
-    
-    // Log the combined initial polling results
-    const loggingResult = this.logAllSensorValues(
-      motionValue,
-      tempValue,
-      humidityValue,
-      roomName,
-      isLightOn,
-      acOn,
-      targetTemp,
-      targetMode
-    );
-    
+  } catch (error) {
+    console.error("Error getting light state:", error);
     fsSync.appendFileSync(
       "./logs/sensor_debug.log",
-      `${new Date().toISOString()}: Initial combined logging result: ${JSON.stringify(loggingResult)}\n`
+      `${new Date().toISOString()}: Error getting light state: ${error.message}\n`
     );
-  }).catch(error => {
-    console.error("Error in initial polling:", error);
-  });
+  }
+
+  // Log all sensor values including light state, AC on/off state, target temperature, and target mode
+  const loggingResult = this.logAllSensorValues(
+    latest.motion ? latest.motion.value : false,
+    latest.temperature ? latest.temperature.value : null,
+    latest.humidity ? latest.humidity.value : null,
+    latest.temperature ? latest.temperature.roomName : "Living Room",
+    isLightOn,
+    acState,
+    targetTemperature,
+    targetAcMode
+  );
+
+  fsSync.appendFileSync(
+    "./logs/sensor_debug.log",
+    `${new Date().toISOString()}: Combined logging result for ${raspPiIP}: ${JSON.stringify(loggingResult)}\n`
+  );
 
   return {
     success: true,
-    message: `Sensor polling started with interval: ${interval}ms`,
-    handle: this.pollingInterval,
+    sensibo: sensiboResult,
+    motion: motionSensorResult,
+    logging: loggingResult,
   };
 },
 
-  /**
-   * Stop sensor polling
-   * @returns {Object} Result of stopping the polling
-   */
-  stopSensorPolling() {
-    const timestamp = new Date().toISOString();
+/**
+ * Start a polling worker for one Raspberry Pi, replacing its running worker
+ * @param {string} raspPiIP - Raspberry Pi IP to poll
+ * @param {number} interval - Polling interval in milliseconds (default: 30000)
+ * @returns {Object} Result with the worker's status
+ */
+startSensorPolling(raspPiIP, interval = 30000) {
+  const timestamp = new Date().toISOString();
+  fsSync.appendFileSync(
+    "./logs/sensor_debug.log",
+    `${timestamp}: Starting sensor polling with interval: ${interval}ms for IP ${raspPiIP}\n`
+  );
+  console.log(`Starting sensor polling of ${raspPiIP} with interval: ${interval}ms`);
 
-    if (this.pollingInterval) {
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${timestamp}: Stopping sensor polling interval: ${this.pollingInterval}\n`
-      );
-      clearInterval(this.pollingInterval);
-      this.pollingInterval = null;
+  const existingWorker = this.pollingWorkers.get(raspPiIP);
+  if (existingWorker) {
+    existingWorker.stop();
+  }
 
-      // Close the logging service when stopping polling
-      fsSync.appendFileSync(
-        "./logs/sensor_debug.log",
-        `${timestamp}: Closing logging service\n`
-      );
-      sensorLoggingService.close();
+  const worker = new SensorPollingWorker(raspPiIP, (ip) => this.pollRaspPi(ip), { interval });
+  this.pollingWorkers.set(raspPiIP, worker);
+  worker.start();
 
-      return {
-        success: true,
-        message: "Sensor polling stopped",
-      };
-    }
+  return {
+    success: true,
+    message: `Sensor polling of ${raspPiIP} started with interval: ${interval}ms`,
+    status: worker.getStatus(),
+  };
+},
+
+/**
+ * Stop the polling worker of one Raspberry Pi, or of all of them
+ * @param {string} [raspPiIP] - Raspberry Pi IP to stop polling; every Pi when omitted
+ * @returns {Object} Result of stopping the polling
+ */
+stopSensorPolling(raspPiIP) {
+  const timestamp = new Date().toISOString();
+  const workers = raspPiIP
+    ? [this.pollingWorkers.get(raspPiIP)].filter(Boolean)
+    : Array.from(this.pollingWorkers.values());
 
+  if (workers.length === 0) {
     fsSync.appendFileSync(
       "./logs/sensor_debug.log",
-      `${timestamp}: No polling was active to stop\n`
+      `${timestamp}: No polling was active to stop${raspPiIP ? ` for ${raspPiIP}` : ""}\n`
     );
     return {
       success: false,
-      message: "No polling was active",
+      message: raspPiIP ? `No polling was active for ${raspPiIP}` : "No polling was active",
     };
-  },
+  }
+
+  workers.forEach((worker) => {
+    fsSync.appendFileSync(
+      "./logs/sensor_debug.log",
+      `${timestamp}: Stopping sensor polling of ${worker.raspPiIP}\n`
+    );
+    worker.stop();
+    this.pollingWorkers.delete(worker.raspPiIP);
+    this.latestEventsByPi.delete(worker.raspPiIP);
+  });
+
+  // Close the logging service once no Pi is polled anymore
+  if (this.pollingWorkers.size === 0) {
+    fsSync.appendFileSync(
+      "./logs/sensor_debug.log",
+      `${timestamp}: Closing logging service\n`
+    );
+    sensorLoggingService.close();
+  }
+
+  return {
+    success: true,
+    message: raspPiIP ? `Sensor polling of ${raspPiIP} stopped` : "Sensor polling stopped",
+  };
+},
+
+/**
+ * Get the status of the polling workers
+ * @param {string} [raspPiIP] - Raspberry Pi IP; every worker when omitted
+ * @returns {Object|Array<Object>|null} The worker's status, null if the Pi is not polled, or every worker's status
+ */
+getSensorPollingStatus(raspPiIP) {
+  if (raspPiIP) {
+    const worker = this.pollingWorkers.get(raspPiIP);
+    return worker ? worker.getStatus() : null;
+  }
+  return Array.from(this.pollingWorkers.values()).map((worker) => worker.getStatus());
+},
 };
 
 module.exports = interpreterSensorService;
\ No newline at end of file
@@ -1,71 +1,6 @@
-const fs = require('fs').promises;
-const path = require('path');
 const axios = require('axios');
 const actionRegistry = require('../interpreter/src/actions/ActionRegistry'); // Import the action registry
-
-/**
- * Find a file by recursively searching up and down the directory tree
- * @param {string} filename - Filename to search for
- * @returns {Promise<string|null>} - Path to the file if found, null otherwise
- */
-const findFile = async (filename) => {
-  const searchPaths = [
-    // 1. Try exact path you specified in the error message
-    path.resolve(__dirname, '../api/endpoint', filename),
-    
-    // 2. Try the path that was failing before
-    path.resolve(__dirname, './endpoint', filename),
-    
-    // 3. Try other common locations
-    path.resolve(__dirname, '../endpoint', filename),
-    path.resolve(__dirname, '../../endpoint', filename),
-    path.resolve(__dirname, '../config', filename),
-    path.resolve(__dirname, '../api/config', filename),
-    path.resolve(process.cwd(), 'api/endpoint', filename),
-    path.resolve(process.cwd(), 'endpoint', filename)
-  ];
-
-  // Log where we're searching
-  console.log('Searching for configuration file in the following locations:');
-  searchPaths.forEach(p => console.log(`- ${p}`));
-
-  // Try each path
-  for (const searchPath of searchPaths) {
-    try {
-      await fs.access(searchPath);
-      console.log(`Found configuration file at: ${searchPath}`);
-      return searchPath;
-    } catch (err) {
-      // File not found at this location, continue to next
-    }
-  }
-
-  // If we get here, file wasn't found in any of the locations
-  return null;
-};
-
-/**
- * Load Raspberry Pi configuration
- * @returns {Promise<Object>} Configuration object
- */
-const loadConfig = async () => {
-  try {
-    // Find the rasp_pi.json file
-    const configPath = await findFile('rasp_pi.json');
-    
-    if (!configPath) {
-      throw new Error('Configuration file rasp_pi.json not found in any expected location');
-    }
-    
-    console.log(`Loading configuration from: ${configPath}`);
-    
-    const data = await fs.readFile(configPath, 'utf8');
-    return JSON.parse(data);
-  } catch (err) {
-    console.error(`Error loading configuration: ${err.message}`);
-    throw new Error(`Error loading configuration: ${err.message}`);
-  }
-};
+const { getRaspPiEndpoints, resolveRaspPiUrl } = require('./edge-nodes.service');
 
 /**
  * Retrieves the current state of a specific light
@@ -75,14 +10,7 @@ const loadConfig = async () => {
  */
 exports.getLightState = async (rasp_ip, lightId) => {
   try {
-    const config = await loadConfig();
-
-    // Search for the IP address in the cached JSON data
-    const ngrokUrl = config[rasp_ip];
-
-    if (!ngrokUrl) {
-      throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-    }
+    const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
 
     // Don't redefine lightId, use the parameter passed to the function
     // const lightId = 'e3cd3456-4cc1-4526-a56e-18f7db068616'; // REMOVE THIS LINE
@@ -145,12 +73,7 @@ exports.switchLightState = async (lightId, state, rasp_ip) => {
     // If ActionRegistry fails, fall back to the original implementation
     try {
       console.log("Falling back to direct API call");
-      const config = await loadConfig();
-      const ngrokUrl = config[rasp_ip];
-      
-      if (!ngrokUrl) {
-        throw new Error(`IP address ${rasp_ip} not found in the configuration file`);
-      }
+      const ngrokUrl = await resolveRaspPiUrl(rasp_ip);
       
       const apiUrl = `${ngrokUrl}/api-hue/switch_light_state`;
       const payload = {
@@ -194,5 +117,5 @@ exports.switchLightState = async (lightId, state, rasp_ip) => {
   }
 };
 
-// Export the loadConfig function for testing purposes
-exports.loadConfig = loadConfig;
\ No newline at end of file
+// Export the Raspberry Pi URLs for testing purposes
+exports.loadConfig = getRaspPiEndpoints;
\ No newline at end of file
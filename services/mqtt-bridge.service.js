@@ -0,0 +1,199 @@
+const mqtt = require("mqtt");
+const Room = require("../models/Room");
+const sensorIngestService = require("./sensor-ingest.service");
+
+/*
+ * Bridges an MQTT broker (MQTT_URL) with the interpreter, as an alternative to the Pis' HTTP APIs.
+ * Sensor values published to spaces/{spaceId}/rooms/{roomId}/{metric} update the matching events
+ * through the sensor ingest service, so they are validated and logged like pushed readings; the
+ * payload is the value, or JSON with value and an optional timestamp. With
+ * DEVICE_COMMAND_TRANSPORT=mqtt, the AC and light actions publish their commands to
+ * edge-nodes/{ip}/commands/{deviceType} instead of calling the Pi.
+ */
+
+// spaces/{spaceId}/rooms/{roomId}/{metric}
+const SENSOR_TOPIC = "spaces/+/rooms/+/+";
+const SENSOR_TOPIC_PATTERN = /^spaces\/([^/]+)\/rooms\/([^/]+)\/([^/]+)$/;
+
+class MqttBridge {
+  /**
+   * @param {Object} [options={}]
+   * @param {string|null} [options.url] - URL of the broker (MQTT_URL); the bridge is disabled without it
+   * @param {Object} [options.connectOptions] - Options of mqtt.connect (default: MQTT_USERNAME and MQTT_PASSWORD)
+   * @param {string} [options.commandTransport] - "mqtt" to publish device commands (DEVICE_COMMAND_TRANSPORT, default "http")
+   * @param {Object} [options.ingest] - Ingests the sensor values, with ingestSpaceReadings(spaceId, readings)
+   * @param {Function} [options.resolveRoomName] - Resolves (spaceId, roomId) to the room's name
+   */
+  constructor(options = {}) {
+    this.url = options.url !== undefined ? options.url : process.env.MQTT_URL || null;
+    this.connectOptions = options.connectOptions || {
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD,
+    };
+    this.commandTransport = options.commandTransport || process.env.DEVICE_COMMAND_TRANSPORT || "http";
+    this.ingest = options.ingest || sensorIngestService;
+    this.resolveRoomName = options.resolveRoomName || ((spaceId, roomId) => this.findRoomName(spaceId, roomId));
+
+    this.client = null;
+    this.roomNames = new Map(); // Room names by "spaceId/roomId"
+  }
+
+  /**
+   * Connect to the broker and subscribe to the sensor topics; the client reconnects by itself
+   * @returns {Promise<boolean>} True once subscribed, false if the bridge is disabled or the first connection failed
+   */
+  start() {
+    if (!this.url) {
+      console.log("[MQTT BRIDGE] MQTT_URL is not set, the MQTT bridge is disabled");
+      return Promise.resolve(false);
+    }
+    if (this.client) {
+      return Promise.resolve(this.client.connected);
+    }
+
+    this.client = mqtt.connect(this.url, this.connectOptions);
+    this.client.on("message", (topic, payload) => {
+      this.handleMessage(topic, payload).catch((error) => {
+        console.error(`[MQTT BRIDGE] Error handling a message on ${topic}:`, error);
+      });
+    });
+
+    return new Promise((resolve) => {
+      this.client.on("connect", () => {
+        this.client.subscribe(SENSOR_TOPIC, { qos: 1 }, (error) => {
+          if (error) {
+            console.error(`[MQTT BRIDGE] Could not subscribe to ${SENSOR_TOPIC}:`, error.message);
+            return resolve(false);
+          }
+          console.log(`[MQTT BRIDGE] Connected to ${this.url}, subscribed to ${SENSOR_TOPIC}`);
+          resolve(true);
+        });
+      });
+      this.client.on("error", (error) => {
+        console.error("[MQTT BRIDGE] Connection error:", error.message);
+        resolve(false);
+      });
+    });
+  }
+
+  /**
+   * Disconnect from the broker
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.client) {
+      return Promise.resolve();
+    }
+    const client = this.client;
+    this.client = null;
+    return new Promise((resolve) => client.end(false, {}, () => resolve()));
+  }
+
+  isConnected() {
+    return Boolean(this.client && this.client.connected);
+  }
+
+  /**
+   * Update the event of a sensor topic with the message's value
+   * @param {string} topic - The topic the message was published to
+   * @param {Buffer} payload - The message
+   * @returns {Promise<Object|null>} The ingest result, or null if the topic is not a sensor topic
+   */
+  async handleMessage(topic, payload) {
+    const match = SENSOR_TOPIC_PATTERN.exec(topic);
+    if (!match) {
+      return null;
+    }
+
+    const [, spaceId, roomId, metric] = match;
+    const { value, timestamp } = this.parsePayload(payload.toString());
+    const room = await this.resolveRoomName(spaceId, roomId);
+
+    const result = await this.ingest.ingestSpaceReadings(spaceId, [
+      { room, sensor: metric, value, timestamp: timestamp !== undefined ? timestamp : Date.now() },
+    ]);
+    if (result.statusCode !== 200) {
+      const errors = result.data ? result.data.rejected.map((rejected) => rejected.error).join("; ") : result.message;
+      console.warn(`[MQTT BRIDGE] Ignored the message on ${topic}: ${errors}`);
+    }
+    return result;
+  }
+
+  /**
+   * Read a sensor message, e.g. "23.5", "true" or {"value": 23.5, "timestamp": "2026-01-05T08:00:00Z"}
+   * @param {string} text - The message
+   * @returns {Object} The value and, if given, the timestamp
+   */
+  parsePayload(text) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed !== null && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return { value: parsed.value, timestamp: parsed.timestamp };
+      }
+      return { value: parsed };
+    } catch (error) {
+      return { value: text.trim() };
+    }
+  }
+
+  /**
+   * Get the name of a room from its id, falling back to the id itself, e.g. "living-room" for "living room"
+   * @param {string} spaceId - The space_id of the room
+   * @param {string} roomId - The id of the room in the topic
+   * @returns {Promise<string>} The room's name
+   */
+  async findRoomName(spaceId, roomId) {
+    const key = `${spaceId}/${roomId}`;
+    if (!this.roomNames.has(key)) {
+      let room = null;
+      try {
+        room = await Room.findOne({ space_id: spaceId, id: roomId }, { name: 1 }).lean();
+      } catch (error) {
+        // The room ids are not known while MongoDB is unreachable
+      }
+      this.roomNames.set(key, room ? room.name : roomId.replace(/[-_]+/g, " "));
+    }
+    return this.roomNames.get(key);
+  }
+
+  /**
+   * Whether the actions send their device commands over MQTT instead of HTTP
+   * @returns {boolean} True if the command transport is "mqtt" and the broker is connected
+   */
+  usesCommandTopics() {
+    return this.commandTransport === "mqtt" && this.isConnected();
+  }
+
+  getCommandTopic(raspPiIP, deviceType) {
+    return `edge-nodes/${raspPiIP}/commands/${deviceType}`;
+  }
+
+  /**
+   * Publish a device command for a Pi to apply
+   * @param {string} raspPiIP - The Pi driving the device
+   * @param {string} deviceType - e.g. "ac" or "light"
+   * @param {Object} command - deviceId and the target state, e.g. state, temperature and mode
+   * @returns {Promise<Object>} success and statusCode 200 once the broker has the command, like the HTTP calls' results
+   */
+  publishDeviceCommand(raspPiIP, deviceType, command) {
+    const topic = this.getCommandTopic(raspPiIP, deviceType);
+    if (!this.isConnected()) {
+      const message = "MQTT broker is not connected";
+      return Promise.resolve({ success: false, statusCode: 503, message, data: { message } });
+    }
+
+    const payload = JSON.stringify({ ...command, issuedAt: new Date().toISOString() });
+    return new Promise((resolve) => {
+      this.client.publish(topic, payload, { qos: 1 }, (error) => {
+        if (error) {
+          console.error(`[MQTT BRIDGE] Could not publish the command to ${topic}:`, error.message);
+          return resolve({ success: false, statusCode: 503, message: error.message, data: { message: error.message } });
+        }
+        console.log(`[MQTT BRIDGE] Published ${payload} to ${topic}`);
+        resolve({ success: true, statusCode: 200, data: { topic } });
+      });
+    });
+  }
+}
+
+module.exports = new MqttBridge(); // Export a singleton instance
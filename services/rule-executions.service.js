@@ -0,0 +1,104 @@
+const RuleExecution = require("../models/RuleExecution");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Save the record of a finished rule execution
+ * @param {Object} record - Execution fields (ruleId, interpreterRuleId, space_id, ruleString, branch,
+ * status, forced, eventValues, steps, startedAt, finishedAt, durationMs)
+ * @returns {Promise<Object>} The saved execution document
+ */
+const recordExecution = async (record) => {
+  try {
+    return await RuleExecution.create(record);
+  } catch (error) {
+    console.error(`Error saving execution of rule ${record.interpreterRuleId}:`, error);
+    throw new Error("Error saving rule execution");
+  }
+};
+
+/**
+ * Parse the pagination and date filters of a history request
+ * @param {Object} options - Raw query options (page, limit, from, to)
+ * @returns {Object} Either { error } or { page, limit, startedAt } where startedAt is a Mongo date filter
+ */
+const parseHistoryOptions = ({ page, limit, from, to } = {}) => {
+  const pageNumber = page === undefined ? 1 : Number(page);
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return { error: "page must be a positive integer" };
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const startedAt = {};
+  for (const [name, value, operator] of [["from", from, "$gte"], ["to", to, "$lte"]]) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `${name} must be a valid date` };
+    }
+    startedAt[operator] = date;
+  }
+
+  return { page: pageNumber, limit: pageSize, startedAt };
+};
+
+/**
+ * Find executions matching a filter, newest first
+ * @param {Object} filter - Mongo filter on the executions
+ * @param {Object} options - Raw query options (page, limit, from, to)
+ * @returns {Promise<Object>} { success, executions, pagination } or { success: false, error }
+ */
+const findExecutions = async (filter, options) => {
+  const { error, page, limit, startedAt } = parseHistoryOptions(options);
+  if (error) {
+    return { success: false, error };
+  }
+
+  const query = Object.keys(startedAt).length > 0 ? { ...filter, startedAt } : filter;
+
+  const [executions, total] = await Promise.all([
+    RuleExecution.find(query)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    RuleExecution.countDocuments(query),
+  ]);
+
+  return {
+    success: true,
+    executions,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+};
+
+/**
+ * Get the execution history of a rule
+ * @param {string} ruleId - The rule's id in MongoDB or its interpreter id
+ * @param {Object} [options={}] - page, limit (max 100), from and to (dates, filter on the start time)
+ * @returns {Promise<Object>} { success, executions, pagination } or { success: false, error }
+ */
+const getRuleHistory = async (ruleId, options = {}) => {
+  return findExecutions({ $or: [{ ruleId }, { interpreterRuleId: ruleId }] }, options);
+};
+
+/**
+ * Get the execution history of all rules of a space
+ * @param {string} spaceId - The space ID
+ * @param {Object} [options={}] - page, limit (max 100), from and to (dates, filter on the start time)
+ * @returns {Promise<Object>} { success, executions, pagination } or { success: false, error }
+ */
+const getSpaceHistory = async (spaceId, options = {}) => {
+  return findExecutions({ space_id: spaceId }, options);
+};
+
+module.exports = {
+  recordExecution,
+  getRuleHistory,
+  getSpaceHistory,
+};
@@ -0,0 +1,329 @@
+const mongoose = require("mongoose");
+const RuleGroup = require("../models/RuleGroup");
+const Rule = require("../models/Rule");
+const interpreterService = require("../interpreter/src/server-integration");
+const ruleSync = require("./rule-sync.service");
+
+const EDITABLE_FIELDS = ["name", "description", "ruleIds", "conflictingGroups", "calendarEventTypes"];
+
+/**
+ * Check that the rules of a group exist in its space
+ * @param {Array<string>} ruleIds - Rule ids
+ * @param {string} space_id - The space of the group
+ * @returns {Promise<string|null>} An error message, or null if all the rules belong to the space
+ */
+const checkGroupRules = async (ruleIds, space_id) => {
+  const rules = await Rule.find({ id: { $in: ruleIds }, space_id }, { id: 1 });
+  const found = new Set(rules.map((rule) => rule.id));
+  const missing = ruleIds.filter((ruleId) => !found.has(ruleId));
+  return missing.length > 0 ? `Rules not found in space ${space_id}: ${missing.join(", ")}` : null;
+};
+
+/**
+ * Check that the conflicting groups of a group exist in its space
+ * @param {Array<string>} groupIds - Conflicting group ids
+ * @param {string} space_id - The space of the group
+ * @param {string} [selfId] - The group's own id, which cannot conflict with itself
+ * @returns {Promise<string|null>} An error message, or null if the groups are valid
+ */
+const checkConflictingGroups = async (groupIds, space_id, selfId) => {
+  if (selfId && groupIds.includes(selfId)) {
+    return "A rule group cannot conflict with itself";
+  }
+  const invalid = groupIds.filter((groupId) => !mongoose.isValidObjectId(groupId));
+  if (invalid.length > 0) {
+    return `Invalid rule group ids: ${invalid.join(", ")}`;
+  }
+
+  const groups = await RuleGroup.find({ _id: { $in: groupIds }, space_id }, { _id: 1 });
+  const found = new Set(groups.map((group) => group.id));
+  const missing = groupIds.filter((groupId) => !found.has(groupId));
+  return missing.length > 0 ? `Rule groups not found in space ${space_id}: ${missing.join(", ")}` : null;
+};
+
+/**
+ * Make sure a rule is loaded in the interpreter, loading it again from the database if needed
+ * @param {Object} rule - The rule document
+ * @returns {Promise<string|null>} An error message, or null once the rule is loaded
+ */
+const ensureInterpreterRule = async (rule) => {
+  if (rule.interpreterId && interpreterService.getRuleById(rule.interpreterId).success) {
+    return null;
+  }
+
+  const result = await ruleSync.registerRule(rule);
+  return result.success ? null : `Failed to load rule ${rule.id} into the interpreter: ${result.error}`;
+};
+
+/**
+ * Activate and deactivate a set of rules all at once
+ * Every rule is loaded in the interpreter before any of them is switched, then each rule is switched
+ * in both stores through the rule sync service; if switching one fails, the rules already switched
+ * are put back, so either all the rules change or none of them do.
+ * @param {Map<string, boolean>} states - Target active state by rule id
+ * @returns {Promise<Object>} Response with the switched rules and, on success, undo() putting them back
+ */
+const applyRuleStates = async (states) => {
+  const rules = await Rule.find({ id: { $in: [...states.keys()] } });
+  const found = new Set(rules.map((rule) => rule.id));
+  const missing = [...states.keys()].filter((ruleId) => !found.has(ruleId));
+  if (missing.length > 0) {
+    return { statusCode: 404, message: `Rules not found: ${missing.join(", ")}` };
+  }
+
+  for (const rule of rules) {
+    const error = await ensureInterpreterRule(rule);
+    if (error) {
+      return { statusCode: 500, message: error };
+    }
+  }
+
+  const switched = [];
+  const rollBack = async () => {
+    for (const { rule } of switched) {
+      await ruleSync.setRuleActive(rule.id, rule.isActive);
+    }
+  };
+
+  try {
+    for (const rule of rules) {
+      const response = await ruleSync.setRuleActive(rule.id, states.get(rule.id));
+      if (response.statusCode !== 200) {
+        await rollBack();
+        return { statusCode: response.statusCode, message: `Failed to switch rule ${rule.id}: ${response.message}` };
+      }
+      switched.push({ rule, data: response.data });
+    }
+  } catch (error) {
+    await rollBack();
+    throw error;
+  }
+
+  return {
+    statusCode: 200,
+    data: switched.map(({ rule, data }) => ({ id: rule.id, interpreterId: data.interpreterId, isActive: data.isActive })),
+    undo: rollBack,
+  };
+};
+
+const getGroups = async (space_id) => {
+  try {
+    const groups = await RuleGroup.find(space_id ? { space_id } : {}).sort({ name: 1 });
+    return { statusCode: 200, data: groups };
+  } catch (error) {
+    return { statusCode: 500, message: `Error fetching rule groups - ${error}` };
+  }
+};
+
+const getGroupById = async (id) => {
+  try {
+    const group = mongoose.isValidObjectId(id) ? await RuleGroup.findById(id) : null;
+    if (!group) {
+      return { statusCode: 404, message: `Rule group ${id} not found` };
+    }
+    return { statusCode: 200, data: group };
+  } catch (error) {
+    return { statusCode: 500, message: `Error fetching rule group ${id} - ${error}` };
+  }
+};
+
+const createGroup = async (groupData) => {
+  const { name, description, space_id, ruleIds = [], conflictingGroups = [], calendarEventTypes = [] } = groupData;
+  if (!name || !space_id) {
+    return { statusCode: 400, message: "Group name and space_id are required" };
+  }
+
+  try {
+    const error =
+      (await checkGroupRules(ruleIds, space_id)) || (await checkConflictingGroups(conflictingGroups, space_id));
+    if (error) {
+      return { statusCode: 400, message: error };
+    }
+
+    // Groups start inactive, so creating one doesn't change any rule
+    const group = new RuleGroup({ name, description, space_id, ruleIds, conflictingGroups, calendarEventTypes });
+    await group.save();
+    return { statusCode: 200, message: "Rule group added successfully", data: group };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { statusCode: 400, message: `A rule group named ${name} already exists in space ${space_id}` };
+    }
+    const statusCode = error.name === "ValidationError" ? 400 : 500;
+    return { statusCode, message: `Error adding rule group - ${error}` };
+  }
+};
+
+/**
+ * Update a group's name, description, rules, conflicting groups or calendar event types
+ * The active state is changed with setGroupActive only; membership changes take effect
+ * the next time the group is switched.
+ * @param {string} id - The group ID
+ * @param {Object} updateFields - Fields to update
+ * @returns {Promise<Object>} Response with the updated group
+ */
+const updateGroup = async (id, updateFields) => {
+  try {
+    const group = mongoose.isValidObjectId(id) ? await RuleGroup.findById(id) : null;
+    if (!group) {
+      return { statusCode: 404, message: `Rule group ${id} not found` };
+    }
+
+    const error =
+      (updateFields.ruleIds && (await checkGroupRules(updateFields.ruleIds, group.space_id))) ||
+      (updateFields.conflictingGroups &&
+        (await checkConflictingGroups(updateFields.conflictingGroups, group.space_id, group.id)));
+    if (error) {
+      return { statusCode: 400, message: error };
+    }
+
+    EDITABLE_FIELDS
+      .filter((field) => updateFields.hasOwnProperty(field))
+      .forEach((field) => {
+        group[field] = updateFields[field];
+      });
+
+    await group.save();
+    return { statusCode: 200, message: "Rule group updated successfully", data: group };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { statusCode: 400, message: `A rule group named ${updateFields.name} already exists in this space` };
+    }
+    const statusCode = error.name === "ValidationError" ? 400 : 500;
+    return { statusCode, message: `Error updating rule group ${id} - ${error}` };
+  }
+};
+
+/**
+ * Delete a group; its rules keep their current state
+ * @param {string} id - The group ID
+ * @returns {Promise<Object>} Response with a message
+ */
+const deleteGroup = async (id) => {
+  try {
+    const group = mongoose.isValidObjectId(id) ? await RuleGroup.findByIdAndDelete(id) : null;
+    if (!group) {
+      return { statusCode: 404, message: `Rule group ${id} not found` };
+    }
+
+    await RuleGroup.updateMany({ conflictingGroups: group.id }, { $pull: { conflictingGroups: group.id } });
+    return { statusCode: 200, message: `Rule group ${group.name} deleted` };
+  } catch (error) {
+    return { statusCode: 500, message: `Error deleting rule group ${id} - ${error}` };
+  }
+};
+
+/**
+ * Activate or deactivate all the rules of a group at once
+ * Activating a group deactivates its active conflicting groups unless deactivateConflicting is false.
+ * Rules of groups being turned off stay active when another active group of the space contains them.
+ * If the groups cannot be saved afterwards, the rules and the group are put back as they were.
+ * @param {string} id - The group ID
+ * @param {boolean} active - Whether to activate or deactivate the group
+ * @param {Object} [options={}] - deactivateConflicting (default true)
+ * @returns {Promise<Object>} Response with the group, the switched rules and the deactivated groups
+ */
+const setGroupActive = async (id, active, { deactivateConflicting = true } = {}) => {
+  if (typeof active !== "boolean") {
+    return { statusCode: 400, message: "active must be true or false" };
+  }
+
+  try {
+    const group = mongoose.isValidObjectId(id) ? await RuleGroup.findById(id) : null;
+    if (!group) {
+      return { statusCode: 404, message: `Rule group ${id} not found` };
+    }
+
+    const deactivatedGroups =
+      active && deactivateConflicting
+        ? await RuleGroup.find({ _id: { $in: group.conflictingGroups }, space_id: group.space_id, isActive: true })
+        : [];
+    const turningOff = active ? deactivatedGroups : [group];
+
+    const remainingActive = await RuleGroup.find({
+      space_id: group.space_id,
+      isActive: true,
+      _id: { $nin: [group._id, ...deactivatedGroups.map((other) => other._id)] },
+    });
+    const keptOn = new Set(remainingActive.flatMap((other) => other.ruleIds));
+
+    const states = new Map();
+    turningOff
+      .flatMap((other) => other.ruleIds)
+      .filter((ruleId) => !keptOn.has(ruleId))
+      .forEach((ruleId) => states.set(ruleId, false));
+    if (active) {
+      group.ruleIds.forEach((ruleId) => states.set(ruleId, true));
+    }
+
+    const response = await applyRuleStates(states);
+    if (response.statusCode !== 200) {
+      return response;
+    }
+
+    const wasActive = group.isActive;
+    let groupSaved = false;
+    try {
+      group.isActive = active;
+      await group.save();
+      groupSaved = true;
+      if (deactivatedGroups.length > 0) {
+        await RuleGroup.updateMany(
+          { _id: { $in: deactivatedGroups.map((other) => other._id) } },
+          { $set: { isActive: false, updatedAt: Date.now() } }
+        );
+      }
+    } catch (error) {
+      await response.undo();
+      group.isActive = wasActive;
+      if (groupSaved) {
+        await group.save();
+      }
+      throw error;
+    }
+
+    return {
+      statusCode: 200,
+      message: `Rule group ${group.name} ${active ? "activated" : "deactivated"}`,
+      data: {
+        group,
+        rules: response.data,
+        deactivatedGroups: deactivatedGroups.map((other) => ({ id: other.id, name: other.name })),
+      },
+    };
+  } catch (error) {
+    return { statusCode: 500, message: `Error switching rule group ${id} - ${error}` };
+  }
+};
+
+/**
+ * Switch the groups linked to a calendar event's type
+ * The start of an event activates the groups of its space listing the event type, the end deactivates them.
+ * @param {Object} event - The calendar event (state "on" for the start, "off" for the end)
+ * @returns {Promise<Array<Object>>} One setGroupActive response per switched group
+ */
+const switchGroupsForCalendarEvent = async (event) => {
+  const active = event.state === "on";
+  const groups = await RuleGroup.find({ space_id: event.space_id, calendarEventTypes: event.eventType });
+
+  const responses = [];
+  for (const group of groups.filter((candidate) => candidate.isActive !== active)) {
+    const response = await setGroupActive(group.id, active);
+    if (response.statusCode !== 200) {
+      console.error(`Failed to switch rule group ${group.name} at calendar event "${event.title}": ${response.message}`);
+    } else {
+      console.log(`${response.message} by calendar event "${event.title}"`);
+    }
+    responses.push(response);
+  }
+  return responses;
+};
+
+module.exports = {
+  getGroups,
+  getGroupById,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  setGroupActive,
+  switchGroupsForCalendarEvent,
+};
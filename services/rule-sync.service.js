@@ -0,0 +1,318 @@
+const mongoose = require("mongoose");
+const Rule = require("../models/Rule");
+const rulesService = require("./rules.service");
+const interpreterService = require("../interpreter/src/server-integration");
+
+/*
+ * Keeps the rules in MongoDB and the rules loaded in the interpreter's RuleManager in step.
+ * MongoDB is the source of truth: every rule is registered in the interpreter under its own id,
+ * so the id stays the same across edits and restarts. Creating, updating, deleting and toggling
+ * rules from /api-rule, /api-interpreter, templates, groups and versions all go through here.
+ */
+
+const RULE_SETTINGS = ["triggerMode", "cooldownSeconds", "maxFiresPerHour", "failurePolicy", "priority"];
+
+const pickSettings = (rule) => {
+  return Object.fromEntries(
+    RULE_SETTINGS.filter((field) => rule[field] !== undefined && rule[field] !== null).map((field) => [field, rule[field]])
+  );
+};
+
+/**
+ * Find a rule by its id, its interpreter id or its MongoDB _id
+ * @param {string} ruleId - Any of the rule's ids
+ * @returns {Promise<Object|null>} The rule document, or null if not found
+ */
+const findRule = async (ruleId) => {
+  const rule = await Rule.findOne({ $or: [{ id: ruleId }, { interpreterId: ruleId }] });
+  if (rule || !mongoose.isValidObjectId(ruleId)) {
+    return rule;
+  }
+  return Rule.findById(ruleId);
+};
+
+/**
+ * Check whether a rule is loaded in the interpreter
+ * @param {Object} rule - The rule document
+ * @returns {boolean} True if the interpreter has the rule under its interpreter id
+ */
+const isLoaded = (rule) => {
+  return Boolean(rule.interpreterId) && interpreterService.getRuleById(rule.interpreterId).success;
+};
+
+/**
+ * Remove a rule from the interpreter, under its current and its stable id
+ * @param {Object} rule - The rule document
+ */
+const unregisterRule = (rule) => {
+  [...new Set([rule.interpreterId, rule.id])]
+    .filter((ruleId) => ruleId && interpreterService.getRuleById(ruleId).success)
+    .forEach((ruleId) => interpreterService.deleteRule(ruleId));
+};
+
+/**
+ * Load a rule into the interpreter under its own id, replacing any earlier registration
+ * The rule keeps its active state, and its interpreterId is set to its id.
+ * @param {Object} rule - The rule document (or a plain object with its fields)
+ * @param {string} [ruleString] - The rule text (default: the rule's ruleString or description)
+ * @returns {Promise<Object>} The interpreter's createRule result
+ */
+const registerRule = async (rule, ruleString = rule.ruleString || rule.description) => {
+  if (!ruleString) {
+    return { success: false, error: `Rule ${rule.id} has no rule string` };
+  }
+
+  unregisterRule(rule);
+  const result = interpreterService.createRule(ruleString, { ...pickSettings(rule), id: rule.id });
+  if (!result.success) {
+    return result;
+  }
+
+  if (!rule.isActive) {
+    interpreterService.setRuleActive(rule.id, false);
+  }
+  if (rule.interpreterId !== rule.id) {
+    await Rule.updateOne({ id: rule.id }, { $set: { interpreterId: rule.id } });
+    rule.interpreterId = rule.id;
+  }
+  return result;
+};
+
+/**
+ * Save a new rule and load it into the interpreter
+ * @param {Object} ruleData - The rule fields, as accepted by add_new_Rule; ruleString is the interpreter text
+ * @param {Object} [options={}] - requireInterpreter: remove the rule again and fail when the interpreter
+ *   rejects it (by default the rule is kept in the database only and interpreterError is set)
+ * @returns {Promise<Object>} Response with the saved rule and the interpreter diagnostics
+ */
+const createRule = async (ruleData, { requireInterpreter = false } = {}) => {
+  const response = await rulesService.add_new_Rule({ ...ruleData, interpreterId: null });
+  if (response.statusCode !== 200 || !ruleData.ruleString) {
+    return response;
+  }
+
+  const rule = response.data;
+  const result = await registerRule(rule, ruleData.ruleString);
+  if (result.success) {
+    return { ...response, diagnostics: result.diagnostics };
+  }
+
+  if (requireInterpreter) {
+    await rulesService.deleteRuleById(rule.id);
+    return { statusCode: 400, message: `Rule rejected by the interpreter: ${result.error}`, diagnostics: result.diagnostics };
+  }
+  console.log(`Rule ${rule.id} saved but not loaded in the interpreter: ${result.error}`);
+  return { ...response, interpreterError: result.error, diagnostics: result.diagnostics };
+};
+
+/**
+ * Update a rule in both stores
+ * A new ruleString reloads the rule in the interpreter under the same id; if the interpreter
+ * rejects it, the previous text is loaded again and nothing is saved. Setting ruleString to null
+ * removes the rule from the interpreter. Active state and settings are applied in place, and a
+ * rule missing from the interpreter is loaded again.
+ * @param {string} ruleId - Any of the rule's ids
+ * @param {Object} updateFields - Fields to update, as accepted by rules.service updateRule
+ * @returns {Promise<Object>} Response with a message, and the interpreter diagnostics for a new text
+ */
+const updateRule = async (ruleId, updateFields) => {
+  const rule = await findRule(ruleId);
+  if (!rule) {
+    return { statusCode: 404, message: `Rule ${ruleId} not found` };
+  }
+
+  const after = { ...rule.toObject(), ...updateFields };
+  const ruleStringChanged = updateFields.hasOwnProperty("ruleString") && updateFields.ruleString !== rule.ruleString;
+  let diagnostics;
+
+  if (ruleStringChanged && !after.ruleString) {
+    unregisterRule(rule);
+    updateFields.interpreterId = null;
+  } else if (ruleStringChanged || (!isLoaded(rule) && after.ruleString)) {
+    const wasLoaded = isLoaded(rule);
+    const result = await registerRule(after, after.ruleString);
+    if (!result.success) {
+      if (wasLoaded) {
+        await registerRule(rule);
+      }
+      return { statusCode: 400, message: `Rule rejected by the interpreter: ${result.error}`, diagnostics: result.diagnostics };
+    }
+    updateFields.interpreterId = rule.id;
+    diagnostics = result.diagnostics;
+  } else if (isLoaded(rule)) {
+    if (RULE_SETTINGS.some((field) => updateFields.hasOwnProperty(field))) {
+      const settingsResult = interpreterService.updateRuleSettings(rule.interpreterId, updateFields);
+      if (!settingsResult.success) {
+        return { statusCode: 400, message: `Invalid rule settings: ${settingsResult.error}` };
+      }
+    }
+    if (updateFields.hasOwnProperty("isActive")) {
+      interpreterService.setRuleActive(rule.interpreterId, updateFields.isActive);
+    }
+  }
+
+  const response = await rulesService.updateRule(rule.id, updateFields);
+  return diagnostics ? { ...response, diagnostics } : response;
+};
+
+/**
+ * Activate or deactivate a rule in both stores
+ * @param {string} ruleId - Any of the rule's ids
+ * @param {boolean} active - The new active state
+ * @returns {Promise<Object>} Response with the rule's ids and state
+ */
+const setRuleActive = async (ruleId, active) => {
+  const rule = await findRule(ruleId);
+  if (!rule) {
+    return { statusCode: 404, message: `Rule ${ruleId} not found` };
+  }
+
+  const response = await updateRule(rule.id, { isActive: active });
+  if (response.statusCode !== 200) {
+    return response;
+  }
+
+  const updated = await findRule(rule.id);
+  return {
+    statusCode: 200,
+    message: response.message,
+    data: { ruleId: rule.id, interpreterId: isLoaded(updated) ? updated.interpreterId : null, isActive: active },
+  };
+};
+
+/**
+ * Delete a rule from both stores
+ * A rule the interpreter has but the database doesn't is removed from the interpreter.
+ * @param {string} ruleId - Any of the rule's ids
+ * @returns {Promise<Object>} Response with a message
+ */
+const deleteRule = async (ruleId) => {
+  const rule = await findRule(ruleId);
+  if (!rule) {
+    if (interpreterService.getRuleById(ruleId).success) {
+      interpreterService.deleteRule(ruleId);
+      return { statusCode: 200, message: `Rule ${ruleId} removed from the interpreter (it had no database record)` };
+    }
+    return { statusCode: 404, message: `Rule ${ruleId} not found` };
+  }
+
+  unregisterRule(rule);
+  const response = await rulesService.deleteRuleById(rule.id);
+  return response.status === 200
+    ? { statusCode: 200, message: "Rule deleted successfully" }
+    : { statusCode: response.status, message: "Error deleting the rule" };
+};
+
+/**
+ * Reload the interpreter from the database
+ * Removes every rule from the interpreter and loads every database rule under its own id.
+ * @returns {Promise<Object>} Response with the loaded and failed rules
+ */
+const syncAll = async () => {
+  const loaded = interpreterService.getRules();
+  if (!loaded.success) {
+    return { statusCode: 503, message: loaded.error };
+  }
+  loaded.rules.forEach((rule) => interpreterService.deleteRule(rule.id));
+
+  const rules = await Rule.find({});
+  const created = [];
+  const failed = [];
+
+  for (const rule of rules) {
+    const result = await registerRule(rule);
+    if (result.success) {
+      created.push(rule.id);
+    } else {
+      failed.push({ id: rule.id, error: result.error });
+    }
+  }
+
+  console.log(`Sync complete: ${created.length} rules loaded, ${failed.length} failed`);
+  return {
+    statusCode: 200,
+    message: `Loaded ${created.length} of ${rules.length} rules into the interpreter`,
+    data: { created, failed },
+  };
+};
+
+/**
+ * Compare the two stores
+ * Lists database rules the interpreter doesn't have, interpreter rules without a database record,
+ * and rules present in both whose id, text, active state or settings differ.
+ * @returns {Promise<Object>} Response with the drift report
+ */
+const getDriftReport = async () => {
+  const loaded = interpreterService.getRules();
+  if (!loaded.success) {
+    return { statusCode: 503, message: loaded.error };
+  }
+
+  try {
+    const loadedById = new Map(loaded.rules.map((rule) => [rule.id, rule]));
+    const matched = new Set();
+    const onlyInDatabase = [];
+    const mismatched = [];
+
+    const rules = await Rule.find({}).lean();
+    for (const rule of rules) {
+      const loadedRule = loadedById.get(rule.id) || loadedById.get(rule.interpreterId);
+      if (!loadedRule) {
+        onlyInDatabase.push({
+          id: rule.id,
+          space_id: rule.space_id,
+          ruleString: rule.ruleString || rule.description || null,
+          interpreterId: rule.interpreterId,
+        });
+        continue;
+      }
+      matched.add(loadedRule.id);
+
+      const expected = {
+        id: rule.id,
+        interpreterId: rule.id,
+        ruleString: rule.ruleString || rule.description,
+        active: rule.isActive,
+        ...pickSettings(rule),
+      };
+      const actual = { ...loadedRule, interpreterId: rule.interpreterId };
+      const differences = Object.keys(expected)
+        .filter((field) => expected[field] !== actual[field])
+        .map((field) => ({ field, database: expected[field], interpreter: actual[field] }));
+
+      if (differences.length > 0) {
+        mismatched.push({ id: rule.id, space_id: rule.space_id, interpreterId: loadedRule.id, differences });
+      }
+    }
+
+    const onlyInInterpreter = loaded.rules
+      .filter((rule) => !matched.has(rule.id))
+      .map((rule) => ({ interpreterId: rule.id, ruleString: rule.ruleString, active: rule.active }));
+
+    return {
+      statusCode: 200,
+      data: {
+        checkedAt: new Date(),
+        inSync: onlyInDatabase.length === 0 && onlyInInterpreter.length === 0 && mismatched.length === 0,
+        databaseRules: rules.length,
+        interpreterRules: loaded.rules.length,
+        onlyInDatabase,
+        onlyInInterpreter,
+        mismatched,
+      },
+    };
+  } catch (error) {
+    return { statusCode: 500, message: `Error building the rule drift report - ${error}` };
+  }
+};
+
+module.exports = {
+  findRule,
+  registerRule,
+  createRule,
+  updateRule,
+  setRuleActive,
+  deleteRule,
+  syncAll,
+  getDriftReport,
+};
@@ -0,0 +1,283 @@
+const RuleTemplate = require("../models/RuleTemplate");
+const Rule = require("../models/Rule");
+const Room = require("../models/Room");
+const ruleSync = require("./rule-sync.service");
+const { updateVersionedRule } = require("./rule-versions.service");
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Rule settings a template passes on to its instances
+const RULE_SETTINGS = ["triggerMode", "cooldownSeconds", "maxFiresPerHour", "failurePolicy", "priority"];
+
+/**
+ * Get the placeholder names of a template, in order of first appearance
+ * @param {string} template - Rule text with {placeholders}
+ * @returns {Array<string>} Placeholder names
+ */
+const getPlaceholders = (template) => {
+  return [...new Set([...template.matchAll(PLACEHOLDER_PATTERN)].map((match) => match[1]))];
+};
+
+/**
+ * Replace the placeholders of a template
+ * @param {string} template - Rule text with {placeholders}
+ * @param {Object} params - Placeholder values by name
+ * @returns {Object} { ruleString } or { missing } listing the placeholders without a value
+ */
+const fillTemplate = (template, params) => {
+  const missing = getPlaceholders(template).filter(
+    (name) => params[name] === undefined || params[name] === null || params[name] === ""
+  );
+  if (missing.length > 0) {
+    return { missing };
+  }
+
+  return { ruleString: template.replace(PLACEHOLDER_PATTERN, (match, name) => String(params[name])) };
+};
+
+/**
+ * Pick the rule settings of a template
+ * @param {Object} template - The template document
+ * @returns {Object} triggerMode, cooldownSeconds, maxFiresPerHour, failurePolicy and priority
+ */
+const getRuleSettings = (template) => {
+  return Object.fromEntries(RULE_SETTINGS.map((field) => [field, template[field]]));
+};
+
+const getTemplates = async (space_id) => {
+  try {
+    // Shared templates are listed for every space
+    const query = space_id ? { space_id: { $in: [space_id, null] } } : {};
+    const templates = await RuleTemplate.find(query).sort({ name: 1 });
+    return { statusCode: 200, data: templates };
+  } catch (error) {
+    return { statusCode: 500, message: `Error fetching rule templates - ${error}` };
+  }
+};
+
+const getTemplateById = async (id) => {
+  try {
+    const template = await RuleTemplate.findById(id);
+    if (!template) {
+      return { statusCode: 404, message: `Rule template ${id} not found` };
+    }
+    return { statusCode: 200, data: template };
+  } catch (error) {
+    return { statusCode: 500, message: `Error fetching rule template ${id} - ${error}` };
+  }
+};
+
+const createTemplate = async (templateData) => {
+  if (!templateData.name || !templateData.template) {
+    return { statusCode: 400, message: "Template name and template text are required" };
+  }
+
+  try {
+    const template = new RuleTemplate({
+      name: templateData.name,
+      description: templateData.description,
+      template: templateData.template,
+      placeholders: getPlaceholders(templateData.template),
+      defaults: templateData.defaults || {},
+      space_id: templateData.space_id || null,
+      ...getRuleSettings(templateData),
+    });
+    await template.save();
+    return { statusCode: 200, message: "Rule template added successfully", data: template };
+  } catch (error) {
+    const statusCode = error.name === "ValidationError" ? 400 : 500;
+    return { statusCode, message: `Error adding rule template - ${error}` };
+  }
+};
+
+const updateTemplate = async (id, updateFields) => {
+  try {
+    const template = await RuleTemplate.findById(id);
+    if (!template) {
+      return { statusCode: 404, message: `Rule template ${id} not found` };
+    }
+
+    ["name", "description", "template", "defaults", "space_id", ...RULE_SETTINGS]
+      .filter((field) => updateFields.hasOwnProperty(field))
+      .forEach((field) => {
+        template[field] = updateFields[field];
+      });
+    template.placeholders = getPlaceholders(template.template);
+    template.markModified("defaults");
+
+    await template.save();
+    return { statusCode: 200, message: "Rule template updated successfully", data: template };
+  } catch (error) {
+    const statusCode = error.name === "ValidationError" ? 400 : 500;
+    return { statusCode, message: `Error updating rule template ${id} - ${error}` };
+  }
+};
+
+const deleteTemplate = async (id, deleteInstances = false) => {
+  try {
+    const template = await RuleTemplate.findByIdAndDelete(id);
+    if (!template) {
+      return { statusCode: 404, message: `Rule template ${id} not found` };
+    }
+
+    const instances = await Rule.find({ templateId: id });
+    if (deleteInstances) {
+      for (const instance of instances) {
+        await ruleSync.deleteRule(instance.id);
+      }
+    } else {
+      // The instances become ordinary rules
+      await Rule.updateMany({ templateId: id }, { $set: { templateId: null, templateParams: null } });
+    }
+
+    return {
+      statusCode: 200,
+      message: `Rule template deleted, ${instances.length} instances ${deleteInstances ? "deleted" : "unlinked"}`,
+    };
+  } catch (error) {
+    return { statusCode: 500, message: `Error deleting rule template ${id} - ${error}` };
+  }
+};
+
+const getTemplateInstances = async (id) => {
+  try {
+    const instances = await Rule.find({ templateId: id });
+    return { statusCode: 200, data: instances };
+  } catch (error) {
+    return { statusCode: 500, message: `Error fetching instances of rule template ${id} - ${error}` };
+  }
+};
+
+/**
+ * Create rules from a template, one per room
+ * {room} is filled with the room name; other placeholders come from params, then the template defaults.
+ * Rooms whose rule the interpreter rejects are reported and skipped.
+ * @param {string} id - The template ID
+ * @param {Object} options - space_id, optional room_id (all rooms of the space when omitted) and params
+ * @returns {Promise<Object>} Response with the created rules and the failures
+ */
+const instantiateTemplate = async (id, { space_id, room_id, params = {} } = {}) => {
+  if (!space_id) {
+    return { statusCode: 400, message: "space_id is required" };
+  }
+
+  try {
+    const template = await RuleTemplate.findById(id);
+    if (!template) {
+      return { statusCode: 404, message: `Rule template ${id} not found` };
+    }
+
+    const rooms = await Room.find(room_id ? { id: room_id, space_id } : { space_id });
+    if (rooms.length === 0) {
+      return { statusCode: 404, message: `No rooms found for ${room_id ? `room ${room_id}` : `space ${space_id}`}` };
+    }
+
+    // Only the room differs between the instances, so check the other values once
+    const { missing } = fillTemplate(template.template, { ...template.defaults, ...params, room: rooms[0].name });
+    if (missing) {
+      return { statusCode: 400, message: `Missing values for placeholders: ${missing.join(", ")}` };
+    }
+
+    const created = [];
+    const failed = [];
+
+    for (const room of rooms) {
+      const templateParams = { ...template.defaults, ...params, room: room.name };
+      const { ruleString } = fillTemplate(template.template, templateParams);
+
+      const response = await ruleSync.createRule({
+        description: ruleString,
+        ruleString,
+        space_id,
+        isActive: true,
+        ...getRuleSettings(template),
+        templateId: template.id,
+        templateParams,
+      }, { requireInterpreter: true });
+      if (response.statusCode !== 200) {
+        failed.push({ room: room.name, ruleString, error: response.message, diagnostics: response.diagnostics });
+        continue;
+      }
+
+      created.push(response.data);
+    }
+
+    return {
+      statusCode: created.length > 0 ? 200 : 400,
+      message: `Created ${created.length} rules from template ${template.name}`,
+      data: { created, failed },
+    };
+  } catch (error) {
+    return { statusCode: 500, message: `Error instantiating rule template ${id} - ${error}` };
+  }
+};
+
+/**
+ * Regenerate the rules of a template after the template was edited
+ * Each instance keeps its placeholder values; values it doesn't have come from the current defaults.
+ * Instances whose rule text and settings are unchanged are left alone; the others are reloaded
+ * in the interpreter under the same id (keeping their active state) and updated in the database,
+ * keeping their previous text and settings as a version.
+ * @param {string} id - The template ID
+ * @param {string|null} [changedBy=null] - Who edited the template, recorded as the author of the versions
+ * @returns {Promise<Object>} Response with the regenerated, unchanged and failed instances
+ */
+const regenerateInstances = async (id, changedBy = null) => {
+  try {
+    const template = await RuleTemplate.findById(id);
+    if (!template) {
+      return { statusCode: 404, message: `Rule template ${id} not found` };
+    }
+
+    const settings = getRuleSettings(template);
+    const instances = await Rule.find({ templateId: id });
+    const regenerated = [];
+    const unchanged = [];
+    const failed = [];
+
+    for (const instance of instances) {
+      const templateParams = { ...template.defaults, ...instance.templateParams };
+      const { ruleString, missing } = fillTemplate(template.template, templateParams);
+      if (missing) {
+        failed.push({ id: instance.id, error: `Missing values for placeholders: ${missing.join(", ")}` });
+        continue;
+      }
+
+      const settingsChanged = RULE_SETTINGS.some((field) => instance[field] !== settings[field]);
+      if (ruleString === instance.ruleString && !settingsChanged) {
+        unchanged.push(instance.id);
+        continue;
+      }
+
+      const response = await updateVersionedRule(
+        instance,
+        { ...settings, description: ruleString, ruleString, templateParams },
+        { changedBy }
+      );
+      if (response.statusCode !== 200) {
+        failed.push({ id: instance.id, ruleString, error: response.message, diagnostics: response.diagnostics });
+        continue;
+      }
+      regenerated.push(instance.id);
+    }
+
+    return {
+      statusCode: 200,
+      message: `Regenerated ${regenerated.length} of ${instances.length} rules of template ${template.name}`,
+      data: { regenerated, unchanged, failed },
+    };
+  } catch (error) {
+    return { statusCode: 500, message: `Error regenerating rules of template ${id} - ${error}` };
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateInstances,
+  instantiateTemplate,
+  regenerateInstances,
+};
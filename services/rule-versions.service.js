@@ -0,0 +1,309 @@
+const Rule = require("../models/Rule");
+const RuleVersion = require("../models/RuleVersion");
+const ruleSync = require("./rule-sync.service");
+
+// Fields kept in every version; changing any of them creates a new version
+const VERSIONED_FIELDS = [
+  "description",
+  "condition",
+  "ruleString",
+  "triggerMode",
+  "cooldownSeconds",
+  "maxFiresPerHour",
+  "failurePolicy",
+  "priority",
+];
+
+/**
+ * Pick the versioned fields of a rule
+ * @param {Object} rule - The rule or version
+ * @returns {Object} The versioned fields, null when unset
+ */
+const snapshot = (rule) => {
+  return Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, rule[field] === undefined ? null : rule[field]]));
+};
+
+const changedFields = (before, after) => {
+  const [from, to] = [snapshot(before), snapshot(after)];
+  return VERSIONED_FIELDS.filter((field) => from[field] !== to[field]);
+};
+
+/**
+ * Get one version of a rule
+ * The current version of a rule edited before versioning existed has no record yet, so it is
+ * read from the rule itself.
+ * @param {Object} rule - The rule document
+ * @param {number} version - The version number
+ * @returns {Promise<Object|null>} The version, or null if the rule has no such version
+ */
+const getVersion = async (rule, version) => {
+  const record = await RuleVersion.findOne({ ruleId: rule.id, version }).lean();
+  if (record || version !== rule.version) {
+    return record;
+  }
+  return { ruleId: rule.id, version, ...snapshot(rule), changedBy: null, changedAt: null, changeType: "initial" };
+};
+
+/**
+ * Save the version a rule has before its first tracked change, unless it already has a record
+ * @param {Object} rule - The rule before the change
+ */
+const saveInitialVersion = async (rule) => {
+  try {
+    await RuleVersion.updateOne(
+      { ruleId: rule.id, version: rule.version },
+      { $setOnInsert: { ...snapshot(rule), changeType: "initial" } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent change of the rule saved it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Record a change of a rule as a new version
+ * The version the rule had before is saved first if it has no record yet, so it is never lost.
+ * The version number is taken from the rule atomically, so concurrent changes get distinct numbers.
+ * Edits that leave all the versioned fields unchanged (e.g. toggling isActive) create no version.
+ * @param {Object} before - The rule before the change
+ * @param {Object} after - The rule after the change
+ * @param {Object} [options={}] - changedBy, changeType ("edit" or "rollback") and rolledBackFrom
+ * @returns {Promise<Object|null>} The new version, or null if nothing versioned changed
+ */
+const recordVersion = async (before, after, { changedBy = null, changeType = "edit", rolledBackFrom = null } = {}) => {
+  if (changeType === "edit" && changedFields(before, after).length === 0) {
+    return null;
+  }
+
+  await saveInitialVersion(before);
+
+  // Rules saved before versioning have no version stored yet
+  await Rule.updateOne({ id: before.id, version: { $exists: false } }, { $set: { version: before.version } });
+  const rule = await Rule.findOneAndUpdate({ id: before.id }, { $inc: { version: 1 } }, { new: true, projection: { version: 1 } });
+  if (!rule) {
+    throw new Error(`Rule ${before.id} not found`);
+  }
+
+  return RuleVersion.create({
+    ruleId: before.id,
+    version: rule.version,
+    ...snapshot(after),
+    changedBy,
+    changedAt: new Date(),
+    changeType,
+    rolledBackFrom,
+  });
+};
+
+/**
+ * Update a rule through the rule sync service and record the change as a new version
+ * If the version cannot be recorded, the changed fields are put back, so no change goes unrecorded.
+ * @param {Object} before - The rule before the change
+ * @param {Object} updateFields - Fields to update, as accepted by ruleSync.updateRule
+ * @param {Object} [options={}] - Options of recordVersion
+ * @returns {Promise<Object>} The response of ruleSync.updateRule, with the new version (null if nothing
+ *   versioned changed) and the rule after the change
+ */
+const updateVersionedRule = async (before, updateFields, options = {}) => {
+  const response = await ruleSync.updateRule(before.id, { ...updateFields });
+  if (response.statusCode !== 200) {
+    return response;
+  }
+
+  const after = await Rule.findOne({ id: before.id });
+  try {
+    const version = await recordVersion(before, after, options);
+    return { ...response, version, rule: after };
+  } catch (error) {
+    console.error(`Error recording a version of rule ${before.id}, undoing the change:`, error);
+    const previous = Object.fromEntries(
+      Object.keys(updateFields).map((field) => [field, before[field] === undefined ? null : before[field]])
+    );
+    await ruleSync.updateRule(before.id, previous);
+    return { statusCode: 500, message: `The change of rule ${before.id} was undone: its version could not be recorded - ${error.message}` };
+  }
+};
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - The old text
+ * @param {string} after - The new text
+ * @returns {Array<Object>} Parts with type ("same", "removed" or "added") and text
+ */
+const diffWords = (before, after) => {
+  const from = (before || "").split(/\s+/).filter(Boolean);
+  const to = (after || "").split(/\s+/).filter(Boolean);
+
+  // lengths[i][j] is the length of the longest common subsequence of from[i..] and to[j..]
+  const lengths = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+  for (let i = from.length - 1; i >= 0; i--) {
+    for (let j = to.length - 1; j >= 0; j--) {
+      lengths[i][j] = from[i] === to[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      parts.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < from.length && j < to.length) {
+    if (from[i] === to[j]) {
+      push("same", from[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", from[i++]);
+    } else {
+      push("added", to[j++]);
+    }
+  }
+  from.slice(i).forEach((word) => push("removed", word));
+  to.slice(j).forEach((word) => push("added", word));
+
+  return parts;
+};
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+};
+
+const getVersions = async (ruleId) => {
+  try {
+    const rule = await Rule.findOne({ id: ruleId });
+    if (!rule) {
+      return { statusCode: 404, message: `Rule ${ruleId} not found` };
+    }
+
+    const versions = await RuleVersion.find({ ruleId }).sort({ version: -1 }).lean();
+    if (!versions.some((version) => version.version === rule.version)) {
+      versions.unshift(await getVersion(rule, rule.version));
+    }
+    return { statusCode: 200, data: { current: rule.version, versions } };
+  } catch (error) {
+    return { statusCode: 500, message: `Error fetching versions of rule ${ruleId} - ${error}` };
+  }
+};
+
+/**
+ * Compare two versions of a rule
+ * @param {string} ruleId - The rule ID
+ * @param {number|string} [from] - The older version (default: the version before "to", or none for version 1)
+ * @param {number|string} [to] - The newer version (default: the current version)
+ * @returns {Promise<Object>} Response with the changed fields and a word diff of the rule text
+ */
+const diffVersions = async (ruleId, from, to) => {
+  try {
+    const rule = await Rule.findOne({ id: ruleId });
+    if (!rule) {
+      return { statusCode: 404, message: `Rule ${ruleId} not found` };
+    }
+
+    const toVersion = to === undefined ? rule.version : parseVersion(to);
+    // Version 1 has no version before it, so by default it is compared with an empty rule
+    const fromNothing = from === undefined && toVersion === 1;
+    const fromVersion = from === undefined ? toVersion - 1 : parseVersion(from);
+    if (!toVersion || (!fromVersion && !fromNothing)) {
+      return { statusCode: 400, message: "Versions must be positive integers" };
+    }
+
+    const [older, newer] = await Promise.all([
+      fromNothing ? snapshot({}) : getVersion(rule, fromVersion),
+      getVersion(rule, toVersion),
+    ]);
+    const missing = [[fromVersion, older], [toVersion, newer]].find(([, version]) => !version);
+    if (missing) {
+      return { statusCode: 404, message: `Rule ${ruleId} has no version ${missing[0]}` };
+    }
+
+    return {
+      statusCode: 200,
+      data: {
+        ruleId,
+        from: fromNothing ? null : fromVersion,
+        to: toVersion,
+        changes: changedFields(older, newer).map((field) => ({ field, from: older[field], to: newer[field] })),
+        ruleStringDiff: diffWords(older.ruleString || older.description, newer.ruleString || newer.description),
+      },
+    };
+  } catch (error) {
+    return { statusCode: 500, message: `Error comparing versions of rule ${ruleId} - ${error}` };
+  }
+};
+
+/**
+ * Restore an old version of a rule
+ * The old rule string is registered in the interpreter under the rule's id, and a version without one
+ * is removed from the interpreter; a version that no longer parses leaves the rule untouched. The rule keeps its active state, and the rollback is recorded
+ * as a new version.
+ * @param {string} ruleId - The rule ID
+ * @param {number|string} version - The version to restore
+ * @param {string|null} changedBy - Who requested the rollback
+ * @returns {Promise<Object>} Response with the new version
+ */
+const rollbackToVersion = async (ruleId, version, changedBy = null) => {
+  const targetVersion = parseVersion(version);
+  if (!targetVersion) {
+    return { statusCode: 400, message: "Version must be a positive integer" };
+  }
+
+  try {
+    const rule = await Rule.findOne({ id: ruleId });
+    if (!rule) {
+      return { statusCode: 404, message: `Rule ${ruleId} not found` };
+    }
+    if (targetVersion === rule.version) {
+      return { statusCode: 400, message: `Rule ${ruleId} is already at version ${targetVersion}` };
+    }
+
+    const target = await getVersion(rule, targetVersion);
+    if (!target) {
+      return { statusCode: 404, message: `Rule ${ruleId} has no version ${targetVersion}` };
+    }
+
+    const before = rule.toObject();
+    const restored = Object.fromEntries(changedFields(before, target).map((field) => [field, target[field]]));
+    // A version without a rule string was not in the interpreter's format, so it is not loaded again
+    restored.ruleString = target.ruleString || null;
+
+    const response = await updateVersionedRule(before, restored, {
+      changedBy,
+      changeType: "rollback",
+      rolledBackFrom: targetVersion,
+    });
+    if (response.statusCode !== 200) {
+      return {
+        statusCode: response.statusCode,
+        message: `Version ${targetVersion} could not be restored: ${response.message}`,
+        data: { diagnostics: response.diagnostics },
+      };
+    }
+
+    return {
+      statusCode: 200,
+      message: `Rule ${ruleId} rolled back to version ${targetVersion}`,
+      data: { version: response.version, interpreterId: response.rule.interpreterId },
+    };
+  } catch (error) {
+    return { statusCode: 500, message: `Error rolling back rule ${ruleId} - ${error}` };
+  }
+};
+
+module.exports = {
+  recordVersion,
+  updateVersionedRule,
+  getVersions,
+  diffVersions,
+  rollbackToVersion,
+};
@@ -1,4 +1,5 @@
 const Rule = require("../models/Rule");
+const RuleGroup = require("../models/RuleGroup");
 const Device = require("./../models/Device.js");
 const RoomDevice = require("./../models/RoomDevice");
 const { ObjectId, Int32 } = require("bson");
@@ -496,7 +497,16 @@ const add_new_Rule = async (ruleData) => {
     // Add interpreter-specific fields if they exist
     interpreterId: ruleData.interpreterId || null,
     ruleString: ruleData.ruleString || null,
-    isActive: ruleData.hasOwnProperty('isActive') ? ruleData.isActive : true
+    isActive: ruleData.hasOwnProperty('isActive') ? ruleData.isActive : true,
+    // Trigger settings fall back to the schema defaults when not provided
+    triggerMode: ruleData.triggerMode,
+    cooldownSeconds: ruleData.cooldownSeconds,
+    maxFiresPerHour: ruleData.maxFiresPerHour,
+    failurePolicy: ruleData.failurePolicy,
+    priority: ruleData.priority,
+    // Set for rules generated from a rule template
+    templateId: ruleData.templateId || null,
+    templateParams: ruleData.templateParams || null
   });
 
   console.log("rule going to save in the database");
@@ -507,6 +517,7 @@ const add_new_Rule = async (ruleData) => {
     return {
       statusCode: 200,
       message: "Rule added successfully",
+      data: newRule,
     };
   } catch (error) {
     console.error('Error saving rule:', error);
@@ -707,6 +718,7 @@ async function deleteRuleById(ruleId) {
   try {
     const result = await Rule.deleteOne({ id: ruleId });
     await Rule.deleteMany({ relatedRule: ruleId });
+    await RuleGroup.updateMany({ ruleIds: ruleId }, { $pull: { ruleIds: ruleId } });
     if (result.deletedCount === 1) {
       return { status: 200 };
     } else {
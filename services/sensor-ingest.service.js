@@ -0,0 +1,267 @@
+const EventRegistry = require("../interpreter/src/events/EventRegistry");
+const sensorLoggingService = require("./sensor-logging.service");
+const EdgeNode = require("../models/EdgeNode");
+const Room = require("../models/Room");
+
+/*
+ * Ingests the sensor readings the Raspberry Pis push (POST /api-sensors/ingest, or MQTT through
+ * services/mqtt-bridge.service.js), instead of waiting for them to be polled. Every reading carries the time it was measured, and the readings are
+ * applied in measurement order. Only the newest reading of each event reaches the rules: a reading
+ * older than its event's current value (out of order) or followed by a newer reading of the same
+ * batch (superseded) is only logged, and a reading measured more than maxLatenessMs ago (late)
+ * becomes the event's value without evaluating the rules, so no rule acts on a stale value.
+ */
+
+// Most readings accepted in one request
+const MAX_BATCH_SIZE = 500;
+
+class SensorIngestService {
+  /**
+   * @param {Object} [options={}]
+   * @param {Object} [options.eventRegistry] - The registry of the events the readings update
+   * @param {Object} [options.sensorLogger] - Logs the readings, with logSensorData(sensorData, { timestamp })
+   * @param {Function} [options.getRooms] - Resolves to the space and room names of a Pi, or null if unknown
+   * @param {Function} [options.now] - Returns the current time in milliseconds
+   * @param {number} [options.maxLatenessMs] - Age above which readings no longer trigger rules
+   *   (SENSOR_INGEST_MAX_LATENESS_MS, default 5 minutes)
+   * @param {number} [options.maxClockSkewMs] - How far in the future a reading may be dated
+   *   (SENSOR_INGEST_MAX_CLOCK_SKEW_MS, default 1 minute)
+   */
+  constructor(options = {}) {
+    this.eventRegistry = options.eventRegistry || EventRegistry;
+    this.sensorLogger = options.sensorLogger || sensorLoggingService;
+    this.getRooms = options.getRooms || ((ip) => this.getRoomsOfEdgeNode(ip));
+    this.now = options.now || Date.now;
+    this.maxLatenessMs = options.maxLatenessMs ?? parseInt(process.env.SENSOR_INGEST_MAX_LATENESS_MS || "300000", 10);
+    this.maxClockSkewMs = options.maxClockSkewMs ?? parseInt(process.env.SENSOR_INGEST_MAX_CLOCK_SKEW_MS || "60000", 10);
+  }
+
+  /**
+   * Get the rooms of the space a Pi serves
+   * @param {string} ip - The Pi's IP
+   * @returns {Promise<Object|null>} The rooms, as getRoomsOfSpace gives them, or null if the Pi has no space
+   *   or MongoDB is unreachable, in which case the rooms are not checked
+   */
+  async getRoomsOfEdgeNode(ip) {
+    try {
+      const node = await EdgeNode.findOne({ ip }).lean();
+      return node && node.space_id ? await this.getRoomsOfSpace(node.space_id) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the rooms of a space
+   * @param {string} spaceId - The space_id of the space
+   * @returns {Promise<Object|null>} spaceId and lowercase room names (null if the space has no rooms),
+   *   or null if MongoDB is unreachable
+   */
+  async getRoomsOfSpace(spaceId) {
+    try {
+      const rooms = await Room.find({ space_id: spaceId }, { name: 1 }).lean();
+      // A space without rooms yet does not restrict the readings
+      return { spaceId, names: rooms.length > 0 ? rooms.map((room) => room.name.toLowerCase()) : null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ingest a batch of readings pushed by a Pi
+   * @param {string} ip - The Pi's IP
+   * @param {Array<Object>} readings - Readings with room, sensor, value and timestamp (ISO date or milliseconds)
+   * @returns {Promise<Object>} The number of readings in each outcome, each reading's outcome and the rejected readings
+   */
+  async ingestReadings(ip, readings) {
+    return this.ingest(`Raspberry Pi ${ip}`, readings, () => this.getRooms(ip));
+  }
+
+  /**
+   * Ingest readings of a space received from elsewhere than a Pi, e.g. over MQTT
+   * @param {string} spaceId - The space_id of the rooms the readings come from
+   * @param {Array<Object>} readings - Readings, as for ingestReadings
+   * @returns {Promise<Object>} The outcomes, as for ingestReadings
+   */
+  async ingestSpaceReadings(spaceId, readings) {
+    return this.ingest(`space ${spaceId}`, readings, () => this.getRoomsOfSpace(spaceId));
+  }
+
+  async ingest(source, readings, getRooms) {
+    if (!Array.isArray(readings) || readings.length === 0) {
+      return { statusCode: 400, message: "readings must be a non-empty array" };
+    }
+    if (readings.length > MAX_BATCH_SIZE) {
+      return { statusCode: 400, message: `At most ${MAX_BATCH_SIZE} readings can be pushed at once` };
+    }
+
+    const rooms = await getRooms();
+    const rejected = [];
+    const valid = [];
+    readings.forEach((reading, index) => {
+      const result = this.validateReading(reading, rooms);
+      if (result.error) {
+        rejected.push({ index, error: result.error });
+      } else {
+        valid.push({ index, ...result });
+      }
+    });
+
+    if (valid.length === 0) {
+      return { statusCode: 400, data: { message: "No valid reading", accepted: 0, rejected } };
+    }
+
+    // Apply the readings in the order they were measured; the last reading of each event is its newest
+    valid.sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+    const newestReadings = new Map(valid.map((reading) => [reading.event, reading]));
+
+    const outcomes = valid.map((reading) => {
+      const { event, value, timestamp } = reading;
+      let status;
+      if (newestReadings.get(event) !== reading) {
+        status = "superseded";
+      } else if (event.lastUpdatedAt && timestamp <= event.lastUpdatedAt) {
+        status = "outOfOrder";
+      } else if (this.now() - timestamp.getTime() > this.maxLatenessMs) {
+        event.record(value, timestamp);
+        status = "late";
+      } else {
+        event.update(value, timestamp);
+        status = "applied";
+      }
+      return { index: reading.index, event: event.name, value, timestamp, status };
+    });
+
+    const logged = this.logReadings(valid, rooms);
+    const count = (status) => outcomes.filter((outcome) => outcome.status === status).length;
+    console.log(
+      `[SENSOR INGEST] ${source} sent ${readings.length} readings: ${count("applied")} applied, ${count("late")} late, ` +
+      `${count("outOfOrder")} out of order, ${count("superseded")} superseded, ${rejected.length} rejected`
+    );
+
+    return {
+      statusCode: 200,
+      data: {
+        accepted: valid.length,
+        applied: count("applied"),
+        late: count("late"),
+        outOfOrder: count("outOfOrder"),
+        superseded: count("superseded"),
+        logged,
+        readings: outcomes.sort((a, b) => a.index - b.index),
+        rejected,
+      },
+    };
+  }
+
+  /**
+   * Check a reading against the sensors registered for its room
+   * @param {Object} reading - The pushed reading
+   * @param {Object|null} rooms - The rooms of the Pi's space, from getRooms
+   * @returns {Object} The event, value and timestamp of the reading, or its error
+   */
+  validateReading(reading, rooms) {
+    if (!reading || typeof reading !== "object") {
+      return { error: "reading must be an object" };
+    }
+    const { room, sensor, value } = reading;
+    if (typeof room !== "string" || !room.trim() || typeof sensor !== "string" || !sensor.trim()) {
+      return { error: "room and sensor are required" };
+    }
+    if (rooms && rooms.names && !rooms.names.includes(room.trim().toLowerCase())) {
+      return { error: `Room "${room}" is not in space ${rooms.spaceId}` };
+    }
+
+    const event = this.eventRegistry.getEvent(`${room.trim()} ${sensor.trim()}`);
+    if (!event) {
+      return { error: `No ${sensor} sensor is registered in room "${room}"` };
+    }
+
+    const timestamp = this.parseTimestamp(reading.timestamp);
+    if (!timestamp) {
+      return { error: "timestamp must be an ISO date or milliseconds since the epoch" };
+    }
+    if (timestamp.getTime() - this.now() > this.maxClockSkewMs) {
+      return { error: `timestamp ${timestamp.toISOString()} is in the future` };
+    }
+
+    const converted = this.convertValue(this.eventRegistry.getEventType(event.type), value);
+    if (converted.error) {
+      return { error: `${event.name}: ${converted.error}` };
+    }
+    return { event, value: converted.value, timestamp };
+  }
+
+  parseTimestamp(timestamp) {
+    if (typeof timestamp !== "number" && typeof timestamp !== "string") {
+      return null;
+    }
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Convert a pushed value to the value type declared for its event type
+   * @param {Object|null} eventType - The declaration of the event's type; values of undeclared types are kept
+   * @param {*} value - The pushed value
+   * @returns {Object} The converted value, or the error
+   */
+  convertValue(eventType, value) {
+    if (value === undefined || value === null) {
+      return { error: "value is required" };
+    }
+    if (!eventType) {
+      return { value };
+    }
+
+    switch (eventType.valueType) {
+      case "number": {
+        const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+        return typeof number === "number" && Number.isFinite(number)
+          ? { value: number }
+          : { error: `expected a number${eventType.unit ? ` (${eventType.unit})` : ""}, got ${JSON.stringify(value)}` };
+      }
+      case "boolean":
+        if (typeof value === "boolean") {
+          return { value };
+        }
+        return ["true", "false"].includes(String(value).toLowerCase())
+          ? { value: String(value).toLowerCase() === "true" }
+          : { error: `expected true or false, got ${JSON.stringify(value)}` };
+      case "string": {
+        const string = String(value).toLowerCase();
+        return !eventType.values || eventType.values.includes(string)
+          ? { value: string }
+          : { error: `expected one of: ${eventType.values.join(", ")}, got ${JSON.stringify(value)}` };
+      }
+      default:
+        return { error: `${eventType.type} values cannot be pushed` };
+    }
+  }
+
+  /**
+   * Log the readings, one row per measurement time
+   * @returns {number} The number of rows logged
+   */
+  logReadings(readings, rooms) {
+    const rows = new Map();
+    readings.forEach(({ event, value, timestamp }) => {
+      const row = rows.get(timestamp.getTime()) || [];
+      row.push({ name: event.name.toLowerCase(), value, spaceId: rooms ? rooms.spaceId : undefined });
+      rows.set(timestamp.getTime(), row);
+    });
+
+    let logged = 0;
+    rows.forEach((row, time) => {
+      const result = this.sensorLogger.logSensorData(row, { timestamp: new Date(time) });
+      if (result.success) {
+        logged++;
+      } else {
+        console.warn(`[SENSOR INGEST] Failed to log the readings of ${new Date(time).toISOString()}: ${result.error}`);
+      }
+    });
+    return logged;
+  }
+}
+
+module.exports = new SensorIngestService(); // Export a singleton instance
@@ -197,9 +197,10 @@ const sensorLoggingService = {
   /**
    * Log sensor data to the file
    * @param {Array<Object>} sensorData - Array of sensor data objects with name and value
+   * @param {Object} [options={}] - timestamp: when the values were measured (default: now)
    * @returns {Object} Result object with success status
    */
-  logSensorData(sensorData) {
+  logSensorData(sensorData, { timestamp: measuredAt = new Date() } = {}) {
     try {
       const timestamp = new Date().toISOString();
       fsSync.appendFileSync(
@@ -253,8 +254,8 @@ const sensorLoggingService = {
         };
       }
 
-      // Get current timestamp for the log entry
-      const date = new Date();
+      // Get the measurement timestamp for the log entry
+      const date = new Date(measuredAt);
       // Format timestamp as YYYY-MM-DD HH:MM:SS
       const formattedTimestamp = date
         .toISOString()
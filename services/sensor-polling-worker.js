@@ -0,0 +1,127 @@
+/*
+ * Polls the sensors of one Raspberry Pi at its own interval. A failed poll doubles the delay before
+ * the next one, up to maxBackoffMs, so an unreachable Pi is not hammered while the others keep
+ * their pace; the first successful poll brings the worker back to its interval.
+ */
+
+// Longest delay between two polls of a failing Pi
+const DEFAULT_MAX_BACKOFF_MS = parseInt(process.env.SENSOR_POLLING_MAX_BACKOFF_MS || "600000", 10);
+
+class SensorPollingWorker {
+  /**
+   * @param {string} raspPiIP - The Pi to poll
+   * @param {Function} poll - Polls the Pi once; resolves to a result with success and error
+   * @param {Object} [options={}]
+   * @param {number} [options.interval=30000] - Delay between two successful polls in milliseconds
+   * @param {number} [options.maxBackoffMs] - Longest delay after failed polls (SENSOR_POLLING_MAX_BACKOFF_MS, default 10 minutes)
+   */
+  constructor(raspPiIP, poll, { interval = 30000, maxBackoffMs = DEFAULT_MAX_BACKOFF_MS } = {}) {
+    this.raspPiIP = raspPiIP;
+    this.poll = poll;
+    this.interval = interval;
+    this.maxBackoffMs = Math.max(maxBackoffMs, interval);
+
+    this.timer = null;
+    this.running = false;
+    this.polling = false;
+    this.startedAt = null;
+    this.pollCount = 0;
+    this.consecutiveFailures = 0;
+    this.lastPollAt = null;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.nextPollAt = null;
+  }
+
+  /**
+   * Poll now, then keep polling until stopped
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.startedAt = new Date();
+    this.schedule(0);
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextPollAt = null;
+  }
+
+  schedule(delay) {
+    this.nextPollAt = new Date(Date.now() + delay);
+    this.timer = setTimeout(() => this.runPoll(), delay);
+  }
+
+  async runPoll() {
+    this.polling = true;
+    this.pollCount++;
+    this.lastPollAt = new Date();
+
+    try {
+      const result = await this.poll(this.raspPiIP);
+      if (!result || !result.success) {
+        throw new Error((result && result.error) || "Poll failed");
+      }
+      this.consecutiveFailures = 0;
+      this.lastSuccessAt = new Date();
+      this.lastError = null;
+    } catch (error) {
+      this.consecutiveFailures++;
+      this.lastError = error.message;
+      console.warn(
+        `Sensor polling of ${this.raspPiIP} failed ${this.consecutiveFailures} time(s) in a row: ${error.message}`
+      );
+    } finally {
+      this.polling = false;
+    }
+
+    // The worker may have been stopped while the poll was running
+    if (this.running) {
+      this.schedule(this.getNextDelay());
+    }
+  }
+
+  /**
+   * Get the delay before the next poll, doubled for every failed poll in a row
+   * @returns {number} The delay in milliseconds
+   */
+  getNextDelay() {
+    if (this.consecutiveFailures === 0) {
+      return this.interval;
+    }
+    return Math.min(this.interval * 2 ** this.consecutiveFailures, this.maxBackoffMs);
+  }
+
+  /**
+   * Get the worker's state
+   * @returns {Object} status ("running", "backoff" or "stopped"), interval and poll history
+   */
+  getStatus() {
+    let status = "stopped";
+    if (this.running) {
+      status = this.consecutiveFailures > 0 ? "backoff" : "running";
+    }
+
+    return {
+      raspPiIP: this.raspPiIP,
+      status,
+      interval: this.interval,
+      currentDelay: this.running ? this.getNextDelay() : null,
+      startedAt: this.startedAt,
+      pollCount: this.pollCount,
+      polling: this.polling,
+      consecutiveFailures: this.consecutiveFailures,
+      lastPollAt: this.lastPollAt,
+      lastSuccessAt: this.lastSuccessAt,
+      lastError: this.lastError,
+      nextPollAt: this.nextPollAt,
+    };
+  }
+}
+
+module.exports = SensorPollingWorker;
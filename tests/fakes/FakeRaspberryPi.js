@@ -0,0 +1,203 @@
+const express = require("express");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+// The light LightAction sends its commands to
+const DEFAULT_LIGHT_ID = "e3cd3456-4cc1-4526-a56e-18f7db068616";
+
+const defaultState = () => ({
+  events: ["Living Room Temperature", "Living Room Humidity", "Living Room Motion"],
+  actions: [
+    { name: "Living Room AC", type: "ac", location: "Living Room" },
+    { name: "Living Room Light", type: "light", location: "Living Room" },
+  ],
+  sensors: { temperature: 24, humidity: 50 },
+  motion: false,
+  acState: { on: false, targetTemperature: 24, mode: "cool" },
+  lights: {
+    [DEFAULT_LIGHT_ID]: { id: DEFAULT_LIGHT_ID, name: "Living Room Light", on: false, brightness: 254, color: null },
+  },
+});
+
+/**
+ * In-process fake of the Raspberry Pi Flask API
+ * Serves the sensor, Sensibo, Hue, motion and actuator endpoints the server calls, keeps the
+ * device state they change, and records every request so tests can check what was sent.
+ *
+ * Usage:
+ *   const pi = new FakeRaspberryPi();
+ *   await pi.start();
+ *   process.env.RASP_PI_CONFIG_PATH = await pi.writeConfig();
+ *   ...
+ *   await pi.stop();
+ */
+class FakeRaspberryPi {
+  /**
+   * @param {Object} [state={}] - Overrides of the initial state: events, actions, sensors, motion, acState, lights
+   */
+  constructor(state = {}) {
+    this.initialState = state;
+    this.ip = "127.0.0.1";
+    this.server = null;
+    this.url = null;
+    this.configPath = null;
+    this.reset();
+    this.app = this.createApp();
+  }
+
+  /**
+   * Put the devices and sensors back to their initial state and forget the recorded requests
+   */
+  reset() {
+    Object.assign(this, defaultState(), JSON.parse(JSON.stringify(this.initialState)));
+    this.requests = [];
+    this.failures = new Map(); // Route path to the status code it answers with
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      this.requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+      const statusCode = this.failures.get(req.path);
+      if (statusCode) {
+        return res.status(statusCode).json({ success: false, statusCode, error: `Simulated failure of ${req.path}` });
+      }
+      next();
+    });
+
+    app.get("/api-sensors/get_events", (req, res) => {
+      res.json({ success: true, events: this.events });
+    });
+
+    app.get("/api-actuators/get_actions", (req, res) => {
+      res.json({ success: true, actions: this.actions });
+    });
+
+    app.get("/api-sensibo/get_sensor_data", (req, res) => {
+      res.json({
+        success: true,
+        sensors: Object.entries(this.sensors).map(([sensor, value]) => ({ sensor, value })),
+      });
+    });
+
+    app.get("/api-sensibo/get_ac_state", (req, res) => {
+      res.json({ success: true, acState: this.acState });
+    });
+
+    app.post("/api-sensibo/switch_ac_state", (req, res) => {
+      const { state, temperature } = req.body;
+      if (typeof state !== "boolean") {
+        return res.status(400).json({ success: false, error: "state must be true or false" });
+      }
+
+      this.acState.on = state;
+      if (temperature !== null && temperature !== undefined) {
+        this.acState.targetTemperature = temperature;
+      }
+      res.json({ success: true, acState: this.acState });
+    });
+
+    app.post("/api-sensibo/update_mode", (req, res) => {
+      this.acState.mode = req.body.mode;
+      res.json({ success: true, acState: this.acState });
+    });
+
+    app.get("/api-hue/get_all_lights", (req, res) => {
+      res.json({ success: true, lights: Object.values(this.lights) });
+    });
+
+    app.get("/api-hue/get_light_state", (req, res) => {
+      const light = this.lights[req.query.light_id];
+      if (!light) {
+        return res.status(404).json({ success: false, error: `Light ${req.query.light_id} not found` });
+      }
+      res.json({ success: true, lightState: light });
+    });
+
+    app.put("/api-hue/switch_light_state", (req, res) => {
+      const { light_id, state, brightness, color } = req.body;
+      const light = this.lights[light_id];
+      if (!light) {
+        return res.status(404).json({ statusCode: 404, error: `Light ${light_id} not found` });
+      }
+
+      light.on = Boolean(state);
+      if (brightness !== undefined) {
+        light.brightness = brightness;
+      }
+      if (color !== undefined) {
+        light.color = color;
+      }
+      res.json({ statusCode: 200, data: light });
+    });
+
+    app.get("/api-motion/motion_state", (req, res) => {
+      res.json({ motion_detected: this.motion });
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} The base URL of the fake
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(0, this.ip, () => {
+        this.url = `http://${this.ip}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+      this.server.on("error", reject);
+    });
+  }
+
+  /**
+   * Stop listening and remove the configuration file written by writeConfig
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+    if (this.configPath) {
+      await fs.rm(path.dirname(this.configPath), { recursive: true, force: true });
+      this.configPath = null;
+    }
+  }
+
+  /**
+   * Write a Raspberry Pi configuration listing only this fake
+   * Point RASP_PI_CONFIG_PATH at the returned file to send the server's Pi requests here.
+   * @returns {Promise<string>} Path of the configuration file
+   */
+  async writeConfig() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "fake-rasp-pi-"));
+    this.configPath = path.join(dir, "rasp_pi.json");
+    await fs.writeFile(this.configPath, JSON.stringify({ [this.ip]: this.url }));
+    return this.configPath;
+  }
+
+  /**
+   * Answer every request to a route with an error until reset
+   * @param {string} routePath - e.g. "/api-sensibo/switch_ac_state"
+   * @param {number} [statusCode=500] - The status to answer with
+   */
+  fail(routePath, statusCode = 500) {
+    this.failures.set(routePath, statusCode);
+  }
+
+  /**
+   * Get the recorded requests to a route
+   * @param {string} routePath - e.g. "/api-hue/switch_light_state"
+   * @returns {Array<Object>} Requests with method, path, query and body, oldest first
+   */
+  requestsTo(routePath) {
+    return this.requests.filter((request) => request.path === routePath);
+  }
+}
+
+module.exports = { FakeRaspberryPi, DEFAULT_LIGHT_ID };
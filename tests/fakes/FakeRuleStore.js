@@ -0,0 +1,271 @@
+const Rule = require("../../models/Rule");
+const RuleGroup = require("../../models/RuleGroup");
+const RuleVersion = require("../../models/RuleVersion");
+const RuleParser = require("../../interpreter/src/parser/RuleParser");
+const interpreterService = require("../../interpreter/src/server-integration");
+
+// Settings the interpreter gives a rule created without them, as the Rule schema does
+const DEFAULT_SETTINGS = {
+  triggerMode: "while_true",
+  cooldownSeconds: 0,
+  maxFiresPerHour: null,
+  failurePolicy: "stop",
+  priority: 0,
+};
+const SETTINGS = Object.keys(DEFAULT_SETTINGS);
+
+const clone = (value) => structuredClone(value);
+
+/**
+ * Check a stored document against the parts of a MongoDB filter the rule services use
+ * Supports field equality, $or, $in and $exists
+ * @param {Object} doc - The stored document
+ * @param {Object} filter - The filter
+ * @returns {boolean} True if the document matches
+ */
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === "$or") {
+      return condition.some((alternative) => matches(doc, alternative));
+    }
+    const value = field === "_id" ? String(doc._id) : doc[field];
+    if (condition && typeof condition === "object" && !Array.isArray(condition)) {
+      if (condition.hasOwnProperty("$exists")) {
+        return (value !== undefined) === condition.$exists;
+      }
+      if (condition.hasOwnProperty("$in")) {
+        return condition.$in.map(String).includes(String(value));
+      }
+    }
+    return Array.isArray(value) ? value.includes(condition) : value === condition;
+  });
+
+/**
+ * Apply a MongoDB update to a stored document
+ * Supports $set, $inc and $pull
+ * @param {Object} doc - The stored document, changed in place
+ * @param {Object} update - The update
+ */
+const applyUpdate = (doc, update) => {
+  Object.assign(doc, clone(update.$set || {}));
+  Object.entries(update.$inc || {}).forEach(([field, amount]) => {
+    doc[field] = (doc[field] || 0) + amount;
+  });
+  Object.entries(update.$pull || {}).forEach(([field, value]) => {
+    doc[field] = (doc[field] || []).filter((item) => item !== value);
+  });
+};
+
+/**
+ * Chainable stand-in for a mongoose query over a list of stored documents
+ * @param {Function} load - Returns the matching stored documents, or a single one (or null)
+ * @param {Object} model - The model documents are hydrated with unless lean() is called
+ * @returns {Object} Query with sort(), lean() and then()
+ */
+const query = (load, model) => {
+  let order = null;
+  const run = (hydrate) =>
+    Promise.resolve().then(() => {
+      let result = load();
+      if (Array.isArray(result) && order) {
+        const [[field, direction]] = Object.entries(order);
+        result = [...result].sort((a, b) => (a[field] - b[field]) * direction);
+      }
+      const convert = (doc) => (hydrate ? model.hydrate(clone(doc)) : clone(doc));
+      if (Array.isArray(result)) {
+        return result.map(convert);
+      }
+      return result ? convert(result) : null;
+    });
+
+  return {
+    sort(sortOrder) {
+      order = sortOrder;
+      return this;
+    },
+    lean() {
+      return run(false);
+    },
+    then(resolve, reject) {
+      return run(true).then(resolve, reject);
+    },
+  };
+};
+
+/**
+ * In-memory stand-in for the rule collections and the rules loaded in the interpreter
+ * Replaces the Rule, RuleVersion and RuleGroup queries the rule services make, and the interpreter
+ * functions they call, for the duration of one test. Rule strings are checked with the real
+ * RuleParser, so a rule that doesn't parse is rejected by the interpreter as it would be.
+ *
+ * Usage:
+ *   test("...", async (t) => {
+ *     const store = new FakeRuleStore(t.mock);
+ *     store.addRule({ id: "r1", space_id: "s1", ruleString: "if ... then ..." }, { loaded: true });
+ *     ...
+ *   });
+ */
+class FakeRuleStore {
+  /**
+   * @param {Object} mocker - The test's mock tracker, restored after the test
+   */
+  constructor(mocker) {
+    // Database rules and versions, as plain objects
+    this.rules = [];
+    this.versions = [];
+    // Interpreter rules by id
+    this.loaded = new Map();
+
+    this.mockRules(mocker);
+    this.mockVersions(mocker);
+    this.mockInterpreter(mocker);
+  }
+
+  /**
+   * Store a database rule
+   * @param {Object} fields - The rule fields; id and space_id are required
+   * @param {Object} [options={}] - loaded: also load the rule in the interpreter under its id
+   * @returns {Object} The stored rule
+   */
+  addRule(fields, { loaded = false } = {}) {
+    const rule = new Rule(fields).toObject();
+    this.rules.push(rule);
+    if (loaded) {
+      this.load(rule.id, rule.ruleString || rule.description, { ...rule, active: rule.isActive });
+      rule.interpreterId = rule.id;
+    }
+    return rule;
+  }
+
+  /**
+   * Get a stored database rule
+   * @param {string} id - The rule id
+   * @returns {Object|undefined} The stored rule
+   */
+  getRule(id) {
+    return this.rules.find((rule) => rule.id === id);
+  }
+
+  /**
+   * Load a rule in the interpreter
+   * @param {string} id - The interpreter id
+   * @param {string} ruleString - The rule text
+   * @param {Object} [fields={}] - The rule's settings and active state
+   * @returns {Object} The interpreter rule
+   */
+  load(id, ruleString, fields = {}) {
+    const rule = { id, ruleString, active: fields.active !== false };
+    SETTINGS.forEach((setting) => {
+      rule[setting] = fields[setting] === undefined ? DEFAULT_SETTINGS[setting] : fields[setting];
+    });
+    this.loaded.set(id, rule);
+    return rule;
+  }
+
+  mockRules(mocker) {
+    const store = this;
+    const find = (filter) => this.rules.filter((rule) => matches(rule, filter));
+
+    mocker.method(Rule.prototype, "save", async function () {
+      store.rules.push(clone(this.toObject()));
+      return this;
+    });
+    mocker.method(Rule, "find", (filter = {}) => query(() => find(filter), Rule));
+    mocker.method(Rule, "findOne", (filter) => query(() => find(filter)[0] || null, Rule));
+    mocker.method(Rule, "findById", (id) => query(() => find({ _id: String(id) })[0] || null, Rule));
+    mocker.method(Rule, "updateOne", async (filter, update) => {
+      const [rule] = find(filter);
+      if (rule) {
+        applyUpdate(rule, update);
+      }
+      return { matchedCount: rule ? 1 : 0 };
+    });
+    mocker.method(Rule, "updateMany", async (filter, update) => {
+      const rules = find(filter);
+      rules.forEach((rule) => applyUpdate(rule, update));
+      return { matchedCount: rules.length };
+    });
+    mocker.method(Rule, "findOneAndUpdate", (filter, update) =>
+      query(() => {
+        const [rule] = find(filter);
+        if (rule) {
+          applyUpdate(rule, update);
+        }
+        return rule || null;
+      }, Rule)
+    );
+    mocker.method(Rule, "deleteOne", async (filter) => {
+      const [rule] = find(filter);
+      this.rules = this.rules.filter((other) => other !== rule);
+      return { deletedCount: rule ? 1 : 0 };
+    });
+    mocker.method(Rule, "deleteMany", async (filter) => {
+      const before = this.rules.length;
+      this.rules = this.rules.filter((rule) => !matches(rule, filter));
+      return { deletedCount: before - this.rules.length };
+    });
+    mocker.method(RuleGroup, "updateMany", async () => ({ matchedCount: 0 }));
+  }
+
+  mockVersions(mocker) {
+    const find = (filter) => this.versions.filter((version) => matches(version, filter));
+
+    mocker.method(RuleVersion, "find", (filter = {}) => query(() => find(filter), RuleVersion));
+    mocker.method(RuleVersion, "findOne", (filter) => query(() => find(filter)[0] || null, RuleVersion));
+    mocker.method(RuleVersion, "create", async (fields) => {
+      if (find({ ruleId: fields.ruleId, version: fields.version }).length > 0) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      }
+      const version = new RuleVersion(fields).toObject();
+      this.versions.push(version);
+      return RuleVersion.hydrate(clone(version));
+    });
+    mocker.method(RuleVersion, "updateOne", async (filter, update, options = {}) => {
+      const [version] = find(filter);
+      if (version) {
+        applyUpdate(version, update);
+      } else if (options.upsert) {
+        this.versions.push(new RuleVersion({ ...filter, ...update.$setOnInsert }).toObject());
+      }
+      return { matchedCount: version ? 1 : 0 };
+    });
+  }
+
+  mockInterpreter(mocker) {
+    mocker.method(interpreterService, "createRule", (ruleString, settings = {}) => {
+      try {
+        RuleParser.parse(ruleString);
+      } catch (error) {
+        return { success: false, error: error.message, diagnostics: error.diagnostics || [] };
+      }
+      const rule = this.load(settings.id, ruleString, settings);
+      return { success: true, ruleId: rule.id, diagnostics: [] };
+    });
+    mocker.method(interpreterService, "getRuleById", (ruleId) =>
+      this.loaded.has(ruleId)
+        ? { success: true, rule: this.loaded.get(ruleId) }
+        : { success: false, error: `Rule ${ruleId} not found` }
+    );
+    mocker.method(interpreterService, "getRules", () => ({ success: true, rules: [...this.loaded.values()] }));
+    mocker.method(interpreterService, "deleteRule", (ruleId) => ({ success: this.loaded.delete(ruleId) }));
+    mocker.method(interpreterService, "setRuleActive", (ruleId, active) => {
+      const rule = this.loaded.get(ruleId);
+      if (rule) {
+        rule.active = active;
+      }
+      return { success: Boolean(rule) };
+    });
+    mocker.method(interpreterService, "updateRuleSettings", (ruleId, settings) => {
+      const rule = this.loaded.get(ruleId);
+      if (!rule) {
+        return { success: false, error: `Rule ${ruleId} not found` };
+      }
+      SETTINGS.filter((setting) => settings.hasOwnProperty(setting)).forEach((setting) => {
+        rule[setting] = settings[setting];
+      });
+      return { success: true };
+    });
+  }
+}
+
+module.exports = FakeRuleStore;
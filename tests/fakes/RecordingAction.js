@@ -0,0 +1,31 @@
+const Action = require("../../interpreter/src/actions/Action");
+
+/**
+ * Action that records the commands it receives instead of driving a device
+ * Any action string containing "off" turns the device off, every other one turns it on.
+ */
+class RecordingAction extends Action {
+  /**
+   * @param {string} name - The action name, e.g. "Living Room Light"
+   * @param {string} type - The action type, e.g. "light"
+   * @param {string} location - The room of the device
+   * @param {Array<Object>} commands - Receives { action, state, branch } for every command
+   */
+  constructor(name, type, location, commands) {
+    super(name, type, location);
+    this.commands = commands;
+  }
+
+  preParseActionString(actionString) {
+    return { state: /\boff\b/i.test(actionString) ? "off" : "on", params: {} };
+  }
+
+  async execute(context = {}) {
+    this.commands.push({ action: this.name, state: this.state, branch: context.branch || "then" });
+    return { success: true, message: `Recorded ${this.name}` };
+  }
+
+  logAction(message) {}
+}
+
+module.exports = RecordingAction;
@@ -0,0 +1,12 @@
+/**
+ * Settings shared by the automated tests
+ * Require this before any server module, since several of them read their settings when loaded.
+ */
+const mongoose = require("mongoose");
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+process.env.SENSIBO_DEVICE_ID = process.env.SENSIBO_DEVICE_ID || "fake-sensibo-device";
+
+// The tests run without a database: queries fail at once instead of waiting for a connection,
+// so actions look their Raspberry Pi up in the configuration file
+mongoose.set("bufferCommands", false);
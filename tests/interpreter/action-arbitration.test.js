@@ -0,0 +1,136 @@
+require("../fakes/testEnvironment");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Rule = require("../../interpreter/src/rules/Rule");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+const ActionRegistry = require("../../interpreter/src/actions/ActionRegistry");
+const RecordingAction = require("../fakes/RecordingAction");
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Create isolated registries with a recording light and a helper adding rules to them
+ * @returns {Object} The action registry, the recorded commands, the light, the motion event,
+ * addRule(ruleString, id, settings) and update(value)
+ */
+const createHome = () => {
+  const eventRegistry = new EventRegistry.constructor();
+  eventRegistry.createEventInstances(["Living Room Motion"]);
+  const motion = eventRegistry.getEvent("Living Room Motion");
+
+  const commands = [];
+  const actionRegistry = new ActionRegistry.constructor();
+  const light = new RecordingAction("Living Room Light", "light", "Living Room", commands);
+  actionRegistry.registerAction(light);
+
+  const addRule = (ruleString, id, settings = {}) => {
+    const rule = new Rule(ruleString, id, { ...settings, eventRegistry, actionRegistry });
+    actionRegistry.connectRuleToActions(rule);
+    return rule;
+  };
+
+  /**
+   * Update the motion event and wait until the requests of the pass are arbitrated and applied
+   */
+  const update = async (value) => {
+    motion.update(value);
+    do {
+      await new Promise((resolve) => setImmediate(resolve));
+    } while (actionRegistry.pendingRequests.size > 0);
+  };
+
+  return { actionRegistry, commands, light, motion, addRule, update };
+};
+
+/**
+ * Get the result of a rule's first step in its last sequence
+ * @param {Rule} rule - The rule
+ * @returns {Object} The step record with status and results
+ */
+const firstStep = (rule) => rule.lastExecution.steps[0];
+
+test("applies only the highest priority request of a pass", async () => {
+  const { commands, addRule, update } = createHome();
+  const low = addRule("if living room motion detected then living room light on", "low", { priority: 1 });
+  const high = addRule("if living room motion detected then living room light off", "high", { priority: 5 });
+
+  await update(true);
+
+  assert.deepEqual(commands, [{ action: "Living Room Light", state: "off", branch: "then" }]);
+  assert.equal(firstStep(high).status, "success");
+  assert.equal(firstStep(low).status, "overridden");
+});
+
+test("names the winning rule in the overridden result", async () => {
+  const { addRule, update } = createHome();
+  const high = addRule("if living room motion detected then living room light off", "high", { priority: 5 });
+  const low = addRule("if living room motion detected then living room light on", "low", { priority: 1 });
+
+  await update(true);
+
+  const [result] = firstStep(low).results;
+  assert.equal(result.success, false);
+  assert.equal(result.overridden, true);
+  assert.deepEqual(result.overriddenBy, { ruleId: "high", ruleString: high.ruleString, priority: 5 });
+});
+
+test("lets the latest request win between equal priorities", async () => {
+  const { commands, addRule, update } = createHome();
+  const first = addRule("if living room motion detected then living room light on", "first");
+  addRule("if living room motion detected then living room light off", "second");
+
+  await update(true);
+
+  assert.deepEqual(commands.map((command) => command.state), ["off"]);
+  assert.equal(firstStep(first).results[0].overriddenBy.ruleId, "second");
+});
+
+test("suppresses the requests of a pass while a manual override holds the device", async () => {
+  const { actionRegistry, commands, light, addRule, update } = createHome();
+  const rule = addRule("if living room motion detected then living room light on", "rule", { priority: 5 });
+  actionRegistry.setManualOverride(light, { state: "off" }, "test");
+
+  await update(true);
+
+  assert.equal(commands.length, 0);
+  assert.equal(firstStep(rule).status, "suppressed");
+  const [result] = firstStep(rule).results;
+  assert.equal(result.suppressed, true);
+  assert.equal(result.suppressedBy.source, "test");
+});
+
+test("applies a request whose priority is above the manual override", async () => {
+  const { actionRegistry, commands, light, addRule, update } = createHome();
+  addRule("if living room motion detected then living room light on", "urgent", {
+    priority: actionRegistry.manualOverridePriority + 1,
+  });
+  actionRegistry.setManualOverride(light, { state: "off" }, "test");
+
+  await update(true);
+
+  assert.deepEqual(commands.map((command) => command.state), ["on"]);
+});
+
+test("ends the manual override on the rule's clock", async () => {
+  const { actionRegistry, commands, light, addRule, update } = createHome();
+  const later = Date.now() + (actionRegistry.manualOverrideMinutes + 1) * MINUTE_MS;
+  const clock = { now: () => later, setTimeout, clearTimeout };
+  addRule("if living room motion detected then living room light on", "rule", { clock });
+  actionRegistry.setManualOverride(light, { state: "off" }, "test");
+
+  await update(true);
+
+  assert.deepEqual(commands.map((command) => command.state), ["on"]);
+  assert.equal(actionRegistry.getManualOverride(light.name), null);
+});
+
+test("applies the requests as soon as the evaluation pass has run", async () => {
+  const { commands, addRule, motion } = createHome();
+  addRule("if living room motion detected then living room light on", "rule");
+
+  motion.update(true);
+  assert.equal(commands.length, 0);
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(commands.length, 1);
+});
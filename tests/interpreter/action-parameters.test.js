@@ -0,0 +1,164 @@
+require("../fakes/testEnvironment");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Rule = require("../../interpreter/src/rules/Rule");
+const Action = require("../../interpreter/src/actions/Action");
+const ACAction = require("../../interpreter/src/actions/ACAction");
+const LightAction = require("../../interpreter/src/actions/LightAction");
+const SMSAction = require("../../interpreter/src/actions/SMSAction");
+const RuleError = require("../../interpreter/src/parser/RuleError");
+const RuleManager = require("../../interpreter/src/rules/RuleManager");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+const ActionRegistry = require("../../interpreter/src/actions/ActionRegistry");
+
+class BlindAction extends Action {
+  constructor(name, location, type = "blind") {
+    super(name, type, location);
+  }
+
+  canHandleAction(actionString) {
+    return actionString.toLowerCase().includes("blind");
+  }
+}
+
+/**
+ * Create a registry with the built-in action types, a blind type and one action of each
+ * @returns {Object} The isolated ActionRegistry
+ */
+const createRegistry = () => {
+  const actionRegistry = new ActionRegistry.constructor();
+  actionRegistry.registerActionType("blind", BlindAction, {
+    description: "Window blind",
+    keywords: ["blind", "blinds"],
+    parameters: [
+      { name: "position", type: "enum", values: ["up", "down"], required: true },
+      { name: "level", type: "number", min: 0, max: 100, unit: "%" },
+    ],
+  });
+  actionRegistry.registerAction(new ACAction("Living Room AC", "Living Room", "ac"));
+  actionRegistry.registerAction(new LightAction("Living Room Light", "Living Room", "light"));
+  actionRegistry.registerAction(new SMSAction("SMS Notification", "School", "sms"));
+  actionRegistry.registerAction(new BlindAction("Office Blind", "Office"));
+  return actionRegistry;
+};
+
+/**
+ * Parse an action step for a registered action
+ * @returns {Object} The state, params and errors
+ */
+const parse = (actionRegistry, actionName, stepText) =>
+  actionRegistry.parseActionParameters(actionRegistry.getAction(actionName), stepText);
+
+/**
+ * Check a rule's action parameters, which must be rejected
+ * @returns {Array<Object>} The diagnostics of the RuleError
+ */
+const parameterErrors = (ruleString) => {
+  const eventRegistry = new EventRegistry.constructor();
+  eventRegistry.createEventInstances(["Living Room Temperature"]);
+  const rule = new Rule(ruleString, "test-rule", { eventRegistry, dryRun: true });
+
+  try {
+    RuleManager.checkActionParameters(rule, createRegistry());
+  } catch (error) {
+    assert.ok(error instanceof RuleError, `expected a RuleError, got ${error}`);
+    return error.diagnostics;
+  }
+  assert.fail(`"${ruleString}" was accepted`);
+};
+
+test("parses the declared parameters of the built-in types", () => {
+  const actionRegistry = createRegistry();
+
+  assert.deepEqual(parse(actionRegistry, "Living Room AC", "turn living room ac on 22° heat"), {
+    state: true,
+    params: { temperature: 22, mode: "heat" },
+    errors: [],
+  });
+  assert.deepEqual(parse(actionRegistry, "Living Room AC", "living room ac off").params, {
+    temperature: null,
+    mode: "cool",
+  });
+  assert.deepEqual(parse(actionRegistry, "Living Room Light", "living room light 80% blue"), {
+    state: true,
+    params: { brightness: 80, color: "blue" },
+    errors: [],
+  });
+  assert.deepEqual(
+    actionRegistry.getAction("SMS Notification").preParseActionString("send sms to +1234567890: Motion detected"),
+    { state: "send", params: { phoneNumber: "+1234567890", isNotificationAction: true } }
+  );
+  assert.equal(parse(actionRegistry, "SMS Notification", "notify about High humidity").params.message, "High humidity");
+  assert.equal(
+    parse(actionRegistry, "SMS Notification", 'notify about "Hello, the room is hot"').params.message,
+    "Hello, the room is hot"
+  );
+});
+
+test("reports invalid parameters with their position in the step", () => {
+  const actionRegistry = createRegistry();
+
+  const [range] = parse(actionRegistry, "Living Room AC", "living room ac on 40").errors;
+  assert.equal(range.parameter, "temperature");
+  assert.deepEqual([range.start, range.end, range.found], [18, 20, "40"]);
+
+  const [unknown] = parse(actionRegistry, "Living Room Light", "living room light on rde").errors;
+  assert.equal(unknown.parameter, null);
+  assert.ok(unknown.suggestions.includes("red"));
+
+  const [missing] = parse(actionRegistry, "Living Room AC", "living room ac 22").errors;
+  assert.equal(missing.parameter, "state");
+  assert.deepEqual(missing.expected, ["on", "off"]);
+});
+
+test("parses the parameters of registered types", () => {
+  const actionRegistry = createRegistry();
+  const blind = actionRegistry.getAction("Office Blind");
+
+  assert.equal(blind.actionType.type, "blind");
+  assert.deepEqual(blind.preParseActionString("office blinds down to 30%"), {
+    state: "",
+    params: { position: "down", level: 30 },
+  });
+  assert.deepEqual(
+    actionRegistry.getActionTypes().find((actionType) => actionType.type === "blind").parameters[0],
+    {
+      name: "position",
+      type: "enum",
+      description: null,
+      required: true,
+      default: null,
+      values: ["up", "down"],
+      min: null,
+      max: null,
+      unit: null,
+      pattern: null,
+    }
+  );
+});
+
+test("rejects invalid registrations", () => {
+  const actionRegistry = createRegistry();
+
+  assert.throws(() => actionRegistry.registerActionType("blind", BlindAction), /already registered/);
+  assert.throws(() => actionRegistry.registerActionType("fan", class {}), /subclass of Action/);
+  assert.throws(
+    () => actionRegistry.registerActionType("fan", BlindAction, { parameters: [{ name: "speed", type: "dial" }] }),
+    /Invalid type "dial"/
+  );
+  assert.throws(
+    () => actionRegistry.registerActionType("fan", BlindAction, { parameters: [{ name: "speed", type: "enum" }] }),
+    /must declare its values/
+  );
+});
+
+test("rejects rules giving their actions invalid parameters", () => {
+  const ruleString = "if living room temperature > 25 then living room ac on 40, living room light on rde";
+  const [temperature, color] = parameterErrors(ruleString);
+
+  assert.equal(temperature.code, "invalid_action_parameter");
+  assert.equal(temperature.message, "Living Room AC: temperature must be between 16 and 30 celsius");
+  assert.equal(temperature.start, ruleString.indexOf("40"));
+  assert.equal(color.found, "rde");
+  assert.equal(color.start, ruleString.indexOf("rde"));
+});
@@ -0,0 +1,152 @@
+require("../fakes/testEnvironment");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Rule = require("../../interpreter/src/rules/Rule");
+const RuleParser = require("../../interpreter/src/parser/RuleParser");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+const ActionRegistry = require("../../interpreter/src/actions/ActionRegistry");
+const ConflictDetector = require("../../interpreter/src/rules/ConflictDetector");
+const RecordingAction = require("../fakes/RecordingAction");
+
+/**
+ * Check whether the conditions of two rules can hold at the same time
+ * @param {string} first - The first rule
+ * @param {string} second - The second rule
+ * @returns {boolean} The detector's answer
+ */
+const overlap = (first, second) =>
+  ConflictDetector.canOverlap(RuleParser.parse(first).condition, RuleParser.parse(second).condition);
+
+/**
+ * Create rules in isolated registries with recording AC and light actions
+ * @param {Array<string>} ruleStrings - The rules, with ids rule-1, rule-2, ...
+ * @returns {Array<Rule>} The rules
+ */
+const createRules = (ruleStrings) => {
+  const eventRegistry = new EventRegistry.constructor();
+  eventRegistry.createEventInstances(["Living Room Temperature", "Living Room Humidity", "Living Room Motion"]);
+  const actionRegistry = new ActionRegistry.constructor();
+  actionRegistry.registerAction(new RecordingAction("Living Room AC", "ac", "Living Room", []));
+  actionRegistry.registerAction(new RecordingAction("Living Room Light", "light", "Living Room", []));
+
+  return ruleStrings.map((ruleString, index) => {
+    const rule = new Rule(ruleString, `rule-${index + 1}`, { eventRegistry, actionRegistry, dryRun: true });
+    actionRegistry.connectRuleToActions(rule);
+    return rule;
+  });
+};
+
+test("rewrites a condition as a disjunction of conjunctions", () => {
+  const { condition } = RuleParser.parse(
+    "if (living room temperature > 25 or living room humidity > 60) and not (living room motion detected or living room temperature > 30) then living room ac on"
+  );
+
+  const describe = ({ condition: literal, negated }) =>
+    `${negated ? "not " : ""}${literal.eventName.toLowerCase()} ${literal.operator} ${literal.value}`;
+  const terms = ConflictDetector.toDisjunctiveForm(condition).map((term) => term.map(describe));
+
+  assert.deepEqual(terms, [
+    ["living room temperature > 25", "not living room motion == true", "not living room temperature > 30"],
+    ["living room humidity > 60", "not living room motion == true", "not living room temperature > 30"],
+  ]);
+});
+
+test("finds overlapping numeric ranges", () => {
+  assert.equal(overlap("if living room temperature > 25 then x", "if living room temperature < 30 then x"), true);
+  assert.equal(overlap("if living room temperature > 25 then x", "if living room temperature < 20 then x"), false);
+  assert.equal(overlap("if living room temperature >= 25 then x", "if living room temperature <= 25 then x"), true);
+  assert.equal(overlap("if living room temperature > 25 then x", "if living room temperature <= 25 then x"), false);
+});
+
+test("overlaps when any pair of conjunctions can hold together", () => {
+  assert.equal(
+    overlap(
+      "if living room temperature > 30 or living room humidity > 60 then x",
+      "if living room temperature < 20 then x"
+    ),
+    true
+  );
+  assert.equal(
+    overlap(
+      "if living room temperature > 30 or living room temperature < 10 then x",
+      "if living room temperature > 15 and living room temperature < 25 then x"
+    ),
+    false
+  );
+});
+
+test("pushes negations down to the conditions", () => {
+  assert.equal(overlap("if not living room temperature > 25 then x", "if living room temperature > 25 then x"), false);
+  assert.equal(overlap("if living room motion detected then x", "if living room motion not detected then x"), false);
+  assert.equal(
+    overlap(
+      "if not (living room temperature > 25 and living room humidity > 60) then x",
+      "if living room temperature > 25 then x"
+    ),
+    true
+  );
+});
+
+test("checks times of day, including ranges across midnight", () => {
+  assert.equal(overlap("if time between 22:00 and 06:00 then x", "if time is 05:30 then x"), true);
+  assert.equal(overlap("if time between 22:00 and 06:00 then x", "if time between 08:00 and 17:00 then x"), false);
+  assert.equal(overlap("if time after 18:00 then x", "if time before 18:00 then x"), false);
+  assert.equal(overlap("if time after 18:00 then x", "if not time before 20:00 then x"), true);
+});
+
+test("checks days of the week", () => {
+  assert.equal(overlap("if day is friday then x", "if day is saturday then x"), false);
+  assert.equal(overlap("if weekday then x", "if weekend then x"), false);
+  assert.equal(overlap("if day is friday then x", "if weekend then x"), true);
+  // Times and days are independent, so a time range and a day can always hold together
+  assert.equal(overlap("if time after 18:00 then x", "if day is monday then x"), true);
+});
+
+test("assumes sunrise and sunset conditions can hold", () => {
+  assert.equal(overlap("if after sunset then x", "if before sunset then x"), true);
+});
+
+test("reports rules turning the same action on and off on overlapping conditions", () => {
+  const [heat, cool] = createRules([
+    "if living room temperature > 25 then living room ac on",
+    "if living room motion not detected and living room temperature > 20 then living room ac off",
+  ]);
+
+  const conflicts = ConflictDetector.findConflicts([heat, cool]);
+
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].type, "contradictory_actions");
+  assert.equal(conflicts[0].action, "Living Room AC");
+  assert.deepEqual(
+    conflicts[0].rules.map((rule) => [rule.id, rule.state]),
+    [
+      ["rule-1", "on"],
+      ["rule-2", "off"],
+    ]
+  );
+});
+
+test("does not report rules that cannot hold together or agree on the state", () => {
+  const rules = createRules([
+    "if living room temperature > 25 then living room ac on",
+    "if living room temperature < 20 then living room ac off",
+    "if living room temperature > 28 then living room ac on",
+  ]);
+
+  assert.deepEqual(ConflictDetector.findConflicts(rules), []);
+});
+
+test("finds the conflicts of one rule", () => {
+  const rules = createRules([
+    "if living room motion detected then living room light on",
+    "if time after 23:00 then living room light off",
+    "if living room temperature > 25 then living room ac on",
+  ]);
+
+  const conflicts = ConflictDetector.findConflictsForRule(rules[1], rules);
+
+  assert.deepEqual(
+    conflicts.map((conflict) => conflict.rules.map((rule) => rule.id)),
+    [["rule-2", "rule-1"]]
+  );
+});
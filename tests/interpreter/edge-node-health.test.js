@@ -0,0 +1,112 @@
+require("../fakes/testEnvironment");
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { FakeRaspberryPi } = require("../fakes/FakeRaspberryPi");
+const edgeNodeMonitor = require("../../services/edge-node-health.service");
+
+const PROBE_INTERVAL_MS = 60000;
+const OFFLINE_NOTIFY_AFTER_MS = 10 * 60 * 1000;
+
+const pi = new FakeRaspberryPi();
+
+let clock;
+let broadcasts;
+let notifications;
+
+/**
+ * Create a monitor on a fake clock, recording its broadcasts and notifications
+ * @returns {Object} The isolated EdgeNodeMonitor
+ */
+const createMonitor = () =>
+  new edgeNodeMonitor.constructor({
+    probeIntervalMs: PROBE_INTERVAL_MS,
+    probeTimeoutMs: 2000,
+    offlineNotifyAfterMs: OFFLINE_NOTIFY_AFTER_MS,
+    now: () => clock,
+    broadcast: (health) => broadcasts.push(health),
+    notify: (health) => notifications.push(health),
+    persist: () => {},
+  });
+
+/**
+ * Probe every Pi, then move the fake clock to the next probe
+ */
+const probeRound = async (monitor) => {
+  await monitor.probeAll();
+  clock += PROBE_INTERVAL_MS;
+};
+
+before(async () => {
+  await pi.start();
+  process.env.RASP_PI_CONFIG_PATH = await pi.writeConfig();
+});
+
+after(async () => {
+  await pi.stop();
+  delete process.env.RASP_PI_CONFIG_PATH;
+});
+
+beforeEach(() => {
+  pi.reset();
+  clock = Date.parse("2026-01-05T08:00:00Z");
+  broadcasts = [];
+  notifications = [];
+});
+
+test("marks an answering Pi online with its latency", async () => {
+  const monitor = createMonitor();
+  await monitor.probeAll();
+
+  const { nodes, summary } = await monitor.getHealth();
+  assert.equal(nodes.length, 1);
+  assert.equal(nodes[0].ip, pi.ip);
+  assert.equal(nodes[0].status, "online");
+  assert.equal(nodes[0].lastSeen.getTime(), clock);
+  assert.ok(Number.isInteger(nodes[0].latencyMs));
+  assert.deepEqual(summary, { unknown: 0, online: 1, offline: 0 });
+  assert.deepEqual(broadcasts.map(({ status, previousStatus }) => [previousStatus, status]), [["unknown", "online"]]);
+});
+
+test("takes a Pi offline after failed probes and notifies once it stays offline", async () => {
+  const monitor = createMonitor();
+  await probeRound(monitor);
+  pi.fail("/api-sensors/get_events", 502);
+
+  await probeRound(monitor);
+  assert.equal((await monitor.getHealth()).nodes[0].status, "online");
+
+  await probeRound(monitor);
+  const [health] = (await monitor.getHealth()).nodes;
+  assert.equal(health.status, "offline");
+  assert.equal(health.lastError, "HTTP 502");
+  assert.equal(broadcasts.at(-1).previousStatus, "online");
+  assert.equal(notifications.length, 0);
+
+  for (let round = 0; round <= OFFLINE_NOTIFY_AFTER_MS / PROBE_INTERVAL_MS; round++) {
+    await probeRound(monitor);
+  }
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].ip, pi.ip);
+  assert.ok(notifications[0].offlineForMs >= OFFLINE_NOTIFY_AFTER_MS);
+
+  pi.reset();
+  await probeRound(monitor);
+  assert.equal((await monitor.getHealth()).nodes[0].status, "online");
+  assert.equal(broadcasts.at(-1).previousStatus, "offline");
+});
+
+test("keeps a Pi that sends heartbeats online while its probes fail", async () => {
+  const monitor = createMonitor();
+  pi.fail("/api-sensors/get_events");
+
+  const health = await monitor.recordHeartbeat(pi.ip);
+  assert.equal(health.status, "online");
+
+  for (let round = 0; round < 3; round++) {
+    await monitor.probeAll();
+    await monitor.recordHeartbeat(pi.ip);
+    clock += PROBE_INTERVAL_MS / 2;
+  }
+  assert.equal((await monitor.getHealth()).nodes[0].status, "online");
+  assert.equal(await monitor.recordHeartbeat("10.0.0.99"), null);
+});
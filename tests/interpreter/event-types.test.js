@@ -0,0 +1,159 @@
+require("../fakes/testEnvironment");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Rule = require("../../interpreter/src/rules/Rule");
+const Event = require("../../interpreter/src/events/Event");
+const RuleError = require("../../interpreter/src/parser/RuleError");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+
+class CO2Event extends Event {
+  constructor(name, location) {
+    super(name);
+    this.location = location;
+    this.type = "co2";
+  }
+}
+
+class DoorContactEvent extends Event {
+  constructor(name, location) {
+    super(name);
+    this.location = location;
+    this.type = "door contact";
+  }
+}
+
+/**
+ * Create a registry with CO2 and door contact types and one event of each
+ * @returns {Object} The isolated EventRegistry
+ */
+const createRegistry = () => {
+  const eventRegistry = new EventRegistry.constructor();
+  eventRegistry.registerEventType("co2", CO2Event, {
+    valueType: "number",
+    unit: "ppm",
+    operators: [">", "<", ">=", "<="],
+  });
+  eventRegistry.registerEventType("door contact", DoorContactEvent, {
+    valueType: "string",
+    operators: ["==", "!="],
+    values: ["open", "closed"],
+  });
+  eventRegistry.createEventInstances(["Office CO2", "Front Door Contact", "Office Temperature"]);
+  return eventRegistry;
+};
+
+/**
+ * Create a rule that must be rejected
+ * @returns {Object} The first diagnostic of the RuleError
+ */
+const ruleError = (eventRegistry, ruleString) => {
+  try {
+    new Rule(ruleString, "test-rule", { eventRegistry, dryRun: true });
+  } catch (error) {
+    assert.ok(error instanceof RuleError, `expected a RuleError, got ${error}`);
+    return error.diagnostics[0];
+  }
+  assert.fail(`"${ruleString}" was accepted`);
+};
+
+test("creates events of registered types, including types of several words", () => {
+  const eventRegistry = createRegistry();
+
+  const co2 = eventRegistry.getEvent("Office CO2");
+  const door = eventRegistry.getEvent("Front Door Contact");
+  assert.ok(co2 instanceof CO2Event);
+  assert.equal(co2.location, "Office");
+  assert.equal(co2.unit, "ppm");
+  assert.ok(door instanceof DoorContactEvent);
+  assert.equal(door.location, "Front");
+});
+
+test("describes the registered types", () => {
+  const eventRegistry = createRegistry();
+
+  assert.deepEqual(eventRegistry.getEventType("CO2"), {
+    type: "co2",
+    EventClass: CO2Event,
+    valueType: "number",
+    unit: "ppm",
+    operators: [">", "<", ">=", "<="],
+    values: null,
+  });
+  assert.ok(eventRegistry.getEventTypes().some((eventType) => eventType.type === "temperature"));
+});
+
+test("rejects invalid registrations", () => {
+  const eventRegistry = createRegistry();
+  const declaration = { valueType: "number", operators: [">"] };
+
+  assert.throws(() => eventRegistry.registerEventType("co2", CO2Event, declaration), /already registered/);
+  assert.throws(() => eventRegistry.registerEventType("noise", class {}, declaration), /subclass of Event/);
+  assert.throws(
+    () => eventRegistry.registerEventType("noise", CO2Event, { ...declaration, valueType: "decibel" }),
+    /Invalid value type/
+  );
+  assert.throws(
+    () => eventRegistry.registerEventType("noise", CO2Event, { valueType: "number", operators: [] }),
+    /must declare the operators/
+  );
+  assert.throws(
+    () => eventRegistry.registerEventType("noise", CO2Event, { ...declaration, values: ["loud"] }),
+    /only list its values/
+  );
+});
+
+test("accepts conditions that match the declaration and evaluates them", () => {
+  const eventRegistry = createRegistry();
+  const rule = new Rule(
+    "if office co2 > 1000 and front door contact == closed then office ac on",
+    "test-rule",
+    { eventRegistry }
+  );
+
+  eventRegistry.getEvent("Office CO2").currentValue = 1200;
+  eventRegistry.getEvent("Front Door Contact").currentValue = "closed";
+  const conditionResults = [];
+  assert.equal(rule.evaluateNode(rule.conditionTree, {}, conditionResults, { debug() {} }), true);
+});
+
+test("rejects operators the type does not declare", () => {
+  const ruleString = "if office co2 == 1000 then office ac on";
+  const diagnostic = ruleError(createRegistry(), ruleString);
+
+  assert.equal(diagnostic.code, "invalid_operator");
+  assert.equal(diagnostic.found, "==");
+  assert.equal(diagnostic.start, ruleString.indexOf("=="));
+  assert.deepEqual(diagnostic.expected, [">", "<", ">=", "<="]);
+});
+
+test("rejects values of the wrong type", () => {
+  const eventRegistry = createRegistry();
+
+  const number = ruleError(eventRegistry, "if office temperature > warm then office ac on");
+  assert.equal(number.code, "invalid_value");
+  assert.equal(number.found, "warm");
+  assert.deepEqual(number.expected, ["number (celsius)"]);
+
+  const state = ruleError(eventRegistry, "if front door contact == opne then office light on");
+  assert.deepEqual(state.expected, ["open", "closed"]);
+  assert.ok(state.suggestions.includes("open"));
+});
+
+test("leaves no event observing a rejected rule", () => {
+  const eventRegistry = createRegistry();
+
+  assert.throws(
+    () => new Rule("if office temperature > 25 and office co2 == 1000 then office ac on", "test-rule", { eventRegistry }),
+    RuleError
+  );
+  assert.deepEqual(eventRegistry.getEvent("Office Temperature").observers, []);
+});
+
+test("stops validating types that are unregistered", () => {
+  const eventRegistry = createRegistry();
+  eventRegistry.unregisterEventType("co2");
+
+  assert.doesNotThrow(
+    () => new Rule("if office co2 == 1000 then office ac on", "test-rule", { eventRegistry, dryRun: true })
+  );
+});
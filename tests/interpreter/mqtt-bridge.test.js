@@ -0,0 +1,146 @@
+require("../fakes/testEnvironment");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const mqtt = require("mqtt");
+const Aedes = require("aedes");
+const { FakeRaspberryPi, DEFAULT_LIGHT_ID } = require("../fakes/FakeRaspberryPi");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+const ActionRegistry = require("../../interpreter/src/actions/ActionRegistry");
+const LightAction = require("../../interpreter/src/actions/LightAction");
+const sensorIngestService = require("../../services/sensor-ingest.service");
+const mqttBridge = require("../../services/mqtt-bridge.service");
+
+const pi = new FakeRaspberryPi();
+const broker = new Aedes();
+const server = net.createServer(broker.handle);
+
+let brokerUrl;
+let eventRegistry;
+let bridge;
+let subscriber;
+
+/**
+ * Wait for the next update of an event
+ * @param {Event} event - The event
+ * @returns {Promise<*>} The event's new value
+ */
+const nextUpdate = (event) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${event.name} was not updated`)), 3000);
+    const observer = {
+      evaluate: () => {
+        clearTimeout(timer);
+        event.removeObserver(observer);
+        resolve(event.currentValue);
+      },
+    };
+    event.addObserver(observer);
+  });
+
+/**
+ * Subscribe to a topic
+ * @param {string} topic - The topic
+ * @returns {Promise<Array<Promise<Object>>>} Resolves once subscribed, to [the JSON payload of the topic's next message]
+ */
+const subscribeTo = async (topic) => {
+  await new Promise((resolve, reject) =>
+    subscriber.subscribe(topic, { qos: 1 }, (error) => (error ? reject(error) : resolve()))
+  );
+  const message = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Nothing was published to ${topic}`)), 3000);
+    const onMessage = (messageTopic, payload) => {
+      if (messageTopic === topic) {
+        clearTimeout(timer);
+        subscriber.off("message", onMessage);
+        resolve(JSON.parse(payload.toString()));
+      }
+    };
+    subscriber.on("message", onMessage);
+  });
+  return [message];
+};
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  brokerUrl = `mqtt://127.0.0.1:${server.address().port}`;
+
+  await pi.start();
+  process.env.RASP_PI_CONFIG_PATH = await pi.writeConfig();
+
+  eventRegistry = new EventRegistry.constructor();
+  eventRegistry.createEventInstances(["Living Room Temperature", "Living Room Motion"]);
+  const ingest = new sensorIngestService.constructor({
+    eventRegistry,
+    sensorLogger: { logSensorData: () => ({ success: true }) },
+  });
+  bridge = new mqttBridge.constructor({ url: brokerUrl, commandTransport: "mqtt", ingest });
+  assert.equal(await bridge.start(), true);
+
+  subscriber = mqtt.connect(brokerUrl);
+  await new Promise((resolve) => subscriber.once("connect", resolve));
+});
+
+after(async () => {
+  await bridge.stop();
+  await mqttBridge.stop();
+  await new Promise((resolve) => subscriber.end(false, {}, resolve));
+  await new Promise((resolve) => broker.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+  await pi.stop();
+  delete process.env.RASP_PI_CONFIG_PATH;
+});
+
+test("updates the events of the sensor topics", async () => {
+  const temperature = eventRegistry.getEvent("Living Room Temperature");
+  const motion = eventRegistry.getEvent("Living Room Motion");
+
+  let update = nextUpdate(temperature);
+  subscriber.publish("spaces/41413915/rooms/living-room/temperature", "23.5");
+  assert.equal(await update, 23.5);
+
+  update = nextUpdate(motion);
+  subscriber.publish(
+    "spaces/41413915/rooms/living_room/motion",
+    JSON.stringify({ value: true, timestamp: new Date().toISOString() })
+  );
+  assert.equal(await update, true);
+  assert.ok(motion.lastUpdatedAt instanceof Date);
+});
+
+test("ignores values the room's sensors do not accept", async () => {
+  const result = await bridge.handleMessage("spaces/41413915/rooms/living-room/temperature", Buffer.from("warm"));
+  assert.equal(result.statusCode, 400);
+  assert.match(result.data.rejected[0].error, /expected a number/);
+  assert.equal(await bridge.handleMessage("spaces/41413915/status", Buffer.from("1")), null);
+  assert.equal(eventRegistry.getEvent("Living Room Temperature").currentValue, 23.5);
+});
+
+test("publishes device commands to the Pi's command topic", async () => {
+  const [message] = await subscribeTo(`edge-nodes/${pi.ip}/commands/ac`);
+  const result = await bridge.publishDeviceCommand(pi.ip, "ac", { deviceId: "ac-1", state: true, temperature: 22 });
+
+  assert.deepEqual(result, { success: true, statusCode: 200, data: { topic: `edge-nodes/${pi.ip}/commands/ac` } });
+  const { issuedAt, ...command } = await message;
+  assert.deepEqual(command, { deviceId: "ac-1", state: true, temperature: 22 });
+  assert.ok(!Number.isNaN(Date.parse(issuedAt)));
+});
+
+test("sends the light actions' commands over MQTT instead of HTTP when configured", async () => {
+  mqttBridge.url = brokerUrl;
+  mqttBridge.commandTransport = "mqtt";
+  assert.equal(await mqttBridge.start(), true);
+
+  const actionRegistry = new ActionRegistry.constructor();
+  const light = new LightAction("Living Room Light", "Living Room", "light");
+  actionRegistry.registerAction(light);
+  light.parseActionString("turn living room light on");
+
+  const [message] = await subscribeTo(`edge-nodes/${pi.ip}/commands/light`);
+  const result = await light.execute();
+
+  const payload = await message;
+  assert.equal(result.success, true);
+  assert.deepEqual([payload.deviceId, payload.state], [DEFAULT_LIGHT_ID, true]);
+  assert.equal(pi.requestsTo("/api-hue/switch_light_state").length, 0);
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const RuleParser = require("../../interpreter/src/parser/RuleParser");
+const RuleError = require("../../interpreter/src/parser/RuleError");
+
+const { NodeType, StepType, CLOCK_EVENT_NAME } = RuleParser;
+
+/**
+ * Parse a rule that must be rejected
+ * @param {string} ruleString - The invalid rule
+ * @returns {Object} The first diagnostic of the RuleError
+ */
+const parseError = (ruleString) => {
+  try {
+    RuleParser.parse(ruleString);
+  } catch (error) {
+    assert.ok(error instanceof RuleError, `expected a RuleError, got ${error}`);
+    return error.diagnostics[0];
+  }
+  assert.fail(`"${ruleString}" was accepted`);
+};
+
+test("parses a single comparison", () => {
+  const rule = RuleParser.parse("if living room temperature > 25 then turn living room ac on 22 cool");
+
+  assert.equal(rule.condition.type, NodeType.CONDITION);
+  assert.equal(rule.condition.eventName, "living room temperature");
+  assert.equal(rule.condition.operator, ">");
+  assert.equal(rule.condition.value, "25");
+  assert.equal(rule.actionString, "turn living room ac on 22 cool");
+  assert.deepEqual(rule.actions.map((step) => step.type), [StepType.ACTION]);
+});
+
+test("gives AND precedence over OR and keeps parentheses", () => {
+  const rule = RuleParser.parse(
+    "if living room temperature > 25 or living room humidity > 70 and not (living room motion detected) then living room ac on"
+  );
+
+  assert.equal(rule.condition.type, NodeType.OR);
+  const [first, second] = rule.condition.children;
+  assert.equal(first.type, NodeType.CONDITION);
+  assert.equal(second.type, NodeType.AND);
+  assert.equal(second.children[1].type, NodeType.NOT);
+  assert.equal(second.children[1].child.eventName, "living room Motion");
+
+  const conditions = RuleParser.getConditions(rule.condition);
+  assert.deepEqual(
+    conditions.map((condition) => condition.eventName),
+    ["living room temperature", "living room humidity", "living room Motion"]
+  );
+});
+
+test("reads motion shorthands as equality on the motion event", () => {
+  const detected = RuleParser.parse("if kitchen motion detected then kitchen light on").condition;
+  const notDetected = RuleParser.parse("if kitchen motion not detected then kitchen light off").condition;
+  const isFalse = RuleParser.parse("if kitchen motion false then kitchen light off").condition;
+
+  assert.deepEqual([detected.eventName, detected.operator, detected.value], ["kitchen Motion", "==", "true"]);
+  assert.equal(notDetected.value, "false");
+  assert.deepEqual([isFalse.eventName, isFalse.value], ["kitchen Motion", "false"]);
+});
+
+test("reads clock conditions", () => {
+  const between = RuleParser.parse("if time between 22:00 and 06:00 then living room light off").condition;
+  const day = RuleParser.parse("if day is friday then living room light off").condition;
+
+  assert.equal(between.eventName, CLOCK_EVENT_NAME);
+  assert.equal(between.operator, "time_between");
+  assert.deepEqual(between.value, ["22:00", "06:00"]);
+  assert.deepEqual([day.operator, day.value], ["day_is", "friday"]);
+});
+
+test("converts condition durations to milliseconds", () => {
+  const rule = RuleParser.parse("if living room temperature > 25 for 10 minutes then living room ac on");
+  assert.equal(rule.condition.duration, 10 * 60 * 1000);
+});
+
+test("splits the actions into steps and waits, with an else branch", () => {
+  const rule = RuleParser.parse(
+    "if living room motion detected then living room light on, wait 5 minutes, living room ac on else living room light off"
+  );
+
+  assert.deepEqual(
+    rule.actions.map((step) => [step.type, step.text]),
+    [
+      [StepType.ACTION, "living room light on"],
+      [StepType.WAIT, "wait 5 minutes"],
+      [StepType.ACTION, "living room ac on"],
+    ]
+  );
+  assert.equal(rule.actions[1].duration, 5 * 60 * 1000);
+  assert.equal(rule.elseActionString, "living room light off");
+  assert.deepEqual(rule.elseActions.map((step) => step.text), ["living room light off"]);
+});
+
+test("keeps commas and else inside quoted text in their step", () => {
+  const comma = RuleParser.parse('if living room temperature > 28 then send sms "Hello, the room is hot", living room ac on');
+  assert.deepEqual(
+    comma.actions.map((step) => step.text),
+    ['send sms "Hello, the room is hot"', "living room ac on"]
+  );
+
+  const elseWord = RuleParser.parse(
+    'if living room motion detected then send sms "something else broke" else living room light off'
+  );
+  assert.equal(elseWord.actionString, 'send sms "something else broke"');
+  assert.deepEqual(elseWord.actions.map((step) => step.text), ['send sms "something else broke"']);
+  assert.deepEqual(elseWord.elseActions.map((step) => step.text), ["living room light off"]);
+
+  const unterminated = parseError('if living room motion detected then send sms "something else broke');
+  assert.equal(unterminated.start, "if living room motion detected then send sms ".length);
+  assert.deepEqual(unterminated.expected, ['"']);
+});
+
+test("reports syntax errors with their position", () => {
+  const noIf = parseError("when living room temperature > 25 then living room ac on");
+  assert.equal(noIf.code, "syntax_error");
+  assert.equal(noIf.start, 0);
+  assert.deepEqual(noIf.expected, ["if"]);
+
+  const badOperator = parseError("if living room temperature => 25 then living room ac on");
+  assert.equal(badOperator.found, "=>");
+
+  const noAction = parseError("if living room temperature > 25 then");
+  assert.deepEqual(noAction.expected, ["action"]);
+});
+
+test("suggests a misspelled then", () => {
+  const diagnostic = parseError("if living room temperature > 25 thn living room ac on");
+  assert.equal(diagnostic.found, "thn");
+  assert.ok(diagnostic.suggestions.includes("then"));
+});
@@ -0,0 +1,235 @@
+require("../fakes/testEnvironment");
+const { describe, test, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { FakeRaspberryPi, DEFAULT_LIGHT_ID } = require("../fakes/FakeRaspberryPi");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+const ActionRegistry = require("../../interpreter/src/actions/ActionRegistry");
+const RuleManager = require("../../interpreter/src/rules/RuleManager");
+const { getAcState, getSensiboSensors, switchAcState } = require("../../api/sensibo");
+const { getLightState, switchLightState } = require("../../api/hue");
+const { getMotionSensorData } = require("../../api/MotionSensor");
+
+const pi = new FakeRaspberryPi();
+
+// Executions finished by the rules, handed to the test waiting for them
+const executionWaiters = new Map();
+RuleManager.addExecutionListener((rule, execution) => {
+  const resolve = executionWaiters.get(rule.id);
+  if (resolve) {
+    executionWaiters.delete(rule.id);
+    resolve(execution);
+  }
+});
+
+/**
+ * Wait for a rule to finish its next action sequence
+ * @param {string} ruleId - The rule's id
+ * @returns {Promise<Object>} The execution record
+ */
+const nextExecution = (ruleId) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Rule ${ruleId} did not run`)), 5000);
+    executionWaiters.set(ruleId, (execution) => {
+      clearTimeout(timer);
+      resolve(execution);
+    });
+  });
+
+/**
+ * Poll the fake's Sensibo sensors and motion sensor into the interpreter's events, as the sensor polling does
+ */
+const pollSensors = async () => {
+  const { temperature, humidity } = await getSensiboSensors(pi.ip);
+  EventRegistry.getEvent("Living Room Temperature").update(temperature);
+  EventRegistry.getEvent("Living Room Humidity").update(humidity);
+
+  const { motionDetected } = await getMotionSensorData(pi.ip);
+  EventRegistry.getEvent("Living Room Motion").update(motionDetected);
+};
+
+before(async () => {
+  await pi.start();
+  process.env.RASP_PI_CONFIG_PATH = await pi.writeConfig();
+
+  EventRegistry.anomalyApiEndpoint = `${pi.url}/api/v1/anomaly_detection/anomalies`;
+  EventRegistry.loadRaspiEndpoints({ [pi.ip]: pi.url });
+  await EventRegistry.initializeEvents();
+  await ActionRegistry.initializeActions();
+});
+
+after(async () => {
+  EventRegistry.clockEvent.stop();
+  await pi.stop();
+  delete process.env.RASP_PI_CONFIG_PATH;
+});
+
+describe("loading from the Raspberry Pi", () => {
+  test("registers the Pi's events", () => {
+    ["Living Room Temperature", "Living Room Humidity", "Living Room Motion"].forEach((name) => {
+      assert.ok(EventRegistry.getEvent(name), `${name} is not registered`);
+    });
+  });
+
+  test("registers the Pi's actions with their types", () => {
+    assert.equal(ActionRegistry.getAction("Living Room AC").type, "ac");
+    assert.equal(ActionRegistry.getAction("Living Room Light").type, "light");
+  });
+
+  test("reads the current AC state", () => {
+    const { state, temperature, mode } = ActionRegistry.getDeviceState(process.env.SENSIBO_DEVICE_ID, "ac");
+    assert.deepEqual({ state, temperature, mode }, { state: false, temperature: 24, mode: "cool" });
+  });
+
+  test("loads a Pi added to the registry and keeps the actions already loaded", async () => {
+    const office = new FakeRaspberryPi({
+      events: ["Office Temperature"],
+      actions: [
+        { name: "Office AC", type: "ac", location: "Office" },
+        { name: "Living Room AC", type: "ac", location: "Living Room" },
+      ],
+    });
+    await office.start();
+    const livingRoomAc = ActionRegistry.getAction("Living Room AC");
+    const endpoints = { [pi.ip]: pi.url, "10.0.0.2": office.url };
+
+    try {
+      await EventRegistry.updateRaspiEndpoints(endpoints);
+      const created = await ActionRegistry.updateRaspiEndpoints(endpoints);
+
+      assert.ok(EventRegistry.getEvent("Office Temperature"));
+      assert.deepEqual(created.map((action) => action.name), ["Office AC"]);
+      assert.equal(ActionRegistry.getAction("Living Room AC"), livingRoomAc);
+    } finally {
+      await office.stop();
+    }
+  });
+});
+
+describe("Sensibo, Hue and motion clients", () => {
+  beforeEach(() => pi.reset());
+
+  test("read the sensors, the AC, a light and the motion sensor", async () => {
+    pi.sensors.temperature = 27.5;
+    pi.motion = true;
+
+    assert.deepEqual(await getSensiboSensors(pi.ip), { temperature: 27.5, humidity: 50 });
+    assert.deepEqual(await getAcState(pi.ip), { on: false, targetTemperature: 24, mode: "cool" });
+    assert.equal((await getLightState(pi.ip, DEFAULT_LIGHT_ID)).on, false);
+    assert.deepEqual(await getMotionSensorData(pi.ip), { motionDetected: true });
+  });
+
+  test("switch the AC and a light", async () => {
+    const acResult = await switchAcState("ignored", true, pi.ip, 21);
+    assert.equal(acResult.statusCode, 200);
+    assert.deepEqual(pi.acState, { on: true, targetTemperature: 21, mode: "cool" });
+    assert.equal(pi.requestsTo("/api-sensibo/switch_ac_state")[0].body.id, "fake-sensibo-device");
+
+    const lightResult = await switchLightState(DEFAULT_LIGHT_ID, true, pi.ip, 100);
+    assert.equal(lightResult.success, true);
+    assert.equal(pi.lights[DEFAULT_LIGHT_ID].on, true);
+    assert.equal(pi.lights[DEFAULT_LIGHT_ID].brightness, 100);
+  });
+
+  test("report failures of the Pi", async () => {
+    pi.fail("/api-sensibo/get_sensor_data");
+    pi.fail("/api-sensibo/switch_ac_state", 503);
+    pi.fail("/api-hue/switch_light_state");
+
+    assert.equal(await getSensiboSensors(pi.ip), null);
+    assert.equal((await switchAcState("ignored", true, pi.ip)).statusCode, 503);
+    assert.equal((await switchLightState(DEFAULT_LIGHT_ID, true, pi.ip)).success, false);
+  });
+
+  test("refuse a Pi missing from the registry", async () => {
+    await assert.rejects(getAcState("10.0.0.1"), /not found in the Raspberry Pi registry/);
+  });
+});
+
+describe("rules driving the Pi's devices", () => {
+  let ruleId = null;
+
+  beforeEach(async () => {
+    pi.reset();
+    ActionRegistry.deviceStates.clear();
+    await pollSensors();
+  });
+
+  afterEach(() => {
+    if (ruleId) {
+      RuleManager.deleteRule(ruleId);
+      ruleId = null;
+    }
+  });
+
+  test("turn the AC on when the polled temperature rises", async () => {
+    ruleId = RuleManager.createRule("if living room temperature > 26 then living room ac on 22 cool", {
+      triggerMode: "on_rising_edge",
+    });
+
+    pi.sensors.temperature = 28;
+    const execution = nextExecution(ruleId);
+    await pollSensors();
+
+    assert.equal((await execution).status, "success");
+    const [request] = pi.requestsTo("/api-sensibo/switch_ac_state");
+    assert.deepEqual(
+      { id: request.body.id, state: request.body.state, temperature: request.body.temperature },
+      { id: "fake-sensibo-device", state: true, temperature: 22 }
+    );
+    assert.equal(pi.acState.on, true);
+  });
+
+  test("switch the light on motion and off again in the else branch", async () => {
+    ruleId = RuleManager.createRule(
+      "if living room motion detected then living room light on else living room light off",
+      { triggerMode: "on_rising_edge" }
+    );
+
+    pi.motion = true;
+    let execution = nextExecution(ruleId);
+    await pollSensors();
+    assert.equal((await execution).branch, "then");
+    assert.equal(pi.lights[DEFAULT_LIGHT_ID].on, true);
+
+    pi.motion = false;
+    execution = nextExecution(ruleId);
+    await pollSensors();
+    assert.equal((await execution).branch, "else");
+    assert.equal(pi.lights[DEFAULT_LIGHT_ID].on, false);
+
+    assert.deepEqual(
+      pi.requestsTo("/api-hue/switch_light_state").map((request) => request.body),
+      [
+        { light_id: DEFAULT_LIGHT_ID, state: true },
+        { light_id: DEFAULT_LIGHT_ID, state: false },
+      ]
+    );
+  });
+
+  test("record a failed step when the Pi rejects the command", async () => {
+    ruleId = RuleManager.createRule(
+      "if living room humidity > 60 then living room ac on, living room light on",
+      { triggerMode: "on_rising_edge" }
+    );
+
+    pi.fail("/api-sensibo/switch_ac_state");
+    pi.sensors.humidity = 70;
+    const execution = nextExecution(ruleId);
+    await pollSensors();
+
+    const { status, steps } = await execution;
+    assert.equal(status, "failed");
+    assert.deepEqual(steps.map((step) => step.status), ["failed", "skipped"]);
+    assert.equal(pi.requestsTo("/api-hue/switch_light_state").length, 0);
+  });
+
+  test("leave the devices alone while the condition does not hold", async () => {
+    ruleId = RuleManager.createRule("if living room temperature > 26 then living room ac on");
+
+    pi.sensors.temperature = 25;
+    await pollSensors();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal(pi.requestsTo("/api-sensibo/switch_ac_state").length, 0);
+  });
+});
@@ -0,0 +1,287 @@
+require("../fakes/testEnvironment");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Rule = require("../../interpreter/src/rules/Rule");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+const ActionRegistry = require("../../interpreter/src/actions/ActionRegistry");
+const RecordingAction = require("../fakes/RecordingAction");
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Let the action sequences started by an evaluation run, until no device request awaits arbitration
+ * @param {Object} actionRegistry - The registry the rule's requests are arbitrated in
+ * @returns {Promise<void>}
+ */
+const settle = async (actionRegistry) => {
+  do {
+    await new Promise((resolve) => setImmediate(resolve));
+  } while (actionRegistry.pendingRequests.size > 0);
+};
+
+/**
+ * Clock that only moves when the test advances it
+ */
+class TestClock {
+  /**
+   * @param {Object} actionRegistry - Registry whose requests are applied after each timer
+   */
+  constructor(actionRegistry) {
+    this.actionRegistry = actionRegistry;
+    this.time = Date.UTC(2024, 0, 1, 12);
+    this.timers = new Map();
+    this.nextTimerId = 1;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { due: this.time + delay, callback });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  async advance(ms) {
+    this.time += ms;
+    for (const [id, timer] of [...this.timers.entries()].sort(([, a], [, b]) => a.due - b.due)) {
+      if (timer.due <= this.time && this.timers.delete(id)) {
+        timer.callback();
+        await settle(this.actionRegistry);
+      }
+    }
+  }
+}
+
+/**
+ * Create a rule in isolated registries with recording AC and light actions
+ * @param {string} ruleString - The rule
+ * @param {Object} [settings={}] - Rule settings, e.g. triggerMode or cooldownSeconds
+ * @returns {Object} The rule, its events by type, the recorded commands, the finished executions and the clock
+ */
+const createRule = (ruleString, settings = {}) => {
+  const eventRegistry = new EventRegistry.constructor();
+  eventRegistry.createEventInstances([
+    "Living Room Temperature",
+    "Living Room Humidity",
+    "Living Room Motion",
+  ]);
+
+  const commands = [];
+  const actionRegistry = new ActionRegistry.constructor();
+  actionRegistry.registerAction(new RecordingAction("Living Room AC", "ac", "Living Room", commands));
+  actionRegistry.registerAction(new RecordingAction("Living Room Light", "light", "Living Room", commands));
+
+  const clock = new TestClock(actionRegistry);
+  const executions = [];
+  const rule = new Rule(ruleString, "test-rule", {
+    ...settings,
+    eventRegistry,
+    actionRegistry,
+    clock,
+    onExecutionFinished: (finishedRule, execution) => executions.push(execution),
+  });
+  actionRegistry.connectRuleToActions(rule);
+
+  const events = {
+    temperature: eventRegistry.getEvent("Living Room Temperature"),
+    humidity: eventRegistry.getEvent("Living Room Humidity"),
+    motion: eventRegistry.getEvent("Living Room Motion"),
+  };
+
+  /**
+   * Set an event's value, let the rule evaluate and its actions run
+   */
+  const update = async (type, value) => {
+    events[type].update(value);
+    await settle(actionRegistry);
+  };
+
+  return { rule, events, update, commands, executions, clock };
+};
+
+test("observes the events named by the rule", () => {
+  const { rule, events } = createRule(
+    "if living room temperature > 25 and living room humidity > 60 then living room ac on"
+  );
+
+  assert.ok(events.temperature.observers.includes(rule));
+  assert.ok(events.humidity.observers.includes(rule));
+  assert.ok(!events.motion.observers.includes(rule));
+});
+
+test("fires only when every condition holds", async () => {
+  const { update, commands } = createRule(
+    "if living room temperature > 25 and living room humidity > 60 then living room ac on"
+  );
+
+  await update("temperature", 27);
+  await update("humidity", 50);
+  assert.equal(commands.length, 0);
+
+  await update("humidity", 70);
+  assert.deepEqual(commands, [{ action: "Living Room AC", state: "on", branch: "then" }]);
+});
+
+test("fires once per rising edge", async () => {
+  const { update, commands } = createRule("if living room temperature > 25 then living room ac on", {
+    triggerMode: "on_rising_edge",
+  });
+
+  await update("temperature", 26);
+  await update("temperature", 27);
+  await update("temperature", 20);
+  await update("temperature", 28);
+
+  assert.equal(commands.length, 2);
+});
+
+test("fires on every evaluation while the condition holds", async () => {
+  const { update, commands } = createRule("if living room temperature > 25 then living room ac on");
+
+  await update("temperature", 26);
+  await update("temperature", 27);
+
+  assert.equal(commands.length, 2);
+});
+
+test("runs the else branch when the condition stops holding", async () => {
+  const { update, commands, executions } = createRule(
+    "if living room motion detected then living room light on else living room light off",
+    { triggerMode: "on_rising_edge" }
+  );
+
+  await update("motion", true);
+  await update("motion", false);
+
+  assert.deepEqual(commands, [
+    { action: "Living Room Light", state: "on", branch: "then" },
+    { action: "Living Room Light", state: "off", branch: "else" },
+  ]);
+  assert.deepEqual(executions.map((execution) => [execution.branch, execution.status]), [
+    ["then", "success"],
+    ["else", "success"],
+  ]);
+});
+
+test("waits for the cooldown before firing again", async () => {
+  const { update, commands, clock } = createRule("if living room temperature > 25 then living room ac on", {
+    cooldownSeconds: 60,
+  });
+
+  await update("temperature", 26);
+  await clock.advance(30 * 1000);
+  await update("temperature", 27);
+  assert.equal(commands.length, 1);
+
+  await clock.advance(31 * 1000);
+  await update("temperature", 28);
+  assert.equal(commands.length, 2);
+});
+
+test("does not count skipped triggers against the hourly limit", async () => {
+  const { update, commands, clock, executions } = createRule(
+    "if living room temperature > 25 then living room light on, wait 5 minutes, living room ac on",
+    { maxFiresPerHour: 2 }
+  );
+
+  await update("temperature", 26);
+  // Skipped: the previous sequence is still waiting
+  await update("temperature", 27);
+  await clock.advance(5 * MINUTE_MS);
+  assert.equal(executions.length, 1);
+
+  await update("temperature", 28);
+  assert.deepEqual(
+    commands.map((command) => command.action),
+    ["Living Room Light", "Living Room AC", "Living Room Light"]
+  );
+});
+
+test("fires a duration condition once it has held long enough", async () => {
+  const { update, commands, clock } = createRule(
+    "if living room temperature > 25 for 10 minutes then living room ac on",
+    { triggerMode: "on_rising_edge" }
+  );
+
+  await update("temperature", 26);
+  await clock.advance(9 * MINUTE_MS);
+  assert.equal(commands.length, 0);
+
+  await clock.advance(MINUTE_MS);
+  assert.equal(commands.length, 1);
+});
+
+test("restarts a duration condition that stops holding", async () => {
+  const { update, commands, clock } = createRule(
+    "if living room temperature > 25 for 10 minutes then living room ac on"
+  );
+
+  await update("temperature", 26);
+  await clock.advance(5 * MINUTE_MS);
+  await update("temperature", 24);
+  await update("temperature", 26);
+  await clock.advance(5 * MINUTE_MS);
+  assert.equal(commands.length, 0);
+
+  await clock.advance(5 * MINUTE_MS);
+  assert.equal(commands.length, 1);
+});
+
+test("runs the steps after a wait once it has passed", async () => {
+  const { update, commands, clock, executions } = createRule(
+    "if living room motion detected then living room light on, wait 5 minutes, living room ac on",
+    { triggerMode: "on_rising_edge" }
+  );
+
+  await update("motion", true);
+  assert.deepEqual(commands.map((command) => command.action), ["Living Room Light"]);
+
+  await clock.advance(5 * MINUTE_MS);
+  assert.deepEqual(commands.map((command) => command.action), ["Living Room Light", "Living Room AC"]);
+  assert.deepEqual(executions[0].steps.map((step) => step.status), ["success", "success", "success"]);
+});
+
+test("cancels a waiting sequence when the else branch runs", async () => {
+  const { update, commands, clock, executions } = createRule(
+    "if living room motion detected then living room light on, wait 5 minutes, living room ac on else living room light off",
+    { triggerMode: "on_rising_edge" }
+  );
+
+  await update("motion", true);
+  await update("motion", false);
+  await clock.advance(5 * MINUTE_MS);
+
+  assert.deepEqual(
+    commands.map((command) => [command.action, command.state]),
+    [
+      ["Living Room Light", "on"],
+      ["Living Room Light", "off"],
+    ]
+  );
+  assert.deepEqual(executions.map((execution) => execution.status), ["cancelled", "success"]);
+});
+
+test("times the action steps with the rule's clock", async () => {
+  const { update, clock, executions } = createRule("if living room temperature > 25 then living room ac on");
+  // Every reading of the clock moves it a second on
+  clock.now = () => (clock.time += 1000);
+
+  await update("temperature", 26);
+
+  assert.equal(executions[0].steps[0].results[0].durationMs, 1000);
+});
+
+test("does not evaluate while inactive", async () => {
+  const { rule, update, commands } = createRule("if living room temperature > 25 then living room ac on");
+
+  rule.deactivate();
+  await update("temperature", 26);
+
+  assert.equal(commands.length, 0);
+});
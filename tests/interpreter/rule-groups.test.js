@@ -0,0 +1,174 @@
+require("../fakes/testEnvironment");
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const RuleGroup = require("../../models/RuleGroup");
+const Rule = require("../../models/Rule");
+const interpreterService = require("../../interpreter/src/server-integration");
+
+// handlersController starts polling when it is loaded; keep its interval from holding the test process open
+mock.timers.enable({ apis: ["setInterval"] });
+const ruleSync = require("../../services/rule-sync.service");
+const { setGroupActive } = require("../../services/rule-groups.service");
+mock.timers.reset();
+
+const SPACE_ID = "space-1";
+
+/**
+ * Replace the group and rule queries with an in-memory space
+ * @param {Object} mocker - The test's mock tracker, restored after the test
+ * @param {Object} space - groups: { name, ruleIds, isActive, conflicting } by key; rules: active state by rule id
+ * @returns {Object} The group documents by key, the rules' active states and the rule switches made
+ */
+const createSpace = (mocker, { groups: groupSpecs, rules: ruleStates }) => {
+  const groups = Object.fromEntries(
+    Object.entries(groupSpecs).map(([key, { conflicting, ...fields }]) => [
+      key,
+      new RuleGroup({ space_id: SPACE_ID, ...fields }),
+    ])
+  );
+  Object.entries(groupSpecs).forEach(([key, { conflicting = [] }]) => {
+    groups[key].conflictingGroups = conflicting.map((other) => groups[other].id);
+  });
+  Object.values(groups).forEach((group) => mocker.method(group, "save", async () => group));
+
+  const rules = new Map(Object.entries(ruleStates));
+  const switches = [];
+  const ids = (list) => list.map(String);
+  const matches = (group, filter) =>
+    group.space_id === filter.space_id &&
+    (filter.isActive === undefined || group.isActive === filter.isActive) &&
+    (!filter._id.$in || ids(filter._id.$in).includes(group.id)) &&
+    (!filter._id.$nin || !ids(filter._id.$nin).includes(group.id));
+
+  mocker.method(RuleGroup, "findById", async (id) => Object.values(groups).find((group) => group.id === id) || null);
+  mocker.method(RuleGroup, "find", async (filter) => Object.values(groups).filter((group) => matches(group, filter)));
+  mocker.method(RuleGroup, "updateMany", async (filter, update) => {
+    Object.values(groups)
+      .filter((group) => ids(filter._id.$in).includes(group.id))
+      .forEach((group) => Object.assign(group, update.$set));
+  });
+  // Every query returns fresh documents, as MongoDB does
+  mocker.method(Rule, "find", async (filter) =>
+    filter.id.$in
+      .filter((id) => rules.has(id))
+      .map((id) => ({ id, interpreterId: id, isActive: rules.get(id) }))
+  );
+  mocker.method(interpreterService, "getRuleById", () => ({ success: true }));
+  mocker.method(ruleSync, "setRuleActive", async (id, isActive) => {
+    switches.push([id, isActive]);
+    rules.set(id, isActive);
+    return { statusCode: 200, data: { interpreterId: id, isActive } };
+  });
+
+  return { groups, rules, switches };
+};
+
+test("puts the rules and the group back when saving the groups fails", async (t) => {
+  const { groups, rules } = createSpace(t.mock, {
+    groups: {
+      exams: { name: "Exams", ruleIds: ["quiet"], conflicting: ["party"] },
+      party: { name: "Party", ruleIds: ["music"], isActive: true },
+    },
+    rules: { quiet: false, music: true },
+  });
+  t.mock.method(RuleGroup, "updateMany", async () => {
+    throw new Error("connection lost");
+  });
+
+  const response = await setGroupActive(groups.exams.id, true);
+
+  assert.equal(response.statusCode, 500);
+  assert.match(response.message, /connection lost/);
+  assert.deepEqual(Object.fromEntries(rules), { quiet: false, music: true });
+  assert.equal(groups.exams.isActive, false);
+  assert.equal(groups.exams.save.mock.callCount(), 2);
+});
+
+test("deactivates the conflicting groups and their rules when activating a group", async (t) => {
+  const { groups, rules } = createSpace(t.mock, {
+    groups: {
+      exams: { name: "Exams", ruleIds: ["quiet"], conflicting: ["party"] },
+      party: { name: "Party", ruleIds: ["music", "lights"], isActive: true },
+    },
+    rules: { quiet: false, music: true, lights: true },
+  });
+
+  const response = await setGroupActive(groups.exams.id, true);
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.data.deactivatedGroups, [{ id: groups.party.id, name: "Party" }]);
+  assert.deepEqual(Object.fromEntries(rules), { quiet: true, music: false, lights: false });
+  assert.equal(groups.exams.isActive, true);
+  assert.equal(groups.party.isActive, false);
+});
+
+test("keeps the rules of another active group on", async (t) => {
+  const { groups, rules } = createSpace(t.mock, {
+    groups: {
+      exams: { name: "Exams", ruleIds: ["quiet"], conflicting: ["party"] },
+      party: { name: "Party", ruleIds: ["music", "lights"], isActive: true },
+      evening: { name: "Evening", ruleIds: ["lights"], isActive: true },
+    },
+    rules: { quiet: false, music: true, lights: true },
+  });
+
+  await setGroupActive(groups.exams.id, true);
+
+  assert.deepEqual(Object.fromEntries(rules), { quiet: true, music: false, lights: true });
+  assert.equal(groups.evening.isActive, true);
+});
+
+test("leaves the conflicting groups on when asked to", async (t) => {
+  const { groups, rules } = createSpace(t.mock, {
+    groups: {
+      exams: { name: "Exams", ruleIds: ["quiet"], conflicting: ["party"] },
+      party: { name: "Party", ruleIds: ["music"], isActive: true },
+    },
+    rules: { quiet: false, music: true },
+  });
+
+  const response = await setGroupActive(groups.exams.id, true, { deactivateConflicting: false });
+
+  assert.deepEqual(response.data.deactivatedGroups, []);
+  assert.deepEqual(Object.fromEntries(rules), { quiet: true, music: true });
+  assert.equal(groups.party.isActive, true);
+});
+
+test("puts the switched rules back when switching one of them fails", async (t) => {
+  const { groups, rules, switches } = createSpace(t.mock, {
+    groups: {
+      exams: { name: "Exams", ruleIds: ["quiet", "dim"], conflicting: ["party"] },
+      party: { name: "Party", ruleIds: ["music"], isActive: true },
+    },
+    rules: { quiet: false, dim: false, music: true },
+  });
+  const setRuleActive = ruleSync.setRuleActive;
+  t.mock.method(ruleSync, "setRuleActive", async (id, isActive) =>
+    id === "dim" ? { statusCode: 500, message: "interpreter unavailable" } : setRuleActive(id, isActive)
+  );
+
+  const response = await setGroupActive(groups.exams.id, true);
+
+  assert.equal(response.statusCode, 500);
+  assert.match(response.message, /dim/);
+  assert.deepEqual(Object.fromEntries(rules), { quiet: false, dim: false, music: true });
+  assert.deepEqual(switches.at(-1), ["quiet", false]);
+  assert.equal(groups.exams.isActive, false);
+  assert.equal(groups.party.isActive, true);
+});
+
+test("deactivates a group's rules that no other active group contains", async (t) => {
+  const { groups, rules } = createSpace(t.mock, {
+    groups: {
+      party: { name: "Party", ruleIds: ["music", "lights"], isActive: true },
+      evening: { name: "Evening", ruleIds: ["lights"], isActive: true },
+    },
+    rules: { music: true, lights: true },
+  });
+
+  const response = await setGroupActive(groups.party.id, false);
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(Object.fromEntries(rules), { music: false, lights: true });
+  assert.equal(groups.party.isActive, false);
+});
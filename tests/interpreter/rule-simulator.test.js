@@ -0,0 +1,177 @@
+require("../fakes/testEnvironment");
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { DateTime } = require("luxon");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+const ActionRegistry = require("../../interpreter/src/actions/ActionRegistry");
+const RuleSimulator = require("../../interpreter/src/rules/RuleSimulator");
+const RecordingAction = require("../fakes/RecordingAction");
+
+const SPACE_ID = "41413915";
+const HEADER = "timestamp,living room temperature,living room humidity,living room motion,light_state,ac_state,spaceId";
+const HOT = "if living room temperature > 25 then living room ac on";
+
+let logDir;
+
+before(async () => {
+  logDir = await fs.mkdtemp(path.join(os.tmpdir(), "simulator-log-"));
+});
+
+after(async () => {
+  await fs.rm(logDir, { recursive: true, force: true });
+});
+
+/**
+ * Create a simulator over a sensor log of its own, with recording AC and light actions
+ * @param {Object} t - The test context, whose mocks are restored after the test
+ * @param {Array<string>} rows - Log rows on 2025-05-27 (UTC):
+ *   "HH:MM,temperature,humidity,motion,light_state,ac_state[,spaceId]"
+ * @returns {Promise<Object>} The simulator
+ */
+const createSimulator = async (t, rows) => {
+  const logFilePath = path.join(logDir, `${t.name.replace(/\W+/g, "-")}.csv`);
+  const lines = rows.map((row) => {
+    const [time, ...cells] = row.split(",");
+    return [`2025-05-27 ${time}:00`, ...cells, ...(cells.length < 6 ? [SPACE_ID] : [])].join(",");
+  });
+  await fs.writeFile(logFilePath, [HEADER, ...lines].join("\n"));
+
+  const actions = [
+    new RecordingAction("Living Room AC", "ac", "Living Room", []),
+    new RecordingAction("Living Room Light", "light", "Living Room", []),
+  ];
+  t.mock.method(ActionRegistry, "getAllActions", () => actions);
+
+  const simulator = new RuleSimulator.constructor();
+  simulator.logFilePath = logFilePath;
+  return simulator;
+};
+
+/**
+ * Format a logged UTC time the way the simulator reports times, in the clock's timezone
+ * @param {string} time - HH:MM on 2025-05-27 (UTC)
+ * @returns {string} ISO time
+ */
+const localTime = (time) =>
+  DateTime.fromISO(`2025-05-27T${time}:00Z`).setZone(new EventRegistry.constructor().clockEvent.timezone).toISO();
+
+test("replays the log and records the commands of every firing", async (t) => {
+  const simulator = await createSimulator(t, [
+    "08:00,24,50,False,False,False",
+    "08:05,26,50,False,False,False",
+    "08:10,27,50,False,False,True",
+    "08:15,24,50,False,False,True",
+    "08:20,26,50,False,False,False",
+  ]);
+
+  const result = await simulator.simulate(HOT, {
+    settings: { triggerMode: "on_rising_edge" },
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.rowsReplayed, 5);
+  assert.deepEqual(result.range, { from: localTime("08:00"), to: localTime("08:20") });
+  assert.deepEqual(
+    result.firings.map((firing) => [firing.time, firing.branch, firing.status]),
+    [
+      [localTime("08:05"), "then", "success"],
+      [localTime("08:20"), "then", "success"],
+    ]
+  );
+  assert.deepEqual(
+    result.commands.map((command) => [command.time, command.action, command.state, command.loggedState]),
+    [
+      [localTime("08:05"), "Living Room AC", "on", false],
+      [localTime("08:20"), "Living Room AC", "on", false],
+    ]
+  );
+});
+
+test("runs wait steps on the simulated clock and cancels sequences still waiting at the end", async (t) => {
+  const simulator = await createSimulator(t, [
+    "08:00,24,50,False,False,False",
+    "08:05,24,50,True,False,False",
+    "08:20,24,50,False,True,False",
+    "08:25,24,50,True,True,False",
+    "08:30,24,50,True,True,False",
+  ]);
+
+  const result = await simulator.simulate(
+    "if living room motion detected then living room light on, wait 10 minutes, living room light off",
+    { settings: { triggerMode: "on_rising_edge" } }
+  );
+
+  assert.deepEqual(
+    result.commands.map((command) => [command.time, command.state]),
+    [
+      [localTime("08:05"), "on"],
+      [localTime("08:15"), "off"],
+      [localTime("08:25"), "on"],
+    ]
+  );
+  assert.deepEqual(result.firings.map((firing) => firing.status), ["success", "cancelled"]);
+});
+
+test("fires a duration condition once it has held long enough", async (t) => {
+  const simulator = await createSimulator(t, [
+    "08:00,26,50,False,False,False",
+    "08:04,26,50,False,False,False",
+    "08:20,24,50,False,False,False",
+  ]);
+
+  const result = await simulator.simulate("if living room temperature > 25 for 10 minutes then living room ac on", {
+    settings: { triggerMode: "on_rising_edge" },
+  });
+
+  assert.deepEqual(result.commands.map((command) => command.time), [localTime("08:10")]);
+});
+
+test("evaluates time conditions every minute between the logged rows", async (t) => {
+  const simulator = await createSimulator(t, ["08:00,24,50,False,False,False", "08:30,24,50,False,False,False"]);
+  const ruleTime = DateTime.fromISO(localTime("08:12"), { setZone: true }).toFormat("HH:mm");
+
+  const result = await simulator.simulate(`if time after ${ruleTime} then living room light on`, {
+    settings: { triggerMode: "on_rising_edge" },
+  });
+
+  assert.deepEqual(result.commands.map((command) => command.time), [localTime("08:12")]);
+});
+
+test("replays only the rows of the requested range and space", async (t) => {
+  const simulator = await createSimulator(t, [
+    "08:00,26,50,False,False,False",
+    "08:05,26,50,False,False,False,99999999",
+    "08:10,26,50,False,False,False",
+    "08:15,26,50,False,False,False",
+  ]);
+
+  const result = await simulator.simulate(HOT, {
+    from: "2025-05-27T08:05:00Z",
+    to: "2025-05-27T08:12:00Z",
+    spaceId: SPACE_ID,
+  });
+
+  assert.equal(result.rowsReplayed, 1);
+  assert.deepEqual(result.range, { from: localTime("08:05"), to: localTime("08:12") });
+  assert.deepEqual(result.commands.map((command) => command.time), [localTime("08:10")]);
+});
+
+test("reports invalid rules and ranges", async (t) => {
+  const simulator = await createSimulator(t, ["08:00,26,50,False,False,False"]);
+
+  const invalidRule = await simulator.simulate("if living room temperature > then living room ac on");
+  assert.equal(invalidRule.success, false);
+  assert.ok(invalidRule.diagnostics.length > 0);
+
+  assert.deepEqual(await simulator.simulate(HOT, { from: "yesterday" }), {
+    success: false,
+    error: "from and to must be ISO 8601 times",
+  });
+  const reversed = await simulator.simulate(HOT, { from: "2025-05-27T09:00:00Z", to: "2025-05-27T08:00:00Z" });
+  assert.equal(reversed.error, "from must not be after to");
+  const otherSpace = await simulator.simulate(HOT, { spaceId: "1" });
+  assert.equal(otherSpace.error, "No sensor data logged in the requested range");
+});
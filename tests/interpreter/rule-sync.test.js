@@ -0,0 +1,148 @@
+require("../fakes/testEnvironment");
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const FakeRuleStore = require("../fakes/FakeRuleStore");
+
+// handlersController starts polling when it is loaded; keep its interval from holding the test process open
+mock.timers.enable({ apis: ["setInterval"] });
+const ruleSync = require("../../services/rule-sync.service");
+mock.timers.reset();
+
+const SPACE_ID = "space-1";
+const HOT = "if living room temperature > 25 then living room ac on";
+const COLD = "if living room temperature < 18 then living room ac off";
+
+test("saves a new rule and loads it in the interpreter under the same id", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+
+  const response = await ruleSync.createRule({ description: HOT, ruleString: HOT, space_id: SPACE_ID, priority: 3 });
+
+  assert.equal(response.statusCode, 200);
+  const { id } = response.data;
+  assert.equal(store.getRule(id).interpreterId, id);
+  assert.equal(store.loaded.get(id).ruleString, HOT);
+  assert.equal(store.loaded.get(id).priority, 3);
+});
+
+test("keeps a new rule the interpreter rejects in the database only", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+
+  const response = await ruleSync.createRule({
+    description: "turn the ac on",
+    ruleString: "turn the ac on",
+    space_id: SPACE_ID,
+  });
+
+  assert.equal(response.statusCode, 200);
+  assert.ok(response.interpreterError);
+  assert.equal(store.getRule(response.data.id).interpreterId, null);
+  assert.equal(store.loaded.size, 0);
+});
+
+test("removes a rejected new rule again when the interpreter is required", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+
+  const response = await ruleSync.createRule(
+    { description: "turn the ac on", ruleString: "turn the ac on", space_id: SPACE_ID },
+    { requireInterpreter: true }
+  );
+
+  assert.equal(response.statusCode, 400);
+  assert.match(response.message, /rejected by the interpreter/);
+  assert.deepEqual(store.rules, []);
+});
+
+test("reloads an edited rule under the same id", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, ruleString: HOT }, { loaded: true });
+
+  const response = await ruleSync.updateRule("r1", { ruleString: COLD });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(store.getRule("r1").ruleString, COLD);
+  assert.deepEqual([...store.loaded.keys()], ["r1"]);
+  assert.equal(store.loaded.get("r1").ruleString, COLD);
+});
+
+test("keeps the previous text when the interpreter rejects an edit", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, ruleString: HOT }, { loaded: true });
+
+  const response = await ruleSync.updateRule("r1", { ruleString: "if living room temperature >" });
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(store.getRule("r1").ruleString, HOT);
+  assert.equal(store.loaded.get("r1").ruleString, HOT);
+});
+
+test("removes a rule whose text is cleared from the interpreter", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, ruleString: HOT }, { loaded: true });
+
+  const response = await ruleSync.updateRule("r1", { ruleString: null });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(store.loaded.size, 0);
+  assert.equal(store.getRule("r1").interpreterId, null);
+});
+
+test("switches a rule in both stores", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, ruleString: HOT }, { loaded: true });
+
+  const response = await ruleSync.setRuleActive("r1", false);
+
+  assert.deepEqual(response.data, { ruleId: "r1", interpreterId: "r1", isActive: false });
+  assert.equal(store.getRule("r1").isActive, false);
+  assert.equal(store.loaded.get("r1").active, false);
+});
+
+test("deletes a rule from both stores", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, ruleString: HOT }, { loaded: true });
+  store.load("orphan", COLD);
+
+  assert.equal((await ruleSync.deleteRule("r1")).statusCode, 200);
+  assert.equal((await ruleSync.deleteRule("orphan")).statusCode, 200);
+  assert.equal((await ruleSync.deleteRule("missing")).statusCode, 404);
+
+  assert.deepEqual(store.rules, []);
+  assert.equal(store.loaded.size, 0);
+});
+
+test("reports the rules that exist in only one store or differ", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "synced", space_id: SPACE_ID, ruleString: HOT }, { loaded: true });
+  store.addRule({ id: "unloaded", space_id: SPACE_ID, ruleString: COLD });
+  store.addRule({ id: "switched", space_id: SPACE_ID, ruleString: COLD }, { loaded: true });
+  store.loaded.get("switched").active = false;
+  store.load("orphan", HOT);
+
+  const { data } = await ruleSync.getDriftReport();
+
+  assert.equal(data.inSync, false);
+  assert.deepEqual(data.onlyInDatabase.map((rule) => rule.id), ["unloaded"]);
+  assert.deepEqual(data.onlyInInterpreter.map((rule) => rule.interpreterId), ["orphan"]);
+  assert.deepEqual(data.mismatched, [
+    {
+      id: "switched",
+      space_id: SPACE_ID,
+      interpreterId: "switched",
+      differences: [{ field: "active", database: true, interpreter: false }],
+    },
+  ]);
+});
+
+test("reports the stores in sync after reloading the interpreter", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, ruleString: HOT, isActive: false });
+  store.addRule({ id: "r2", space_id: SPACE_ID, ruleString: COLD });
+  store.load("rule_1700000000000", HOT);
+
+  const response = await ruleSync.syncAll();
+  const { data } = await ruleSync.getDriftReport();
+
+  assert.deepEqual(response.data, { created: ["r1", "r2"], failed: [] });
+  assert.equal(data.inSync, true);
+  assert.equal(store.loaded.get("r1").active, false);
+});
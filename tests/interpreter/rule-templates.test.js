@@ -0,0 +1,148 @@
+require("../fakes/testEnvironment");
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const RuleTemplate = require("../../models/RuleTemplate");
+const Room = require("../../models/Room");
+const FakeRuleStore = require("../fakes/FakeRuleStore");
+
+// handlersController starts polling when it is loaded; keep its interval from holding the test process open
+mock.timers.enable({ apis: ["setInterval"] });
+const { instantiateTemplate, regenerateInstances } = require("../../services/rule-templates.service");
+mock.timers.reset();
+
+const SPACE_ID = "space-1";
+const ROOMS = [
+  { id: "room-1", name: "Living Room", space_id: SPACE_ID },
+  { id: "room-2", name: "Kitchen", space_id: SPACE_ID },
+];
+
+/**
+ * Set up a rule store, a template and the rooms of the space
+ * @param {Object} mocker - The test's mock tracker
+ * @param {Object} fields - The template's fields
+ * @returns {Object} The store and the template document
+ */
+const createTemplate = (mocker, fields) => {
+  const store = new FakeRuleStore(mocker);
+  const template = new RuleTemplate({ name: "Cooling", ...fields });
+  mocker.method(RuleTemplate, "findById", async (id) => (id === template.id ? template : null));
+  mocker.method(Room, "find", async (filter) =>
+    ROOMS.filter((room) => room.space_id === filter.space_id && (!filter.id || room.id === filter.id))
+  );
+  return { store, template };
+};
+
+test("fills a template once per room, taking missing values from the defaults", async (t) => {
+  const { store, template } = createTemplate(t.mock, {
+    template: "if {room} temperature > {threshold} then {room} ac {state}",
+    defaults: { threshold: 25, state: "on" },
+    priority: 2,
+  });
+
+  const response = await instantiateTemplate(template.id, { space_id: SPACE_ID, params: { threshold: 27 } });
+
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(
+    store.rules.map((rule) => [rule.ruleString, rule.templateId, rule.priority]),
+    [
+      ["if Living Room temperature > 27 then Living Room ac on", template.id, 2],
+      ["if Kitchen temperature > 27 then Kitchen ac on", template.id, 2],
+    ]
+  );
+  assert.deepEqual(store.rules[1].templateParams, { threshold: 27, state: "on", room: "Kitchen" });
+  assert.deepEqual([...store.loaded.keys()], store.rules.map((rule) => rule.id));
+});
+
+test("fills a template for one room", async (t) => {
+  const { store, template } = createTemplate(t.mock, {
+    template: "if {room} motion not detected then {room} light off",
+  });
+
+  const response = await instantiateTemplate(template.id, { space_id: SPACE_ID, room_id: "room-2" });
+
+  assert.equal(response.data.created.length, 1);
+  assert.equal(store.rules[0].ruleString, "if Kitchen motion not detected then Kitchen light off");
+});
+
+test("rejects an instantiation missing placeholder values", async (t) => {
+  const { store, template } = createTemplate(t.mock, {
+    template: "if {room} temperature > {threshold} then {room} ac {state}",
+    defaults: { state: "on" },
+  });
+
+  const response = await instantiateTemplate(template.id, { space_id: SPACE_ID });
+
+  assert.equal(response.statusCode, 400);
+  assert.match(response.message, /threshold/);
+  assert.deepEqual(store.rules, []);
+});
+
+test("reports the rooms whose rule the interpreter rejects", async (t) => {
+  const { store, template } = createTemplate(t.mock, {
+    template: "if {room} temperature > {threshold}",
+    defaults: { threshold: 25 },
+  });
+
+  const response = await instantiateTemplate(template.id, { space_id: SPACE_ID });
+
+  assert.equal(response.statusCode, 400);
+  assert.deepEqual(response.data.failed.map((failure) => failure.room), ["Living Room", "Kitchen"]);
+  assert.deepEqual(store.rules, []);
+});
+
+test("regenerates the instances of an edited template under the same ids", async (t) => {
+  const { store, template } = createTemplate(t.mock, {
+    template: "if {room} temperature > {threshold} then {room} ac on",
+    defaults: { threshold: 25 },
+  });
+  await instantiateTemplate(template.id, { space_id: SPACE_ID });
+  const ids = store.rules.map((rule) => rule.id);
+  template.template = "if {room} temperature >= {threshold} then {room} ac on";
+  template.cooldownSeconds = 300;
+
+  const response = await regenerateInstances(template.id, "dana@example.com");
+
+  assert.deepEqual(response.data, { regenerated: ids, unchanged: [], failed: [] });
+  assert.deepEqual(
+    store.rules.map((rule) => [rule.ruleString, rule.cooldownSeconds, rule.version]),
+    [
+      ["if Living Room temperature >= 25 then Living Room ac on", 300, 2],
+      ["if Kitchen temperature >= 25 then Kitchen ac on", 300, 2],
+    ]
+  );
+  assert.deepEqual([...store.loaded.keys()], ids);
+  assert.equal(store.loaded.get(ids[0]).ruleString, "if Living Room temperature >= 25 then Living Room ac on");
+  assert.deepEqual(
+    store.versions.filter((version) => version.version === 2).map((version) => version.changedBy),
+    ["dana@example.com", "dana@example.com"]
+  );
+});
+
+test("leaves the instances of an unchanged template alone", async (t) => {
+  const { store, template } = createTemplate(t.mock, {
+    template: "if {room} temperature > {threshold} then {room} ac on",
+    defaults: { threshold: 25 },
+  });
+  await instantiateTemplate(template.id, { space_id: SPACE_ID });
+
+  const response = await regenerateInstances(template.id);
+
+  assert.deepEqual(response.data.regenerated, []);
+  assert.equal(response.data.unchanged.length, 2);
+  assert.deepEqual(store.versions, []);
+});
+
+test("reports the instances missing a value of a new placeholder", async (t) => {
+  const { store, template } = createTemplate(t.mock, {
+    template: "if {room} temperature > {threshold} then {room} ac on",
+    defaults: { threshold: 25 },
+  });
+  await instantiateTemplate(template.id, { space_id: SPACE_ID, room_id: "room-1" });
+  template.template = "if {room} temperature > {threshold} then {room} ac on mode {mode}";
+
+  const response = await regenerateInstances(template.id);
+
+  assert.equal(response.data.failed.length, 1);
+  assert.match(response.data.failed[0].error, /mode/);
+  assert.equal(store.rules[0].ruleString, "if Living Room temperature > 25 then Living Room ac on");
+});
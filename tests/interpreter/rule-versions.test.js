@@ -0,0 +1,162 @@
+require("../fakes/testEnvironment");
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const RuleVersion = require("../../models/RuleVersion");
+const FakeRuleStore = require("../fakes/FakeRuleStore");
+
+// handlersController starts polling when it is loaded; keep its interval from holding the test process open
+mock.timers.enable({ apis: ["setInterval"] });
+const {
+  updateVersionedRule,
+  getVersions,
+  diffVersions,
+  rollbackToVersion,
+} = require("../../services/rule-versions.service");
+mock.timers.reset();
+
+const SPACE_ID = "space-1";
+const HOT = "if living room temperature > 25 then living room ac on";
+const WARM = "if living room temperature > 23 then living room ac on";
+
+/**
+ * Store a rule loaded in the interpreter and edit its text, recording a version per edit
+ * @param {FakeRuleStore} store - The store
+ * @param {Array<string>} ruleStrings - The rule's first text, then one text per edit
+ * @returns {Promise<void>}
+ */
+const createEditedRule = async (store, [first, ...edits]) => {
+  store.addRule({ id: "r1", space_id: SPACE_ID, description: first, ruleString: first }, { loaded: true });
+  for (const ruleString of edits) {
+    const before = store.getRule("r1");
+    const response = await updateVersionedRule(
+      { ...before },
+      { description: ruleString, ruleString },
+      { changedBy: "dana@example.com" }
+    );
+    assert.equal(response.statusCode, 200);
+  }
+};
+
+test("records the first version and each edit", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  await createEditedRule(store, [HOT, WARM]);
+
+  const { data } = await getVersions("r1");
+
+  assert.equal(data.current, 2);
+  assert.deepEqual(
+    data.versions.map((version) => [version.version, version.changeType, version.ruleString, version.changedBy]),
+    [
+      [2, "edit", WARM, "dana@example.com"],
+      [1, "initial", HOT, null],
+    ]
+  );
+});
+
+test("records no version for an edit of unversioned fields", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, ruleString: HOT }, { loaded: true });
+
+  const response = await updateVersionedRule({ ...store.getRule("r1") }, { isActive: false });
+
+  assert.equal(response.version, null);
+  assert.equal(store.getRule("r1").version, 1);
+  assert.deepEqual(store.versions, []);
+});
+
+test("undoes an edit whose version cannot be recorded", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, description: HOT, ruleString: HOT }, { loaded: true });
+  t.mock.method(RuleVersion, "create", async () => {
+    throw new Error("connection lost");
+  });
+
+  const response = await updateVersionedRule({ ...store.getRule("r1") }, { description: WARM, ruleString: WARM });
+
+  assert.equal(response.statusCode, 500);
+  assert.match(response.message, /undone/);
+  assert.equal(store.getRule("r1").ruleString, HOT);
+  assert.equal(store.loaded.get("r1").ruleString, HOT);
+});
+
+test("diffs two versions word by word", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  await createEditedRule(store, [
+    HOT,
+    "if living room temperature > 23 and living room humidity > 60 then living room ac on",
+  ]);
+
+  const { data } = await diffVersions("r1");
+
+  assert.equal(data.from, 1);
+  assert.equal(data.to, 2);
+  assert.deepEqual(data.changes.map((change) => change.field), ["description", "ruleString"]);
+  assert.deepEqual(data.ruleStringDiff, [
+    { type: "same", text: "if living room temperature >" },
+    { type: "removed", text: "25" },
+    { type: "added", text: "23 and living room humidity > 60" },
+    { type: "same", text: "then living room ac on" },
+  ]);
+});
+
+test("diffs the first version against an empty rule", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, ruleString: HOT });
+
+  const { data } = await diffVersions("r1");
+
+  assert.equal(data.from, null);
+  assert.deepEqual(data.ruleStringDiff, [{ type: "added", text: HOT }]);
+});
+
+test("rejects versions that are not positive integers or do not exist", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  await createEditedRule(store, [HOT, WARM]);
+
+  assert.equal((await diffVersions("r1", "0", "2")).statusCode, 400);
+  assert.equal((await diffVersions("r1", "1", "5")).statusCode, 404);
+  assert.equal((await rollbackToVersion("r1", "first")).statusCode, 400);
+  assert.equal((await rollbackToVersion("r1", 2)).statusCode, 400);
+});
+
+test("rolls back to an old version as a new version", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  await createEditedRule(store, [HOT, WARM]);
+
+  const response = await rollbackToVersion("r1", 1, "noa@example.com");
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(store.getRule("r1").ruleString, HOT);
+  assert.equal(store.loaded.get("r1").ruleString, HOT);
+  const { data } = await getVersions("r1");
+  const [latest] = data.versions;
+  assert.deepEqual(
+    [latest.version, latest.changeType, latest.rolledBackFrom, latest.changedBy],
+    [3, "rollback", 1, "noa@example.com"]
+  );
+});
+
+test("removes the rule from the interpreter when rolling back to a version without a rule string", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  store.addRule({ id: "r1", space_id: SPACE_ID, description: "Turn the AC on when it is hot" });
+  const before = store.getRule("r1");
+  await updateVersionedRule({ ...before }, { description: HOT, ruleString: HOT });
+  assert.equal(store.loaded.get("r1").ruleString, HOT);
+
+  const response = await rollbackToVersion("r1", 1);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(store.getRule("r1").ruleString, null);
+  assert.equal(store.loaded.size, 0);
+});
+
+test("leaves the rule untouched when the old version no longer parses", async (t) => {
+  const store = new FakeRuleStore(t.mock);
+  await createEditedRule(store, ["if living room temperature >", HOT]);
+
+  const response = await rollbackToVersion("r1", 1);
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(store.getRule("r1").ruleString, HOT);
+  assert.equal(store.getRule("r1").version, 2);
+});
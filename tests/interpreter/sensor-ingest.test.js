@@ -0,0 +1,166 @@
+require("../fakes/testEnvironment");
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const EventRegistry = require("../../interpreter/src/events/EventRegistry");
+const sensorIngestService = require("../../services/sensor-ingest.service");
+const authenticateEdgeNode = require("../../auth/authenticateEdgeNode");
+
+const PI_IP = "10.0.0.7";
+const NOW = Date.parse("2026-01-05T08:00:00Z");
+
+let configDir;
+
+before(async () => {
+  configDir = await fs.mkdtemp(path.join(os.tmpdir(), "ingest-rasp-pi-"));
+  process.env.RASP_PI_CONFIG_PATH = path.join(configDir, "rasp_pi.json");
+  await fs.writeFile(process.env.RASP_PI_CONFIG_PATH, JSON.stringify({ [PI_IP]: "http://127.0.0.1:5000" }));
+  process.env.EDGE_NODE_JWT_SECRET_KEY = "test-edge-node-secret";
+});
+
+after(async () => {
+  await fs.rm(configDir, { recursive: true, force: true });
+  delete process.env.RASP_PI_CONFIG_PATH;
+  delete process.env.EDGE_NODE_JWT_SECRET_KEY;
+});
+
+/**
+ * Create an ingest service over its own events, counting the rule evaluations of each event
+ * @param {Object} [options={}] - rooms: the rooms of the Pi's space, as getRooms resolves them
+ * @returns {Object} The service, the evaluations by event name and the logged rows
+ */
+const createIngest = ({ rooms = null } = {}) => {
+  const eventRegistry = new EventRegistry.constructor();
+  eventRegistry.createEventInstances(["Living Room Temperature", "Living Room Motion"]);
+
+  const evaluations = {};
+  eventRegistry.getAllEvents().forEach((event) => {
+    event.addObserver({
+      evaluate: () => {
+        evaluations[event.name] = [...(evaluations[event.name] || []), event.currentValue];
+      },
+    });
+  });
+
+  const loggedRows = [];
+  const service = new sensorIngestService.constructor({
+    eventRegistry,
+    sensorLogger: {
+      logSensorData: (row, { timestamp }) => {
+        loggedRows.push({ row, timestamp });
+        return { success: true };
+      },
+    },
+    getRooms: async () => rooms,
+    now: () => NOW,
+  });
+  return { service, eventRegistry, evaluations, loggedRows };
+};
+
+const secondsAgo = (seconds) => new Date(NOW - seconds * 1000).toISOString();
+
+test("applies the newest reading of each sensor in measurement order", async () => {
+  const { service, eventRegistry, evaluations, loggedRows } = createIngest();
+
+  const { statusCode, data } = await service.ingestReadings(PI_IP, [
+    { room: "Living Room", sensor: "temperature", value: "24.5", timestamp: secondsAgo(10) },
+    { room: "Living Room", sensor: "temperature", value: 23, timestamp: secondsAgo(40) },
+    { room: "living room", sensor: "motion", value: true, timestamp: NOW - 10000 },
+  ]);
+
+  assert.equal(statusCode, 200);
+  assert.deepEqual(data.readings.map(({ status }) => status), ["applied", "superseded", "applied"]);
+  assert.deepEqual(evaluations, { "Living Room Temperature": [24.5], "Living Room Motion": [true] });
+  assert.equal(eventRegistry.getEvent("Living Room Temperature").lastUpdatedAt.toISOString(), secondsAgo(10));
+
+  // One row per measurement time, dated when the values were measured
+  assert.deepEqual(loggedRows.map(({ timestamp }) => timestamp.toISOString()), [secondsAgo(40), secondsAgo(10)]);
+  assert.deepEqual(loggedRows[1].row.map(({ name }) => name), ["living room temperature", "living room motion"]);
+});
+
+test("does not evaluate rules on late or out-of-order readings", async () => {
+  const { service, eventRegistry, evaluations } = createIngest();
+  await service.ingestReadings(PI_IP, [{ room: "Living Room", sensor: "temperature", value: 22, timestamp: secondsAgo(5) }]);
+
+  const { data } = await service.ingestReadings(PI_IP, [
+    { room: "Living Room", sensor: "temperature", value: 30, timestamp: secondsAgo(20) },
+    { room: "Living Room", sensor: "motion", value: "true", timestamp: secondsAgo(600) },
+  ]);
+
+  assert.deepEqual(data.readings.map(({ status }) => status), ["outOfOrder", "late"]);
+  assert.equal(eventRegistry.getEvent("Living Room Temperature").currentValue, 22);
+  // The late reading is still the newest known motion
+  assert.equal(eventRegistry.getEvent("Living Room Motion").currentValue, true);
+  assert.deepEqual(evaluations, { "Living Room Temperature": [22] });
+});
+
+test("rejects readings that do not match the room's registered sensors", async () => {
+  const { service, evaluations } = createIngest({ rooms: { spaceId: "41413915", names: ["living room"] } });
+
+  const { statusCode, data } = await service.ingestReadings(PI_IP, [
+    { room: "Kitchen", sensor: "temperature", value: 21, timestamp: secondsAgo(1) },
+    { room: "Living Room", sensor: "co2", value: 800, timestamp: secondsAgo(1) },
+    { room: "Living Room", sensor: "temperature", value: "warm", timestamp: secondsAgo(1) },
+    { room: "Living Room", sensor: "motion", value: true },
+    { room: "Living Room", sensor: "motion", value: true, timestamp: NOW + 5 * 60 * 1000 },
+  ]);
+
+  assert.equal(statusCode, 400);
+  assert.deepEqual(data.rejected.map(({ index }) => index), [0, 1, 2, 3, 4]);
+  assert.match(data.rejected[0].error, /not in space 41413915/);
+  assert.match(data.rejected[1].error, /No co2 sensor is registered/);
+  assert.match(data.rejected[2].error, /expected a number/);
+  assert.match(data.rejected[3].error, /timestamp must be/);
+  assert.match(data.rejected[4].error, /in the future/);
+  assert.deepEqual(evaluations, {});
+  assert.equal((await service.ingestReadings(PI_IP, [])).statusCode, 400);
+});
+
+test("accepts only the tokens of registered Raspberry Pis", async () => {
+  /**
+   * Run the middleware on a request with the given token
+   * @returns {Promise<Object>} The response status (200 if the request was let through) and req.edgeNode
+   */
+  const authenticate = (token) =>
+    new Promise((resolve) => {
+      const req = { header: () => (token ? `Bearer ${token}` : undefined) };
+      const res = { status: (statusCode) => ({ send: () => resolve({ statusCode }) }) };
+      authenticateEdgeNode(req, res, () => resolve({ statusCode: 200, edgeNode: req.edgeNode }));
+    });
+
+  const accepted = await authenticate(authenticateEdgeNode.createEdgeNodeToken(PI_IP));
+  assert.deepEqual(accepted, { statusCode: 200, edgeNode: { ip: PI_IP, url: "http://127.0.0.1:5000" } });
+  assert.equal((await authenticate(authenticateEdgeNode.createEdgeNodeToken("10.0.0.99"))).statusCode, 401);
+  assert.equal((await authenticate(authenticateEdgeNode.createEdgeNodeToken(PI_IP, -1))).statusCode, 401);
+  assert.equal((await authenticate("not-a-token")).statusCode, 401);
+  assert.equal((await authenticate(null)).statusCode, 401);
+});
+
+test("answers the pushed readings through the sensor controller", async () => {
+  // handlersController starts polling when it is loaded; keep its interval from holding the test process open
+  mock.timers.enable({ apis: ["setInterval"] });
+  const { sensorControllers } = require("../../controllers/sensorController");
+  mock.timers.reset();
+
+  /**
+   * Run the controller on a request
+   * @returns {Promise<Object>} The response's status and body
+   */
+  const ingest = (req) =>
+    new Promise((resolve) => {
+      const res = { status: (statusCode) => ({ json: (body) => resolve({ statusCode, body }) }) };
+      sensorControllers.ingestReadings(req, res);
+    });
+
+  const rejected = await ingest({
+    edgeNode: { ip: PI_IP },
+    body: { readings: [{ room: "Attic", sensor: "temperature", value: 21, timestamp: new Date().toISOString() }] },
+  });
+  assert.equal(rejected.statusCode, 400);
+  assert.match(rejected.body.rejected[0].error, /No temperature sensor is registered in room "Attic"/);
+
+  const failed = await ingest({ body: { readings: [] } });
+  assert.equal(failed.statusCode, 500);
+});
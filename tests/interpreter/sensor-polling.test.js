@@ -0,0 +1,82 @@
+require("../fakes/testEnvironment");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const SensorPollingWorker = require("../../services/sensor-polling-worker");
+
+const INTERVAL_MS = 20;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ */
+const waitFor = async (condition) => {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Condition not reached in time");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test("polls its Pi immediately and then at its interval", async (t) => {
+  const polledIPs = [];
+  const worker = new SensorPollingWorker("10.0.0.1", async (ip) => {
+    polledIPs.push(ip);
+    return { success: true };
+  }, { interval: INTERVAL_MS });
+  t.after(() => worker.stop());
+
+  worker.start();
+  await waitFor(() => polledIPs.length >= 3);
+
+  const status = worker.getStatus();
+  assert.equal(status.status, "running");
+  assert.equal(status.currentDelay, INTERVAL_MS);
+  assert.equal(status.consecutiveFailures, 0);
+  assert.ok(status.lastSuccessAt instanceof Date);
+  assert.deepEqual([...new Set(polledIPs)], ["10.0.0.1"]);
+});
+
+test("backs off after failed polls and recovers on the next success", async (t) => {
+  let failing = true;
+  const worker = new SensorPollingWorker("10.0.0.2", async () => {
+    if (failing) {
+      throw new Error("connect ECONNREFUSED");
+    }
+    return { success: true };
+  }, { interval: INTERVAL_MS, maxBackoffMs: INTERVAL_MS * 4 });
+  t.after(() => worker.stop());
+
+  worker.start();
+  await waitFor(() => worker.consecutiveFailures >= 3);
+
+  const status = worker.getStatus();
+  assert.equal(status.status, "backoff");
+  assert.equal(status.lastError, "connect ECONNREFUSED");
+  assert.equal(status.currentDelay, INTERVAL_MS * 4);
+
+  failing = false;
+  await waitFor(() => worker.consecutiveFailures === 0);
+  assert.equal(worker.getStatus().status, "running");
+  assert.equal(worker.getStatus().currentDelay, INTERVAL_MS);
+});
+
+test("counts an unsuccessful result as a failure and stops polling when stopped", async () => {
+  let polls = 0;
+  const worker = new SensorPollingWorker("10.0.0.3", async () => {
+    polls++;
+    return { success: false, error: "No sensor data received" };
+  }, { interval: INTERVAL_MS });
+
+  worker.start();
+  await waitFor(() => polls === 1 && !worker.polling);
+  assert.equal(worker.getStatus().lastError, "No sensor data received");
+  assert.equal(worker.getNextDelay(), INTERVAL_MS * 2);
+
+  worker.stop();
+  await new Promise((resolve) => setTimeout(resolve, INTERVAL_MS * 3));
+  assert.equal(polls, 1);
+  assert.equal(worker.getStatus().status, "stopped");
+  assert.equal(worker.getStatus().nextPollAt, null);
+});
@@ -18,6 +18,7 @@ const notificationConfig = {
     throttle: {
       anomalyDetection: 60 * 1000, // 1 minute between detection notifications for the same anomaly
       ruleTriggered: 5 * 60 * 1000, // 5 minutes between rule trigger notifications for the same rule
+      edgeNodeOffline: 60 * 60 * 1000, // 1 hour between offline notifications for the same Raspberry Pi
     }
   },
   
@@ -43,6 +44,16 @@ Actions: {{actions}}
 
 The system has taken appropriate actions based on this rule.`,
 
+    edgeNodeOffline:
+`⚠️ RASPBERRY PI OFFLINE ⚠️
+Pi: {{name}} ({{ip}})
+Space: {{spaceId}}
+Offline since: {{offlineSince}}
+Last seen: {{lastSeen}}
+{{#lastError}}Error: {{lastError}}{{/lastError}}
+
+Rules driving this Pi's devices cannot run until it is reachable again.`,
+
     // Template for custom SMS messages from the SMS action
     customMessage:
 `📱 NOTIFICATION FROM SMARTSPACE 📱
@@ -9,7 +9,8 @@ const notificationConfig = require('./notificationConfig');
 // Last notification timestamps to enforce throttling
 const lastNotifications = {
   anomalyDetections: new Map(), // Maps anomaly name to timestamp
-  ruleTriggered: new Map()      // Maps rule ID to timestamp
+  ruleTriggered: new Map(),     // Maps rule ID to timestamp
+  edgeNodeOffline: new Map()    // Maps Raspberry Pi IP to timestamp
 };
 
 /**
@@ -213,7 +214,67 @@ async function notifyRuleTriggered(ruleData, eventData) {
   }
 }
 
+/**
+ * Send a notification about a Raspberry Pi that has been offline for too long
+ * @param {Object} nodeData - The Pi's health (ip, name, spaceId, offlineSince, lastSeen, lastError)
+ * @returns {Promise<boolean>} Whether the notification was sent
+ */
+async function notifyEdgeNodeOffline(nodeData) {
+  try {
+    // Skip if WhatsApp notifications are disabled
+    if (!notificationConfig.whatsapp.enabled) {
+      console.log('WhatsApp notifications are disabled.');
+      return false;
+    }
+    
+    // Skip if no data provided
+    if (!nodeData || !nodeData.ip) {
+      console.error('Invalid Raspberry Pi data for notification');
+      return false;
+    }
+    
+    // Enforce throttling
+    const now = Date.now();
+    const lastNotificationTime = lastNotifications.edgeNodeOffline.get(nodeData.ip) || 0;
+    const timeSinceLastNotification = now - lastNotificationTime;
+    
+    if (timeSinceLastNotification < notificationConfig.whatsapp.throttle.edgeNodeOffline) {
+      console.log(`Throttling offline notification for ${nodeData.ip} - last sent ${timeSinceLastNotification}ms ago`);
+      return false;
+    }
+    
+    // Prepare template variables
+    const variables = {
+      ip: nodeData.ip,
+      name: nodeData.name || 'Raspberry Pi',
+      spaceId: nodeData.spaceId || 'Unknown',
+      offlineSince: nodeData.offlineSince ? new Date(nodeData.offlineSince).toLocaleString() : 'Unknown',
+      lastSeen: nodeData.lastSeen ? new Date(nodeData.lastSeen).toLocaleString() : 'Never',
+      lastError: nodeData.lastError || ''
+    };
+    
+    // Render the message
+    const message = renderTemplate(notificationConfig.templates.edgeNodeOffline, variables);
+    
+    // Send to all configured phone numbers
+    for (const phoneNumber of notificationConfig.whatsapp.phoneNumbers) {
+      console.log(`Sending offline notification for ${nodeData.ip} to ${phoneNumber}`);
+      await sendWhatsAppNotification(phoneNumber, message);
+    }
+    
+    // Update last notification time
+    lastNotifications.edgeNodeOffline.set(nodeData.ip, now);
+    
+    console.log(`Offline notification sent for ${nodeData.ip}`);
+    return true;
+  } catch (error) {
+    console.error('Failed to send Raspberry Pi offline notification:', error);
+    return false;
+  }
+}
+
 module.exports = {
   notifyAnomalyDetection,
-  notifyRuleTriggered
+  notifyRuleTriggered,
+  notifyEdgeNodeOffline
 }; 
\ No newline at end of file
@@ -0,0 +1,35 @@
+const path = require("path");
+const fs = require("fs").promises;
+
+const DEFAULT_CONFIG_PATH = path.resolve(__dirname, "../api/endpoint/rasp_pi.json");
+
+/**
+ * Get the path of the legacy Raspberry Pi configuration, which maps each Pi's IP to the URL of its Flask API
+ * The Pis are registered in MongoDB (see services/edge-nodes.service.js); the file seeds an empty registry
+ * and is used while MongoDB is unreachable.
+ * RASP_PI_CONFIG_PATH points the server at another file, e.g. one listing a local or fake Pi.
+ * @returns {string} Absolute path of the configuration file
+ */
+const getRaspPiConfigPath = () => {
+  return process.env.RASP_PI_CONFIG_PATH
+    ? path.resolve(process.env.RASP_PI_CONFIG_PATH)
+    : DEFAULT_CONFIG_PATH;
+};
+
+/**
+ * Read the legacy Raspberry Pi configuration file
+ * @returns {Promise<Object>} Map of Pi IPs to URLs, empty if the file does not exist
+ * @throws {Error} If the file cannot be parsed
+ */
+const readRaspPiConfigFile = async () => {
+  try {
+    return JSON.parse(await fs.readFile(getRaspPiConfigPath(), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return {};
+    }
+    throw new Error(`Error loading configuration: ${err.message}`);
+  }
+};
+
+module.exports = { getRaspPiConfigPath, readRaspPiConfigFile };
@@ -278,10 +278,30 @@ function broadcastRecommendationData(recommendations) {
     });
 }
 
+// Broadcast a Raspberry Pi going online or offline
+function broadcastEdgeNodeStatus(nodeHealth) {
+    const statusData = {
+        type: 'edge_node_status',
+        data: {
+            ...nodeHealth,
+            timestamp: new Date().toISOString()
+        }
+    };
+
+    console.log(`Broadcasting Raspberry Pi ${nodeHealth.ip} status: ${nodeHealth.status}`);
+
+    clients.forEach((client) => {
+        if (client.readyState === WebSocket.OPEN) {
+            client.send(JSON.stringify(statusData));
+        }
+    });
+}
+
 module.exports = { 
   connectToWs, 
   clients, 
   broadcast,
   broadcastAnomalyData,
-  broadcastRecommendationData
+  broadcastRecommendationData,
+  broadcastEdgeNodeStatus
 };
\ No newline at end of file